@@ -58,6 +58,24 @@ export default [
       },
     },
   },
+  {
+    files: ['src/qr-server/public/**/*.js'],
+    languageOptions: {
+      sourceType: 'script',
+      globals: {
+        ...globals.browser,
+      },
+    },
+  },
+  {
+    // Functions passed to client.pupPage.evaluate run in the WhatsApp Web page
+    files: ['src/core/identity.js'],
+    languageOptions: {
+      globals: {
+        window: 'readonly',
+      },
+    },
+  },
   {
     ignores: [
       'node_modules/',
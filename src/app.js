@@ -1,27 +1,47 @@
 import 'dotenv/config';
 
-import { whatsappClient } from '#src/configs/whatsapp-client.js';
+import { whatsappClients } from '#src/configs/whatsapp-client.js';
 import { WhatsappEventHandler } from '#src/handlers/whatsapp-event.handler.js';
+import { WhatsAppClients } from '#src/libs/whatsapp-clients.js';
+import { WhatsAppSupervisor } from '#src/libs/whatsapp-supervisor.js';
 import { ExpressServer } from '#src/servers/express.server.js';
 
 class App {
   constructor() {
-    // Initialize WhatsApp client
-    this.client = whatsappClient.getClient();
-    this.expressServer = new ExpressServer(this.client);
-    this.WAEventHandler = new WhatsappEventHandler(this.client);
-    this.userTimeouts = {}; // Store user timeouts for message processing
+    // Initialize one WhatsApp client per number; each is started, and
+    // restarted when it fails, by its supervisor
+    this.clients = new WhatsAppClients(
+      whatsappClients.map((whatsappClient) => ({
+        id: whatsappClient.id,
+        phoneNumber: whatsappClient.phoneNumber,
+        client: whatsappClient.getClient(),
+        supervisor: new WhatsAppSupervisor(whatsappClient.getClient(), {
+          pairingPhoneNumber: whatsappClient.phoneNumber,
+          clientId: whatsappClient.id,
+        }),
+      })),
+    );
+    this.client = this.clients.get().client;
+    this.expressServer = new ExpressServer(this.clients);
+    // Each client has its own handlers, which reply from its number
+    this.WAEventHandlers = this.clients
+      .list()
+      .map(
+        ({ id, client }) => new WhatsappEventHandler(client, { clientId: id }),
+      );
   }
 
   initialize() {
     // Initialize Express server
     this.expressServer.start();
-    this.WAEventHandler.setup(this.client, {
-      userTimeouts: this.userTimeouts,
-    });
+    for (const handler of this.WAEventHandlers) {
+      handler.setup();
+    }
 
-    // Initialize client
-    this.client.initialize();
+    // Initialize clients
+    for (const { supervisor } of this.clients.list()) {
+      supervisor.start();
+    }
 
     // Handle graceful shutdown
     this.setupGracefulShutdown();
@@ -31,9 +51,13 @@ class App {
     const gracefulShutdown = async (signal) => {
       console.log(`\nReceived ${signal}. Starting graceful shutdown...`);
 
-      // Destroy WhatsApp client
-      if (this.client) {
-        this.client.destroy();
+      // Stop scheduled jobs before the client goes away
+      this.expressServer.stop();
+
+      // Destroy WhatsApp clients, without them being restarted
+      for (const { client, supervisor } of this.clients.list()) {
+        supervisor.stop();
+        client.destroy();
       }
 
       console.log('Graceful shutdown completed');
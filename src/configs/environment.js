@@ -1,5 +1,7 @@
 export const envConfig = {
   PHONE_NUMBER: process.env.PHONE_NUMBER ?? '',
+  // Lets the bot call the admin API, e.g. to file leave requests
+  SECRET_KEY: process.env.SECRET_KEY ?? '',
   ENVIRONMENT: process.env.NODE_ENV || 'development',
   WHATSAPP_PORT: Number(process.env.WHATSAPP_PORT ?? '8001'),
   DEFAULT_SHEET: {
@@ -7,12 +9,52 @@ export const envConfig = {
     TRACKING: process.env.DEFAULT_TRACKING_SHEET_NAME ?? '',
     LEAVES: process.env.DEFAULT_LEAVES_SHEET_NAME ?? '',
     NAME_LIST: process.env.DEFAULT_NAME_LIST_SHEET_NAME ?? '',
+    HOURS: process.env.DEFAULT_HOURS_SHEET_NAME ?? '',
+    PAYROLL: process.env.DEFAULT_PAYROLL_SHEET_NAME ?? '',
   },
   ATTENDANCE_API_URL:
     process.env.ATTENDANCE_API_URL ?? 'http://localhost:3001/api',
   ATTENDANCE_QR_CODE_URL:
     process.env.ATTENDANCE_QR_CODE_URL ?? 'http://localhost:3001',
   TIME_ZONE: process.env.TIME_ZONE ?? 'Asia/Hong_Kong',
+  // Receive attendance summaries, e.g. absence reminders
+  MANAGER_PHONE_NUMBERS: (process.env.MANAGER_PHONE_NUMBERS ?? '')
+    .split(',')
+    .map((phoneNumber) => phoneNumber.trim())
+    .filter(Boolean),
+  // WhatsApp numbers the bot runs, one client each, as id:number pairs,
+  // e.g. 'central:85291234567,kowloon:85298765432'. The first is the
+  // default; without any there is one 'default' client for PHONE_NUMBER.
+  WHATSAPP_CLIENTS: (
+    process.env.WHATSAPP_CLIENTS || `default:${process.env.PHONE_NUMBER ?? ''}`
+  )
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [id, phoneNumber = ''] = entry.split(':').map((part) => part.trim());
+      return { id, phoneNumber };
+    }),
+  // Supervision of the WhatsApp client, which is restarted when it
+  // disconnects, stops answering or grows too large
+  WHATSAPP_CLIENT: {
+    // Restarts wait 5s, then 10s, 20s... up to RECONNECT_MAX_MS
+    RECONNECT_BASE_MS: Number(process.env.WHATSAPP_RECONNECT_BASE_MS || '5000'),
+    RECONNECT_MAX_MS: Number(process.env.WHATSAPP_RECONNECT_MAX_MS || '300000'),
+    CHECK_INTERVAL_MS: Number(
+      process.env.WHATSAPP_CHECK_INTERVAL_MS || '60000',
+    ),
+    PAGE_TIMEOUT_MS: Number(process.env.WHATSAPP_PAGE_TIMEOUT_MS || '30000'),
+    START_TIMEOUT_MS: Number(
+      process.env.WHATSAPP_START_TIMEOUT_MS || '300000',
+    ),
+    // WhatsApp Web's JavaScript heap, in MB (0 disables)
+    MAX_HEAP_MB: Number(process.env.WHATSAPP_MAX_HEAP_MB || '1024'),
+    // How long a client may keep starting or restarting before /health fails
+    HEALTH_GRACE_MS: Number(
+      process.env.WHATSAPP_HEALTH_GRACE_MS || '900000',
+    ),
+  },
   APPS_SCRIPT_API_KEY: process.env.APPS_SCRIPT_API_KEY ?? '',
   APPS_SCRIPT_WEB_APP_URL: process.env.APPS_SCRIPT_WEB_APP_URL ?? '',
   QR_CODE_SERVER: {
@@ -25,6 +67,40 @@ export const envConfig = {
     DEFAULT_TIME_WINDOW_MS: Number(
       process.env.QR_CODE_SERVER_DEFAULT_TIME_WINDOW_MS ?? '30000',
     ),
+    // typeable (6 hex characters, the original codes) or base32 (long, for
+    // scanning; opt-in, as it changes the codes displays show)
+    OTP_FORMAT: process.env.QR_CODE_SERVER_OTP_FORMAT || 'typeable',
+    // 0 uses the format's default length
+    OTP_LENGTH: Number(process.env.QR_CODE_SERVER_OTP_LENGTH || '0'),
+    // A second valid check-in within this window is a duplicate (0 disables)
+    CHECKIN_COOLDOWN_MS: Number(
+      process.env.QR_CODE_SERVER_CHECKIN_COOLDOWN_MS || '600000',
+    ),
+    // A check-out more than this long after the check-in does not close the shift
+    MAX_SHIFT_HOURS: Number(process.env.QR_CODE_SERVER_MAX_SHIFT_HOURS || '16'),
+    // Valid codes from numbers not on the roster: allow, reject, hold or
+    // register (hold until the person registers over WhatsApp and is approved)
+    UNKNOWN_NUMBER_POLICY:
+      process.env.QR_CODE_SERVER_UNKNOWN_NUMBER_POLICY || 'allow',
+    // Minutes between name list syncs (0 syncs only on demand)
+    ROSTER_SYNC_MINUTES: Number(
+      process.env.QR_CODE_SERVER_ROSTER_SYNC_MINUTES || '15',
+    ),
+    // Pace of the bot's outgoing messages, to stay clear of WhatsApp limits
+    SEND_RATE_PER_MINUTE: Number(
+      process.env.QR_CODE_SERVER_SEND_RATE_PER_MINUTE || '40',
+    ),
+    SEND_CHAT_INTERVAL_MS: Number(
+      process.env.QR_CODE_SERVER_SEND_CHAT_INTERVAL_MS || '3000',
+    ),
+    SEND_JITTER_MS: Number(process.env.QR_CODE_SERVER_SEND_JITTER_MS || '1500'),
+    // Failed sends are retried after 30s, 1m, 2m... until this many attempts
+    SEND_MAX_ATTEMPTS: Number(
+      process.env.QR_CODE_SERVER_SEND_MAX_ATTEMPTS || '6',
+    ),
     WHATSAPP_MESSAGE_TEMPLATE: process.env.QR_CODE_SERVER_WHATSAPP_MESSAGE_TEMPLATE ?? 'Check-in code: {otp}',
+    WHATSAPP_CHECKOUT_MESSAGE_TEMPLATE:
+      process.env.QR_CODE_SERVER_WHATSAPP_CHECKOUT_MESSAGE_TEMPLATE ||
+      'Check-out code: {otp}',
   },
 };
@@ -1,12 +1,30 @@
 import pkg from 'whatsapp-web.js';
 
+import { envConfig } from '#src/configs/environment.js';
+
 const { Client, LocalAuth } = pkg;
 
+// Client ids name the session folders, so LocalAuth only takes these
+const CLIENT_ID_REGEX = /^[\w-]+$/;
+
+// Keeps the session of a deployment with a single number
+const DEFAULT_CLIENT_ID = 'default';
+
 // WhatsApp client class
 export class WhatsAppClient {
-  constructor() {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.id='default'] - Names the client and its saved
+   *   session
+   * @param {string} [config.phoneNumber] - Number the client is linked to
+   */
+  constructor({ id = DEFAULT_CLIENT_ID, phoneNumber = '' } = {}) {
+    this.id = id;
+    this.phoneNumber = phoneNumber;
     this.client = new Client({
-      authStrategy: new LocalAuth(),
+      authStrategy: new LocalAuth(
+        id === DEFAULT_CLIENT_ID ? {} : { clientId: id },
+      ),
       puppeteer: {
         ...(process.env.PUPPETEER_EXECUTABLE_PATH && {
           executablePath: process.env.PUPPETEER_EXECUTABLE_PATH,
@@ -51,4 +69,24 @@ export class WhatsAppClient {
   }
 }
 
-export const whatsappClient = new WhatsAppClient();
+/**
+ * One client per configured number (WHATSAPP_CLIENTS)
+ * @param {Array<{ id: string, phoneNumber: string }>} configs
+ * @returns {WhatsAppClient[]}
+ */
+const createWhatsAppClients = (configs) => {
+  const ids = new Set();
+  return configs.map((config) => {
+    if (!CLIENT_ID_REGEX.test(config.id) || ids.has(config.id)) {
+      throw new Error(
+        `WhatsApp client id '${config.id}' must be unique and only use letters, digits, '_' and '-'`,
+      );
+    }
+    ids.add(config.id);
+    return new WhatsAppClient(config);
+  });
+};
+
+export const whatsappClients = createWhatsAppClients(
+  envConfig.WHATSAPP_CLIENTS,
+);
@@ -22,3 +22,17 @@ export const AUTOGEN_AGENT_TYPE = {
 
 export const CHECKIN_MESSAGE_REGEX =
   /check-in|check-in code|check in|check in code/i;
+
+export const CHECKOUT_MESSAGE_REGEX =
+  /check-out|check-out code|check out|check out code|checkout/i;
+
+// Arguments of "leave 2026-11-03 to 2026-11-05 sick"; plain "leave" starts
+// the guided flow
+export const LEAVE_REQUEST_REGEX =
+  /^(\d{4}-\d{2}-\d{2})(?:\s*(?:to|-|until)\s*(\d{4}-\d{2}-\d{2}))?\s*(.*)$/i;
+
+// Managers answer leave requests with "approve ABC123" or "reject ABC123"
+export const LEAVE_CODE_REGEX = /^[a-z0-9]{6}$/i;
+
+// Managers answer registrations with "approve 85291234567" or "reject 85291234567"
+export const REGISTRATION_PHONE_REGEX = /^\+?\d{7,15}$/;
@@ -2,70 +2,356 @@ import { DateTime } from 'luxon';
 import pkg from 'whatsapp-web.js';
 
 import { envConfig } from '#src/configs/environment.js';
-import { CHECKIN_MESSAGE_REGEX } from '#src/const.js';
-import { conversationSheetStorage } from '#src/libs/google-sheet.js';
+import { CHECKIN_MESSAGE_REGEX, CHECKOUT_MESSAGE_REGEX } from '#src/const.js';
+import { startRegistration } from '#src/core/registration-handlers.js';
+import {
+  requestAttendanceApi,
+  uploadAttendanceFile,
+} from '#src/libs/attendance-api.js';
+import {
+  conversationSheetStorage,
+  workHoursSheetStorage,
+} from '#src/libs/google-sheet.js';
+import { decodeQrPhoto } from '#src/libs/qr-photo.js';
+import WhatsAppService from '#src/qr-server/services/whatsappService.js';
+import { otpFormat } from '#src/qr-server/utils/otpFormat.js';
 import { extractUserId } from '#src/utils/common.js';
 
 const { MessageTypes } = pkg;
 
-// Process AI response and handle autogen
-export const processAIResponse = async ({ messageToSend, userId, client }) => {
+const whatsappService = new WhatsAppService();
+
+// Replies to late check-ins, by attendance status
+const LATE_REPLIES = {
+  late: 'checkIn.late',
+  half_day: 'checkIn.halfDay',
+  absent: 'checkIn.absent',
+};
+
+// Replies to check-ins the server turned down, by error code
+const ERROR_REPLIES = {
+  PHONE_NOT_REGISTERED: 'checkIn.notRegistered',
+  NOT_IN_SESSION_GROUP: 'checkIn.notInGroup',
+};
+
+const formatDuration = (minutes) =>
+  `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+
+/**
+ * Write closed shifts and missing check-outs to the hours sheet
+ * @param {Object} data - Successful check-in response data
+ */
+const writeWorkHours = async (data) => {
+  if (!envConfig.DEFAULT_SHEET.HOURS) return;
+
+  const shifts = data.missingCheckOuts.map((shift) => ({
+    ...shift,
+    note: 'Missing check-out',
+  }));
+  if (data.shift?.status === 'closed') {
+    shifts.push({ ...data.shift, dayWorkedMinutes: data.day?.workedMinutes });
+  }
+
+  await workHoursSheetStorage.append(envConfig.DEFAULT_SHEET.ID, {
+    shifts,
+    sheetName: envConfig.DEFAULT_SHEET.HOURS,
+  });
+};
+
+/**
+ * Build the reply for a successful check-in or check-out
+ * @param {Object} data - Successful check-in response data
+ * @param {import('./replies.js').Replies} replies
+ * @returns {string}
+ */
+const buildSuccessReply = (data, replies) => {
+  const values = {
+    name: data.person?.displayName,
+    time: replies.toLocal(data.timestamp).toFormat('HH:mm'),
+    location: data.location?.name,
+    streak: data.streak,
+    minutesLate: data.attendance?.minutesLate,
+  };
+
+  const lines = [];
+  if (data.eventType !== 'check_out') {
+    lines.push(
+      replies.format(
+        LATE_REPLIES[data.attendance?.status] ?? 'checkIn.success',
+        values,
+      ),
+    );
+    if (data.streak > 1) lines.push(replies.format('checkIn.streak', values));
+  } else if (data.shift) {
+    lines.push(
+      replies.format(
+        data.day && data.day.shifts > 1
+          ? 'checkOut.successDay'
+          : 'checkOut.success',
+        {
+          ...values,
+          worked: formatDuration(data.shift.workedMinutes),
+          dayWorked: data.day && formatDuration(data.day.workedMinutes),
+        },
+      ),
+    );
+  } else {
+    lines.push(replies.format('checkOut.noShift', values));
+  }
+
+  if (data.missingCheckOuts.length > 0) {
+    const dates = data.missingCheckOuts.map((shift) => shift.workDate);
+    lines.push(
+      replies.format('checkIn.missingCheckOut', {
+        dates: [...new Set(dates)].join(', '),
+      }),
+    );
+  }
+
+  const reply = lines.join('\n');
+  return data.person
+    ? replies.format('checkIn.greeting', { ...values, reply })
+    : reply;
+};
+
+/**
+ * Keep the photo a check-in was made with as proof; a failed upload does not
+ * fail the check-in
+ * @param {string} checkinId
+ * @param {{ mimeType: string, data: Buffer }} photo
+ */
+const savePhoto = async (checkinId, photo) => {
   try {
-    const isCheckinMessage = CHECKIN_MESSAGE_REGEX.test(messageToSend);
+    const result = await uploadAttendanceFile(
+      `/admin/checkins/${encodeURIComponent(checkinId)}/photo`,
+      { data: photo.data, contentType: photo.mimeType },
+    );
+    if (!result.success) {
+      console.error('Check-in photo not saved: ', result.error);
+    }
+  } catch (error) {
+    console.error('Error saving check-in photo: ', error);
+  }
+};
 
-    if (isCheckinMessage) {
-      const [, code] = messageToSend.split(':') ?? [
-        'Check-in code',
-        'Invalid Code',
-      ];
+/**
+ * Send a code to the attendance server, log the check-in to the sheets and
+ * reply with the outcome, privately or as a reply in the chat it came from
+ */
+const submitCheckIn = async ({
+  msg,
+  messageToSend,
+  userId,
+  client,
+  replies,
+  eventType,
+  qrCode,
+  photo,
+  replyInChat = false,
+}) => {
+  try {
+    const now = DateTime.now().setZone(envConfig.TIME_ZONE);
+
+    // Sent with SECRET_KEY, so only the per-person check-in limit applies
+    const checkinResponse = await requestAttendanceApi('/checkin', {
+      body: {
+        phoneNumber: extractUserId(userId, '@c.us'),
+        otp: qrCode,
+        eventType,
+        time: now.toISO(),
+        // The number the code was sent to
+        whatsappClientId: client.clientId,
+      },
+    });
 
-      const qrCode = code.trim();
-      const now = DateTime.now().setZone(envConfig.TIME_ZONE);
+    const checkinId =
+      checkinResponse.data?.checkinId ?? checkinResponse.error?.checkinId;
+    if (photo && checkinId) await savePhoto(checkinId, photo);
 
-      const response = await fetch(envConfig.ATTENDANCE_API_URL + '/checkin', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
+    // Held check-ins only count once a manager approves the number
+    if (checkinResponse.success && !checkinResponse.data.held) {
+      await conversationSheetStorage.update(envConfig.DEFAULT_SHEET.ID, {
+        time: now.toFormat('MM/dd/yyyy HH:mm:ss'),
+        conversations: {
+          [userId]: [
+            {
+              message: {
+                content: messageToSend,
+                type: photo ? MessageTypes.IMAGE : MessageTypes.TEXT,
+                location: checkinResponse.data.location?.name,
+                status: checkinResponse.data.attendance?.status,
+              },
+            },
+          ],
         },
-        body: JSON.stringify({
-          phoneNumber: extractUserId(userId, '@c.us'),
-          otp: qrCode,
-          time: now.toISO(),
-        }),
+        sheetName: envConfig.DEFAULT_SHEET.TRACKING,
+        startPoint: 'A3',
       });
+      await writeWorkHours(checkinResponse.data);
+    }
 
-      const checkinResponse = await response.json();
-
-      if (checkinResponse.success) {
-        await conversationSheetStorage.update(envConfig.DEFAULT_SHEET.ID, {
-          time: now.toFormat('MM/dd/yyyy HH:mm:ss'),
-          conversations: {
-            [userId]: [
-              {
-                message: {
-                  content: messageToSend,
-                  type: MessageTypes.TEXT,
-                },
-              },
-            ],
-          },
-          sheetName: envConfig.DEFAULT_SHEET.TRACKING,
-          startPoint: 'A3',
-        });
-      }
-
-      const checkinResponseMsg = checkinResponse.success
-        ? 'You have successfully checked in. Thank you!'
-        : `${checkinResponse.error.message}. Please try scanning again!`;
-
-      return client.sendMessage(userId, checkinResponseMsg);
+    let checkinResponseMsg;
+    if (checkinResponse.data?.registration === 'required') {
+      // First scan from an unknown number: ask who they are
+      await startRegistration({ msg, userId, client, replies });
+      return;
+    } else if (checkinResponse.data?.registration === 'pending') {
+      checkinResponseMsg = replies.format('checkIn.registrationPending');
+    } else if (checkinResponse.data?.held) {
+      checkinResponseMsg = replies.format('checkIn.held');
+    } else if (checkinResponse.success) {
+      checkinResponseMsg = buildSuccessReply(checkinResponse.data, replies);
+    } else if (checkinResponse.error?.code === 'DUPLICATE_CHECKIN') {
+      checkinResponseMsg = replies.format(
+        eventType === 'check_out' ? 'checkOut.duplicate' : 'checkIn.duplicate',
+        {
+          time: replies
+            .toLocal(checkinResponse.error.previousCheckIn.timestamp)
+            .toFormat('HH:mm'),
+        },
+      );
+    } else if (checkinResponse.error?.code === 'NO_ACTIVE_SESSION') {
+      const next = checkinResponse.error.nextSession;
+      checkinResponseMsg = next
+        ? replies.format('checkIn.noSessionNext', {
+            session: next.name,
+            time: replies.toLocal(next.startsAt).toFormat('ccc HH:mm'),
+          })
+        : replies.format('checkIn.noSession');
+    } else if (ERROR_REPLIES[checkinResponse.error?.code]) {
+      checkinResponseMsg = replies.format(
+        ERROR_REPLIES[checkinResponse.error.code],
+        { session: checkinResponse.error.session?.name },
+      );
+    } else {
+      checkinResponseMsg = replies.format('checkIn.failed', {
+        error: checkinResponse.error.message,
+      });
     }
 
-    client.sendMessage(
-      userId,
-      `Please scan the QR code at: ${envConfig.ATTENDANCE_QR_CODE_URL}`,
-    );
+    if (replyInChat) {
+      await client.sendMessage(msg.from, checkinResponseMsg, {
+        quotedMessageId: msg.id._serialized,
+      });
+    } else {
+      await client.sendMessage(userId, checkinResponseMsg);
+    }
   } catch (err) {
-    console.error('Error in processAIResponse: ', err);
+    console.error('Error in submitCheckIn: ', err);
   }
 };
+
+/**
+ * Record the check-in or check-out code in a message and reply with the
+ * outcome
+ * @param {Object} params
+ * @param {boolean} [params.replyInChat=false] - Answer in the chat the
+ *   message came from, e.g. a class group, instead of privately
+ * @param {boolean} [params.requireCode=false] - Ignore a message without a
+ *   code in the configured format, e.g. "I'll check in later" in a group,
+ *   instead of recording it as an invalid check-in
+ * @returns {Promise<boolean>} - False when the message carries no code
+ */
+export const handleCheckInMessage = async ({
+  msg,
+  messageToSend,
+  userId,
+  client,
+  replies,
+  replyInChat,
+  requireCode = false,
+}) => {
+  const eventType = CHECKOUT_MESSAGE_REGEX.test(messageToSend)
+    ? 'check_out'
+    : CHECKIN_MESSAGE_REGEX.test(messageToSend)
+      ? 'check_in'
+      : null;
+  if (!eventType) return false;
+
+  // Pull the code out with the configured format; fall back to the text
+  // after ':' so the server can explain what is wrong with it
+  const code = messageToSend.match(otpFormat.searchRegex)?.[0];
+  if (!code && requireCode) return false;
+
+  const qrCode = code ?? messageToSend.split(':')[1]?.trim() ?? 'Invalid Code';
+
+  await submitCheckIn({
+    msg,
+    messageToSend,
+    userId,
+    client,
+    replies,
+    eventType,
+    qrCode,
+    replyInChat,
+  });
+  return true;
+};
+
+/**
+ * The check-in text in a QR code: the text a WhatsApp link would fill in,
+ * or the decoded text itself when it is not a WhatsApp link
+ * @param {string} decoded - Text of the QR code
+ * @returns {string}
+ */
+const qrCodeText = (decoded) => {
+  if (!whatsappService.validateWhatsAppURL(decoded)) return decoded;
+
+  try {
+    return new URL(decoded).searchParams.get('text') ?? '';
+  } catch {
+    return decoded;
+  }
+};
+
+/**
+ * Check in with a photo of the QR code, for phones that cannot open the
+ * link in it. The photo is kept with the check-in.
+ * @param {Object} params
+ * @param {Object} params.msg - whatsapp-web.js message with an image
+ * @param {string} params.userId - WhatsApp user id
+ * @param {Object} params.client - WhatsApp client
+ * @param {import('./replies.js').Replies} params.replies - Texts in the
+ *   user's language
+ * @param {boolean} [params.replyInChat=false] - Answer in the chat the photo
+ *   came from instead of privately
+ * @returns {Promise<'submitted'|'unreadable'|'noCode'>} - 'unreadable' when
+ *   no QR code could be read, 'noCode' when the QR code holds no check-in
+ *   code
+ */
+export const handlePhotoCheckIn = async ({
+  msg,
+  userId,
+  client,
+  replies,
+  replyInChat,
+}) => {
+  const media = await msg.downloadMedia();
+  const photo = media && {
+    mimeType: media.mimetype.split(';')[0],
+    data: Buffer.from(media.data, 'base64'),
+  };
+
+  const decoded = photo && decodeQrPhoto(photo);
+  if (!decoded) return 'unreadable';
+
+  // The text the QR code would have filled in, e.g. "Check-out code: ..."
+  const messageToSend = qrCodeText(decoded);
+  const qrCode = messageToSend.match(otpFormat.searchRegex)?.[0];
+  if (!qrCode) return 'noCode';
+
+  await submitCheckIn({
+    msg,
+    messageToSend,
+    userId,
+    client,
+    replies,
+    eventType: CHECKOUT_MESSAGE_REGEX.test(messageToSend)
+      ? 'check_out'
+      : 'check_in',
+    qrCode,
+    photo,
+    replyInChat,
+  });
+  return 'submitted';
+};
@@ -0,0 +1,289 @@
+import { DateTime } from 'luxon';
+
+import { envConfig } from '#src/configs/environment.js';
+import { LEAVE_CODE_REGEX, REGISTRATION_PHONE_REGEX } from '#src/const.js';
+import { CommandRouter } from '#src/core/command-router.js';
+import { conversationEngine } from '#src/core/conversation-engine.js';
+import { decideLeave, startLeaveRequest } from '#src/core/leave-handlers.js';
+import { decideRegistration } from '#src/core/registration-handlers.js';
+import {
+  handleAbsent,
+  handleLate,
+  handleReport,
+  handleWho,
+} from '#src/core/report-handlers.js';
+import { requestAttendanceApi } from '#src/libs/attendance-api.js';
+import { extractUserId } from '#src/utils/common.js';
+
+const MAX_HISTORY = 10;
+
+// Enough to cover one day of scans, including rejected ones
+const STATUS_LOOKBACK = 50;
+
+/**
+ * The latest check-ins of the user who sent the message, newest first
+ * @param {string} userId - WhatsApp user id
+ * @param {number} limit
+ * @param {import('./replies.js').Replies} replies
+ * @returns {Promise<{ checkIns?: Object[], error?: string }>}
+ */
+const fetchCheckIns = async (userId, limit, replies) => {
+  const phone = encodeURIComponent(extractUserId(userId, '@c.us'));
+  const result = await requestAttendanceApi(
+    `/checkins?phone=${phone}&limit=${limit}`,
+  );
+
+  return result.success
+    ? { checkIns: result.data.checkins }
+    : { error: result.error?.message ?? replies.format('status.notRead') };
+};
+
+/**
+ * One line of the history, e.g. "Mon 19 Oct 09:02 check-in, late"
+ */
+const describeCheckIn = (checkIn, replies) => {
+  const detail =
+    checkIn.validation_status === 'valid'
+      ? checkIn.attendance_status &&
+        replies.format(`attendance.${checkIn.attendance_status}`)
+      : replies.format('history.notCounted', {
+          reason: replies.format(`scan.${checkIn.validation_status}`),
+        });
+
+  return [
+    replies.toLocal(checkIn.timestamp).toFormat('ccc dd LLL HH:mm'),
+    ' ',
+    replies.format(`event.${checkIn.event_type ?? 'check_in'}`),
+    detail ? `, ${detail}` : '',
+  ].join('');
+};
+
+/**
+ * Today's check-ins and check-outs, and whether the user is still checked in
+ */
+const handleStatus = async ({ userId, client, replies }) => {
+  const { checkIns, error } = await fetchCheckIns(
+    userId,
+    STATUS_LOOKBACK,
+    replies,
+  );
+  if (error) {
+    return client.sendMessage(userId, replies.format('failed', { error }));
+  }
+
+  const today = DateTime.now().setZone(envConfig.TIME_ZONE).toISODate();
+  const todays = checkIns
+    .filter(
+      (checkIn) => replies.toLocal(checkIn.timestamp).toISODate() === today,
+    )
+    .toReversed();
+  const counted = todays.filter((c) => c.validation_status === 'valid');
+  const held = todays.filter((c) => c.validation_status === 'held');
+
+  const lines = [];
+  if (counted.length === 0) {
+    lines.push(replies.format('status.none'));
+  } else {
+    lines.push(replies.format('status.today'));
+    for (const checkIn of counted) {
+      const label =
+        checkIn.attendance_status &&
+        replies.format(`attendance.${checkIn.attendance_status}`);
+      lines.push(
+        `• ${replies.toLocal(checkIn.timestamp).toFormat('HH:mm')} ${replies.format(`event.${checkIn.event_type ?? 'check_in'}`)}${label ? ` (${label})` : ''}`,
+      );
+    }
+    lines.push(
+      replies.format(
+        counted.at(-1).event_type === 'check_out'
+          ? 'status.checkedOut'
+          : 'status.checkedIn',
+      ),
+    );
+  }
+  if (held.length > 0) {
+    lines.push(replies.format('status.held', { count: held.length }));
+  }
+
+  return client.sendMessage(userId, lines.join('\n'));
+};
+
+/**
+ * The user's latest check-ins, counted or not
+ */
+const handleHistory = async ({ args, userId, client, replies }) => {
+  const count = args.count ?? MAX_HISTORY;
+  const { checkIns, error } = await fetchCheckIns(userId, count, replies);
+  if (error) {
+    return client.sendMessage(userId, replies.format('failed', { error }));
+  }
+
+  if (checkIns.length === 0) {
+    return client.sendMessage(userId, replies.format('history.none'));
+  }
+
+  return client.sendMessage(
+    userId,
+    [
+      replies.format('history.header'),
+      ...checkIns.map((checkIn) => `• ${describeCheckIn(checkIn, replies)}`),
+    ].join('\n'),
+  );
+};
+
+/**
+ * One command in detail, or the menu
+ */
+const handleHelp = async ({ args, userId, client, replies, router }) => {
+  if (!args.command) {
+    return client.sendMessage(userId, await router.menu(userId, replies));
+  }
+
+  const command = router.find(args.command.replace(/^[/!]/, ''));
+  if (!command || !(await router.canRun(command, userId))) {
+    return client.sendMessage(
+      userId,
+      `${replies.format('command.unknown', { command: args.command })}\n\n${await router.menu(userId, replies)}`,
+    );
+  }
+
+  return client.sendMessage(
+    userId,
+    [
+      router.usage(command),
+      router.describe(command, replies),
+      command.aliases.length > 0
+        ? replies.format('command.aliases', {
+            aliases: command.aliases.join(', '),
+          })
+        : null,
+    ]
+      .filter(Boolean)
+      .join('\n'),
+  );
+};
+
+/**
+ * Stop the registration or guided leave request in progress
+ */
+const handleCancel = async (context) => {
+  // The flow tells the user it was cancelled
+  if (await conversationEngine.cancel(context)) return;
+
+  const { userId, client, replies } = context;
+  return client.sendMessage(userId, replies.format('cancel.nothing'));
+};
+
+/**
+ * Approve or reject a leave request by its reference, or a registration by
+ * its phone number
+ * @param {'approve'|'reject'} action
+ */
+const decide =
+  (action) =>
+  async ({ args, userId, client, replies }) => {
+    const { reference } = args;
+
+    if (LEAVE_CODE_REGEX.test(reference)) {
+      return decideLeave({ userId, client, replies, action, code: reference });
+    }
+    if (REGISTRATION_PHONE_REGEX.test(reference)) {
+      return decideRegistration({
+        userId,
+        client,
+        replies,
+        action,
+        phoneNumber: reference.replace(/\D/g, ''),
+      });
+    }
+
+    return client.sendMessage(
+      userId,
+      replies.format('command.badReference', { reference }),
+    );
+  };
+
+/**
+ * The commands people can send the bot
+ */
+export const commandRouter = new CommandRouter()
+  .register({
+    name: 'help',
+    aliases: ['menu', 'commands', 'h', '?'],
+    description: 'command.help',
+    args: [{ name: 'command' }],
+    handler: handleHelp,
+  })
+  .register({
+    name: 'status',
+    aliases: ['today'],
+    description: 'command.status',
+    handler: handleStatus,
+  })
+  .register({
+    name: 'history',
+    aliases: ['last', 'recent'],
+    description: 'command.history',
+    descriptionValues: { max: MAX_HISTORY },
+    args: [{ name: 'count', type: 'integer', min: 1, max: MAX_HISTORY }],
+    handler: handleHistory,
+  })
+  .register({
+    name: 'leave',
+    aliases: ['off'],
+    description: 'command.leave',
+    args: [{ name: 'details', rest: true }],
+    handler: ({ args, userId, client, replies }) =>
+      startLeaveRequest({ details: args.details, userId, client, replies }),
+  })
+  .register({
+    name: 'cancel',
+    aliases: ['stop'],
+    description: 'command.cancel',
+    handler: handleCancel,
+  })
+  .register({
+    name: 'approve',
+    description: 'command.approve',
+    permission: 'manager',
+    args: [{ name: 'reference', required: true }],
+    handler: decide('approve'),
+  })
+  .register({
+    name: 'reject',
+    description: 'command.reject',
+    permission: 'manager',
+    args: [{ name: 'reference', required: true }],
+    handler: decide('reject'),
+  })
+  .register({
+    name: 'report',
+    aliases: ['summary'],
+    description: 'command.report',
+    permission: 'reports',
+    args: [{ name: 'details', rest: true }],
+    handler: handleReport,
+  })
+  .register({
+    name: 'absent',
+    aliases: ['absence', 'absences'],
+    description: 'command.absent',
+    permission: 'reports',
+    args: [{ name: 'details', rest: true }],
+    handler: handleAbsent,
+  })
+  .register({
+    name: 'late',
+    description: 'command.late',
+    permission: 'reports',
+    args: [{ name: 'details', rest: true }],
+    handler: handleLate,
+  })
+  .register({
+    name: 'who',
+    aliases: ['present'],
+    description: 'command.who',
+    permission: 'reports',
+    args: [{ name: 'group', rest: true }],
+    handler: handleWho,
+  });
@@ -0,0 +1,250 @@
+import { envConfig } from '#src/configs/environment.js';
+import { canSeeReports, isManager } from '#src/core/managers.js';
+
+// Who may run a command, by the command's `permission`; a check may be async
+const PERMISSIONS = {
+  everyone: () => true,
+  manager: isManager,
+  // Managers, and the managers of a group for that group's reports
+  reports: canSeeReports,
+};
+
+// A word, or several words in double quotes
+const TOKEN_REGEX = /"([^"]*)"|(\S+)/g;
+
+/**
+ * Command Router
+ * Runs the command named by the first word of a message. Each command has
+ * aliases, typed arguments and a permission.
+ */
+export class CommandRouter {
+  constructor() {
+    this.commands = [];
+    // Command by its name and each of its aliases
+    this.lookup = new Map();
+  }
+
+  /**
+   * Add a command
+   * @param {Object} command
+   * @param {string} command.name - Word that runs the command
+   * @param {string[]} [command.aliases] - Other words that run it
+   * @param {string} command.description - Template key of the line shown in
+   *   the menu
+   * @param {Object} [command.descriptionValues] - Placeholder values for it
+   * @param {'everyone'|'manager'|'reports'} [command.permission='everyone']
+   * @param {{
+   * name: string;
+   * required?: boolean;
+   * type?: 'text'|'integer';
+   * min?: number;
+   * max?: number;
+   * rest?: boolean;
+   * }[]} [command.args] - Arguments in order; a `rest` argument takes the
+   *   remaining text as typed and must come last
+   * @param {Function} command.handler - Called with { args, userId, client,
+   *   msg, replies, router }
+   * @returns {CommandRouter}
+   */
+  register({
+    name,
+    aliases = [],
+    description,
+    descriptionValues = {},
+    permission = 'everyone',
+    args = [],
+    handler,
+  }) {
+    if (!PERMISSIONS[permission]) {
+      throw new Error(`Unknown permission '${permission}' for '${name}'`);
+    }
+
+    const command = {
+      name,
+      aliases,
+      description,
+      descriptionValues,
+      permission,
+      args,
+      handler,
+    };
+    for (const word of [name, ...aliases].map((w) => w.toLowerCase())) {
+      if (this.lookup.has(word)) {
+        throw new Error(`Command word '${word}' is already registered`);
+      }
+      this.lookup.set(word, command);
+    }
+    this.commands.push(command);
+    return this;
+  }
+
+  /**
+   * @param {string} word - Command name or alias, any case
+   * @returns {Object|undefined}
+   */
+  find(word) {
+    return this.lookup.get(word.toLowerCase());
+  }
+
+  /**
+   * Whether a user may run a command
+   * @param {Object} command
+   * @param {string} userId - WhatsApp user id
+   * @returns {Promise<boolean>}
+   */
+  async canRun(command, userId) {
+    return PERMISSIONS[command.permission](userId);
+  }
+
+  /**
+   * How to type a command, e.g. "history [count]"
+   * @param {Object} command
+   * @returns {string}
+   */
+  usage(command) {
+    const args = command.args.map((arg) => {
+      const label = arg.rest ? `${arg.name}...` : arg.name;
+      return arg.required ? `<${label}>` : `[${label}]`;
+    });
+    return [command.name, ...args].join(' ');
+  }
+
+  /**
+   * The menu line of a command in the user's language
+   * @param {Object} command
+   * @param {import('./replies.js').Replies} replies
+   * @returns {string}
+   */
+  describe(command, replies) {
+    return replies.format(command.description, command.descriptionValues);
+  }
+
+  /**
+   * Read a command's arguments from the text after its name
+   * @param {Object} command
+   * @param {string} text
+   * @param {import('./replies.js').Replies} replies
+   * @returns {{ args: Object }|{ error: string }}
+   */
+  parseArgs(command, text, replies) {
+    const matches = [...text.matchAll(TOKEN_REGEX)];
+    const tokens = matches.map((match) => match[1] ?? match[2]);
+    const args = {};
+
+    for (const [index, spec] of command.args.entries()) {
+      if (spec.rest) {
+        // Everything after the earlier arguments, spacing as typed
+        const start = matches[index];
+        args[spec.name] = start ? text.slice(start.index).trim() : '';
+        if (spec.required && !args[spec.name]) {
+          return {
+            error: replies.format('command.missingArg', { arg: spec.name }),
+          };
+        }
+        return { args };
+      }
+
+      const token = tokens[index];
+      if (token === undefined) {
+        if (spec.required) {
+          return {
+            error: replies.format('command.missingArg', { arg: spec.name }),
+          };
+        }
+        continue;
+      }
+
+      if (spec.type === 'integer') {
+        const value = Number(token);
+        const { min = -Infinity, max = Infinity } = spec;
+        if (!/^\d+$/.test(token)) {
+          return {
+            error: replies.format('command.notNumber', { arg: spec.name }),
+          };
+        }
+        if (value < min || value > max) {
+          return {
+            error: replies.format('command.outOfRange', {
+              arg: spec.name,
+              min,
+              max,
+            }),
+          };
+        }
+        args[spec.name] = value;
+      } else {
+        args[spec.name] = token;
+      }
+    }
+
+    if (tokens.length > command.args.length) {
+      return { error: replies.format('command.tooManyArgs') };
+    }
+    return { args };
+  }
+
+  /**
+   * The commands a user may run, with the QR code link for checking in
+   * @param {string} userId - WhatsApp user id
+   * @param {import('./replies.js').Replies} replies
+   * @returns {Promise<string>}
+   */
+  async menu(userId, replies) {
+    const allowed = await Promise.all(
+      this.commands.map((command) => this.canRun(command, userId)),
+    );
+    const lines = this.commands
+      .filter((command, index) => allowed[index])
+      .map(
+        (command) =>
+          `• ${this.usage(command)} – ${this.describe(command, replies)}`,
+      );
+
+    return [
+      replies.format('menu.header'),
+      ...lines,
+      replies.format('menu.qrCode', { url: envConfig.ATTENDANCE_QR_CODE_URL }),
+    ].join('\n');
+  }
+
+  /**
+   * Run the command in a message
+   * @param {Object} context
+   * @param {string} context.message - Message text
+   * @param {string} context.userId - WhatsApp user id
+   * @param {Object} context.client - WhatsApp client
+   * @param {import('./replies.js').Replies} context.replies - Texts in the
+   *   user's language
+   * @returns {Promise<boolean>} - False when the message is not a command
+   */
+  async handle(context) {
+    const { message, userId, client, replies } = context;
+    // "/help" and "!help" work too
+    const match = message.trim().match(/^[/!]?(\S+)\s*([\s\S]*)$/);
+    const command = match && this.find(match[1]);
+    if (!command) return false;
+
+    if (!(await this.canRun(command, userId))) {
+      await client.sendMessage(
+        userId,
+        replies.format('command.managerOnly', { command: command.name }),
+      );
+      return true;
+    }
+
+    const parsed = this.parseArgs(command, match[2], replies);
+    if (parsed.error) {
+      await client.sendMessage(
+        userId,
+        replies.format('command.usage', {
+          error: parsed.error,
+          usage: this.usage(command),
+        }),
+      );
+      return true;
+    }
+
+    await command.handler({ ...context, args: parsed.args, router: this });
+    return true;
+  }
+}
@@ -0,0 +1,214 @@
+import { ConversationStore } from '#src/core/conversation-store.js';
+
+// Ends whatever flow the user is in
+const CANCEL_REGEX = /^(cancel|stop)$/i;
+
+/**
+ * Conversation Engine
+ * Runs multi-step conversations such as registration and leave requests. Each
+ * flow declares its steps and which steps each one may move to. The step a
+ * user is at is stored by the attendance server, so a flow resumes on the
+ * user's next message, even after a restart. A flow left unanswered for its
+ * `ttlMinutes` is reset.
+ */
+export class ConversationEngine {
+  /**
+   * @param {ConversationStore} [store]
+   */
+  constructor(store = new ConversationStore()) {
+    this.store = store;
+    this.flows = new Map();
+  }
+
+  /**
+   * Add a flow
+   * @param {Object} flow
+   * @param {string} flow.name - Stored with the user's state
+   * @param {string} flow.initial - Step the flow starts at
+   * @param {number} flow.ttlMinutes - Reset after this long without an answer
+   * @param {Object<string, {
+   * next?: string[];
+   * prompt?: Function;
+   * handle: Function;
+   * }>} flow.steps - Each step's `handle` is called with the user's answer and
+   *   returns { step?, data? } to move on, { end: true } to finish, or
+   *   nothing to stay; `prompt` returns the question sent on entering it
+   * @param {Function} [flow.skip] - Messages the flow lets through, e.g.
+   *   check-in codes
+   * @param {Function} [flow.onCancel] - Called after the user cancels
+   * @param {Function} [flow.onTimeout] - Called when the user writes after
+   *   the flow was reset
+   * @returns {ConversationEngine}
+   */
+  define({
+    name,
+    initial,
+    ttlMinutes,
+    steps,
+    skip = () => false,
+    onCancel,
+    onTimeout,
+  }) {
+    if (this.flows.has(name)) {
+      throw new Error(`Flow '${name}' is already defined`);
+    }
+    if (!steps[initial]) {
+      throw new Error(`Flow '${name}' starts at unknown step '${initial}'`);
+    }
+    for (const [step, { next = [] }] of Object.entries(steps)) {
+      const unknown = next.find((target) => !steps[target]);
+      if (unknown) {
+        throw new Error(
+          `Step '${step}' of '${name}' leads to unknown step '${unknown}'`,
+        );
+      }
+    }
+
+    this.flows.set(name, {
+      name,
+      initial,
+      ttlMinutes,
+      steps,
+      skip,
+      onCancel,
+      onTimeout,
+    });
+    return this;
+  }
+
+  /**
+   * The flow a user is in, if any
+   * @param {string} userId - WhatsApp user id
+   * @returns {Promise<{ flow: string, step: string, data: Object }|null>}
+   */
+  async current(userId) {
+    const conversation = await this.store.get(userId);
+    return conversation && this.flows.has(conversation.flow)
+      ? conversation
+      : null;
+  }
+
+  /**
+   * Put a user at the start of a flow, replacing the one they were in, and
+   * send the first question
+   * @param {string} name - Flow name
+   * @param {Object} context - { userId, client, replies, ... }
+   * @param {Object} [data] - Answers known up front
+   */
+  async start(name, context, data = {}) {
+    const flow = this.flows.get(name);
+    if (!flow) throw new Error(`Unknown flow '${name}'`);
+
+    await this.enter(flow, flow.initial, { ...context, data });
+  }
+
+  /**
+   * Take a message as the answer to the step the user is at
+   * @param {Object} context
+   * @param {string} context.message - Message text
+   * @param {string} context.userId - WhatsApp user id
+   * @param {Object} context.client - WhatsApp client
+   * @param {import('./replies.js').Replies} context.replies
+   * @returns {Promise<boolean>} - False when the message is not part of a flow
+   */
+  async resume(context) {
+    const { message, userId } = context;
+    const conversation = await this.store.get(userId, {
+      includeExpired: true,
+    });
+    const flow = conversation && this.flows.get(conversation.flow);
+    if (!flow) return false;
+
+    const state = { ...context, data: conversation.data };
+    if (conversation.expired || !flow.steps[conversation.step]) {
+      // The message is handled as if no flow was in progress
+      await this.store.clear(userId);
+      if (conversation.expired) await flow.onTimeout?.(state);
+      return false;
+    }
+    if (flow.skip(message)) return false;
+
+    const text = message.trim();
+    if (CANCEL_REGEX.test(text)) {
+      await this.store.clear(userId);
+      await flow.onCancel?.(state);
+      return true;
+    }
+
+    const outcome = await flow.steps[conversation.step].handle({
+      ...state,
+      text,
+    });
+    await this.advance(flow, conversation.step, outcome, state);
+    return true;
+  }
+
+  /**
+   * End the flow a user is in, if any
+   * @param {Object} context - { userId, client, replies, ... }
+   * @returns {Promise<boolean>} - True when one was in progress
+   */
+  async cancel(context) {
+    const conversation = await this.current(context.userId);
+    if (!conversation) return false;
+
+    await this.store.clear(context.userId);
+    await this.flows
+      .get(conversation.flow)
+      .onCancel?.({ ...context, data: conversation.data });
+    return true;
+  }
+
+  /**
+   * Apply what a step's handler returned
+   * @private
+   */
+  async advance(flow, from, outcome, state) {
+    if (outcome?.end) {
+      await this.store.clear(state.userId);
+      return;
+    }
+
+    const to = outcome?.step ?? from;
+    const data = { ...state.data, ...outcome?.data };
+    if (to === from) {
+      // Staying still pushes the timeout back
+      await this.save(flow, to, state.userId, data);
+      return;
+    }
+    if (!flow.steps[from].next?.includes(to)) {
+      throw new Error(
+        `Flow '${flow.name}' cannot go from '${from}' to '${to}'`,
+      );
+    }
+    await this.enter(flow, to, { ...state, data });
+  }
+
+  /**
+   * Store a user at a step and send its question
+   * @private
+   */
+  async enter(flow, step, state) {
+    await this.save(flow, step, state.userId, state.data);
+
+    const prompt = flow.steps[step].prompt?.(state);
+    if (prompt) await state.client.sendMessage(state.userId, prompt);
+  }
+
+  /**
+   * @private
+   */
+  save(flow, step, userId, data) {
+    return this.store.save(userId, {
+      flow: flow.name,
+      step,
+      data,
+      ttlMinutes: flow.ttlMinutes,
+    });
+  }
+}
+
+/**
+ * The flows of the bot; each handler module defines its own
+ */
+export const conversationEngine = new ConversationEngine();
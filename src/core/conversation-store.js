@@ -0,0 +1,56 @@
+import { requestAttendanceApi } from '#src/libs/attendance-api.js';
+
+const conversationPath = (userId) =>
+  `/admin/conversations/${encodeURIComponent(userId)}`;
+
+/**
+ * Conversation Store
+ * Keeps the step each user is at in a multi-step conversation. The state is
+ * stored by the attendance server, so a conversation survives a restart.
+ */
+export class ConversationStore {
+  /**
+   * @param {string} userId - WhatsApp user id
+   * @param {Object} [options]
+   * @param {boolean} [options.includeExpired=false] - Also return a
+   *   conversation that timed out, with `expired` set
+   * @returns {Promise<{ flow: string, step: string, data: Object, expired: boolean }|null>} -
+   *   null when no conversation is in progress
+   */
+  async get(userId, { includeExpired = false } = {}) {
+    const result = await requestAttendanceApi(
+      `${conversationPath(userId)}${includeExpired ? '?includeExpired=true' : ''}`,
+    );
+    return result.success ? result.data.conversation : null;
+  }
+
+  /**
+   * Start or move on a conversation
+   * @param {string} userId - WhatsApp user id
+   * @param {Object} conversation
+   * @param {string} conversation.flow - What the conversation is about
+   * @param {string} conversation.step - The next answer expected
+   * @param {Object} [conversation.data] - Answers so far
+   * @param {number} [conversation.ttlMinutes] - Dropped after this long
+   *   without an answer
+   * @returns {Promise<void>}
+   */
+  async save(userId, { flow, step, data = {}, ttlMinutes }) {
+    const result = await requestAttendanceApi(conversationPath(userId), {
+      method: 'PUT',
+      body: { flow, step, data, ttlMinutes },
+    });
+    if (!result.success) {
+      throw new Error(result.error?.message ?? 'Conversation not saved');
+    }
+  }
+
+  /**
+   * End the conversation in progress, if any
+   * @param {string} userId - WhatsApp user id
+   * @returns {Promise<void>}
+   */
+  async clear(userId) {
+    await requestAttendanceApi(conversationPath(userId), { method: 'DELETE' });
+  }
+}
@@ -0,0 +1,83 @@
+import { handleCheckInMessage, handlePhotoCheckIn } from './ai-handlers.js';
+import { resolveUserId } from './identity.js';
+import { getReplies } from './replies.js';
+
+import { requestAttendanceApi } from '#src/libs/attendance-api.js';
+
+// How long a chat's link is reused before it is fetched again, so linking a
+// chat in the admin API takes effect within a minute
+const CACHE_TTL_MS = 60 * 1000;
+
+// Linked group, or null, by WhatsApp group chat id: { group, expiresAt }
+const cache = new Map();
+
+/**
+ * The roster group a WhatsApp group chat is linked to
+ * @param {string} chatId - e.g. '120363025246125486@g.us'
+ * @returns {Promise<Object|null>} - Group, null when the chat is not linked
+ */
+const getLinkedGroup = async (chatId) => {
+  const cached = cache.get(chatId);
+  if (cached && cached.expiresAt > Date.now()) return cached.group;
+
+  try {
+    const result = await requestAttendanceApi(
+      `/admin/whatsapp-groups/${encodeURIComponent(chatId)}`,
+    );
+    const group = result.success ? result.data.group : null;
+    cache.set(chatId, { group, expiresAt: Date.now() + CACHE_TTL_MS });
+    return group;
+  } catch (error) {
+    console.error('Error loading WhatsApp group link: ', error);
+    return null;
+  }
+};
+
+/**
+ * Handle a message posted in a WhatsApp group chat. Only check-ins in chats
+ * linked to a roster group are taken, and they count for the member who
+ * posted them. Everything else in the group, including talk about checking
+ * in without a code, is left alone.
+ * @param {Object} params
+ * @param {Object} params.msg - whatsapp-web.js message from a group chat
+ * @param {Object} params.client - WhatsApp client
+ * @returns {Promise<boolean>} - True when the message was a check-in
+ */
+export const handleGroupMessage = async ({ msg, client }) => {
+  // In a group, msg.from is the group; the sender is the author
+  if (!msg.author) return false;
+
+  const group = await getLinkedGroup(msg.from);
+  if (!group) return false;
+
+  // Groups in LID addressing mode give the author's LID
+  const userId = await resolveUserId(client, msg.author);
+  if (!userId) return false;
+
+  const replies = await getReplies(userId);
+  const replyInChat = group.whatsappReplyMode === 'group';
+
+  // Photos that are not of a QR code are ordinary group chatter
+  if (msg.hasMedia) {
+    if (msg.type !== 'image') return false;
+
+    const outcome = await handlePhotoCheckIn({
+      msg,
+      userId,
+      client,
+      replies,
+      replyInChat,
+    });
+    return outcome === 'submitted';
+  }
+
+  return handleCheckInMessage({
+    msg,
+    messageToSend: msg.body,
+    userId,
+    client,
+    replies,
+    replyInChat,
+    requireCode: true,
+  });
+};
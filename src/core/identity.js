@@ -0,0 +1,73 @@
+import { requestAttendanceApi } from '#src/libs/attendance-api.js';
+import { extractUserId, formatUserIdWA } from '#src/utils/common.js';
+
+// Canonical user id by LID. The number behind a LID does not change, so
+// entries are kept for as long as the bot runs.
+const cache = new Map();
+
+/**
+ * Whether a WhatsApp id is a LID rather than a phone number
+ * @param {string} waId - e.g. '123456789012345@lid' or '85291234567@c.us'
+ * @returns {boolean}
+ */
+export const isLid = (waId) => Boolean(waId?.endsWith('@lid'));
+
+/**
+ * Ask the WhatsApp client for the phone number behind a LID. whatsapp-web.js
+ * has no call for it, so this reads the same store the group patch uses.
+ * @param {Object} client - WhatsApp client
+ * @param {string} lid - WhatsApp LID
+ * @returns {Promise<string|null>} - Digits of the phone number
+ */
+const lookUpPhoneNumber = async (client, lid) => {
+  if (!client?.pupPage) return null;
+
+  // Runs in the WhatsApp Web page
+  const phoneId = await client.pupPage.evaluate((lid) => {
+    const wid = window.Store.WidFactory.createWid(lid);
+    return window.Store.LidUtils.getPhoneNumber(wid)?._serialized ?? null;
+  }, lid);
+  return phoneId ? extractUserId(phoneId, '@c.us') : null;
+};
+
+/**
+ * The canonical id of a WhatsApp sender, '<phone number>@c.us'. Everything
+ * the bot stores or sends about a person, check-ins, sheets, conversations
+ * and rate limits, is keyed by it, so a person who shows up under a LID is
+ * still the same person. A LID is resolved through the WhatsApp client once;
+ * the answer is kept by the attendance server.
+ * @param {Object} client - WhatsApp client
+ * @param {string} waId - Sender id, e.g. msg.from or msg.author
+ * @returns {Promise<string|null>} - Null when a LID cannot be resolved yet
+ */
+export const resolveUserId = async (client, waId) => {
+  if (!isLid(waId)) return waId;
+  if (cache.has(waId)) return cache.get(waId);
+
+  const path = `/admin/identities/${encodeURIComponent(waId)}`;
+  try {
+    const stored = await requestAttendanceApi(path);
+    let phoneNumber = stored.success
+      ? stored.data.identity.phoneNumber.replace(/\D/g, '')
+      : null;
+
+    if (!phoneNumber) {
+      phoneNumber = await lookUpPhoneNumber(client, waId);
+      if (!phoneNumber) {
+        console.warn(`No phone number known for ${waId}`);
+        return null;
+      }
+      await requestAttendanceApi(path, {
+        method: 'PUT',
+        body: { phoneNumber: `+${phoneNumber}` },
+      });
+    }
+
+    const userId = formatUserIdWA(phoneNumber);
+    cache.set(waId, userId);
+    return userId;
+  } catch (error) {
+    console.error('Error resolving WhatsApp LID: ', error);
+    return null;
+  }
+};
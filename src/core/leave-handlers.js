@@ -0,0 +1,253 @@
+import { DateTime } from 'luxon';
+
+import { envConfig } from '#src/configs/environment.js';
+import { LEAVE_REQUEST_REGEX } from '#src/const.js';
+import { conversationEngine } from '#src/core/conversation-engine.js';
+import { notifyManagers, toUserId } from '#src/core/managers.js';
+import { getReplies } from '#src/core/replies.js';
+import { requestAttendanceApi } from '#src/libs/attendance-api.js';
+import { leaveSheetStorage } from '#src/libs/google-sheet.js';
+import { extractUserId } from '#src/utils/common.js';
+
+const FLOW = 'leave';
+const TTL_MINUTES = 10;
+
+/**
+ * Read a date typed by the user
+ * @param {string} text
+ * @returns {string|null} - YYYY-MM-DD or null when not a date
+ */
+const parseDateInput = (text) => {
+  const today = DateTime.now().setZone(envConfig.TIME_ZONE);
+  const value = text.trim().toLowerCase();
+
+  if (value === 'today') return today.toISODate();
+  if (value === 'tomorrow') return today.plus({ days: 1 }).toISODate();
+
+  const date = DateTime.fromISO(value);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && date.isValid
+    ? date.toISODate()
+    : null;
+};
+
+const describeDates = (leave, replies) =>
+  leave.startDate === leave.endDate
+    ? leave.startDate
+    : replies.format('leave.dateRange', {
+        start: leave.startDate,
+        end: leave.endDate,
+      });
+
+const writeLeaveSheet = async (leave) => {
+  if (!envConfig.DEFAULT_SHEET.LEAVES) return;
+
+  try {
+    await leaveSheetStorage.append(envConfig.DEFAULT_SHEET.ID, {
+      leave,
+      sheetName: envConfig.DEFAULT_SHEET.LEAVES,
+    });
+  } catch (error) {
+    console.error('Error writing leave to sheet: ', error);
+  }
+};
+
+/**
+ * File a leave request, confirm it and ask the managers to decide
+ */
+const submitLeave = async ({
+  userId,
+  client,
+  replies,
+  startDate,
+  endDate,
+  reason,
+}) => {
+  const result = await requestAttendanceApi('/admin/leaves', {
+    body: {
+      phoneNumber: extractUserId(userId, '@c.us'),
+      startDate,
+      endDate,
+      reason,
+    },
+  });
+
+  if (!result.success) {
+    return client.sendMessage(
+      userId,
+      replies.format('failed', {
+        error: result.error?.message ?? replies.format('leave.notSaved'),
+      }),
+    );
+  }
+
+  const { leave } = result.data;
+  await writeLeaveSheet(leave);
+
+  await client.sendMessage(
+    userId,
+    replies.format('leave.submitted', {
+      dates: describeDates(leave, replies),
+      code: leave.code,
+    }),
+  );
+
+  await notifyManagers(client, (managerReplies) =>
+    [
+      managerReplies.format('leave.managerPrompt', {
+        code: leave.code,
+        phone: leave.phoneNumber,
+        dates: describeDates(leave, managerReplies),
+        days: leave.days,
+      }),
+      leave.reason
+        ? managerReplies.format('leave.managerReason', { reason: leave.reason })
+        : null,
+      managerReplies.format('manager.replyPrompt', { reference: leave.code }),
+    ]
+      .filter(Boolean)
+      .join('\n'),
+  );
+};
+
+/**
+ * Apply a manager's "approve CODE" / "reject CODE" reply
+ * @param {Object} params
+ * @param {string} params.userId - WhatsApp user id of the manager
+ * @param {Object} params.client - WhatsApp client
+ * @param {import('./replies.js').Replies} params.replies - Texts in the
+ *   manager's language
+ * @param {'approve'|'reject'} params.action
+ * @param {string} params.code - Reference of the leave request
+ */
+export const decideLeave = async ({
+  userId,
+  client,
+  replies,
+  action,
+  code,
+}) => {
+  const result = await requestAttendanceApi(
+    `/admin/leaves/${encodeURIComponent(code.toUpperCase())}/${action}`,
+    { body: { decidedBy: extractUserId(userId, '@c.us') } },
+  );
+
+  if (!result.success) {
+    return client.sendMessage(
+      userId,
+      result.error?.message ?? replies.format('leave.notUpdated'),
+    );
+  }
+
+  const { leave } = result.data;
+  await writeLeaveSheet(leave);
+
+  await client.sendMessage(
+    userId,
+    replies.format(
+      leave.status === 'approved'
+        ? 'leave.managerApproved'
+        : 'leave.managerRejected',
+      { code: leave.code, phone: leave.phoneNumber },
+    ),
+  );
+
+  // The requester reads the outcome in their own language
+  const requesterId = toUserId(leave.phoneNumber);
+  const requesterReplies = await getReplies(requesterId);
+  await client.sendMessage(
+    requesterId,
+    requesterReplies.format(
+      leave.status === 'approved' ? 'leave.approved' : 'leave.rejected',
+      { code: leave.code, dates: describeDates(leave, requesterReplies) },
+    ),
+  );
+};
+
+/**
+ * File "leave 2026-11-03 to 2026-11-05 sick" at once, or start the guided
+ * flow when no dates were given
+ * @param {Object} params
+ * @param {string} params.details - Text after "leave"
+ * @param {string} params.userId - WhatsApp user id
+ * @param {Object} params.client - WhatsApp client
+ * @param {import('./replies.js').Replies} params.replies - Texts in the
+ *   user's language
+ */
+export const startLeaveRequest = async ({
+  details,
+  userId,
+  client,
+  replies,
+}) => {
+  const request = details.trim().match(LEAVE_REQUEST_REGEX);
+  if (request) {
+    return submitLeave({
+      userId,
+      client,
+      replies,
+      startDate: request[1],
+      endDate: request[2] ?? request[1],
+      reason: request[3],
+    });
+  }
+
+  await conversationEngine.start(FLOW, { userId, client, replies });
+};
+
+const askDate = (key, replies) =>
+  replies.format(key, { datePrompt: replies.format('leave.datePrompt') });
+
+/**
+ * Guided leave request: first day, last day, then the reason
+ */
+conversationEngine.define({
+  name: FLOW,
+  initial: 'startDate',
+  ttlMinutes: TTL_MINUTES,
+  onCancel: ({ userId, client, replies }) =>
+    client.sendMessage(userId, replies.format('leave.cancelled')),
+  onTimeout: ({ userId, client, replies }) =>
+    client.sendMessage(userId, replies.format('leave.expired')),
+  steps: {
+    startDate: {
+      next: ['endDate'],
+      prompt: ({ replies }) => askDate('leave.askStart', replies),
+      handle: async ({ text, userId, client, replies }) => {
+        const startDate = parseDateInput(text);
+        if (!startDate) {
+          await client.sendMessage(userId, askDate('leave.notDate', replies));
+          return;
+        }
+        return { step: 'endDate', data: { startDate } };
+      },
+    },
+    endDate: {
+      next: ['reason'],
+      prompt: ({ replies }) => replies.format('leave.askEnd'),
+      handle: async ({ text, data, userId, client, replies }) => {
+        const endDate = /^same$/i.test(text)
+          ? data.startDate
+          : parseDateInput(text);
+        if (!endDate) {
+          await client.sendMessage(userId, askDate('leave.notDate', replies));
+          return;
+        }
+        return { step: 'reason', data: { endDate } };
+      },
+    },
+    reason: {
+      prompt: ({ replies }) => replies.format('leave.askReason'),
+      handle: async ({ text, data, userId, client, replies }) => {
+        await submitLeave({
+          userId,
+          client,
+          replies,
+          startDate: data.startDate,
+          endDate: data.endDate,
+          reason: text,
+        });
+        return { end: true };
+      },
+    },
+  },
+});
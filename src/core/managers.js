@@ -0,0 +1,84 @@
+import { envConfig } from '#src/configs/environment.js';
+import { getReplies } from '#src/core/replies.js';
+import { requestAttendanceApi } from '#src/libs/attendance-api.js';
+import { extractUserId, formatUserIdWA } from '#src/utils/common.js';
+
+const digitsOnly = (phoneNumber) => phoneNumber.replace(/\D/g, '');
+
+// How long the groups a user manages are reused before they are fetched
+// again, so giving someone a group takes effect within a minute
+const SCOPE_CACHE_TTL_MS = 60 * 1000;
+
+// Report scope, or null, by WhatsApp user id: { scope, expiresAt }
+const scopeCache = new Map();
+
+/**
+ * Whether a WhatsApp user is one of MANAGER_PHONE_NUMBERS
+ * @param {string} userId - WhatsApp user id
+ * @returns {boolean}
+ */
+export const isManager = (userId) =>
+  envConfig.MANAGER_PHONE_NUMBERS.map(digitsOnly).includes(
+    extractUserId(userId, '@c.us'),
+  );
+
+/**
+ * The groups a user may see attendance reports of
+ * @param {string} userId - WhatsApp user id
+ * @returns {Promise<{ groups: Object[], everyone: boolean }|null>} - Null
+ *   for someone who manages no group
+ */
+export const getReportScope = async (userId) => {
+  const cached = scopeCache.get(userId);
+  if (cached && cached.expiresAt > Date.now()) return cached.scope;
+
+  try {
+    const phone = encodeURIComponent(extractUserId(userId, '@c.us'));
+    const result = await requestAttendanceApi(
+      `/admin/reports/scope?by=${phone}`,
+    );
+    const scope = result.success ? result.data : null;
+    scopeCache.set(userId, {
+      scope,
+      expiresAt: Date.now() + SCOPE_CACHE_TTL_MS,
+    });
+    return scope;
+  } catch (error) {
+    console.error('Error loading report scope: ', error);
+    return null;
+  }
+};
+
+/**
+ * Whether a user may ask for attendance reports: a manager, or someone who
+ * manages a group
+ * @param {string} userId - WhatsApp user id
+ * @returns {Promise<boolean>}
+ */
+export const canSeeReports = async (userId) =>
+  isManager(userId) || Boolean(await getReportScope(userId));
+
+/**
+ * WhatsApp user id of a phone number in any format
+ * @param {string} phoneNumber
+ * @returns {string}
+ */
+export const toUserId = (phoneNumber) =>
+  formatUserIdWA(digitsOnly(phoneNumber));
+
+/**
+ * Send a message to every manager, each in their own language; a failed send
+ * does not stop the others
+ * @param {Object} client - WhatsApp client
+ * @param {(replies: import('./replies.js').Replies) => string} buildText
+ */
+export const notifyManagers = async (client, buildText) => {
+  for (const manager of envConfig.MANAGER_PHONE_NUMBERS) {
+    try {
+      const userId = toUserId(manager);
+      await client.sendMessage(userId, buildText(await getReplies(userId)));
+    } catch (error) {
+      console.error('Error sending message to manager: ', error);
+    }
+  }
+};
@@ -1,12 +1,56 @@
-import { processAIResponse } from './ai-handlers.js';
+import { handleCheckInMessage, handlePhotoCheckIn } from './ai-handlers.js';
+import { commandRouter } from './command-handlers.js';
+import { conversationEngine } from './conversation-engine.js';
+import { getReplies } from './replies.js';
 
 // Process and send message to AI
 export const processMessage = async ({ msg, userId, message, client }) => {
+  // A photo of the QR code checks in like the code itself
+  if (msg?.hasMedia && msg.type === 'image') {
+    const replies = await getReplies(userId);
+    const outcome = await handlePhotoCheckIn({ msg, userId, client, replies });
+    if (outcome !== 'submitted') {
+      await client.sendMessage(
+        userId,
+        replies.format(
+          outcome === 'noCode'
+            ? 'checkIn.photoNoCode'
+            : 'checkIn.photoUnreadable',
+        ),
+      );
+    }
+    return;
+  }
+
   if (msg && !msg.hasMedia) {
-    await processAIResponse({
-      messageToSend: message,
-      userId,
-      client,
-    });
+    // Every reply goes out in the language set for the user or their group
+    const replies = await getReplies(userId);
+
+    // An answer in a flow the user is in, such as registration or a leave
+    // request
+    if (await conversationEngine.resume({ message, userId, client, replies })) {
+      return;
+    }
+
+    // Commands come before check-ins, so "leave ... forgot to check in" is a
+    // leave request rather than a check-in
+    if (await commandRouter.handle({ msg, message, userId, client, replies })) {
+      return;
+    }
+
+    if (
+      await handleCheckInMessage({
+        msg,
+        messageToSend: message,
+        userId,
+        client,
+        replies,
+      })
+    ) {
+      return;
+    }
+
+    // Anything else gets the list of commands
+    await client.sendMessage(userId, await commandRouter.menu(userId, replies));
   }
 };
@@ -0,0 +1,210 @@
+import { CHECKIN_MESSAGE_REGEX, CHECKOUT_MESSAGE_REGEX } from '#src/const.js';
+import { conversationEngine } from '#src/core/conversation-engine.js';
+import { notifyManagers } from '#src/core/managers.js';
+import { requestAttendanceApi } from '#src/libs/attendance-api.js';
+import { extractUserId } from '#src/utils/common.js';
+
+const FLOW = 'registration';
+const TTL_MINUTES = 24 * 60;
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Name shown in the sender's WhatsApp profile, if any
+ * @param {Object} msg - whatsapp-web.js message
+ * @returns {Promise<string|null>}
+ */
+const getPushname = async (msg) => {
+  try {
+    const contact = await msg?.getContact?.();
+    return contact?.pushname?.trim() || msg?._data?.notifyName || null;
+  } catch (error) {
+    console.error('Error reading contact name: ', error);
+    return msg?._data?.notifyName || null;
+  }
+};
+
+/**
+ * Ask a first-time user who they are. Called when a check-in from an unknown
+ * number is held until the number is registered.
+ * @param {Object} params
+ * @param {Object} params.msg - Message that carried the check-in
+ * @param {string} params.userId - WhatsApp user id
+ * @param {Object} params.client - WhatsApp client
+ * @param {import('./replies.js').Replies} params.replies - Texts in the
+ *   user's language
+ */
+export const startRegistration = async ({ msg, userId, client, replies }) => {
+  const conversation = await conversationEngine.current(userId);
+  if (conversation?.flow === FLOW) {
+    return client.sendMessage(
+      userId,
+      replies.format('registration.inProgress'),
+    );
+  }
+
+  await conversationEngine.start(
+    FLOW,
+    { userId, client, replies },
+    { suggestedName: await getPushname(msg) },
+  );
+};
+
+/**
+ * File the registration and ask the managers to decide
+ */
+const submitRegistration = async ({
+  userId,
+  client,
+  replies,
+  displayName,
+  employeeId,
+}) => {
+  const phoneNumber = extractUserId(userId, '@c.us');
+  const result = await requestAttendanceApi('/admin/people/registrations', {
+    body: { phoneNumber, displayName, employeeId },
+  });
+
+  if (!result.success) {
+    return client.sendMessage(
+      userId,
+      result.error?.code === 'PERSON_EXISTS'
+        ? replies.format('registration.alreadyRegistered')
+        : replies.format('registration.failed', {
+            error:
+              result.error?.message ?? replies.format('registration.notSaved'),
+          }),
+    );
+  }
+
+  const { person } = result.data;
+  await client.sendMessage(
+    userId,
+    replies.format('registration.submitted', { name: person.displayName }),
+  );
+
+  const digits = person.phoneNumber.replace(/\D/g, '');
+  await notifyManagers(client, (managerReplies) =>
+    [
+      managerReplies.format('registration.managerPrompt', {
+        phone: person.phoneNumber,
+        name: person.displayName,
+      }),
+      person.employeeId
+        ? managerReplies.format('registration.managerEmployeeId', {
+            employeeId: person.employeeId,
+          })
+        : null,
+      managerReplies.format('manager.replyPrompt', { reference: digits }),
+    ]
+      .filter(Boolean)
+      .join('\n'),
+  );
+};
+
+/**
+ * Apply a manager's "approve 852..." / "reject 852..." reply. The server
+ * tells the person the outcome.
+ * @param {Object} params
+ * @param {string} params.userId - WhatsApp user id of the manager
+ * @param {Object} params.client - WhatsApp client
+ * @param {import('./replies.js').Replies} params.replies - Texts in the
+ *   manager's language
+ * @param {'approve'|'reject'} params.action
+ * @param {string} params.phoneNumber - Number that registered
+ */
+export const decideRegistration = async ({
+  userId,
+  client,
+  replies,
+  action,
+  phoneNumber,
+}) => {
+  const result = await requestAttendanceApi(
+    `/admin/people/${encodeURIComponent(phoneNumber)}/${action}`,
+    { method: 'POST' },
+  );
+
+  if (!result.success) {
+    return client.sendMessage(
+      userId,
+      result.error?.message ?? replies.format('registration.notUpdated'),
+    );
+  }
+
+  const { person, checkIns } = result.data;
+  const values = { name: person.displayName, phone: person.phoneNumber };
+  await client.sendMessage(
+    userId,
+    [
+      replies.format(
+        action === 'approve'
+          ? 'registration.managerApproved'
+          : 'registration.managerRejected',
+        values,
+      ),
+      checkIns > 0
+        ? replies.format('registration.managerHeldUpdated', { count: checkIns })
+        : null,
+    ]
+      .filter(Boolean)
+      .join(' '),
+  );
+};
+
+/**
+ * Registration of a first-time user: their name, then their employee ID.
+ * Scans made while registering are held like the first one.
+ */
+conversationEngine.define({
+  name: FLOW,
+  initial: 'name',
+  ttlMinutes: TTL_MINUTES,
+  skip: (message) =>
+    CHECKIN_MESSAGE_REGEX.test(message) || CHECKOUT_MESSAGE_REGEX.test(message),
+  onCancel: ({ userId, client, replies }) =>
+    client.sendMessage(userId, replies.format('registration.cancelled')),
+  onTimeout: ({ userId, client, replies }) =>
+    client.sendMessage(userId, replies.format('registration.expired')),
+  steps: {
+    name: {
+      next: ['employeeId'],
+      prompt: ({ data, replies }) =>
+        data.suggestedName
+          ? replies.format('registration.welcomeName', {
+              name: data.suggestedName,
+            })
+          : replies.format('registration.welcome'),
+      handle: async ({ text, data, userId, client, replies }) => {
+        const displayName =
+          /^(yes|y|ok)$/i.test(text) && data.suggestedName
+            ? data.suggestedName
+            : text;
+
+        if (displayName.length < 2 || displayName.length > MAX_NAME_LENGTH) {
+          await client.sendMessage(
+            userId,
+            replies.format('registration.askFullName'),
+          );
+          return;
+        }
+        return { step: 'employeeId', data: { displayName } };
+      },
+    },
+    employeeId: {
+      prompt: ({ data, replies }) =>
+        replies.format('registration.askEmployeeId', {
+          name: data.displayName,
+        }),
+      handle: async ({ text, data, userId, client, replies }) => {
+        await submitRegistration({
+          userId,
+          client,
+          replies,
+          displayName: data.displayName,
+          employeeId: /^skip$/i.test(text) ? null : text,
+        });
+        return { end: true };
+      },
+    },
+  },
+});
@@ -0,0 +1,95 @@
+import { DateTime } from 'luxon';
+
+import { envConfig } from '#src/configs/environment.js';
+import { requestAttendanceApi } from '#src/libs/attendance-api.js';
+import {
+  FALLBACK_LANGUAGE,
+  fillTemplate,
+  templatesFor,
+} from '#src/qr-server/utils/replyTemplates.js';
+import { extractUserId } from '#src/utils/common.js';
+
+// How long a user's texts are reused before they are fetched again, so
+// changes made by an admin show up within a minute
+const CACHE_TTL_MS = 60 * 1000;
+
+// Texts by WhatsApp user id: { replies, expiresAt }
+const cache = new Map();
+
+/**
+ * Replies
+ * The bot's texts in the language one user reads
+ */
+export class Replies {
+  /**
+   * @param {string} language - e.g. 'zh-HK'
+   * @param {Object<string, string>} templates - Text by key
+   */
+  constructor(language, templates) {
+    this.language = language;
+    this.templates = templates;
+  }
+
+  /**
+   * @param {string} key - Template key
+   * @param {Object} [values] - Placeholder values
+   * @returns {string}
+   */
+  format(key, values) {
+    return fillTemplate(this.templates[key] ?? key, values);
+  }
+
+  /**
+   * A stored timestamp in TIME_ZONE, formatted for this language
+   * @param {string} timestamp - ISO timestamp
+   * @returns {DateTime}
+   */
+  toLocal(timestamp) {
+    return DateTime.fromISO(timestamp)
+      .setZone(envConfig.TIME_ZONE)
+      .setLocale(this.language);
+  }
+}
+
+/**
+ * The built-in English texts, for when the server cannot be reached
+ */
+const fallbackReplies = () =>
+  new Replies(FALLBACK_LANGUAGE, templatesFor(FALLBACK_LANGUAGE));
+
+/**
+ * The texts for a WhatsApp user, in the language set for them or their group
+ * @param {string} userId - WhatsApp user id
+ * @returns {Promise<Replies>}
+ */
+export const getReplies = async (userId) => {
+  const cached = cache.get(userId);
+  if (cached && cached.expiresAt > Date.now()) return cached.replies;
+
+  try {
+    const phone = encodeURIComponent(extractUserId(userId, '@c.us'));
+    const result = await requestAttendanceApi(
+      `/admin/templates/people/${phone}`,
+    );
+    if (!result.success) return fallbackReplies();
+
+    const replies = new Replies(result.data.language, result.data.templates);
+    cache.set(userId, { replies, expiresAt: Date.now() + CACHE_TTL_MS });
+    return replies;
+  } catch (error) {
+    console.error('Error loading reply templates: ', error);
+    return fallbackReplies();
+  }
+};
+
+/**
+ * Send one message in the language of the user it goes to
+ * @param {Object} client - WhatsApp client
+ * @param {string} userId - WhatsApp user id
+ * @param {string} key - Template key
+ * @param {Object} [values] - Placeholder values
+ */
+export const sendReply = async (client, userId, key, values) => {
+  const replies = await getReplies(userId);
+  return client.sendMessage(userId, replies.format(key, values));
+};
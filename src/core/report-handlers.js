@@ -0,0 +1,234 @@
+import { DateTime } from 'luxon';
+
+import { requestAttendanceApi } from '#src/libs/attendance-api.js';
+import { extractUserId } from '#src/utils/common.js';
+
+// Most lines in one report, so a month of a whole school stays readable
+const MAX_LINES = 60;
+
+// Words naming a period, longest first, by the server's name for it
+const PERIOD_WORDS = [
+  [/\bthis\s+week\b/, 'week'],
+  [/\blast\s+week\b/, 'last-week'],
+  [/\bthis\s+month\b/, 'month'],
+  [/\blast\s+month\b/, 'last-month'],
+  [/\btoday\b/, 'today'],
+  [/\byesterday\b/, 'yesterday'],
+  [/\bweek\b/, 'week'],
+  [/\bmonth\b/, 'month'],
+];
+
+// Words people put before the group, as in "who is in 3A" or "late for 3A"
+const FILLER_REGEX = /^(?:(?:is|in|for|of|on)\s+)+/i;
+
+/**
+ * Read the group and period of a report request, e.g. "3A this week". What
+ * is not a period is taken as the group's id or name.
+ * @param {string} text - Text after the command
+ * @returns {{ group?: string, period?: string }}
+ */
+export const parseReportRequest = (text) => {
+  let rest = ` ${text.trim()} `;
+  let period;
+
+  const date = rest.match(/\s(\d{4}-\d{2}-\d{2})\s/);
+  if (date) {
+    period = date[1];
+    rest = rest.replace(date[0], ' ');
+  } else {
+    for (const [regex, name] of PERIOD_WORDS) {
+      const match = rest.toLowerCase().match(regex);
+      if (match) {
+        period = name;
+        rest =
+          rest.slice(0, match.index) +
+          rest.slice(match.index + match[0].length);
+        break;
+      }
+    }
+  }
+
+  const group = rest
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(FILLER_REGEX, '')
+    .replace(/^(is|in)$/i, '');
+  return { group: group || undefined, period };
+};
+
+/**
+ * Fetch a report for the manager who sent the message
+ * @param {string} report - summary, absent, late or present
+ * @param {string} userId - WhatsApp user id
+ * @param {{ group?: string, period?: string }} request
+ * @returns {Promise<Object>} - Parsed response, { success, data | error }
+ */
+const fetchReport = (report, userId, { group, period }) => {
+  const query = new URLSearchParams({ by: extractUserId(userId, '@c.us') });
+  if (group) query.set('group', group);
+  if (period) query.set('period', period);
+  return requestAttendanceApi(`/admin/reports/${report}?${query}`);
+};
+
+/**
+ * Why a report could not be made, in the manager's language
+ */
+const describeError = (error, request, replies) => {
+  if (error?.code === 'NOT_GROUP_MANAGER') {
+    return replies.format('report.notManager');
+  }
+  if (error?.code === 'GROUP_NOT_FOUND') {
+    return replies.format('report.unknownGroup', { group: request.group });
+  }
+  return replies.format('failed', {
+    error: error?.message ?? replies.format('error'),
+  });
+};
+
+const formatDate = (date, replies) =>
+  DateTime.fromISO(date).setLocale(replies.language).toFormat('ccc dd LLL');
+
+/**
+ * e.g. "Mon 19 Oct" or "Mon 19 Oct – Fri 23 Oct"
+ */
+const describePeriod = ({ startDate, endDate }, replies) =>
+  startDate === endDate
+    ? formatDate(startDate, replies)
+    : `${formatDate(startDate, replies)} – ${formatDate(endDate, replies)}`;
+
+/**
+ * The groups a report covers, e.g. "Class 3A, Class 3B" or "everyone"
+ */
+const describeScope = ({ groups }, replies) =>
+  groups.length > 0
+    ? groups.map((group) => group.name).join(', ')
+    : replies.format('report.everyone');
+
+const names = (people) =>
+  people.map((person) => person.name ?? person.phoneNumber).join(', ');
+
+/**
+ * Cut a report down to MAX_LINES lines
+ */
+const limitLines = (lines, replies) =>
+  lines.length > MAX_LINES
+    ? [
+        ...lines.slice(0, MAX_LINES),
+        replies.format('report.more', { count: lines.length - MAX_LINES }),
+      ]
+    : lines;
+
+/**
+ * Run a report and send it, or why it could not be made
+ * @param {string} report - summary, absent, late or present
+ * @param {(report: Object, replies: import('./replies.js').Replies) => string[]} describe
+ */
+const sendReport =
+  (report, describe) =>
+  async ({ args, userId, client, replies }) => {
+    const request = parseReportRequest(args.details ?? args.group ?? '');
+    const result = await fetchReport(report, userId, request);
+    if (!result.success) {
+      return client.sendMessage(
+        userId,
+        describeError(result.error, request, replies),
+      );
+    }
+
+    return client.sendMessage(
+      userId,
+      limitLines(describe(result.data.report, replies), replies).join('\n'),
+    );
+  };
+
+/**
+ * Present, late, on leave and absent counts
+ */
+export const handleReport = sendReport('summary', (report, replies) => {
+  const values = {
+    ...report,
+    period: describePeriod(report, replies),
+    scope: describeScope(report, replies),
+  };
+  if (report.days === 0) return [replies.format('report.noDays', values)];
+
+  return [
+    replies.format(
+      report.startDate === report.endDate
+        ? 'report.summary'
+        : 'report.summaryDays',
+      values,
+    ),
+  ];
+});
+
+/**
+ * Who was absent, and who was on leave, day by day
+ */
+export const handleAbsent = sendReport('absent', (report, replies) => {
+  const lines = [
+    replies.format('report.absent', {
+      period: describePeriod(report, replies),
+      scope: describeScope(report, replies),
+    }),
+  ];
+
+  for (const day of report.days) {
+    const date = formatDate(day.date, replies);
+    if (day.absent.length > 0) {
+      lines.push(
+        replies.format('report.absentDay', { date, names: names(day.absent) }),
+      );
+    }
+    if (day.onLeave.length > 0) {
+      lines.push(
+        replies.format('report.onLeave', { date, names: names(day.onLeave) }),
+      );
+    }
+  }
+
+  if (lines.length === 1) lines.push(replies.format('report.noneAbsent'));
+  return lines;
+});
+
+/**
+ * Every late check-in, oldest first
+ */
+export const handleLate = sendReport('late', (report, replies) => {
+  const lines = [
+    replies.format('report.late', {
+      period: describePeriod(report, replies),
+      scope: describeScope(report, replies),
+    }),
+  ];
+
+  const singleDay = report.startDate === report.endDate;
+  for (const checkIn of report.late) {
+    const at = replies
+      .toLocal(checkIn.timestamp)
+      .toFormat(singleDay ? 'HH:mm' : 'ccc dd LLL HH:mm');
+    lines.push(
+      `• ${at} ${checkIn.name ?? checkIn.phoneNumber} (${replies.format(`attendance.${checkIn.attendanceStatus}`)})`,
+    );
+  }
+
+  if (report.late.length === 0) lines.push(replies.format('report.noneLate'));
+  return lines;
+});
+
+/**
+ * Who is checked in right now, and since when
+ */
+export const handleWho = sendReport('present', (report, replies) => [
+  replies.format('report.present', {
+    scope: describeScope(report, replies),
+    count: report.present.length,
+    roster: report.roster,
+  }),
+  ...(report.present.length > 0
+    ? report.present.map(
+        (person) =>
+          `• ${person.name ?? person.phoneNumber} (${replies.toLocal(person.since).toFormat('HH:mm')})`,
+      )
+    : [replies.format('report.nonePresent')]),
+]);
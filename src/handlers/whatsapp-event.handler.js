@@ -9,16 +9,18 @@ import {
 export class WhatsappEventHandler {
   constructor(client, options) {
     this.client = client;
+    this.clientId = options?.clientId; // Names the number the client runs
     this.userTimeouts = options?.userTimeouts || {}; // Store user timeouts for message processing
   }
 
   setup() {
     // Setup all event handlers using the modular functions
     loadingScreenHandler(this.client);
-    qrHandler(this.client);
+    qrHandler(this.client, { clientId: this.clientId });
     authHandler(this.client);
-    readyHandler(this.client);
+    readyHandler(this.client, { clientId: this.clientId });
     messageHandler(this.client, {
+      clientId: this.clientId,
       userTimeouts: this.userTimeouts
     });
   }
@@ -0,0 +1,41 @@
+import { envConfig } from '#src/configs/environment.js';
+
+/**
+ * Call the attendance admin API
+ * @param {string} path - Path below ATTENDANCE_API_URL
+ * @param {Object} [options]
+ * @param {string} [options.method] - POST when a body is given, else GET
+ * @param {Object} [options.body] - JSON body
+ * @returns {Promise<Object>} - Parsed response, { success, data | error }
+ */
+export const requestAttendanceApi = async (path, { method, body } = {}) => {
+  const response = await fetch(envConfig.ATTENDANCE_API_URL + path, {
+    method: method ?? (body ? 'POST' : 'GET'),
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${envConfig.SECRET_KEY}`,
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  return response.json();
+};
+
+/**
+ * Send a file, such as a photo, to the attendance admin API
+ * @param {string} path - Path below ATTENDANCE_API_URL
+ * @param {Object} file
+ * @param {Buffer} file.data - File contents
+ * @param {string} file.contentType - e.g. 'image/jpeg'
+ * @returns {Promise<Object>} - Parsed response, { success, data | error }
+ */
+export const uploadAttendanceFile = async (path, { data, contentType }) => {
+  const response = await fetch(envConfig.ATTENDANCE_API_URL + path, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': contentType,
+      Authorization: `Bearer ${envConfig.SECRET_KEY}`,
+    },
+    body: data,
+  });
+  return response.json();
+};
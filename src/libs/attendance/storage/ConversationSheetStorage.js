@@ -17,6 +17,8 @@ class ConversationSheetStorage extends AttendanceStorage {
    * type: string;
    * content: string;
    * mediaUrl?: string;
+   * location?: string;
+   * status?: string;
    * }}[]>} payload.conversations
    * @param {string} [payload.sheetName='Sheet1']
    * @param {string} [payload.startPoint='A3']
@@ -106,7 +108,15 @@ class ConversationSheetStorage extends AttendanceStorage {
               imageRow.push(`=IMAGE("${m.message.mediaUrl}")`);
             }
 
-            return m.message.content;
+            // e.g. "Check-in code: ABC (Branch 2, late)"
+            const details = [
+              m.message.location,
+              m.message.status?.replace('_', ' '),
+            ].filter(Boolean);
+
+            return details.length > 0
+              ? `${m.message.content} (${details.join(', ')})`
+              : m.message.content;
           })
           .filter(Boolean);
 
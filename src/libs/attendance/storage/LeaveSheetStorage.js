@@ -0,0 +1,97 @@
+import { DateTime } from 'luxon';
+
+import AttendanceStorage from './AttendanceStorage.js';
+
+import { envConfig } from '#src/configs/environment.js';
+import { googleSheetHandling } from '#src/libs/google-sheet.js';
+
+const HEADER = [
+  'Updated',
+  'Reference',
+  'Phone',
+  'Name',
+  'From',
+  'To',
+  'Days',
+  'Reason',
+  'Status',
+  'Decided by',
+];
+
+class LeaveSheetStorage extends AttendanceStorage {
+  constructor() {
+    super();
+  }
+
+  /**
+   * Append a leave request to the leaves sheet. Every change of status adds
+   * a row, so the latest row of a reference is its current status.
+   * @param {string} sheetId
+   * @param {Object} payload
+   * @param {{
+   * code: string;
+   * phoneNumber: string;
+   * startDate: string;
+   * endDate: string;
+   * days: number;
+   * reason?: string | null;
+   * status: string;
+   * decidedBy?: string | null;
+   * }} payload.leave
+   * @param {string} [payload.sheetName='Leaves']
+   */
+  async append(sheetId, options) {
+    const { leave, sheetName = 'Leaves' } = options;
+
+    try {
+      const header = await googleSheetHandling.getHeader({
+        spreadsheetId: sheetId,
+        sheetName,
+        headerRange: '1:1',
+      });
+
+      if (header.length === 0) {
+        await googleSheetHandling.updateHeader({
+          spreadsheetId: sheetId,
+          sheetName,
+          headerRange: '1:1',
+          updatedHeader: HEADER,
+        });
+      }
+
+      // Rows are appended, so the name lookup reads the phone from its own row
+      const nameFormula = `=IFNA(VLOOKUP(INDIRECT("C"&ROW()),${envConfig.DEFAULT_SHEET.NAME_LIST}!A:B,2,FALSE), "")`;
+
+      await googleSheetHandling.appendValues({
+        spreadsheetId: sheetId,
+        sheetName,
+        startRange: 'A2',
+        values: [
+          [
+            DateTime.now()
+              .setZone(envConfig.TIME_ZONE)
+              .toFormat('MM/dd/yyyy HH:mm:ss'),
+            leave.code,
+            leave.phoneNumber,
+            nameFormula,
+            leave.startDate,
+            leave.endDate,
+            leave.days,
+            leave.reason ?? '',
+            leave.status,
+            leave.decidedBy ?? '',
+          ],
+        ],
+      });
+
+      console.info(
+        `✅ Leave ${leave.code} (${leave.status}) written to ${sheetName}`,
+      );
+    } catch (error) {
+      console.error('Error updating leaves sheet:', error);
+      throw error;
+    }
+  }
+}
+
+export default LeaveSheetStorage;
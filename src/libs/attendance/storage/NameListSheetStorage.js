@@ -0,0 +1,113 @@
+import AttendanceStorage from './AttendanceStorage.js';
+
+import { googleSheetHandling } from '#src/libs/google-sheet.js';
+
+// Phone and name stay in A:B, where the tracking sheets look names up
+const HEADER = ['Phone', 'Name', 'Employee ID', 'Group', 'Active', 'Status'];
+const LAST_COLUMN = 'F';
+
+// Self-registered people are pending until approved; blank means approved
+const STATUSES = ['approved', 'pending', 'rejected'];
+
+const toText = (value) =>
+  value === null || value === undefined ? '' : String(value).trim();
+
+const toActive = (value) =>
+  !['false', 'no', 'n', '0', 'inactive'].includes(toText(value).toLowerCase());
+
+// A person's groups are comma-separated, e.g. "3A, 3B"
+const toGroupIds = (value) =>
+  toText(value)
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+const toStatus = (value) => {
+  const status = toText(value).toLowerCase();
+  return STATUSES.includes(status) ? status : 'approved';
+};
+
+class NameListSheetStorage extends AttendanceStorage {
+  constructor() {
+    super();
+  }
+
+  /**
+   * Read the name list. Rows without a phone number are skipped.
+   * @param {string} sheetId
+   * @param {Object} options
+   * @param {string} [options.sheetName='NameList']
+   * @returns {Promise<{ people: {
+   * phoneNumber: string;
+   * displayName: string;
+   * employeeId: string | null;
+   * groupIds: string[];
+   * active: boolean;
+   * status: string;
+   * }[], rowCount: number }>} - rowCount includes the header
+   */
+  async read(sheetId, options = {}) {
+    const { sheetName = 'NameList' } = options;
+
+    const values =
+      (await googleSheetHandling.getValues({
+        spreadsheetId: sheetId,
+        sheetName,
+        range: `A:${LAST_COLUMN}`,
+      })) ?? [];
+
+    const people = values
+      .slice(1)
+      .filter((row) => toText(row[0]))
+      .map(([phone, name, employeeId, groupIds, active, status]) => ({
+        phoneNumber: toText(phone),
+        displayName: toText(name),
+        employeeId: toText(employeeId) || null,
+        groupIds: toGroupIds(groupIds),
+        active: toActive(active),
+        status: toStatus(status),
+      }));
+
+    return { people, rowCount: values.length };
+  }
+
+  /**
+   * Replace the name list with the given people
+   * @param {string} sheetId
+   * @param {Object} options
+   * @param {Object[]} options.people - Same shape as returned by read()
+   * @param {number} [options.previousRowCount=0] - Rows to blank out when the
+   *   list got shorter
+   * @param {string} [options.sheetName='NameList']
+   */
+  async write(sheetId, options) {
+    const { people, previousRowCount = 0, sheetName = 'NameList' } = options;
+
+    const values = [
+      HEADER,
+      // Without the '+' so the numbers match the tracking sheet headers
+      ...people.map((person) => [
+        person.phoneNumber.replace(/^\+/, ''),
+        person.displayName,
+        person.employeeId ?? '',
+        person.groupIds.join(', '),
+        person.active ? 'TRUE' : 'FALSE',
+        person.status ?? 'approved',
+      ]),
+    ];
+    while (values.length < previousRowCount) {
+      values.push(HEADER.map(() => ''));
+    }
+
+    await googleSheetHandling.updateValues({
+      spreadsheetId: sheetId,
+      sheetName,
+      range: `A1:${LAST_COLUMN}${values.length}`,
+      values,
+    });
+
+    console.info(`✅ ${people.length} people written to ${sheetName}`);
+  }
+}
+
+export default NameListSheetStorage;
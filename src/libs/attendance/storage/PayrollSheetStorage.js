@@ -0,0 +1,102 @@
+import AttendanceStorage from './AttendanceStorage.js';
+
+import { googleSheetHandling } from '#src/libs/google-sheet.js';
+
+const HEADER = [
+  'Period start',
+  'Period end',
+  'Phone',
+  'Name',
+  'Employee ID',
+  'Shifts',
+  'Worked hours',
+  'Break hours',
+  'Paid hours',
+  'Regular hours',
+  'Overtime hours',
+  'Night hours',
+  'Missing check-outs',
+  'Generated',
+];
+
+class PayrollSheetStorage extends AttendanceStorage {
+  constructor() {
+    super();
+  }
+
+  /**
+   * Append one row per employee for a pay period to the payroll sheet
+   * @param {string} sheetId
+   * @param {Object} payload
+   * @param {{ startDate: string; endDate: string }} payload.period
+   * @param {{
+   * phoneNumber: string;
+   * displayName?: string | null;
+   * employeeId?: string | null;
+   * shifts: number;
+   * workedHours: number;
+   * breakHours: number;
+   * paidHours: number;
+   * regularHours: number;
+   * overtimeHours: number;
+   * nightHours: number;
+   * missingCheckOuts: number;
+   * }[]} payload.employees
+   * @param {string} payload.generatedAt - Local time the report was made
+   * @param {string} [payload.sheetName='Payroll']
+   */
+  async append(sheetId, options) {
+    const { period, employees, generatedAt, sheetName = 'Payroll' } = options;
+    if (employees.length === 0) return;
+
+    try {
+      const header = await googleSheetHandling.getHeader({
+        spreadsheetId: sheetId,
+        sheetName,
+        headerRange: '1:1',
+      });
+
+      if (header.length === 0) {
+        await googleSheetHandling.updateHeader({
+          spreadsheetId: sheetId,
+          sheetName,
+          headerRange: '1:1',
+          updatedHeader: HEADER,
+        });
+      }
+
+      const values = employees.map((employee) => [
+        period.startDate,
+        period.endDate,
+        employee.phoneNumber,
+        employee.displayName ?? '',
+        employee.employeeId ?? '',
+        employee.shifts,
+        employee.workedHours,
+        employee.breakHours,
+        employee.paidHours,
+        employee.regularHours,
+        employee.overtimeHours,
+        employee.nightHours,
+        employee.missingCheckOuts,
+        generatedAt,
+      ]);
+
+      await googleSheetHandling.appendValues({
+        spreadsheetId: sheetId,
+        sheetName,
+        startRange: 'A2',
+        values,
+      });
+
+      console.info(
+        `✅ ${values.length} payroll row(s) written to ${sheetName}`,
+      );
+    } catch (error) {
+      console.error('Error updating payroll sheet:', error);
+      throw error;
+    }
+  }
+}
+
+export default PayrollSheetStorage;
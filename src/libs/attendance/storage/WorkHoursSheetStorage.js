@@ -0,0 +1,98 @@
+import { DateTime } from 'luxon';
+
+import AttendanceStorage from './AttendanceStorage.js';
+
+import { envConfig } from '#src/configs/environment.js';
+import { googleSheetHandling } from '#src/libs/google-sheet.js';
+
+const HEADER = [
+  'Date',
+  'Phone',
+  'Name',
+  'Check-in',
+  'Check-out',
+  'Shift hours',
+  'Day total hours',
+  'Note',
+];
+
+const formatTime = (iso) =>
+  iso
+    ? DateTime.fromISO(iso).setZone(envConfig.TIME_ZONE).toFormat('HH:mm')
+    : '';
+
+const toHours = (minutes) =>
+  minutes === null || minutes === undefined
+    ? ''
+    : Math.round((minutes / 60) * 100) / 100;
+
+class WorkHoursSheetStorage extends AttendanceStorage {
+  constructor() {
+    super();
+  }
+
+  /**
+   * Append one row per shift to the hours sheet
+   * @param {string} sheetId
+   * @param {Object} payload
+   * @param {{
+   * phoneNumber: string;
+   * workDate: string;
+   * checkInAt: string;
+   * checkOutAt?: string | null;
+   * workedMinutes?: number | null;
+   * dayWorkedMinutes?: number | null;
+   * note?: string;
+   * }[]} payload.shifts
+   * @param {string} [payload.sheetName='Hours']
+   */
+  async append(sheetId, options) {
+    const { shifts, sheetName = 'Hours' } = options;
+    if (shifts.length === 0) return;
+
+    try {
+      const header = await googleSheetHandling.getHeader({
+        spreadsheetId: sheetId,
+        sheetName,
+        headerRange: '1:1',
+      });
+
+      if (header.length === 0) {
+        await googleSheetHandling.updateHeader({
+          spreadsheetId: sheetId,
+          sheetName,
+          headerRange: '1:1',
+          updatedHeader: HEADER,
+        });
+      }
+
+      // Rows are appended, so the name lookup reads the phone from its own row
+      const nameFormula = `=IFNA(VLOOKUP(INDIRECT("B"&ROW()),${envConfig.DEFAULT_SHEET.NAME_LIST}!A:B,2,FALSE), "")`;
+
+      const values = shifts.map((shift) => [
+        shift.workDate,
+        shift.phoneNumber,
+        nameFormula,
+        formatTime(shift.checkInAt),
+        formatTime(shift.checkOutAt),
+        toHours(shift.workedMinutes),
+        toHours(shift.dayWorkedMinutes),
+        shift.note ?? '',
+      ]);
+
+      await googleSheetHandling.appendValues({
+        spreadsheetId: sheetId,
+        sheetName,
+        startRange: 'A2',
+        values,
+      });
+
+      console.info(`✅ ${values.length} shift row(s) written to ${sheetName}`);
+    } catch (error) {
+      console.error('Error updating work hours sheet:', error);
+      throw error;
+    }
+  }
+}
+
+export default WorkHoursSheetStorage;
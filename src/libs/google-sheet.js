@@ -1,9 +1,17 @@
 
 import ConversationSheetStorage from './attendance/storage/ConversationSheetStorage.js';
+import LeaveSheetStorage from './attendance/storage/LeaveSheetStorage.js';
+import NameListSheetStorage from './attendance/storage/NameListSheetStorage.js';
+import PayrollSheetStorage from './attendance/storage/PayrollSheetStorage.js';
+import WorkHoursSheetStorage from './attendance/storage/WorkHoursSheetStorage.js';
 
 import { envConfig } from '#src/configs/environment.js';
 
 export const conversationSheetStorage = new ConversationSheetStorage();
+export const workHoursSheetStorage = new WorkHoursSheetStorage();
+export const leaveSheetStorage = new LeaveSheetStorage();
+export const nameListSheetStorage = new NameListSheetStorage();
+export const payrollSheetStorage = new PayrollSheetStorage();
 
 class GoogleSheetHandling {
   constructor() {
@@ -93,6 +101,43 @@ class GoogleSheetHandling {
       throw error;
     }
   }
+
+  async getValues({ sheetName, spreadsheetId, range, asDisplay = false }) {
+    try {
+      const response = await this._postData({
+        action: 'getValues',
+        spreadsheetId,
+        sheetName,
+        range,
+        asDisplay,
+      });
+
+      if (response.ok) {
+        return response.result.values;
+      }
+      throw new Error(
+        `Error getting values from Google Sheet: ${response.error}`,
+      );
+    } catch (error) {
+      console.error('Error getting values from Google Sheet:', error);
+      throw error;
+    }
+  }
+
+  async updateValues({ sheetName, spreadsheetId, range, values }) {
+    try {
+      await this._postData({
+        action: 'updateValues',
+        spreadsheetId,
+        sheetName,
+        range,
+        values,
+      });
+    } catch (error) {
+      console.error('Error updating values in Google Sheet:', error);
+      throw error;
+    }
+  }
 }
 
 export const googleSheetHandling = new GoogleSheetHandling();
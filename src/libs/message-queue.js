@@ -0,0 +1,81 @@
+import { requestAttendanceApi } from '#src/libs/attendance-api.js';
+
+// Attempts to queue a message before giving up on it; the wait between two
+// attempts doubles from QUEUE_RETRY_MS
+const QUEUE_ATTEMPTS = 4;
+const QUEUE_RETRY_MS = 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Queue a text message with the attendance server, which sends it at a safe
+ * pace and retries it when sending fails
+ * @param {string} chatId - WhatsApp chat id
+ * @param {string} body - Text
+ * @param {Object} [options]
+ * @param {string} [options.quotedMessageId] - Send it as a reply to this
+ *   message
+ * @param {string} [options.clientId] - WhatsApp client to send it from;
+ *   the default one when not given
+ * @returns {Promise<Object>} - Parsed response, { success, data | error }
+ */
+export const queueMessage = (
+  chatId,
+  body,
+  { quotedMessageId, clientId } = {},
+) =>
+  requestAttendanceApi('/admin/messages', {
+    body: { chatId, body, quotedMessageId, whatsappClientId: clientId },
+  });
+
+/**
+ * The WhatsApp client with its sendMessage going through the queue, for the
+ * bot's handlers. Anything other than plain text, such as media, is sent
+ * straight away. Text is never sent around the queue, which would break its
+ * pacing: queueing is retried a few times, and a message the server still
+ * does not take is logged as lost. The client's id is kept as
+ * client.clientId, so the handlers can tell the server which number a
+ * message came to.
+ * @param {Object} client - WhatsApp client
+ * @param {Object} [options]
+ * @param {string} [options.clientId] - Id of the WhatsApp client
+ * @returns {Object} - Client with a queued sendMessage
+ */
+export const withMessageQueue = (client, { clientId } = {}) => {
+  const sendMessage = async (chatId, content, options = {}) => {
+    if (typeof content !== 'string') {
+      return client.sendMessage(chatId, content, options);
+    }
+
+    for (let attempt = 1; attempt <= QUEUE_ATTEMPTS; attempt++) {
+      try {
+        const result = await queueMessage(chatId, content, {
+          quotedMessageId: options.quotedMessageId,
+          clientId,
+        });
+        if (result.success) return result.data.message;
+        console.warn(`Message not queued (attempt ${attempt}): `, result.error);
+      } catch (error) {
+        console.warn(`Error queueing message (attempt ${attempt}): `, error);
+      }
+      if (attempt < QUEUE_ATTEMPTS) {
+        await sleep(QUEUE_RETRY_MS * 2 ** (attempt - 1));
+      }
+    }
+
+    console.error(
+      `MESSAGE LOST: the attendance server did not queue a message to ${chatId} after ${QUEUE_ATTEMPTS} attempts`,
+    );
+    return null;
+  };
+
+  return new Proxy(client, {
+    get(target, property) {
+      if (property === 'sendMessage') return sendMessage;
+      if (property === 'clientId') return clientId;
+
+      const value = Reflect.get(target, property, target);
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+  });
+};
@@ -0,0 +1,52 @@
+import jpeg from 'jpeg-js';
+import jsQR from 'jsqr';
+import { PNG } from 'pngjs';
+
+// Larger JPEGs are refused rather than decoded into memory
+const MAX_MEGAPIXELS = 40;
+
+const DECODERS = {
+  'image/jpeg': (data) =>
+    jpeg.decode(data, {
+      useTArray: true,
+      formatAsRGBA: true,
+      maxResolutionInMP: MAX_MEGAPIXELS,
+    }),
+  'image/png': (data) => PNG.sync.read(data),
+};
+
+/**
+ * Whether an image can be searched for a QR code
+ * @param {string} mimeType
+ * @returns {boolean}
+ */
+export const canDecodePhoto = (mimeType) => Boolean(DECODERS[mimeType]);
+
+/**
+ * Read the QR code in a photo
+ * @param {Object} photo
+ * @param {string} photo.mimeType - 'image/jpeg' or 'image/png'
+ * @param {Buffer} photo.data - Image bytes
+ * @returns {string|null} - Text of the QR code, null when none was found
+ */
+export const decodeQrPhoto = ({ mimeType, data }) => {
+  const decode = DECODERS[mimeType];
+  if (!decode) return null;
+
+  try {
+    const { width, height, data: pixels } = decode(data);
+    const code = jsQR(
+      new Uint8ClampedArray(
+        pixels.buffer,
+        pixels.byteOffset,
+        pixels.byteLength,
+      ),
+      width,
+      height,
+    );
+    return code?.data || null;
+  } catch (error) {
+    console.error('Error reading QR code from photo: ', error);
+    return null;
+  }
+};
@@ -0,0 +1,75 @@
+/**
+ * @typedef {Object} WhatsAppClientEntry
+ * @property {string} id - Client id, e.g. 'central'
+ * @property {string} phoneNumber - Number the client is linked to
+ * @property {import('whatsapp-web.js').Client} client
+ * @property {import('./whatsapp-supervisor.js').WhatsAppSupervisor} [supervisor]
+ */
+
+/**
+ * WhatsApp Clients
+ * The WhatsApp clients of a deployment, one per number, by id. The first
+ * one is the default: it serves locations without a number of their own,
+ * and takes over the messages of a client that is no longer configured.
+ */
+export class WhatsAppClients {
+  /**
+   * @param {WhatsAppClientEntry[]} entries
+   */
+  constructor(entries = []) {
+    this.entries = new Map(entries.map((entry) => [entry.id, entry]));
+    this.defaultId = entries[0]?.id ?? null;
+  }
+
+  /**
+   * @param {string} [id] - Client id; none for the default client
+   * @returns {WhatsAppClientEntry|null} - Null for an unknown id
+   */
+  get(id) {
+    return this.entries.get(id ?? this.defaultId) ?? null;
+  }
+
+  /**
+   * The client that sends for an id: that client, or the default one for no
+   * id or an unknown one
+   * @param {string|null} [id]
+   * @returns {WhatsAppClientEntry|null}
+   */
+  resolve(id) {
+    return this.get(id ?? undefined) ?? this.get();
+  }
+
+  /**
+   * @returns {WhatsAppClientEntry[]}
+   */
+  list() {
+    return [...this.entries.values()];
+  }
+
+  /**
+   * Whether the client for an id can send messages now
+   * @param {string|null} [id] - See resolve
+   * @returns {boolean}
+   */
+  isReady(id) {
+    const entry = this.resolve(id);
+    if (!entry) return false;
+    return entry.supervisor
+      ? entry.supervisor.isReady()
+      : Boolean(entry.client.info);
+  }
+
+  /**
+   * Send a message from the client for an id
+   * @param {string|null} id - See resolve
+   * @param {string} chatId
+   * @param {string} body
+   * @param {Object} [options] - whatsapp-web.js sendMessage options
+   * @returns {Promise<Object>}
+   */
+  async sendMessage(id, chatId, body, options = {}) {
+    const entry = this.resolve(id);
+    if (!entry) throw new Error('No WhatsApp client to send with');
+    return entry.client.sendMessage(chatId, body, options);
+  }
+}
@@ -0,0 +1,531 @@
+import { envConfig } from '#src/configs/environment.js';
+
+/**
+ * What the supervisor knows about the client:
+ * - stopped: not started, or shut down
+ * - starting: Chromium and WhatsApp Web are loading
+ * - qr: waiting for the phone to be linked
+ * - authenticated: linked, loading chats
+ * - ready: connected and taking messages
+ * - disconnected: lost; a restart is scheduled
+ * - restarting: Chromium is being closed and started again
+ * - logging_out: the number is being unlinked
+ * - logged_out: unlinked by an admin; nothing runs until it is linked again
+ * @typedef {'stopped'|'starting'|'qr'|'authenticated'|'ready'|'disconnected'|'restarting'|'logging_out'|'logged_out'} ClientState
+ */
+
+// States the client passes through on its own while it starts or restarts
+const RECOVERING_STATES = [
+  'starting',
+  'authenticated',
+  'disconnected',
+  'restarting',
+];
+
+/**
+ * Reject when a promise takes longer than ms
+ */
+const withTimeout = (promise, ms, what) => {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`${what} did not answer within ${ms}ms`)),
+        ms,
+      );
+    }),
+  ]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * WhatsApp Supervisor
+ * Starts the WhatsApp client and keeps it running. It follows the client's
+ * events to know its state, and restarts Chromium with a doubling delay
+ * when the client disconnects, fails to start, stops answering or uses too
+ * much memory. A logout is left alone: the client shows a new QR code.
+ * While the number is not linked it keeps the latest QR code and a pairing
+ * code, so the number can be linked from the admin page.
+ */
+export class WhatsAppSupervisor {
+  /**
+   * @param {import('whatsapp-web.js').Client} client
+   * @param {Object} [options]
+   * @param {number} [options.reconnectBaseMs] - Delay before the first
+   *   restart; it doubles with each failed one
+   * @param {number} [options.reconnectMaxMs] - Longest delay between restarts
+   * @param {number} [options.checkIntervalMs] - How often the page is checked
+   * @param {number} [options.pageTimeoutMs] - How long the page may take to
+   *   answer a check
+   * @param {number} [options.startTimeoutMs] - How long starting may take
+   *   before it is tried again
+   * @param {number} [options.maxHeapMb] - WhatsApp Web's JavaScript heap
+   *   size that triggers a restart (0 disables)
+   * @param {string} [options.pairingPhoneNumber] - Number to request a
+   *   pairing code for while linking; none when empty
+   * @param {string} [options.clientId='default'] - Names the client in logs
+   */
+  constructor(
+    client,
+    {
+      reconnectBaseMs = envConfig.WHATSAPP_CLIENT.RECONNECT_BASE_MS,
+      reconnectMaxMs = envConfig.WHATSAPP_CLIENT.RECONNECT_MAX_MS,
+      checkIntervalMs = envConfig.WHATSAPP_CLIENT.CHECK_INTERVAL_MS,
+      pageTimeoutMs = envConfig.WHATSAPP_CLIENT.PAGE_TIMEOUT_MS,
+      startTimeoutMs = envConfig.WHATSAPP_CLIENT.START_TIMEOUT_MS,
+      maxHeapMb = envConfig.WHATSAPP_CLIENT.MAX_HEAP_MB,
+      pairingPhoneNumber = envConfig.PHONE_NUMBER,
+      clientId = 'default',
+    } = {},
+  ) {
+    this.client = client;
+    this.reconnectBaseMs = reconnectBaseMs;
+    this.reconnectMaxMs = reconnectMaxMs;
+    this.checkIntervalMs = checkIntervalMs;
+    this.pageTimeoutMs = pageTimeoutMs;
+    this.startTimeoutMs = startTimeoutMs;
+    this.maxHeapMb = maxHeapMb;
+    this.pairingPhoneNumber = pairingPhoneNumber;
+    this.label = `WhatsApp client '${clientId}'`;
+
+    /** @type {ClientState} */
+    this.state = 'stopped';
+    this.stateSince = new Date();
+    // Since when the client has been starting or restarting without becoming
+    // ready or waiting to be linked
+    this.recoveringSince = null;
+    // Connection state reported by WhatsApp Web, e.g. 'CONNECTED'
+    this.whatsappState = null;
+    this.readySince = null;
+    this.failures = 0;
+    this.restarts = 0;
+    this.lastRestart = null;
+    this.lastError = null;
+    this.lastCheck = null;
+    this.restartTimer = null;
+    this.nextRestartAt = null;
+    this.checkTimer = null;
+    this.restarting = false;
+    this.checking = false;
+    // Counts launches, so a start that failed after a newer one began is
+    // not acted on
+    this.launches = 0;
+    // Browsers whose exit is watched, and those closed on purpose
+    this.watchedBrowsers = new WeakSet();
+    this.closedBrowsers = new WeakSet();
+    // Latest QR code and pairing code, while the number is not linked
+    this.qr = null;
+    this.pairingCode = null;
+    this.pairingCodeRequested = false;
+    this.authFailure = null;
+
+    this.listen();
+  }
+
+  /**
+   * Follow the client's events
+   * @private
+   */
+  listen() {
+    this.client.on('qr', (qr) => {
+      this.watchBrowser();
+      this.qr = { value: qr, at: new Date().toISOString() };
+      this.setState('qr');
+      this.requestPairingCode();
+    });
+    this.client.on('authenticated', () => {
+      this.watchBrowser();
+      this.clearLinking();
+      this.authFailure = null;
+      this.setState('authenticated');
+    });
+    this.client.on('auth_failure', (message) => {
+      this.lastError = `Authentication failed: ${message}`;
+      this.authFailure = { message, at: new Date().toISOString() };
+    });
+    this.client.on('ready', () => {
+      this.watchBrowser();
+      this.failures = 0;
+      this.readySince = new Date();
+      this.whatsappState = 'CONNECTED';
+      this.setState('ready');
+    });
+    this.client.on('change_state', (state) => {
+      this.whatsappState = state;
+    });
+    this.client.on('disconnected', (reason) => {
+      this.readySince = null;
+      this.whatsappState = reason;
+      if (this.state === 'logging_out') return;
+      // After a logout the client loads WhatsApp Web again by itself and
+      // shows a new QR code
+      if (reason === 'LOGOUT') {
+        this.clearLinking();
+        this.setState('starting');
+        return;
+      }
+      this.scheduleRestart(`Disconnected: ${reason}`);
+    });
+  }
+
+  /**
+   * Ask WhatsApp Web for a pairing code, once per linking, as another way
+   * to link the number than scanning the QR code
+   * @private
+   */
+  async requestPairingCode() {
+    if (!this.pairingPhoneNumber || this.pairingCodeRequested) return;
+    this.pairingCodeRequested = true;
+
+    try {
+      console.info('Requesting pairing code for:', this.pairingPhoneNumber);
+      const code = await withTimeout(
+        this.client.requestPairingCode(this.pairingPhoneNumber),
+        this.pageTimeoutMs,
+        'WhatsApp Web',
+      );
+      this.pairingCode = { code, at: new Date().toISOString() };
+      console.info('Pairing code enabled, code: ' + code);
+    } catch (error) {
+      console.error('Error requesting pairing code:', error);
+      console.info('Falling back to QR code method');
+      // Tried again with the next QR code
+      this.pairingCodeRequested = false;
+    }
+  }
+
+  /**
+   * Forget the QR and pairing codes, once linked or to link again
+   * @private
+   */
+  clearLinking() {
+    this.qr = null;
+    this.pairingCode = null;
+    this.pairingCodeRequested = false;
+  }
+
+  /**
+   * @private
+   */
+  setState(state) {
+    if (this.state === state) return;
+    console.info(`${this.label}: ${this.state} -> ${state}`);
+    this.state = state;
+    this.stateSince = new Date();
+
+    if (!RECOVERING_STATES.includes(state)) {
+      this.recoveringSince = null;
+    } else if (!this.recoveringSince) {
+      this.recoveringSince = this.stateSince;
+    }
+  }
+
+  /**
+   * Start the client and the checks
+   */
+  start() {
+    if (this.checkTimer) return;
+
+    this.checkTimer = setInterval(() => {
+      this.check().catch((error) =>
+        console.error(`Error checking ${this.label}: `, error),
+      );
+    }, this.checkIntervalMs);
+    this.checkTimer.unref();
+    this.launch();
+  }
+
+  /**
+   * Stop the checks and restarts; the client itself is destroyed by the
+   * caller
+   */
+  stop() {
+    clearInterval(this.checkTimer);
+    clearTimeout(this.restartTimer);
+    this.checkTimer = null;
+    this.restartTimer = null;
+    this.setState('stopped');
+  }
+
+  /**
+   * Whether the client can send messages now
+   * @returns {boolean}
+   */
+  isReady() {
+    return this.state === 'ready';
+  }
+
+  /**
+   * Whether the client has been starting or restarting for longer than
+   * graceMs without becoming ready or waiting to be linked
+   * @param {number} graceMs
+   * @returns {boolean}
+   */
+  isStuck(graceMs) {
+    return (
+      Boolean(this.recoveringSince) &&
+      Date.now() - this.recoveringSince.getTime() > graceMs
+    );
+  }
+
+  /**
+   * The live state, for /health and the admin API
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      since: this.stateSince.toISOString(),
+      recoveringSince: this.recoveringSince?.toISOString() ?? null,
+      whatsappState: this.whatsappState,
+      readySince: this.readySince?.toISOString() ?? null,
+      failures: this.failures,
+      restarts: this.restarts,
+      lastRestart: this.lastRestart,
+      nextRestartAt: this.nextRestartAt?.toISOString() ?? null,
+      lastError: this.lastError,
+      lastCheck: this.lastCheck,
+    };
+  }
+
+  /**
+   * What the admin page needs to link the number: the QR code and pairing
+   * code while it is not linked, and the linked account once it is
+   * @returns {Object}
+   */
+  getLinking() {
+    const linked = ['authenticated', 'ready'].includes(this.state);
+    const info = this.state === 'ready' ? this.client.info : null;
+
+    return {
+      state: this.state,
+      since: this.stateSince.toISOString(),
+      linked,
+      account: info
+        ? { phoneNumber: info.wid?.user ?? null, name: info.pushname ?? null }
+        : null,
+      qr: this.state === 'qr' ? this.qr : null,
+      pairingCode: this.state === 'qr' ? this.pairingCode : null,
+      pairingPhoneNumber: this.pairingPhoneNumber || null,
+      authFailure: this.authFailure,
+      lastError: this.lastError,
+    };
+  }
+
+  /**
+   * Unlink the number: log out of WhatsApp Web and delete the saved
+   * session. With relink the client starts again and shows a new QR code;
+   * without, it stays logged out until relinked or restarted.
+   * @param {Object} [options]
+   * @param {boolean} [options.relink=false]
+   * @returns {Promise<void>}
+   */
+  async logout({ relink = false } = {}) {
+    if (this.state === 'stopped' || this.state === 'logging_out') return;
+    if (this.restarting) return;
+    if (this.state === 'logged_out') {
+      if (relink) this.launch();
+      return;
+    }
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    this.nextRestartAt = null;
+    this.setState('logging_out');
+    this.readySince = null;
+    this.whatsappState = null;
+
+    const browser = this.client.pupBrowser;
+    if (browser) this.closedBrowsers.add(browser);
+    try {
+      // Needs WhatsApp Web to be loaded
+      if (!this.client.pupPage) throw new Error('WhatsApp Web is not open');
+      await withTimeout(this.client.logout(), this.pageTimeoutMs, 'Logout');
+    } catch (error) {
+      // Not linked, or the page did not answer: close Chromium and delete
+      // the session anyway
+      console.error('Error logging out, deleting the session: ', error.message);
+      await this.closeBrowser();
+      await this.client.authStrategy
+        ?.logout()
+        .catch((e) => console.error('Error deleting the session: ', e));
+    }
+
+    console.warn(`${this.label} logged out`);
+    this.clearLinking();
+    this.authFailure = null;
+    this.failures = 0;
+    // Unless shut down meanwhile
+    if (this.state !== 'logging_out') return;
+    if (relink) {
+      this.launch();
+    } else {
+      this.setState('logged_out');
+    }
+  }
+
+  /**
+   * Initialize the client; a failure schedules a restart
+   * @private
+   */
+  launch() {
+    this.setState('starting');
+    const launch = ++this.launches;
+    this.client
+      .initialize()
+      .then(() => this.watchBrowser())
+      .catch((error) => {
+        if (launch !== this.launches) return;
+        this.lastError = error.message;
+        this.scheduleRestart(`Start failed: ${error.message}`);
+      });
+  }
+
+  /**
+   * Restart when Chromium exits or crashes
+   * @private
+   */
+  watchBrowser() {
+    const browser = this.client.pupBrowser;
+    if (!browser || this.watchedBrowsers.has(browser)) return;
+
+    this.watchedBrowsers.add(browser);
+    browser.on('disconnected', () => {
+      // Closed by a restart or shutdown, or crashed
+      if (this.closedBrowsers.has(browser) || this.state === 'stopped') return;
+      this.scheduleRestart('Chromium exited');
+    });
+  }
+
+  /**
+   * Restart after the backoff delay, unless one is already scheduled
+   * @param {string} reason
+   * @private
+   */
+  scheduleRestart(reason) {
+    if (
+      ['stopped', 'logging_out', 'logged_out'].includes(this.state) ||
+      this.restartTimer ||
+      this.restarting
+    ) {
+      return;
+    }
+
+    const delay = Math.min(
+      this.reconnectBaseMs * 2 ** this.failures,
+      this.reconnectMaxMs,
+    );
+    this.failures += 1;
+    this.nextRestartAt = new Date(Date.now() + delay);
+    this.setState('disconnected');
+    console.warn(`${this.label} restarts in ${delay}ms: ${reason}`);
+
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      this.nextRestartAt = null;
+      this.restart(reason).catch((error) =>
+        console.error(`Error restarting ${this.label}: `, error),
+      );
+    }, delay);
+  }
+
+  /**
+   * Close Chromium and start the client again now
+   * @param {string} reason - Kept in the status
+   * @returns {Promise<void>}
+   */
+  async restart(reason) {
+    if (
+      this.restarting ||
+      this.state === 'stopped' ||
+      this.state === 'logging_out'
+    ) {
+      return;
+    }
+    this.restarting = true;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    this.nextRestartAt = null;
+
+    try {
+      this.setState('restarting');
+      this.restarts += 1;
+      this.lastRestart = { reason, at: new Date().toISOString() };
+      this.readySince = null;
+      this.whatsappState = null;
+      console.warn(`Restarting ${this.label}: ${reason}`);
+
+      await this.closeBrowser();
+    } finally {
+      this.restarting = false;
+    }
+    // Unless shut down meanwhile
+    if (this.state === 'restarting') this.launch();
+  }
+
+  /**
+   * Close Chromium, killing it when it does not close in time
+   * @private
+   */
+  async closeBrowser() {
+    const browser = this.client.pupBrowser;
+    if (!browser) return;
+
+    this.closedBrowsers.add(browser);
+    try {
+      await withTimeout(this.client.destroy(), this.pageTimeoutMs, 'Chromium');
+    } catch (error) {
+      console.error('Error closing Chromium, killing it: ', error.message);
+      browser.process()?.kill('SIGKILL');
+    }
+  }
+
+  /**
+   * Restart a client that is stuck starting, does not answer or has grown
+   * too large
+   * @returns {Promise<void>}
+   */
+  async check() {
+    if (this.checking || this.restarting || this.restartTimer) return;
+    this.checking = true;
+
+    try {
+      const stuck =
+        this.state === 'starting' &&
+        Date.now() - this.stateSince.getTime() > this.startTimeoutMs;
+      if (stuck) {
+        this.scheduleRestart('Start timed out');
+        return;
+      }
+      if (this.state !== 'ready') return;
+
+      const page = this.client.pupPage;
+      let heapMb;
+      try {
+        this.whatsappState = await withTimeout(
+          this.client.getState(),
+          this.pageTimeoutMs,
+          'WhatsApp Web',
+        );
+        const metrics = await withTimeout(
+          page.metrics(),
+          this.pageTimeoutMs,
+          'WhatsApp Web',
+        );
+        heapMb = Math.round(metrics.JSHeapUsedSize / 1024 / 1024);
+      } catch (error) {
+        this.lastError = error.message;
+        this.scheduleRestart(`Page not answering: ${error.message}`);
+        return;
+      }
+
+      this.lastCheck = { at: new Date().toISOString(), heapMb };
+      if (this.maxHeapMb > 0 && heapMb > this.maxHeapMb) {
+        this.scheduleRestart(
+          `WhatsApp Web uses ${heapMb} MB, over ${this.maxHeapMb} MB`,
+        );
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+}
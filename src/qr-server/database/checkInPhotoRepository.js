@@ -0,0 +1,66 @@
+import errorHandler from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+import DatabaseConnection from './connection.js';
+
+const { DatabaseErrorHandler } = errorHandler;
+
+class CheckInPhotoRepository {
+  constructor(dbConnection = null) {
+    this.dbConnection = dbConnection || new DatabaseConnection();
+  }
+
+  /**
+   * Run a query and wrap failures the same way for every method
+   * @private
+   */
+  async _query(method, operation, sql, params = []) {
+    try {
+      return await this.dbConnection[method](sql, params);
+    } catch (error) {
+      logger.logSystemError('check_in_photo_repository', error, {
+        operation,
+      });
+      throw DatabaseErrorHandler.handleQueryError(error, sql, params);
+    }
+  }
+
+  /**
+   * Store the photo a check-in was made with, replacing any earlier one
+   * @param {string} checkInId - Check-in ID
+   * @param {Object} photo
+   * @param {string} photo.mimeType - e.g. 'image/jpeg'
+   * @param {Buffer} photo.data - Image bytes
+   * @returns {Promise<boolean>} - False when there is no such check-in
+   */
+  async savePhoto(checkInId, { mimeType, data }) {
+    const result = await this._query(
+      'run',
+      'savePhoto',
+      `INSERT INTO check_in_photos (check_in_id, mime_type, data, created_at)
+       SELECT id, ?, ?, ? FROM check_ins WHERE id = ?
+       ON CONFLICT(check_in_id) DO UPDATE SET
+         mime_type = excluded.mime_type,
+         data = excluded.data,
+         created_at = excluded.created_at`,
+      [mimeType, data, new Date().toISOString(), checkInId],
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * @param {string} checkInId - Check-in ID
+   * @returns {Promise<{ mime_type: string, data: Buffer, created_at: string }|undefined>}
+   */
+  async getPhoto(checkInId) {
+    return this._query(
+      'get',
+      'getPhoto',
+      `SELECT check_in_id, mime_type, data, created_at
+       FROM check_in_photos WHERE check_in_id = ?`,
+      [checkInId],
+    );
+  }
+}
+
+export default CheckInPhotoRepository;
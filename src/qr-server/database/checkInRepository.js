@@ -3,6 +3,59 @@ const { DatabaseErrorHandler } = errorHandler;
 import logger from '../utils/logger.js';
 
 import DatabaseConnection from './connection.js';
+import { VALIDATION_STATUSES } from './schema.js';
+
+/**
+ * SQL conditions limiting check-ins to the current members of a group, to one
+ * session and/or to one person
+ * @param {Object} filter
+ * @param {string} [filter.groupId] - Group ID
+ * @param {string} [filter.sessionId] - Session ID
+ * @param {string} [filter.phoneNumber] - Normalized phone number
+ * @returns {{ sql: string, params: Array }}
+ */
+const checkInFilter = ({ groupId, sessionId, phoneNumber }) => {
+    const conditions = [];
+    const params = [];
+
+    if (groupId) {
+        conditions.push('AND phone_number IN (SELECT phone_number FROM group_members WHERE group_id = ?)');
+        params.push(groupId);
+    }
+    if (sessionId) {
+        conditions.push('AND session_id = ?');
+        params.push(sessionId);
+    }
+    if (phoneNumber) {
+        conditions.push('AND phone_number = ?');
+        params.push(phoneNumber);
+    }
+
+    return { sql: conditions.join(' '), params };
+};
+
+/**
+ * SQL condition limiting a phone number column to the members of some groups
+ * @param {string} column - e.g. 'people.phone_number'
+ * @param {string[]|null} groupIds - Group IDs, null for everyone
+ * @returns {{ sql: string, params: Array }}
+ */
+const groupsFilter = (column, groupIds) => {
+    if (!groupIds) return { sql: '', params: [] };
+
+    return {
+        sql: `AND ${column} IN (SELECT phone_number FROM group_members WHERE group_id IN (${groupIds.map(() => '?').join(', ')}))`,
+        params: groupIds
+    };
+};
+
+/**
+ * Check-in counts by validation status, all zero
+ */
+const emptyStats = () => ({
+    total: 0,
+    ...Object.fromEntries(VALIDATION_STATUSES.map(status => [status, 0]))
+});
 
 class CheckInRepository {
     constructor(dbConnection = null) {
@@ -15,12 +68,29 @@ class CheckInRepository {
      * @param {string} otp - OTP used for check-in
      * @param {string} validationStatus - 'valid', 'expired', or 'invalid'
      * @param {Date} timestamp - Check-in timestamp
+     * @param {Object} details - Optional details about the check-in
+     * @param {string|null} details.locationId - Location whose code matched
+     * @param {number|null} details.otpSlot - Time slot of the matched code
+     * @param {string} details.eventType - 'check_in' or 'check_out'
+     * @param {string|null} details.attendanceStatus - Derived status (on_time, late, ...)
+     * @param {string|null} details.scheduleId - Schedule entry used to derive the status
+     * @param {string|null} details.sessionId - Session the check-in was made in
+     * @param {string|null} details.whatsappClientId - WhatsApp client the code was sent to
      * @returns {Promise<string>} - Check-in ID
      */
-    async recordCheckIn(phoneNumber, otp, validationStatus, timestamp = new Date()) {
+    async recordCheckIn(phoneNumber, otp, validationStatus, timestamp = new Date(), details = {}) {
+        const {
+            locationId = null,
+            otpSlot = null,
+            eventType = 'check_in',
+            attendanceStatus = null,
+            scheduleId = null,
+            sessionId = null,
+            whatsappClientId = null
+        } = details;
         const sql = `
-            INSERT INTO check_ins (phone_number, otp, validation_status, timestamp)
-            VALUES (?, ?, ?, ?)
+            INSERT INTO check_ins (phone_number, otp, validation_status, timestamp, location_id, otp_slot, event_type, attendance_status, schedule_id, session_id, whatsapp_client_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
         
         try {
@@ -36,7 +106,14 @@ class CheckInRepository {
                 phoneNumber,
                 otp,
                 validationStatus,
-                timestamp.toISOString()
+                timestamp.toISOString(),
+                locationId,
+                otpSlot,
+                eventType,
+                attendanceStatus,
+                scheduleId,
+                sessionId,
+                whatsappClientId
             ]);
             
             // Get the inserted record to return the ID
@@ -53,6 +130,8 @@ class CheckInRepository {
                 checkinId: insertedRecord.id,
                 phoneNumber: logger.maskPhoneNumber(phoneNumber),
                 validationStatus,
+                locationId,
+                sessionId,
                 duration: result.duration
             });
             
@@ -66,7 +145,57 @@ class CheckInRepository {
                 error
             });
             
-            throw DatabaseErrorHandler.handleQueryError(error, sql, [phoneNumber, otp, validationStatus, timestamp.toISOString()]);
+            throw DatabaseErrorHandler.handleQueryError(error, sql, [phoneNumber, otp, validationStatus, timestamp.toISOString(), locationId, otpSlot, eventType, attendanceStatus, scheduleId, sessionId]);
+        }
+    }
+
+    /**
+     * Find an earlier valid event of the same type that makes a new one a
+     * duplicate: the same code slot at the same location (a replayed code), or
+     * any valid event within the cooldown window
+     * @param {string} phoneNumber - User's phone number
+     * @param {Object} criteria
+     * @param {string|null} criteria.locationId - Location whose code matched
+     * @param {number|null} criteria.otpSlot - Time slot of the matched code
+     * @param {Date} criteria.timestamp - Time of the new check-in
+     * @param {number} criteria.cooldownMs - Cooldown window (0 disables)
+     * @param {string} [criteria.eventType='check_in'] - 'check_in' or 'check_out'
+     * @returns {Promise<Object|undefined>} - The earlier check-in, if any
+     */
+    async findDuplicateCheckIn(phoneNumber, { locationId, otpSlot, timestamp, cooldownMs, eventType = 'check_in' }) {
+        const cooldownStart = new Date(timestamp.getTime() - cooldownMs);
+        const sql = `
+            SELECT id, phone_number, otp, validation_status, timestamp, location_id, otp_slot, event_type, created_at
+            FROM check_ins
+            WHERE phone_number = ?
+              AND validation_status = 'valid'
+              AND event_type = ?
+              AND (
+                (location_id IS ? AND otp_slot = ?)
+                OR (? > 0 AND timestamp >= ? AND timestamp <= ?)
+              )
+            ORDER BY timestamp DESC
+            LIMIT 1
+        `;
+        const params = [
+            phoneNumber,
+            eventType,
+            locationId,
+            otpSlot,
+            cooldownMs,
+            cooldownStart.toISOString(),
+            timestamp.toISOString()
+        ];
+
+        try {
+            return await this.dbConnection.get(sql, params);
+        } catch (error) {
+            logger.logSystemError('checkin_repository', error, {
+                operation: 'findDuplicateCheckIn',
+                phoneNumber: logger.maskPhoneNumber(phoneNumber)
+            });
+
+            throw DatabaseErrorHandler.handleQueryError(error, sql, params);
         }
     }
 
@@ -74,23 +203,29 @@ class CheckInRepository {
      * Get check-ins for a specific date range with error handling
      * @param {Date} startDate - Start date (inclusive)
      * @param {Date} endDate - End date (inclusive)
+     * @param {Object} [options]
+     * @param {string} [options.groupId] - Only check-ins of this group's members
+     * @param {string} [options.sessionId] - Only check-ins made in this session
      * @returns {Promise<Array>} - Array of check-in records
      */
-    async getCheckInsByDateRange(startDate, endDate) {
+    async getCheckInsByDateRange(startDate, endDate, { groupId, sessionId } = {}) {
+        const filter = checkInFilter({ groupId, sessionId });
         const sql = `
-            SELECT id, phone_number, otp, validation_status, timestamp, created_at
+            SELECT id, phone_number, otp, validation_status, timestamp, location_id, event_type, attendance_status, session_id, whatsapp_client_id, created_at
             FROM check_ins
-            WHERE DATE(timestamp) BETWEEN DATE(?) AND DATE(?)
+            WHERE DATE(timestamp) BETWEEN DATE(?) AND DATE(?) ${filter.sql}
             ORDER BY timestamp DESC
         `;
         
         try {
-            const params = [startDate.toISOString(), endDate.toISOString()];
+            const params = [startDate.toISOString(), endDate.toISOString(), ...filter.params];
             const results = await this.dbConnection.all(sql, params);
             
             logger.debug('Retrieved check-ins by date range', {
                 startDate: startDate.toISOString(),
                 endDate: endDate.toISOString(),
+                groupId,
+                sessionId,
                 count: results.length
             });
             
@@ -102,7 +237,175 @@ class CheckInRepository {
                 endDate: endDate.toISOString()
             });
             
-            throw DatabaseErrorHandler.handleQueryError(error, sql, [startDate.toISOString(), endDate.toISOString()]);
+            throw DatabaseErrorHandler.handleQueryError(error, sql, [startDate.toISOString(), endDate.toISOString(), ...filter.params]);
+        }
+    }
+
+    /**
+     * Iterate over the check-ins between two instants, oldest first, reading
+     * them in batches so large ranges never sit in memory at once
+     * @param {Object} criteria
+     * @param {Date} criteria.from - Start (inclusive)
+     * @param {Date} criteria.to - End (exclusive)
+     * @param {string} [criteria.groupId] - Only check-ins of this group's members
+     * @param {string} [criteria.sessionId] - Only check-ins made in this session
+     * @param {string} [criteria.phoneNumber] - Only check-ins of this person
+     * @param {boolean} [criteria.validOnly=false] - Only valid check-ins
+     * @param {number} [criteria.batchSize=1000] - Rows read per query
+     * @returns {AsyncGenerator<Object>} - Check-in records
+     */
+    async *iterateCheckIns({ from, to, groupId, sessionId, phoneNumber, validOnly = false, batchSize = 1000 }) {
+        const filter = checkInFilter({ groupId, sessionId, phoneNumber });
+        let after = null;
+
+        while (true) {
+            // Continue after the last row read; timestamps can repeat, ids cannot
+            const sql = `
+                SELECT id, phone_number, otp, validation_status, timestamp, location_id, event_type, attendance_status, schedule_id, session_id, whatsapp_client_id, created_at
+                FROM check_ins
+                WHERE timestamp >= ? AND timestamp < ?
+                  ${validOnly ? "AND validation_status = 'valid'" : ''}
+                  ${after ? 'AND (timestamp > ? OR (timestamp = ? AND id > ?))' : ''}
+                  ${filter.sql}
+                ORDER BY timestamp ASC, id ASC
+                LIMIT ?
+            `;
+            const params = [
+                from.toISOString(),
+                to.toISOString(),
+                ...(after ? [after.timestamp, after.timestamp, after.id] : []),
+                ...filter.params,
+                batchSize
+            ];
+
+            let rows;
+            try {
+                rows = await this.dbConnection.all(sql, params);
+            } catch (error) {
+                logger.logSystemError('checkin_repository', error, {
+                    operation: 'iterateCheckIns',
+                    from: from.toISOString(),
+                    to: to.toISOString()
+                });
+
+                throw DatabaseErrorHandler.handleQueryError(error, sql, params);
+            }
+
+            yield* rows;
+            if (rows.length < batchSize) return;
+            after = rows[rows.length - 1];
+        }
+    }
+
+    /**
+     * Get valid events of one type between two instants, oldest first
+     * @param {Object} criteria
+     * @param {Date} criteria.from - Start (inclusive)
+     * @param {Date} criteria.to - End (exclusive)
+     * @param {string} [criteria.eventType='check_in'] - 'check_in' or 'check_out'
+     * @returns {Promise<Array>} - Array of check-in records
+     */
+    async getValidEvents({ from, to, eventType = 'check_in' }) {
+        const sql = `
+            SELECT id, phone_number, timestamp, location_id, event_type, attendance_status, schedule_id
+            FROM check_ins
+            WHERE validation_status = 'valid'
+              AND event_type = ?
+              AND timestamp >= ? AND timestamp < ?
+            ORDER BY timestamp ASC
+        `;
+        const params = [eventType, from.toISOString(), to.toISOString()];
+
+        try {
+            return await this.dbConnection.all(sql, params);
+        } catch (error) {
+            logger.logSystemError('checkin_repository', error, {
+                operation: 'getValidEvents',
+                from: from.toISOString(),
+                to: to.toISOString()
+            });
+
+            throw DatabaseErrorHandler.handleQueryError(error, sql, params);
+        }
+    }
+
+    /**
+     * Check-ins held because the number was not on the roster, grouped by
+     * phone number
+     * @returns {Promise<Array>} - { phone_number, held, first_at, last_at }
+     */
+    async getHeldPhoneNumbers() {
+        const sql = `
+            SELECT phone_number, COUNT(*) AS held, MIN(timestamp) AS first_at, MAX(timestamp) AS last_at
+            FROM check_ins
+            WHERE validation_status = 'held'
+            GROUP BY phone_number
+            ORDER BY first_at ASC
+        `;
+
+        try {
+            return await this.dbConnection.all(sql);
+        } catch (error) {
+            logger.logSystemError('checkin_repository', error, {
+                operation: 'getHeldPhoneNumbers'
+            });
+
+            throw DatabaseErrorHandler.handleQueryError(error, sql, []);
+        }
+    }
+
+    /**
+     * Held check-ins of one phone number, oldest first
+     * @param {string} phoneNumber - User's phone number
+     * @returns {Promise<Array>} - Array of check-in records
+     */
+    async getHeldCheckIns(phoneNumber) {
+        const sql = `
+            SELECT id, phone_number, timestamp, location_id, otp_slot, event_type, session_id
+            FROM check_ins
+            WHERE phone_number = ? AND validation_status = 'held'
+            ORDER BY timestamp ASC
+        `;
+
+        try {
+            return await this.dbConnection.all(sql, [phoneNumber]);
+        } catch (error) {
+            logger.logSystemError('checkin_repository', error, {
+                operation: 'getHeldCheckIns',
+                phoneNumber: logger.maskPhoneNumber(phoneNumber)
+            });
+
+            throw DatabaseErrorHandler.handleQueryError(error, sql, [phoneNumber]);
+        }
+    }
+
+    /**
+     * Change the status of a recorded check-in, e.g. when a held check-in is
+     * approved
+     * @param {string} id - Check-in ID
+     * @param {Object} changes
+     * @param {string} changes.validationStatus - New validation status
+     * @param {string|null} [changes.attendanceStatus] - Derived status
+     * @param {string|null} [changes.scheduleId] - Schedule entry used
+     * @returns {Promise<void>}
+     */
+    async updateCheckInStatus(id, { validationStatus, attendanceStatus = null, scheduleId = null }) {
+        const sql = `
+            UPDATE check_ins
+            SET validation_status = ?, attendance_status = ?, schedule_id = ?
+            WHERE id = ?
+        `;
+        const params = [validationStatus, attendanceStatus, scheduleId, id];
+
+        try {
+            await this.dbConnection.run(sql, params);
+        } catch (error) {
+            logger.logSystemError('checkin_repository', error, {
+                operation: 'updateCheckInStatus',
+                checkinId: id
+            });
+
+            throw DatabaseErrorHandler.handleQueryError(error, sql, params);
         }
     }
 
@@ -114,7 +417,7 @@ class CheckInRepository {
      */
     async getCheckInsByPhone(phoneNumber, limit = 100) {
         const sql = `
-            SELECT id, phone_number, otp, validation_status, timestamp, created_at
+            SELECT id, phone_number, otp, validation_status, timestamp, location_id, event_type, attendance_status, session_id, whatsapp_client_id, created_at
             FROM check_ins
             WHERE phone_number = ?
             ORDER BY timestamp DESC
@@ -143,22 +446,56 @@ class CheckInRepository {
         }
     }
 
+    /**
+     * The WhatsApp client a person last checked in through, so messages to
+     * them come from the number they use
+     * @param {string} phoneNumber - Normalized phone number
+     * @returns {Promise<string|null>} - Client id, or null if none is known
+     */
+    async getLastWhatsAppClientId(phoneNumber) {
+        const sql = `
+            SELECT whatsapp_client_id
+            FROM check_ins
+            WHERE phone_number = ? AND whatsapp_client_id IS NOT NULL
+            ORDER BY timestamp DESC
+            LIMIT 1
+        `;
+
+        try {
+            const row = await this.dbConnection.get(sql, [phoneNumber]);
+            return row?.whatsapp_client_id ?? null;
+        } catch (error) {
+            logger.logSystemError('checkin_repository', error, {
+                operation: 'getLastWhatsAppClientId',
+                phoneNumber: logger.maskPhoneNumber(phoneNumber)
+            });
+
+            throw DatabaseErrorHandler.handleQueryError(error, sql, [phoneNumber]);
+        }
+    }
+
     /**
      * Get today's check-ins with error handling
+     * @param {Object} [options]
+     * @param {string} [options.groupId] - Only check-ins of this group's members
+     * @param {string} [options.sessionId] - Only check-ins made in this session
      * @returns {Promise<Array>} - Array of today's check-in records
      */
-    async getTodaysCheckIns() {
+    async getTodaysCheckIns({ groupId, sessionId } = {}) {
+        const filter = checkInFilter({ groupId, sessionId });
         const sql = `
-            SELECT id, phone_number, otp, validation_status, timestamp, created_at
+            SELECT id, phone_number, otp, validation_status, timestamp, location_id, event_type, attendance_status, session_id, whatsapp_client_id, created_at
             FROM check_ins
-            WHERE DATE(timestamp) = DATE('now')
+            WHERE DATE(timestamp) = DATE('now') ${filter.sql}
             ORDER BY timestamp DESC
         `;
         
         try {
-            const results = await this.dbConnection.all(sql);
+            const results = await this.dbConnection.all(sql, filter.params);
             
             logger.debug('Retrieved today\'s check-ins', {
+                groupId,
+                sessionId,
                 count: results.length,
                 date: new Date().toISOString().split('T')[0]
             });
@@ -169,7 +506,7 @@ class CheckInRepository {
                 operation: 'getTodaysCheckIns'
             });
             
-            throw DatabaseErrorHandler.handleQueryError(error, sql, []);
+            throw DatabaseErrorHandler.handleQueryError(error, sql, filter.params);
         }
     }
 
@@ -177,26 +514,30 @@ class CheckInRepository {
      * Get check-in statistics for a date range with error handling
      * @param {Date} startDate - Start date
      * @param {Date} endDate - End date
+     * @param {Object} [options]
+     * @param {string} [options.groupId] - Only check-ins of this group's members
+     * @param {string} [options.sessionId] - Only check-ins made in this session
      * @returns {Promise<Object>} - Statistics object
      */
-    async getCheckInStats(startDate, endDate) {
+    async getCheckInStats(startDate, endDate, { groupId, sessionId } = {}) {
+        const filter = checkInFilter({ groupId, sessionId });
         const statusSql = `
             SELECT 
                 validation_status,
                 COUNT(*) as count
             FROM check_ins
-            WHERE DATE(timestamp) BETWEEN DATE(?) AND DATE(?)
+            WHERE DATE(timestamp) BETWEEN DATE(?) AND DATE(?) ${filter.sql}
             GROUP BY validation_status
         `;
         
         const uniqueUsersSql = `
             SELECT COUNT(DISTINCT phone_number) as unique_users
             FROM check_ins
-            WHERE DATE(timestamp) BETWEEN DATE(?) AND DATE(?)
+            WHERE DATE(timestamp) BETWEEN DATE(?) AND DATE(?) ${filter.sql}
         `;
         
         try {
-            const params = [startDate.toISOString(), endDate.toISOString()];
+            const params = [startDate.toISOString(), endDate.toISOString(), ...filter.params];
             
             const [statusResults, uniqueUsersResult] = await Promise.all([
                 this.dbConnection.all(statusSql, params),
@@ -204,10 +545,7 @@ class CheckInRepository {
             ]);
             
             const stats = {
-                total: 0,
-                valid: 0,
-                expired: 0,
-                invalid: 0,
+                ...emptyStats(),
                 uniqueUsers: uniqueUsersResult ? uniqueUsersResult.unique_users : 0,
                 dateRange: {
                     startDate: startDate.toISOString(),
@@ -233,10 +571,175 @@ class CheckInRepository {
                 endDate: endDate.toISOString()
             });
             
+            throw DatabaseErrorHandler.handleQueryError(error, statusSql, [startDate.toISOString(), endDate.toISOString(), ...filter.params]);
+        }
+    }
+
+    /**
+     * Get check-in statistics for every group over a date range. Check-ins
+     * count towards the groups their person is in now, so someone in two
+     * groups is counted in both.
+     * @param {Date} startDate - Start date
+     * @param {Date} endDate - End date
+     * @returns {Promise<Array>} - One statistics object per group, by name
+     */
+    async getCheckInStatsByGroup(startDate, endDate) {
+        const statusSql = `
+            SELECT 
+                group_members.group_id,
+                check_ins.validation_status,
+                COUNT(*) as count
+            FROM check_ins
+            JOIN group_members ON group_members.phone_number = check_ins.phone_number
+            WHERE DATE(check_ins.timestamp) BETWEEN DATE(?) AND DATE(?)
+            GROUP BY group_members.group_id, check_ins.validation_status
+        `;
+        
+        const groupsSql = `
+            SELECT 
+                groups.id,
+                groups.name,
+                (SELECT COUNT(*) FROM group_members
+                 WHERE group_members.group_id = groups.id) as members,
+                (SELECT COUNT(DISTINCT check_ins.phone_number)
+                 FROM check_ins
+                 JOIN group_members ON group_members.phone_number = check_ins.phone_number
+                 WHERE group_members.group_id = groups.id
+                   AND DATE(check_ins.timestamp) BETWEEN DATE(?) AND DATE(?)) as unique_users
+            FROM groups
+            ORDER BY groups.name COLLATE NOCASE
+        `;
+        
+        try {
+            const params = [startDate.toISOString(), endDate.toISOString()];
+            
+            const [statusResults, groupResults] = await Promise.all([
+                this.dbConnection.all(statusSql, params),
+                this.dbConnection.all(groupsSql, params)
+            ]);
+            
+            const groups = new Map(groupResults.map(row => [row.id, {
+                groupId: row.id,
+                name: row.name,
+                members: row.members,
+                ...emptyStats(),
+                uniqueUsers: row.unique_users
+            }]));
+            
+            statusResults.forEach(row => {
+                const stats = groups.get(row.group_id);
+                stats.total += row.count;
+                stats[row.validation_status] = row.count;
+            });
+            
+            logger.debug('Generated check-in statistics by group', {
+                groups: groups.size,
+                dateRange: `${startDate.toISOString()} to ${endDate.toISOString()}`
+            });
+            
+            return [...groups.values()];
+        } catch (error) {
+            logger.logSystemError('checkin_repository', error, {
+                operation: 'getCheckInStatsByGroup',
+                startDate: startDate.toISOString(),
+                endDate: endDate.toISOString()
+            });
+            
             throw DatabaseErrorHandler.handleQueryError(error, statusSql, [startDate.toISOString(), endDate.toISOString()]);
         }
     }
 
+    /**
+     * Attendance of everyone on the roster between two instants: how often
+     * they checked in, how often late, and whether their latest event was a
+     * check-in or a check-out. People who did not check in have a row too.
+     * @param {Object} criteria
+     * @param {Date} criteria.from - Start (inclusive)
+     * @param {Date} criteria.to - End (exclusive)
+     * @param {string[]|null} [criteria.groupIds=null] - Only the members of these groups
+     * @returns {Promise<Array>} - { phone_number, display_name, employee_id, check_ins, late, first_check_in_at, last_event_type, last_event_at }
+     */
+    async getRosterAttendance({ from, to, groupIds = null }) {
+        const filter = groupsFilter('people.phone_number', groupIds);
+        const sql = `
+            SELECT
+                people.phone_number,
+                people.display_name,
+                people.employee_id,
+                COUNT(check_ins.id) as check_ins,
+                COALESCE(SUM(check_ins.attendance_status IN ('late', 'half_day')), 0) as late,
+                MIN(check_ins.timestamp) as first_check_in_at,
+                latest.event_type as last_event_type,
+                latest.timestamp as last_event_at
+            FROM people
+            LEFT JOIN check_ins ON check_ins.phone_number = people.phone_number
+                AND check_ins.validation_status = 'valid'
+                AND check_ins.event_type = 'check_in'
+                AND check_ins.timestamp >= ? AND check_ins.timestamp < ?
+            LEFT JOIN check_ins as latest ON latest.id = (
+                SELECT id FROM check_ins
+                WHERE phone_number = people.phone_number
+                  AND validation_status = 'valid'
+                  AND timestamp >= ? AND timestamp < ?
+                ORDER BY timestamp DESC, id DESC
+                LIMIT 1
+            )
+            WHERE people.active = 1 AND people.status = 'approved' ${filter.sql}
+            GROUP BY people.phone_number
+            ORDER BY COALESCE(people.display_name, people.phone_number) COLLATE NOCASE
+        `;
+        const params = [from.toISOString(), to.toISOString(), from.toISOString(), to.toISOString(), ...filter.params];
+
+        try {
+            return await this.dbConnection.all(sql, params);
+        } catch (error) {
+            logger.logSystemError('checkin_repository', error, {
+                operation: 'getRosterAttendance',
+                from: from.toISOString(),
+                to: to.toISOString()
+            });
+
+            throw DatabaseErrorHandler.handleQueryError(error, sql, params);
+        }
+    }
+
+    /**
+     * Valid check-ins marked late or half day between two instants, oldest
+     * first, with the name of who made them
+     * @param {Object} criteria
+     * @param {Date} criteria.from - Start (inclusive)
+     * @param {Date} criteria.to - End (exclusive)
+     * @param {string[]|null} [criteria.groupIds=null] - Only the members of these groups
+     * @returns {Promise<Array>} - { id, phone_number, display_name, timestamp, attendance_status }
+     */
+    async getLateCheckIns({ from, to, groupIds = null }) {
+        const filter = groupsFilter('check_ins.phone_number', groupIds);
+        const sql = `
+            SELECT check_ins.id, check_ins.phone_number, people.display_name, check_ins.timestamp, check_ins.attendance_status
+            FROM check_ins
+            LEFT JOIN people ON people.phone_number = check_ins.phone_number
+            WHERE check_ins.validation_status = 'valid'
+              AND check_ins.event_type = 'check_in'
+              AND check_ins.attendance_status IN ('late', 'half_day')
+              AND check_ins.timestamp >= ? AND check_ins.timestamp < ?
+              ${filter.sql}
+            ORDER BY check_ins.timestamp ASC
+        `;
+        const params = [from.toISOString(), to.toISOString(), ...filter.params];
+
+        try {
+            return await this.dbConnection.all(sql, params);
+        } catch (error) {
+            logger.logSystemError('checkin_repository', error, {
+                operation: 'getLateCheckIns',
+                from: from.toISOString(),
+                to: to.toISOString()
+            });
+
+            throw DatabaseErrorHandler.handleQueryError(error, sql, params);
+        }
+    }
+
     /**
      * Delete old check-in records (for cleanup) with error handling
      * @param {number} daysOld - Delete records older than this many days
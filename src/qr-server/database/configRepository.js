@@ -101,6 +101,97 @@ class ConfigRepository {
   async setOtpSecret(newSecret) {
     await this.setConfig('otp_secret', newSecret);
   }
+
+  /**
+   * Get the stored attendance rules
+   * @returns {Promise<Object|null>} - Rules or null if never configured
+   */
+  async getAttendanceRules() {
+    const rules = await this.getConfig('attendance_rules');
+    return rules ? JSON.parse(rules) : null;
+  }
+
+  /**
+   * Store the attendance rules
+   * @param {Object} rules - Attendance rules
+   * @returns {Promise<void>}
+   */
+  async setAttendanceRules(rules) {
+    await this.setConfig('attendance_rules', JSON.stringify(rules));
+  }
+
+  /**
+   * Get the stored absence reminder settings
+   * @returns {Promise<Object|null>} - Settings or null when never changed
+   */
+  async getAbsenceNudgeSettings() {
+    const settings = await this.getConfig('absence_nudges');
+    return settings ? JSON.parse(settings) : null;
+  }
+
+  /**
+   * Store the absence reminder settings
+   * @param {Object} settings - Absence reminder settings
+   * @returns {Promise<void>}
+   */
+  async setAbsenceNudgeSettings(settings) {
+    await this.setConfig('absence_nudges', JSON.stringify(settings));
+  }
+
+  /**
+   * Get the stored export column mappings
+   * @returns {Promise<Object|null>} - Columns per report or null when never changed
+   */
+  async getExportColumns() {
+    const columns = await this.getConfig('export_columns');
+    return columns ? JSON.parse(columns) : null;
+  }
+
+  /**
+   * Store the export column mappings
+   * @param {Object} columns - Columns per report
+   * @returns {Promise<void>}
+   */
+  async setExportColumns(columns) {
+    await this.setConfig('export_columns', JSON.stringify(columns));
+  }
+
+  /**
+   * Get the stored payroll rules
+   * @returns {Promise<Object|null>} - Rules or null if never configured
+   */
+  async getPayrollRules() {
+    const rules = await this.getConfig('payroll_rules');
+    return rules ? JSON.parse(rules) : null;
+  }
+
+  /**
+   * Store the payroll rules
+   * @param {Object} rules - Payroll rules
+   * @returns {Promise<void>}
+   */
+  async setPayrollRules(rules) {
+    await this.setConfig('payroll_rules', JSON.stringify(rules));
+  }
+
+  /**
+   * Get the stored reply template settings
+   * @returns {Promise<Object|null>} - Default language and admin texts, or
+   *   null when never changed
+   */
+  async getReplyTemplates() {
+    const settings = await this.getConfig('reply_templates');
+    return settings ? JSON.parse(settings) : null;
+  }
+
+  /**
+   * Store the reply template settings
+   * @param {Object} settings - { defaultLanguage, overrides }
+   * @returns {Promise<void>}
+   */
+  async setReplyTemplates(settings) {
+    await this.setConfig('reply_templates', JSON.stringify(settings));
+  }
 }
 
 export default ConfigRepository;
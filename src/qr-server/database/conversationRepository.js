@@ -0,0 +1,120 @@
+import errorHandler from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+import DatabaseConnection from './connection.js';
+
+const { DatabaseErrorHandler } = errorHandler;
+
+const parseConversation = (row) =>
+  row && { ...row, data: row.data ? JSON.parse(row.data) : {} };
+
+class ConversationRepository {
+  constructor(dbConnection = null) {
+    this.dbConnection = dbConnection || new DatabaseConnection();
+  }
+
+  /**
+   * Run a query and wrap failures the same way for every method
+   * @private
+   */
+  async _query(method, operation, sql, params = []) {
+    try {
+      return await this.dbConnection[method](sql, params);
+    } catch (error) {
+      logger.logSystemError('conversation_repository', error, { operation });
+      throw DatabaseErrorHandler.handleQueryError(error, sql, params);
+    }
+  }
+
+  /**
+   * Get the conversation in progress with a user
+   * @param {string} userId - WhatsApp user id
+   * @param {Date} [now] - Conversations that expired before this are ignored
+   * @param {Object} [options]
+   * @param {boolean} [options.includeExpired=false] - Also return a
+   *   conversation that expired but has not been removed yet
+   * @returns {Promise<Object|undefined>} - Conversation with data parsed
+   */
+  async getConversation(
+    userId,
+    now = new Date(),
+    { includeExpired = false } = {},
+  ) {
+    const row = await this._query(
+      'get',
+      'getConversation',
+      `SELECT user_id, flow, step, data, expires_at, updated_at
+       FROM conversations WHERE user_id = ? AND (? OR expires_at > ?)`,
+      [userId, includeExpired ? 1 : 0, now.toISOString()],
+    );
+    return parseConversation(row);
+  }
+
+  /**
+   * Start or move on a conversation, replacing the one in progress
+   * @param {string} userId - WhatsApp user id
+   * @param {Object} conversation
+   * @param {string} conversation.flow - What the conversation is about
+   * @param {string} conversation.step - Where in the flow the user is
+   * @param {Object} [conversation.data] - Answers so far, stored as JSON
+   * @param {Date} conversation.expiresAt - When the conversation is dropped
+   * @returns {Promise<Object>} - Stored conversation
+   */
+  async saveConversation(userId, { flow, step, data = {}, expiresAt }) {
+    const now = new Date();
+    await this._query(
+      'run',
+      'saveConversation',
+      `INSERT INTO conversations (user_id, flow, step, data, expires_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(user_id) DO UPDATE SET
+         flow = excluded.flow,
+         step = excluded.step,
+         data = excluded.data,
+         expires_at = excluded.expires_at,
+         updated_at = excluded.updated_at`,
+      [
+        userId,
+        flow,
+        step,
+        JSON.stringify(data),
+        expiresAt.toISOString(),
+        now.toISOString(),
+      ],
+    );
+
+    return this.getConversation(userId, now);
+  }
+
+  /**
+   * End a conversation
+   * @param {string} userId - WhatsApp user id
+   * @returns {Promise<boolean>} - True if a conversation was removed
+   */
+  async deleteConversation(userId) {
+    const result = await this._query(
+      'run',
+      'deleteConversation',
+      'DELETE FROM conversations WHERE user_id = ?',
+      [userId],
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Remove conversations that have expired
+   * @param {Date} [now]
+   * @returns {Promise<number>} - Number of conversations removed
+   */
+  async deleteExpiredConversations(now = new Date()) {
+    const result = await this._query(
+      'run',
+      'deleteExpiredConversations',
+      'DELETE FROM conversations WHERE expires_at <= ?',
+      [now.toISOString()],
+    );
+    return result.changes;
+  }
+}
+
+export default ConversationRepository;
@@ -0,0 +1,175 @@
+import errorHandler from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+import DatabaseConnection from './connection.js';
+
+const { DatabaseErrorHandler } = errorHandler;
+
+const DISPLAY_COLUMNS = `
+  id, name, location_id, enrollment_expires_at, enrolled_at, last_seen_at,
+  revoked_at, created_at
+`;
+
+class DisplayRepository {
+  constructor(dbConnection = null) {
+    this.dbConnection = dbConnection || new DatabaseConnection();
+  }
+
+  /**
+   * Run a query and wrap failures the same way for every method
+   * @private
+   */
+  async _query(method, operation, sql, params = []) {
+    try {
+      return await this.dbConnection[method](sql, params);
+    } catch (error) {
+      logger.logSystemError('display_repository', error, { operation });
+      throw DatabaseErrorHandler.handleQueryError(error, sql, params);
+    }
+  }
+
+  /**
+   * Create a display waiting for enrollment
+   * @param {Object} display
+   * @param {string} display.name - Human readable name, e.g. "Room 3A screen"
+   * @param {string} display.locationId - Location the display shows codes for
+   * @param {string} display.enrollmentCodeHash - SHA-256 of the enrollment code
+   * @param {Date} display.enrollmentExpiresAt - When the enrollment code expires
+   * @returns {Promise<Object>} - Created display
+   */
+  async createDisplay({
+    name,
+    locationId,
+    enrollmentCodeHash,
+    enrollmentExpiresAt,
+  }) {
+    const result = await this._query(
+      'run',
+      'createDisplay',
+      `INSERT INTO displays (name, location_id, enrollment_code_hash, enrollment_expires_at)
+       VALUES (?, ?, ?, ?)`,
+      [name, locationId, enrollmentCodeHash, enrollmentExpiresAt.toISOString()],
+    );
+
+    return this._query(
+      'get',
+      'createDisplay',
+      `SELECT ${DISPLAY_COLUMNS} FROM displays WHERE rowid = ?`,
+      [result.lastID],
+    );
+  }
+
+  /**
+   * Get a display by id
+   * @param {string} id - Display id
+   * @returns {Promise<Object|undefined>}
+   */
+  async getDisplay(id) {
+    return this._query(
+      'get',
+      'getDisplay',
+      `SELECT ${DISPLAY_COLUMNS} FROM displays WHERE id = ?`,
+      [id],
+    );
+  }
+
+  /**
+   * List displays, newest first
+   * @param {Object} options
+   * @param {boolean} [options.includeRevoked=false]
+   * @returns {Promise<Array>}
+   */
+  async getDisplays({ includeRevoked = false } = {}) {
+    return this._query(
+      'all',
+      'getDisplays',
+      `SELECT ${DISPLAY_COLUMNS} FROM displays
+       ${includeRevoked ? '' : 'WHERE revoked_at IS NULL'}
+       ORDER BY created_at DESC`,
+    );
+  }
+
+  /**
+   * Find a display whose enrollment code is still usable
+   * @param {string} codeHash - SHA-256 of the enrollment code
+   * @returns {Promise<Object|undefined>}
+   */
+  async findPendingEnrollment(codeHash) {
+    return this._query(
+      'get',
+      'findPendingEnrollment',
+      `SELECT ${DISPLAY_COLUMNS} FROM displays
+       WHERE enrollment_code_hash = ?
+         AND enrolled_at IS NULL
+         AND revoked_at IS NULL
+         AND enrollment_expires_at > ?`,
+      [codeHash, new Date().toISOString()],
+    );
+  }
+
+  /**
+   * Complete enrollment by storing the display token hash
+   * @param {string} id - Display id
+   * @param {string} tokenHash - SHA-256 of the display token
+   * @returns {Promise<boolean>} - True if the display was enrolled
+   */
+  async completeEnrollment(id, tokenHash) {
+    const result = await this._query(
+      'run',
+      'completeEnrollment',
+      `UPDATE displays
+       SET token_hash = ?, enrollment_code_hash = NULL, enrolled_at = ?
+       WHERE id = ? AND enrolled_at IS NULL AND revoked_at IS NULL`,
+      [tokenHash, new Date().toISOString(), id],
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Find an enrolled, non-revoked display by token
+   * @param {string} tokenHash - SHA-256 of the display token
+   * @returns {Promise<Object|undefined>}
+   */
+  async findByToken(tokenHash) {
+    return this._query(
+      'get',
+      'findByToken',
+      `SELECT ${DISPLAY_COLUMNS} FROM displays
+       WHERE token_hash = ? AND revoked_at IS NULL`,
+      [tokenHash],
+    );
+  }
+
+  /**
+   * Record that a display fetched a code
+   * @param {string} id - Display id
+   * @returns {Promise<void>}
+   */
+  async touchLastSeen(id) {
+    await this._query(
+      'run',
+      'touchLastSeen',
+      'UPDATE displays SET last_seen_at = ? WHERE id = ?',
+      [new Date().toISOString(), id],
+    );
+  }
+
+  /**
+   * Revoke a display so its token stops working
+   * @param {string} id - Display id
+   * @returns {Promise<boolean>} - True if a display was revoked
+   */
+  async revokeDisplay(id) {
+    const result = await this._query(
+      'run',
+      'revokeDisplay',
+      `UPDATE displays
+       SET revoked_at = ?, token_hash = NULL, enrollment_code_hash = NULL
+       WHERE id = ? AND revoked_at IS NULL`,
+      [new Date().toISOString(), id],
+    );
+    return result.changes > 0;
+  }
+}
+
+export default DisplayRepository;
@@ -0,0 +1,386 @@
+import errorHandler from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+import DatabaseConnection from './connection.js';
+
+const { DatabaseErrorHandler } = errorHandler;
+
+const GROUP_COLUMNS = `
+  id, name, description, language, whatsapp_group_id, whatsapp_reply_mode,
+  created_at, updated_at,
+  (SELECT COUNT(*) FROM group_members
+   WHERE group_members.group_id = groups.id) AS member_count
+`;
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+class GroupRepository {
+  constructor(dbConnection = null) {
+    this.dbConnection = dbConnection || new DatabaseConnection();
+  }
+
+  /**
+   * Run a query and wrap failures the same way for every method
+   * @private
+   */
+  async _query(method, operation, sql, params = []) {
+    try {
+      return await this.dbConnection[method](sql, params);
+    } catch (error) {
+      logger.logSystemError('group_repository', error, { operation });
+      throw DatabaseErrorHandler.handleQueryError(error, sql, params);
+    }
+  }
+
+  /**
+   * Mark people as changed, so the next name list sync keeps their groups
+   * @private
+   */
+  async _touchPeople(phoneNumbers) {
+    if (phoneNumbers.length === 0) return;
+
+    await this._query(
+      'run',
+      'touchPeople',
+      `UPDATE people SET updated_at = ?
+       WHERE phone_number IN (${placeholders(phoneNumbers)})`,
+      [new Date().toISOString(), ...phoneNumbers],
+    );
+  }
+
+  /**
+   * Get a group with its member count
+   * @param {string} id - Group ID
+   * @returns {Promise<Object|undefined>}
+   */
+  async getGroup(id) {
+    return this._query(
+      'get',
+      'getGroup',
+      `SELECT ${GROUP_COLUMNS} FROM groups WHERE id = ?`,
+      [id],
+    );
+  }
+
+  /**
+   * Get the group a WhatsApp group chat is linked to
+   * @param {string} whatsappGroupId - Chat id, e.g. '120363025xxxxxx@g.us'
+   * @returns {Promise<Object|undefined>}
+   */
+  async getGroupByWhatsAppId(whatsappGroupId) {
+    return this._query(
+      'get',
+      'getGroupByWhatsAppId',
+      `SELECT ${GROUP_COLUMNS} FROM groups WHERE whatsapp_group_id = ?`,
+      [whatsappGroupId],
+    );
+  }
+
+  /**
+   * List all groups with their member counts
+   * @returns {Promise<Array>}
+   */
+  async getGroups() {
+    return this._query(
+      'all',
+      'getGroups',
+      `SELECT ${GROUP_COLUMNS} FROM groups ORDER BY name COLLATE NOCASE`,
+    );
+  }
+
+  /**
+   * Create a group
+   * @param {Object} group
+   * @param {string} group.id - Short id used in schedules and the name list
+   * @param {string} group.name - Display name, e.g. 'Class 3A'
+   * @param {string|null} [group.description]
+   * @param {string|null} [group.language] - Language of the bot's replies to
+   *   members without one of their own
+   * @param {string|null} [group.whatsappGroupId] - The group's WhatsApp chat,
+   *   where members may post their check-ins
+   * @param {string} [group.whatsappReplyMode='private'] - 'private' or 'group'
+   * @returns {Promise<Object>} - Stored group
+   */
+  async createGroup({
+    id,
+    name,
+    description = null,
+    language = null,
+    whatsappGroupId = null,
+    whatsappReplyMode = 'private',
+  }) {
+    const now = new Date().toISOString();
+    await this._query(
+      'run',
+      'createGroup',
+      `INSERT INTO groups (id, name, description, language, whatsapp_group_id,
+         whatsapp_reply_mode, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        name,
+        description,
+        language,
+        whatsappGroupId,
+        whatsappReplyMode,
+        now,
+        now,
+      ],
+    );
+    return this.getGroup(id);
+  }
+
+  /**
+   * Create the groups that do not exist yet, named after their id
+   * @param {string[]} ids - Group IDs
+   * @returns {Promise<void>}
+   */
+  async ensureGroups(ids) {
+    const now = new Date().toISOString();
+    for (const id of ids) {
+      await this._query(
+        'run',
+        'ensureGroups',
+        `INSERT OR IGNORE INTO groups (id, name, created_at, updated_at)
+         VALUES (?, ?, ?, ?)`,
+        [id, id, now, now],
+      );
+    }
+  }
+
+  /**
+   * Change the name, description, language and/or WhatsApp chat of a group
+   * @param {string} id - Group ID
+   * @param {Object} changes - name, description, language, whatsappGroupId
+   *   and/or whatsappReplyMode
+   * @returns {Promise<Object|undefined>} - Updated group, undefined if not found
+   */
+  async updateGroup(
+    id,
+    { name, description, language, whatsappGroupId, whatsappReplyMode },
+  ) {
+    const assignments = [];
+    const params = [];
+
+    if (name !== undefined) {
+      assignments.push('name = ?');
+      params.push(name);
+    }
+    if (description !== undefined) {
+      assignments.push('description = ?');
+      params.push(description);
+    }
+    if (language !== undefined) {
+      assignments.push('language = ?');
+      params.push(language);
+    }
+    if (whatsappGroupId !== undefined) {
+      assignments.push('whatsapp_group_id = ?');
+      params.push(whatsappGroupId);
+    }
+    if (whatsappReplyMode !== undefined) {
+      assignments.push('whatsapp_reply_mode = ?');
+      params.push(whatsappReplyMode);
+    }
+
+    if (assignments.length > 0) {
+      await this._query(
+        'run',
+        'updateGroup',
+        `UPDATE groups SET ${assignments.join(', ')}, updated_at = ?
+         WHERE id = ?`,
+        [...params, new Date().toISOString(), id],
+      );
+    }
+
+    return this.getGroup(id);
+  }
+
+  /**
+   * Delete a group and its memberships
+   * @param {string} id - Group ID
+   * @returns {Promise<boolean>} - True if a group was deleted
+   */
+  async deleteGroup(id) {
+    const members = await this.getMemberPhoneNumbers(id);
+    const result = await this._query(
+      'run',
+      'deleteGroup',
+      'DELETE FROM groups WHERE id = ?',
+      [id],
+    );
+    await this._touchPeople(members);
+    return result.changes > 0;
+  }
+
+  /**
+   * Phone numbers of a group's members
+   * @param {string} groupId - Group ID
+   * @returns {Promise<string[]>}
+   */
+  async getMemberPhoneNumbers(groupId) {
+    const rows = await this._query(
+      'all',
+      'getMemberPhoneNumbers',
+      'SELECT phone_number FROM group_members WHERE group_id = ?',
+      [groupId],
+    );
+    return rows.map((row) => row.phone_number);
+  }
+
+  /**
+   * Groups a person is in
+   * @param {string} phoneNumber - Normalized phone number
+   * @returns {Promise<string[]>} - Group IDs
+   */
+  async getGroupIds(phoneNumber) {
+    const rows = await this._query(
+      'all',
+      'getGroupIds',
+      `SELECT group_id FROM group_members WHERE phone_number = ?
+       ORDER BY group_id`,
+      [phoneNumber],
+    );
+    return rows.map((row) => row.group_id);
+  }
+
+  /**
+   * Phone numbers of the managers who may see a group's reports
+   * @param {string} groupId - Group ID
+   * @returns {Promise<string[]>}
+   */
+  async getManagers(groupId) {
+    const rows = await this._query(
+      'all',
+      'getManagers',
+      `SELECT phone_number FROM group_managers WHERE group_id = ?
+       ORDER BY phone_number`,
+      [groupId],
+    );
+    return rows.map((row) => row.phone_number);
+  }
+
+  /**
+   * Replace the managers of a group
+   * @param {string} groupId - Group ID
+   * @param {string[]} phoneNumbers - Normalized phone numbers
+   * @returns {Promise<void>}
+   */
+  async setManagers(groupId, phoneNumbers) {
+    await this._query(
+      'run',
+      'setManagers',
+      `DELETE FROM group_managers
+       WHERE group_id = ? AND phone_number NOT IN (${placeholders(phoneNumbers)})`,
+      [groupId, ...phoneNumbers],
+    );
+
+    const now = new Date().toISOString();
+    for (const phoneNumber of phoneNumbers) {
+      await this._query(
+        'run',
+        'setManagers',
+        `INSERT OR IGNORE INTO group_managers (group_id, phone_number, added_at)
+         VALUES (?, ?, ?)`,
+        [groupId, phoneNumber, now],
+      );
+    }
+  }
+
+  /**
+   * Groups a person manages
+   * @param {string} phoneNumber - Normalized phone number
+   * @returns {Promise<string[]>} - Group IDs
+   */
+  async getManagedGroupIds(phoneNumber) {
+    const rows = await this._query(
+      'all',
+      'getManagedGroupIds',
+      `SELECT group_id FROM group_managers WHERE phone_number = ?
+       ORDER BY group_id`,
+      [phoneNumber],
+    );
+    return rows.map((row) => row.group_id);
+  }
+
+  /**
+   * Add people to a group; people already in it are left alone
+   * @param {string} groupId - Group ID
+   * @param {string[]} phoneNumbers - Normalized phone numbers on the roster
+   * @returns {Promise<number>} - Number of people added
+   */
+  async addMembers(groupId, phoneNumbers) {
+    const now = new Date().toISOString();
+    let added = 0;
+
+    for (const phoneNumber of phoneNumbers) {
+      const result = await this._query(
+        'run',
+        'addMembers',
+        `INSERT OR IGNORE INTO group_members (group_id, phone_number, added_at)
+         VALUES (?, ?, ?)`,
+        [groupId, phoneNumber, now],
+      );
+      added += result.changes;
+    }
+
+    await this._touchPeople(phoneNumbers);
+    return added;
+  }
+
+  /**
+   * Remove people from a group
+   * @param {string} groupId - Group ID
+   * @param {string[]} phoneNumbers - Normalized phone numbers
+   * @returns {Promise<number>} - Number of people removed
+   */
+  async removeMembers(groupId, phoneNumbers) {
+    if (phoneNumbers.length === 0) return 0;
+
+    const result = await this._query(
+      'run',
+      'removeMembers',
+      `DELETE FROM group_members
+       WHERE group_id = ? AND phone_number IN (${placeholders(phoneNumbers)})`,
+      [groupId, ...phoneNumbers],
+    );
+
+    await this._touchPeople(phoneNumbers);
+    return result.changes;
+  }
+
+  /**
+   * Replace the groups a person is in. Unknown groups are created.
+   * @param {string} phoneNumber - Normalized phone number on the roster
+   * @param {string[]} groupIds - Group IDs
+   * @param {Object} [options]
+   * @param {boolean} [options.touch=true] - Mark the person as changed; the
+   *   name list sync does not, as the sheet is where the change came from
+   * @returns {Promise<void>}
+   */
+  async setGroups(phoneNumber, groupIds, { touch = true } = {}) {
+    await this.ensureGroups(groupIds);
+    await this._query(
+      'run',
+      'setGroups',
+      `DELETE FROM group_members
+       WHERE phone_number = ? AND group_id NOT IN (${placeholders(groupIds)})`,
+      [phoneNumber, ...groupIds],
+    );
+
+    const now = new Date().toISOString();
+    for (const groupId of groupIds) {
+      await this._query(
+        'run',
+        'setGroups',
+        `INSERT OR IGNORE INTO group_members (group_id, phone_number, added_at)
+         VALUES (?, ?, ?)`,
+        [groupId, phoneNumber, now],
+      );
+    }
+
+    if (touch) await this._touchPeople([phoneNumber]);
+  }
+}
+
+export default GroupRepository;
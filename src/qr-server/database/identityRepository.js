@@ -0,0 +1,62 @@
+import errorHandler from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+import DatabaseConnection from './connection.js';
+
+const { DatabaseErrorHandler } = errorHandler;
+
+class IdentityRepository {
+  constructor(dbConnection = null) {
+    this.dbConnection = dbConnection || new DatabaseConnection();
+  }
+
+  /**
+   * Run a query and wrap failures the same way for every method
+   * @private
+   */
+  async _query(method, operation, sql, params = []) {
+    try {
+      return await this.dbConnection[method](sql, params);
+    } catch (error) {
+      logger.logSystemError('identity_repository', error, { operation });
+      throw DatabaseErrorHandler.handleQueryError(error, sql, params);
+    }
+  }
+
+  /**
+   * The phone number a LID was resolved to
+   * @param {string} lid - WhatsApp LID, e.g. '123456789012345@lid'
+   * @returns {Promise<{ lid: string, phone_number: string, resolved_at: string }|undefined>}
+   */
+  async getIdentity(lid) {
+    return this._query(
+      'get',
+      'getIdentity',
+      `SELECT lid, phone_number, resolved_at
+       FROM whatsapp_identities WHERE lid = ?`,
+      [lid],
+    );
+  }
+
+  /**
+   * Remember the phone number behind a LID, replacing an earlier one
+   * @param {string} lid - WhatsApp LID
+   * @param {string} phoneNumber - Normalized phone number
+   * @returns {Promise<Object>} - Stored identity
+   */
+  async saveIdentity(lid, phoneNumber) {
+    await this._query(
+      'run',
+      'saveIdentity',
+      `INSERT INTO whatsapp_identities (lid, phone_number, resolved_at)
+       VALUES (?, ?, ?)
+       ON CONFLICT(lid) DO UPDATE SET
+         phone_number = excluded.phone_number,
+         resolved_at = excluded.resolved_at`,
+      [lid, phoneNumber, new Date().toISOString()],
+    );
+    return this.getIdentity(lid);
+  }
+}
+
+export default IdentityRepository;
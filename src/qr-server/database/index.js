@@ -2,15 +2,41 @@
  * Database module exports
  */
 
+import CheckInPhotoRepository from './checkInPhotoRepository.js';
 import CheckInRepository from './checkInRepository.js';
 import ConfigRepository from './configRepository.js';
 import DatabaseConnection from './connection.js';
+import ConversationRepository from './conversationRepository.js';
+import DisplayRepository from './displayRepository.js';
+import GroupRepository from './groupRepository.js';
+import IdentityRepository from './identityRepository.js';
+import LeaveRepository from './leaveRepository.js';
+import LocationRepository from './locationRepository.js';
+import OutboundMessageRepository from './outboundMessageRepository.js';
+import PeopleRepository from './peopleRepository.js';
+import ScheduledRunRepository from './scheduledRunRepository.js';
+import ScheduleRepository from './scheduleRepository.js';
 import { initializeSchema, dropSchema } from './schema.js';
+import SessionRepository from './sessionRepository.js';
+import ShiftRepository from './shiftRepository.js';
 
 export default {
   DatabaseConnection,
   CheckInRepository,
+  CheckInPhotoRepository,
   ConfigRepository,
+  ConversationRepository,
+  DisplayRepository,
+  GroupRepository,
+  IdentityRepository,
+  LeaveRepository,
+  LocationRepository,
+  OutboundMessageRepository,
+  PeopleRepository,
+  ScheduleRepository,
+  ScheduledRunRepository,
+  SessionRepository,
+  ShiftRepository,
   initializeSchema,
   dropSchema,
 };
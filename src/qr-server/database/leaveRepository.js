@@ -0,0 +1,154 @@
+import errorHandler from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+import DatabaseConnection from './connection.js';
+
+const { DatabaseErrorHandler } = errorHandler;
+
+const LEAVE_COLUMNS = `
+  id, code, phone_number, start_date, end_date, reason, status, decided_by,
+  decided_at, created_at, updated_at
+`;
+
+class LeaveRepository {
+  constructor(dbConnection = null) {
+    this.dbConnection = dbConnection || new DatabaseConnection();
+  }
+
+  /**
+   * Run a query and wrap failures the same way for every method
+   * @private
+   */
+  async _query(method, operation, sql, params = []) {
+    try {
+      return await this.dbConnection[method](sql, params);
+    } catch (error) {
+      logger.logSystemError('leave_repository', error, { operation });
+      throw DatabaseErrorHandler.handleQueryError(error, sql, params);
+    }
+  }
+
+  /**
+   * Create a pending leave request
+   * @param {Object} leave
+   * @param {string} leave.code - Short reference
+   * @param {string} leave.phoneNumber - Requester's phone number
+   * @param {string} leave.startDate - First day (YYYY-MM-DD)
+   * @param {string} leave.endDate - Last day (YYYY-MM-DD)
+   * @param {string|null} leave.reason - Free text
+   * @returns {Promise<Object>} - Created request
+   */
+  async createLeave({ code, phoneNumber, startDate, endDate, reason = null }) {
+    const result = await this._query(
+      'run',
+      'createLeave',
+      `INSERT INTO leave_requests (code, phone_number, start_date, end_date, reason)
+       VALUES (?, ?, ?, ?, ?)`,
+      [code, phoneNumber, startDate, endDate, reason],
+    );
+
+    return this._query(
+      'get',
+      'createLeave',
+      `SELECT ${LEAVE_COLUMNS} FROM leave_requests WHERE rowid = ?`,
+      [result.lastID],
+    );
+  }
+
+  /**
+   * Get a leave request by id or by its short code
+   * @param {string} idOrCode - Request id or code
+   * @returns {Promise<Object|undefined>}
+   */
+  async getLeave(idOrCode) {
+    return this._query(
+      'get',
+      'getLeave',
+      `SELECT ${LEAVE_COLUMNS} FROM leave_requests WHERE id = ? OR code = ?`,
+      [idOrCode, idOrCode.toUpperCase()],
+    );
+  }
+
+  /**
+   * List leave requests
+   * @param {Object} filter
+   * @param {string} [filter.phoneNumber] - Only this person's requests
+   * @param {string} [filter.status] - Only requests with this status
+   * @param {string} [filter.startDate] - Only requests ending on or after
+   * @param {string} [filter.endDate] - Only requests starting on or before
+   * @returns {Promise<Array>}
+   */
+  async getLeaves({ phoneNumber, status, startDate, endDate } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (phoneNumber) {
+      conditions.push('phone_number = ?');
+      params.push(phoneNumber);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (startDate) {
+      conditions.push('end_date >= ?');
+      params.push(startDate);
+    }
+    if (endDate) {
+      conditions.push('start_date <= ?');
+      params.push(endDate);
+    }
+
+    return this._query(
+      'all',
+      'getLeaves',
+      `SELECT ${LEAVE_COLUMNS} FROM leave_requests
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY start_date DESC, created_at DESC`,
+      params,
+    );
+  }
+
+  /**
+   * Pending or approved requests of a person that overlap a date range
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @returns {Promise<Array>}
+   */
+  async findOverlappingLeaves(phoneNumber, startDate, endDate) {
+    return this._query(
+      'all',
+      'findOverlappingLeaves',
+      `SELECT ${LEAVE_COLUMNS} FROM leave_requests
+       WHERE phone_number = ?
+         AND status IN ('pending', 'approved')
+         AND start_date <= ? AND end_date >= ?`,
+      [phoneNumber, endDate, startDate],
+    );
+  }
+
+  /**
+   * Record a decision or cancellation
+   * @param {string} id - Request id
+   * @param {Object} decision
+   * @param {string} decision.status - approved, rejected or cancelled
+   * @param {string|null} decision.decidedBy - Who decided
+   * @returns {Promise<Object|undefined>} - Updated request
+   */
+  async updateStatus(id, { status, decidedBy = null }) {
+    const now = new Date().toISOString();
+    await this._query(
+      'run',
+      'updateStatus',
+      `UPDATE leave_requests
+       SET status = ?, decided_by = ?, decided_at = ?, updated_at = ?
+       WHERE id = ?`,
+      [status, decidedBy, now, now, id],
+    );
+
+    return this.getLeave(id);
+  }
+}
+
+export default LeaveRepository;
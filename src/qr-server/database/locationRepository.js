@@ -0,0 +1,153 @@
+import errorHandler from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+import DatabaseConnection from './connection.js';
+
+const { DatabaseErrorHandler } = errorHandler;
+
+class LocationRepository {
+  constructor(dbConnection = null) {
+    this.dbConnection = dbConnection || new DatabaseConnection();
+  }
+
+  /**
+   * Get a location by id
+   * @param {string} id - Location id (slug used in the display URL)
+   * @returns {Promise<Object|undefined>} - Location record
+   */
+  async getLocation(id) {
+    const sql = `
+      SELECT id, name, secret, time_window_ms, active, whatsapp_client_id,
+        created_at, updated_at
+      FROM locations
+      WHERE id = ?
+    `;
+
+    try {
+      return await this.dbConnection.get(sql, [id]);
+    } catch (error) {
+      logger.logSystemError('location_repository', error, {
+        operation: 'getLocation',
+        id,
+      });
+      throw DatabaseErrorHandler.handleQueryError(error, sql, [id]);
+    }
+  }
+
+  /**
+   * Get all locations
+   * @param {Object} options
+   * @param {boolean} [options.activeOnly=true] - Skip deactivated locations
+   * @returns {Promise<Array>} - Location records
+   */
+  async getLocations({ activeOnly = true } = {}) {
+    const sql = `
+      SELECT id, name, secret, time_window_ms, active, whatsapp_client_id,
+        created_at, updated_at
+      FROM locations
+      ${activeOnly ? 'WHERE active = 1' : ''}
+      ORDER BY id
+    `;
+
+    try {
+      return await this.dbConnection.all(sql);
+    } catch (error) {
+      logger.logSystemError('location_repository', error, {
+        operation: 'getLocations',
+      });
+      throw DatabaseErrorHandler.handleQueryError(error, sql, []);
+    }
+  }
+
+  /**
+   * Create a location
+   * @param {Object} location
+   * @param {string} location.id - Location id
+   * @param {string} location.name - Display name
+   * @param {string} location.secret - OTP secret for this location
+   * @param {number|null} [location.timeWindowMs] - OTP rotation window
+   * @param {string|null} [location.whatsappClientId] - WhatsApp client whose
+   *   number the location's QR opens; null for the default one
+   * @returns {Promise<Object>} - Created location
+   */
+  async createLocation({
+    id,
+    name,
+    secret,
+    timeWindowMs = null,
+    whatsappClientId = null,
+  }) {
+    const sql = `
+      INSERT INTO locations (id, name, secret, time_window_ms, whatsapp_client_id)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+    const params = [id, name, secret, timeWindowMs, whatsappClientId];
+
+    try {
+      await this.dbConnection.run(sql, params);
+      logger.info('Location created', { id, name });
+      return this.getLocation(id);
+    } catch (error) {
+      logger.logSystemError('location_repository', error, {
+        operation: 'createLocation',
+        id,
+      });
+      throw DatabaseErrorHandler.handleQueryError(error, sql, params);
+    }
+  }
+
+  /**
+   * Update a location
+   * @param {string} id - Location id
+   * @param {Object} changes - { name?, secret?, timeWindowMs?, active?,
+   *   whatsappClientId? }
+   * @returns {Promise<Object|undefined>} - Updated location
+   */
+  async updateLocation(id, changes) {
+    const columns = {
+      name: 'name',
+      secret: 'secret',
+      timeWindowMs: 'time_window_ms',
+      active: 'active',
+      whatsappClientId: 'whatsapp_client_id',
+    };
+
+    const assignments = [];
+    const params = [];
+    for (const [field, column] of Object.entries(columns)) {
+      if (changes[field] === undefined) continue;
+      assignments.push(`${column} = ?`);
+      params.push(
+        field === 'active' ? (changes[field] ? 1 : 0) : changes[field],
+      );
+    }
+
+    if (assignments.length === 0) {
+      return this.getLocation(id);
+    }
+
+    const sql = `
+      UPDATE locations
+      SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    params.push(id);
+
+    try {
+      const result = await this.dbConnection.run(sql, params);
+      if (result.changes === 0) {
+        return undefined;
+      }
+      logger.info('Location updated', { id, fields: Object.keys(changes) });
+      return this.getLocation(id);
+    } catch (error) {
+      logger.logSystemError('location_repository', error, {
+        operation: 'updateLocation',
+        id,
+      });
+      throw DatabaseErrorHandler.handleQueryError(error, sql, params);
+    }
+  }
+}
+
+export default LocationRepository;
@@ -0,0 +1,242 @@
+import errorHandler from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+import DatabaseConnection from './connection.js';
+
+const { DatabaseErrorHandler } = errorHandler;
+
+const MESSAGE_COLUMNS = `
+  id, chat_id, body, quoted_message_id, whatsapp_client_id, status, attempts,
+  last_error, next_attempt_at, created_at, sent_at
+`;
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+class OutboundMessageRepository {
+  constructor(dbConnection = null) {
+    this.dbConnection = dbConnection || new DatabaseConnection();
+  }
+
+  /**
+   * Run a query and wrap failures the same way for every method
+   * @private
+   */
+  async _query(method, operation, sql, params = []) {
+    try {
+      return await this.dbConnection[method](sql, params);
+    } catch (error) {
+      logger.logSystemError('outbound_message_repository', error, {
+        operation,
+      });
+      throw DatabaseErrorHandler.handleQueryError(error, sql, params);
+    }
+  }
+
+  /**
+   * @param {number} id - Message ID
+   * @returns {Promise<Object|undefined>}
+   */
+  async getMessage(id) {
+    return this._query(
+      'get',
+      'getMessage',
+      `SELECT ${MESSAGE_COLUMNS} FROM outbound_messages WHERE id = ?`,
+      [id],
+    );
+  }
+
+  /**
+   * Queue a message to be sent as soon as the pace allows
+   * @param {Object} message
+   * @param {string} message.chatId - WhatsApp chat id
+   * @param {string} message.body - Text
+   * @param {string|null} [message.quotedMessageId] - Message it replies to
+   * @param {string|null} [message.whatsappClientId] - Client to send it
+   *   from; null for the default one
+   * @returns {Promise<Object>} - Stored message
+   */
+  async enqueue({
+    chatId,
+    body,
+    quotedMessageId = null,
+    whatsappClientId = null,
+  }) {
+    const now = new Date().toISOString();
+    const result = await this._query(
+      'run',
+      'enqueue',
+      `INSERT INTO outbound_messages
+         (chat_id, body, quoted_message_id, whatsapp_client_id,
+          next_attempt_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [chatId, body, quotedMessageId, whatsappClientId, now, now],
+    );
+    return this.getMessage(result.lastID);
+  }
+
+  /**
+   * Clients with pending messages; null stands for the default one
+   * @returns {Promise<Array<string|null>>}
+   */
+  async getPendingClientIds() {
+    const rows = await this._query(
+      'all',
+      'getPendingClientIds',
+      `SELECT DISTINCT whatsapp_client_id FROM outbound_messages
+       WHERE status = 'pending'`,
+    );
+    return rows.map((row) => row.whatsapp_client_id);
+  }
+
+  /**
+   * Pending messages whose next attempt is due, oldest first
+   * @param {Date} now
+   * @param {number} limit - Maximum number of messages
+   * @param {Object} [options]
+   * @param {number} [options.afterId] - Only messages queued after this one
+   * @param {Array<string|null>} [options.excludeClientIds] - Clients whose
+   *   messages are left out; null stands for the default one
+   * @param {Array<string>} [options.excludeChatKeys] - Chats left out, as
+   *   `${whatsappClientId ?? ''} ${chatId}`
+   * @returns {Promise<Array>}
+   */
+  async getDueMessages(
+    now,
+    limit,
+    { afterId = 0, excludeClientIds = [], excludeChatKeys = [] } = {},
+  ) {
+    const conditions = ["status = 'pending'", 'next_attempt_at <= ?', 'id > ?'];
+    const params = [now.toISOString(), afterId];
+
+    if (excludeClientIds.length > 0) {
+      conditions.push(
+        `IFNULL(whatsapp_client_id, '') NOT IN (${placeholders(excludeClientIds)})`,
+      );
+      params.push(...excludeClientIds.map((clientId) => clientId ?? ''));
+    }
+    if (excludeChatKeys.length > 0) {
+      conditions.push(
+        `IFNULL(whatsapp_client_id, '') || ' ' || chat_id NOT IN (${placeholders(excludeChatKeys)})`,
+      );
+      params.push(...excludeChatKeys);
+    }
+
+    return this._query(
+      'all',
+      'getDueMessages',
+      `SELECT ${MESSAGE_COLUMNS} FROM outbound_messages
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY id LIMIT ?`,
+      [...params, limit],
+    );
+  }
+
+  /**
+   * @param {number} id - Message ID
+   * @returns {Promise<void>}
+   */
+  async markSent(id) {
+    await this._query(
+      'run',
+      'markSent',
+      `UPDATE outbound_messages
+       SET status = 'sent', attempts = attempts + 1, last_error = NULL,
+           sent_at = ?
+       WHERE id = ?`,
+      [new Date().toISOString(), id],
+    );
+  }
+
+  /**
+   * Record a failed attempt, to be retried at nextAttemptAt or, without
+   * one, given up on
+   * @param {number} id - Message ID
+   * @param {Object} failure
+   * @param {string} failure.error - Why sending failed
+   * @param {Date|null} failure.nextAttemptAt - Null dead-letters the message
+   * @returns {Promise<void>}
+   */
+  async markFailed(id, { error, nextAttemptAt }) {
+    await this._query(
+      'run',
+      'markFailed',
+      `UPDATE outbound_messages
+       SET status = ?, attempts = attempts + 1, last_error = ?,
+           next_attempt_at = COALESCE(?, next_attempt_at)
+       WHERE id = ?`,
+      [
+        nextAttemptAt ? 'pending' : 'dead',
+        error,
+        nextAttemptAt?.toISOString() ?? null,
+        id,
+      ],
+    );
+  }
+
+  /**
+   * Queue a dead message again, with a fresh set of attempts
+   * @param {number} id - Message ID
+   * @returns {Promise<Object|undefined>} - Updated message, undefined if not
+   *   found
+   */
+  async requeue(id) {
+    await this._query(
+      'run',
+      'requeue',
+      `UPDATE outbound_messages
+       SET status = 'pending', attempts = 0, next_attempt_at = ?
+       WHERE id = ? AND status = 'dead'`,
+      [new Date().toISOString(), id],
+    );
+    return this.getMessage(id);
+  }
+
+  /**
+   * List the most recent messages
+   * @param {Object} filter
+   * @param {string} [filter.status] - Only messages with this status
+   * @param {number} [filter.limit=50] - Maximum number of messages
+   * @returns {Promise<Array>}
+   */
+  async getMessages({ status, limit = 50 } = {}) {
+    return this._query(
+      'all',
+      'getMessages',
+      `SELECT ${MESSAGE_COLUMNS} FROM outbound_messages
+       WHERE (? IS NULL OR status = ?)
+       ORDER BY id DESC LIMIT ?`,
+      [status ?? null, status ?? null, limit],
+    );
+  }
+
+  /**
+   * Number of messages by status
+   * @returns {Promise<Object<string, number>>}
+   */
+  async countByStatus() {
+    const rows = await this._query(
+      'all',
+      'countByStatus',
+      `SELECT status, COUNT(*) AS count FROM outbound_messages
+       GROUP BY status`,
+    );
+    return Object.fromEntries(rows.map((row) => [row.status, row.count]));
+  }
+
+  /**
+   * Remove messages sent before a date
+   * @param {Date} before
+   * @returns {Promise<number>} - Number of messages removed
+   */
+  async deleteSentMessages(before) {
+    const result = await this._query(
+      'run',
+      'deleteSentMessages',
+      `DELETE FROM outbound_messages WHERE status = 'sent' AND sent_at < ?`,
+      [before.toISOString()],
+    );
+    return result.changes;
+  }
+}
+
+export default OutboundMessageRepository;
@@ -0,0 +1,190 @@
+import errorHandler from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+import DatabaseConnection from './connection.js';
+
+const { DatabaseErrorHandler } = errorHandler;
+
+// group_ids is a comma-separated list of the groups the person is in
+const PERSON_COLUMNS = `
+  phone_number, display_name, employee_id, active, status, language,
+  created_at, updated_at,
+  (SELECT group_concat(group_id) FROM group_members
+   WHERE group_members.phone_number = people.phone_number) AS group_ids
+`;
+
+const FIELD_COLUMNS = {
+  displayName: 'display_name',
+  employeeId: 'employee_id',
+  active: 'active',
+  status: 'status',
+  language: 'language',
+};
+
+const toRow = (field, value) =>
+  field === 'active' ? (value ? 1 : 0) : (value ?? null);
+
+class PeopleRepository {
+  constructor(dbConnection = null) {
+    this.dbConnection = dbConnection || new DatabaseConnection();
+  }
+
+  /**
+   * Run a query and wrap failures the same way for every method
+   * @private
+   */
+  async _query(method, operation, sql, params = []) {
+    try {
+      return await this.dbConnection[method](sql, params);
+    } catch (error) {
+      logger.logSystemError('people_repository', error, { operation });
+      throw DatabaseErrorHandler.handleQueryError(error, sql, params);
+    }
+  }
+
+  /**
+   * Get a person by phone number
+   * @param {string} phoneNumber - Normalized phone number
+   * @returns {Promise<Object|undefined>}
+   */
+  async getPerson(phoneNumber) {
+    return this._query(
+      'get',
+      'getPerson',
+      `SELECT ${PERSON_COLUMNS} FROM people WHERE phone_number = ?`,
+      [phoneNumber],
+    );
+  }
+
+  /**
+   * List people
+   * @param {Object} filter
+   * @param {boolean} [filter.active] - Only active or only inactive people
+   * @param {string} [filter.groupId] - Only this group's members
+   * @param {string} [filter.status] - Only this registration status
+   * @returns {Promise<Array>}
+   */
+  async getPeople({ active, groupId, status } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (active !== undefined) {
+      conditions.push('active = ?');
+      params.push(active ? 1 : 0);
+    }
+    if (groupId) {
+      conditions.push(
+        'phone_number IN (SELECT phone_number FROM group_members WHERE group_id = ?)',
+      );
+      params.push(groupId);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    return this._query(
+      'all',
+      'getPeople',
+      `SELECT ${PERSON_COLUMNS} FROM people
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY display_name COLLATE NOCASE`,
+      params,
+    );
+  }
+
+  /**
+   * Create a person, or replace every field of an existing one
+   * @param {Object} person
+   * @param {string} person.phoneNumber - Normalized phone number
+   * @param {string} person.displayName - Name used in replies and reports
+   * @param {string|null} [person.employeeId] - Employee or student id
+   * @param {boolean} [person.active=true] - Inactive people count as unknown
+   * @param {string} [person.status='approved'] - Registration status
+   * @param {string|null} [person.language] - Language of the bot's replies;
+   *   left as it is when not given, since the name list has no such column
+   * @returns {Promise<Object>} - Stored person
+   */
+  async upsertPerson({
+    phoneNumber,
+    displayName,
+    employeeId = null,
+    active = true,
+    status = 'approved',
+    language = null,
+  }) {
+    const now = new Date().toISOString();
+    await this._query(
+      'run',
+      'upsertPerson',
+      `INSERT INTO people (phone_number, display_name, employee_id, active, status, language, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(phone_number) DO UPDATE SET
+         display_name = excluded.display_name,
+         employee_id = excluded.employee_id,
+         active = excluded.active,
+         status = excluded.status,
+         language = COALESCE(excluded.language, people.language),
+         updated_at = excluded.updated_at`,
+      [
+        phoneNumber,
+        displayName,
+        employeeId,
+        active ? 1 : 0,
+        status,
+        language,
+        now,
+        now,
+      ],
+    );
+
+    return this.getPerson(phoneNumber);
+  }
+
+  /**
+   * Change some fields of a person
+   * @param {string} phoneNumber - Normalized phone number
+   * @param {Object} changes - displayName, employeeId, active, status and/or
+   *   language
+   * @returns {Promise<Object|undefined>} - Updated person, undefined if not found
+   */
+  async updatePerson(phoneNumber, changes) {
+    const assignments = [];
+    const params = [];
+
+    for (const [field, column] of Object.entries(FIELD_COLUMNS)) {
+      if (changes[field] === undefined) continue;
+      assignments.push(`${column} = ?`);
+      params.push(toRow(field, changes[field]));
+    }
+
+    if (assignments.length > 0) {
+      await this._query(
+        'run',
+        'updatePerson',
+        `UPDATE people SET ${assignments.join(', ')}, updated_at = ?
+         WHERE phone_number = ?`,
+        [...params, new Date().toISOString(), phoneNumber],
+      );
+    }
+
+    return this.getPerson(phoneNumber);
+  }
+
+  /**
+   * Remove a person from the roster
+   * @param {string} phoneNumber - Normalized phone number
+   * @returns {Promise<boolean>} - True if a person was removed
+   */
+  async deletePerson(phoneNumber) {
+    const result = await this._query(
+      'run',
+      'deletePerson',
+      'DELETE FROM people WHERE phone_number = ?',
+      [phoneNumber],
+    );
+    return result.changes > 0;
+  }
+}
+
+export default PeopleRepository;
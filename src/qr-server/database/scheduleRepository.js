@@ -0,0 +1,194 @@
+import errorHandler from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+import DatabaseConnection from './connection.js';
+
+const { DatabaseErrorHandler } = errorHandler;
+
+const SCHEDULE_COLUMNS = `
+  id, phone_number, group_id, weekday, start_time, end_time, grace_minutes,
+  created_at, updated_at
+`;
+
+class ScheduleRepository {
+  constructor(dbConnection = null) {
+    this.dbConnection = dbConnection || new DatabaseConnection();
+  }
+
+  /**
+   * Run a query and wrap failures the same way for every method
+   * @private
+   */
+  async _query(method, operation, sql, params = []) {
+    try {
+      return await this.dbConnection[method](sql, params);
+    } catch (error) {
+      logger.logSystemError('schedule_repository', error, { operation });
+      throw DatabaseErrorHandler.handleQueryError(error, sql, params);
+    }
+  }
+
+  /**
+   * Create a schedule entry
+   * @param {Object} schedule
+   * @param {string|null} schedule.phoneNumber - Person the entry applies to
+   * @param {string|null} schedule.groupId - Group the entry applies to
+   * @param {number} schedule.weekday - 1 (Monday) to 7 (Sunday)
+   * @param {string} schedule.startTime - Local start time (HH:mm)
+   * @param {string} schedule.endTime - Local end time (HH:mm)
+   * @param {number|null} schedule.graceMinutes - Overrides the rule default
+   * @returns {Promise<Object>} - Created schedule
+   */
+  async createSchedule({
+    phoneNumber = null,
+    groupId = null,
+    weekday,
+    startTime,
+    endTime,
+    graceMinutes = null,
+  }) {
+    const result = await this._query(
+      'run',
+      'createSchedule',
+      `INSERT INTO schedules (phone_number, group_id, weekday, start_time, end_time, grace_minutes)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [phoneNumber, groupId, weekday, startTime, endTime, graceMinutes],
+    );
+
+    return this._query(
+      'get',
+      'createSchedule',
+      `SELECT ${SCHEDULE_COLUMNS} FROM schedules WHERE rowid = ?`,
+      [result.lastID],
+    );
+  }
+
+  /**
+   * Get a schedule entry by id
+   * @param {string} id - Schedule id
+   * @returns {Promise<Object|undefined>}
+   */
+  async getSchedule(id) {
+    return this._query(
+      'get',
+      'getSchedule',
+      `SELECT ${SCHEDULE_COLUMNS} FROM schedules WHERE id = ?`,
+      [id],
+    );
+  }
+
+  /**
+   * List schedule entries
+   * @param {Object} filter
+   * @param {string} [filter.phoneNumber] - Only this person's entries
+   * @param {string} [filter.groupId] - Only this group's entries
+   * @param {number} [filter.weekday] - Only entries for this weekday
+   * @returns {Promise<Array>}
+   */
+  async getSchedules({ phoneNumber, groupId, weekday } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (phoneNumber) {
+      conditions.push('phone_number = ?');
+      params.push(phoneNumber);
+    }
+    if (groupId) {
+      conditions.push('group_id = ?');
+      params.push(groupId);
+    }
+    if (weekday) {
+      conditions.push('weekday = ?');
+      params.push(weekday);
+    }
+
+    return this._query(
+      'all',
+      'getSchedules',
+      `SELECT ${SCHEDULE_COLUMNS} FROM schedules
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY weekday, start_time`,
+      params,
+    );
+  }
+
+  /**
+   * Entries that could apply to a person on the given weekdays: their own,
+   * their groups' and the ones for everyone
+   * @param {Object} criteria
+   * @param {string} criteria.phoneNumber - User's phone number
+   * @param {string[]} criteria.groupIds - Groups the person belongs to
+   * @param {number[]} criteria.weekdays - Weekdays to look at
+   * @returns {Promise<Array>}
+   */
+  async findApplicableSchedules({ phoneNumber, groupIds, weekdays }) {
+    const groupCondition = groupIds.length
+      ? `OR group_id IN (${groupIds.map(() => '?').join(', ')})`
+      : '';
+
+    return this._query(
+      'all',
+      'findApplicableSchedules',
+      `SELECT ${SCHEDULE_COLUMNS} FROM schedules
+       WHERE weekday IN (${weekdays.map(() => '?').join(', ')})
+         AND (
+           phone_number = ?
+           ${groupCondition}
+           OR (phone_number IS NULL AND group_id IS NULL)
+         )`,
+      [...weekdays, phoneNumber, ...groupIds],
+    );
+  }
+
+  /**
+   * Update a schedule entry
+   * @param {string} id - Schedule id
+   * @param {Object} changes - weekday, startTime, endTime and/or graceMinutes
+   * @returns {Promise<Object|undefined>} - Updated schedule, undefined if not found
+   */
+  async updateSchedule(id, changes) {
+    const columns = {
+      weekday: 'weekday',
+      startTime: 'start_time',
+      endTime: 'end_time',
+      graceMinutes: 'grace_minutes',
+    };
+    const assignments = [];
+    const params = [];
+
+    for (const [field, column] of Object.entries(columns)) {
+      if (changes[field] === undefined) continue;
+      assignments.push(`${column} = ?`);
+      params.push(changes[field]);
+    }
+
+    if (assignments.length > 0) {
+      await this._query(
+        'run',
+        'updateSchedule',
+        `UPDATE schedules SET ${assignments.join(', ')}, updated_at = ?
+         WHERE id = ?`,
+        [...params, new Date().toISOString(), id],
+      );
+    }
+
+    return this.getSchedule(id);
+  }
+
+  /**
+   * Delete a schedule entry
+   * @param {string} id - Schedule id
+   * @returns {Promise<boolean>} - True if an entry was deleted
+   */
+  async deleteSchedule(id) {
+    const result = await this._query(
+      'run',
+      'deleteSchedule',
+      'DELETE FROM schedules WHERE id = ?',
+      [id],
+    );
+    return result.changes > 0;
+  }
+}
+
+export default ScheduleRepository;
@@ -0,0 +1,107 @@
+import errorHandler from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+import DatabaseConnection from './connection.js';
+
+const { DatabaseErrorHandler } = errorHandler;
+
+const RUN_COLUMNS = `
+  id, job, run_key, scheduled_for, status, result, started_at, finished_at
+`;
+
+const parseRun = (run) =>
+  run && { ...run, result: run.result ? JSON.parse(run.result) : null };
+
+class ScheduledRunRepository {
+  constructor(dbConnection = null) {
+    this.dbConnection = dbConnection || new DatabaseConnection();
+  }
+
+  /**
+   * Run a query and wrap failures the same way for every method
+   * @private
+   */
+  async _query(method, operation, sql, params = []) {
+    try {
+      return await this.dbConnection[method](sql, params);
+    } catch (error) {
+      logger.logSystemError('scheduled_run_repository', error, { operation });
+      throw DatabaseErrorHandler.handleQueryError(error, sql, params);
+    }
+  }
+
+  /**
+   * Record the start of a run unless it was already recorded. A run still
+   * running since before staleBefore was cut short and is claimed again.
+   * @param {Object} run
+   * @param {string} run.job - Job name
+   * @param {string} run.runKey - Identifies the run across restarts
+   * @param {Date} run.scheduledFor - When the run was due
+   * @param {Date} [run.staleBefore] - Reclaim runs started before this
+   * @returns {Promise<boolean>} - True if this call claimed the run
+   */
+  async claimRun({ job, runKey, scheduledFor, staleBefore = null }) {
+    // datetime() compares both CURRENT_TIMESTAMP and ISO started_at values
+    const result = await this._query(
+      'run',
+      'claimRun',
+      `INSERT INTO scheduled_runs (job, run_key, scheduled_for, started_at)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT (run_key) DO UPDATE SET started_at = excluded.started_at
+       WHERE status = 'running' AND datetime(started_at) < datetime(?)`,
+      [
+        job,
+        runKey,
+        scheduledFor.toISOString(),
+        new Date().toISOString(),
+        staleBefore ? staleBefore.toISOString() : null,
+      ],
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Record the outcome of a claimed run
+   * @param {string} runKey - Run key passed to claimRun
+   * @param {Object} outcome
+   * @param {string} outcome.status - completed or failed
+   * @param {Object} [outcome.result] - Summary stored as JSON
+   * @returns {Promise<void>}
+   */
+  async finishRun(runKey, { status, result = null }) {
+    await this._query(
+      'run',
+      'finishRun',
+      `UPDATE scheduled_runs SET status = ?, result = ?, finished_at = ?
+       WHERE run_key = ?`,
+      [
+        status,
+        result ? JSON.stringify(result) : null,
+        new Date().toISOString(),
+        runKey,
+      ],
+    );
+  }
+
+  /**
+   * List the most recent runs
+   * @param {Object} filter
+   * @param {string} [filter.job] - Only runs of this job
+   * @param {number} [filter.limit=50] - Maximum number of runs
+   * @returns {Promise<Array>}
+   */
+  async getRuns({ job, limit = 50 } = {}) {
+    const runs = await this._query(
+      'all',
+      'getRuns',
+      `SELECT ${RUN_COLUMNS} FROM scheduled_runs
+       ${job ? 'WHERE job = ?' : ''}
+       ORDER BY scheduled_for DESC
+       LIMIT ?`,
+      job ? [job, limit] : [limit],
+    );
+    return runs.map(parseRun);
+  }
+}
+
+export default ScheduledRunRepository;
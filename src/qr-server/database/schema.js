@@ -2,17 +2,301 @@
  * Database schema definitions and initialization
  */
 
+const VALIDATION_STATUSES = [
+  'valid',
+  'expired',
+  'invalid',
+  'duplicate',
+  'error',
+  // Valid code from a number that is not on the roster
+  'held',
+  'unregistered',
+  // Valid code at a location with sessions, outside them or from a person
+  // outside the session's group
+  'no_session',
+  'not_in_group',
+];
+
+const EVENT_TYPES = ['check_in', 'check_out'];
+
+const SHIFT_STATUSES = ['open', 'closed', 'missing_check_out'];
+
+// Derived from the schedule and the attendance rules, for valid check-ins
+const ATTENDANCE_STATUSES = ['early', 'on_time', 'late', 'half_day', 'absent'];
+
+const RUN_STATUSES = ['running', 'completed', 'failed'];
+
+const LEAVE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+// People who registered themselves over WhatsApp start as pending
+const REGISTRATION_STATUSES = ['approved', 'pending', 'rejected'];
+
+const REGISTRATION_STATUS_CHECK = `CHECK (status IN (${REGISTRATION_STATUSES.map((status) => `'${status}'`).join(', ')}))`;
+
+// Outgoing WhatsApp messages: waiting to be sent, sent, or given up on
+// after too many failed attempts
+const MESSAGE_STATUSES = ['pending', 'sent', 'dead'];
+
+const MESSAGE_STATUS_CHECK = `CHECK (status IN (${MESSAGE_STATUSES.map((status) => `'${status}'`).join(', ')}))`;
+
+// Where the bot answers check-ins posted in a group's WhatsApp chat
+const WHATSAPP_REPLY_MODES = ['private', 'group'];
+
+const WHATSAPP_REPLY_MODE_CHECK = `CHECK (whatsapp_reply_mode IN (${WHATSAPP_REPLY_MODES.map((mode) => `'${mode}'`).join(', ')}))`;
+
+const VALIDATION_STATUS_CHECK = `CHECK (validation_status IN (${VALIDATION_STATUSES.map((status) => `'${status}'`).join(', ')}))`;
+
+const EVENT_TYPE_CHECK = `CHECK (event_type IN (${EVENT_TYPES.map((type) => `'${type}'`).join(', ')}))`;
+
 const CREATE_CHECK_INS_TABLE = `
     CREATE TABLE IF NOT EXISTS check_ins (
         id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
         phone_number TEXT NOT NULL,
         otp TEXT NOT NULL,
         timestamp DATETIME NOT NULL,
-        validation_status TEXT NOT NULL CHECK (validation_status IN ('valid', 'expired', 'invalid')),
+        validation_status TEXT NOT NULL ${VALIDATION_STATUS_CHECK},
+        location_id TEXT,
+        otp_slot INTEGER,
+        event_type TEXT NOT NULL DEFAULT 'check_in' ${EVENT_TYPE_CHECK},
+        attendance_status TEXT,
+        schedule_id TEXT,
+        session_id TEXT,
+        whatsapp_client_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+`;
+
+const CREATE_LOCATIONS_TABLE = `
+    CREATE TABLE IF NOT EXISTS locations (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        time_window_ms INTEGER,
+        active INTEGER NOT NULL DEFAULT 1,
+        whatsapp_client_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+`;
+
+const CREATE_DISPLAYS_TABLE = `
+    CREATE TABLE IF NOT EXISTS displays (
+        id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+        name TEXT NOT NULL,
+        location_id TEXT NOT NULL,
+        token_hash TEXT UNIQUE,
+        enrollment_code_hash TEXT,
+        enrollment_expires_at DATETIME,
+        enrolled_at DATETIME,
+        last_seen_at DATETIME,
+        revoked_at DATETIME,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
 `;
 
+// One row per check-in; closed by the matching check-out. work_date is the
+// local date of the check-in, so a shift past midnight counts for its start day
+const CREATE_SHIFTS_TABLE = `
+    CREATE TABLE IF NOT EXISTS shifts (
+        id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+        phone_number TEXT NOT NULL,
+        location_id TEXT,
+        work_date TEXT NOT NULL,
+        check_in_id TEXT NOT NULL,
+        check_in_at DATETIME NOT NULL,
+        check_out_id TEXT,
+        check_out_at DATETIME,
+        worked_minutes INTEGER,
+        status TEXT NOT NULL DEFAULT 'open' CHECK (status IN (${SHIFT_STATUSES.map((status) => `'${status}'`).join(', ')})),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+`;
+
+// Worked-hours totals per person per day
+const CREATE_DAILY_WORK_HOURS_VIEW = `
+    CREATE VIEW IF NOT EXISTS daily_work_hours AS
+    SELECT
+        phone_number,
+        work_date,
+        COUNT(*) AS shifts,
+        COALESCE(SUM(worked_minutes), 0) AS worked_minutes,
+        MIN(check_in_at) AS first_check_in,
+        MAX(check_out_at) AS last_check_out,
+        SUM(status = 'open') AS open_shifts,
+        SUM(status = 'missing_check_out') AS missing_check_outs
+    FROM shifts
+    GROUP BY phone_number, work_date
+`;
+
+// Weekly timetable. A row applies to one person, to a group, or to everyone
+// when both are NULL; weekday is 1 (Monday) to 7 (Sunday), times are local
+// HH:mm and an end before the start means the shift ends the next day
+const CREATE_SCHEDULES_TABLE = `
+    CREATE TABLE IF NOT EXISTS schedules (
+        id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+        phone_number TEXT,
+        group_id TEXT,
+        weekday INTEGER NOT NULL CHECK (weekday BETWEEN 1 AND 7),
+        start_time TEXT NOT NULL,
+        end_time TEXT NOT NULL,
+        grace_minutes INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+`;
+
+// One row per scheduled job run. run_key is unique, so a run claimed before a
+// restart is not started again afterwards
+const CREATE_SCHEDULED_RUNS_TABLE = `
+    CREATE TABLE IF NOT EXISTS scheduled_runs (
+        id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+        job TEXT NOT NULL,
+        run_key TEXT NOT NULL UNIQUE,
+        scheduled_for DATETIME NOT NULL,
+        status TEXT NOT NULL DEFAULT 'running' CHECK (status IN (${RUN_STATUSES.map((status) => `'${status}'`).join(', ')})),
+        result TEXT,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        finished_at DATETIME
+    )
+`;
+
+// Leave requests. code is the short reference managers reply with; dates are
+// local and inclusive
+const CREATE_LEAVE_REQUESTS_TABLE = `
+    CREATE TABLE IF NOT EXISTS leave_requests (
+        id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+        code TEXT NOT NULL UNIQUE,
+        phone_number TEXT NOT NULL,
+        start_date TEXT NOT NULL,
+        end_date TEXT NOT NULL,
+        reason TEXT,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN (${LEAVE_STATUSES.map((status) => `'${status}'`).join(', ')})),
+        decided_by TEXT,
+        decided_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+`;
+
+// Roster, kept in sync with the NameList sheet
+const CREATE_PEOPLE_TABLE = `
+    CREATE TABLE IF NOT EXISTS people (
+        phone_number TEXT PRIMARY KEY,
+        display_name TEXT NOT NULL,
+        employee_id TEXT,
+        active INTEGER NOT NULL DEFAULT 1 CHECK (active IN (0, 1)),
+        status TEXT NOT NULL DEFAULT 'approved' ${REGISTRATION_STATUS_CHECK},
+        language TEXT,
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL
+    )
+`;
+
+// Class sections and teams, e.g. '3a' or 'kitchen'
+const CREATE_GROUPS_TABLE = `
+    CREATE TABLE IF NOT EXISTS groups (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        description TEXT,
+        language TEXT,
+        whatsapp_group_id TEXT,
+        whatsapp_reply_mode TEXT NOT NULL DEFAULT 'private' ${WHATSAPP_REPLY_MODE_CHECK},
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL
+    )
+`;
+
+// A person can be in several groups, e.g. a teacher with several classes
+const CREATE_GROUP_MEMBERS_TABLE = `
+    CREATE TABLE IF NOT EXISTS group_members (
+        group_id TEXT NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+        phone_number TEXT NOT NULL REFERENCES people(phone_number) ON DELETE CASCADE,
+        added_at DATETIME NOT NULL,
+        PRIMARY KEY (group_id, phone_number)
+    )
+`;
+
+// Managers who may see a group's attendance reports over WhatsApp, such as a
+// class teacher. They need not be members of the group.
+const CREATE_GROUP_MANAGERS_TABLE = `
+    CREATE TABLE IF NOT EXISTS group_managers (
+        group_id TEXT NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+        phone_number TEXT NOT NULL,
+        added_at DATETIME NOT NULL,
+        PRIMARY KEY (group_id, phone_number)
+    )
+`;
+
+// Attendance sessions such as a class. A one-off session runs from starts_at
+// to ends_at; a recurring one opens at every local time matched by cron and
+// stays open for duration_minutes. group_id NULL means everyone.
+const CREATE_SESSIONS_TABLE = `
+    CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+        name TEXT NOT NULL,
+        location_id TEXT NOT NULL,
+        group_id TEXT,
+        starts_at DATETIME,
+        ends_at DATETIME,
+        cron TEXT,
+        duration_minutes INTEGER,
+        active INTEGER NOT NULL DEFAULT 1 CHECK (active IN (0, 1)),
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL
+    )
+`;
+
+// Multi-step WhatsApp conversations, so they survive a restart
+const CREATE_CONVERSATIONS_TABLE = `
+    CREATE TABLE IF NOT EXISTS conversations (
+        user_id TEXT PRIMARY KEY,
+        flow TEXT NOT NULL,
+        step TEXT NOT NULL,
+        data TEXT,
+        expires_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL
+    )
+`;
+
+// Photos of the QR code people sent instead of its text, kept as proof of
+// the check-in they were used for
+const CREATE_CHECK_IN_PHOTOS_TABLE = `
+    CREATE TABLE IF NOT EXISTS check_in_photos (
+        check_in_id TEXT PRIMARY KEY,
+        mime_type TEXT NOT NULL,
+        data BLOB NOT NULL,
+        created_at DATETIME NOT NULL
+    )
+`;
+
+// Phone numbers behind WhatsApp LIDs, the ids WhatsApp gives users in place
+// of their number; resolving one goes through the WhatsApp client
+const CREATE_WHATSAPP_IDENTITIES_TABLE = `
+    CREATE TABLE IF NOT EXISTS whatsapp_identities (
+        lid TEXT PRIMARY KEY,
+        phone_number TEXT NOT NULL,
+        resolved_at DATETIME NOT NULL
+    )
+`;
+
+// Every message the bot sends, queued so sending can be paced and retried
+const CREATE_OUTBOUND_MESSAGES_TABLE = `
+    CREATE TABLE IF NOT EXISTS outbound_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id TEXT NOT NULL,
+        body TEXT NOT NULL,
+        quoted_message_id TEXT,
+        whatsapp_client_id TEXT,
+        status TEXT NOT NULL DEFAULT 'pending' ${MESSAGE_STATUS_CHECK},
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at DATETIME NOT NULL,
+        created_at DATETIME NOT NULL,
+        sent_at DATETIME
+    )
+`;
+
 const CREATE_SYSTEM_CONFIG_TABLE = `
     CREATE TABLE IF NOT EXISTS system_config (
         key TEXT PRIMARY KEY,
@@ -36,11 +320,196 @@ const CREATE_CHECK_INS_TIMESTAMP_INDEX = `
     ON check_ins(timestamp)
 `;
 
+const CREATE_CHECK_INS_LOCATION_INDEX = `
+    CREATE INDEX IF NOT EXISTS idx_checkins_location
+    ON check_ins(location_id)
+`;
+
+const CREATE_CHECK_INS_SESSION_INDEX = `
+    CREATE INDEX IF NOT EXISTS idx_checkins_session
+    ON check_ins(session_id)
+`;
+
+const CREATE_SHIFTS_PHONE_STATUS_INDEX = `
+    CREATE INDEX IF NOT EXISTS idx_shifts_phone_status
+    ON shifts(phone_number, status)
+`;
+
+const CREATE_SCHEDULES_WEEKDAY_INDEX = `
+    CREATE INDEX IF NOT EXISTS idx_schedules_weekday
+    ON schedules(weekday)
+`;
+
+const CREATE_SCHEDULED_RUNS_JOB_INDEX = `
+    CREATE INDEX IF NOT EXISTS idx_scheduled_runs_job
+    ON scheduled_runs(job, scheduled_for)
+`;
+
+const CREATE_LEAVE_REQUESTS_PHONE_DATES_INDEX = `
+    CREATE INDEX IF NOT EXISTS idx_leave_requests_phone_dates
+    ON leave_requests(phone_number, start_date, end_date)
+`;
+
+const CREATE_GROUP_MEMBERS_PHONE_INDEX = `
+    CREATE INDEX IF NOT EXISTS idx_group_members_phone
+    ON group_members(phone_number)
+`;
+
+const CREATE_GROUP_MANAGERS_PHONE_INDEX = `
+    CREATE INDEX IF NOT EXISTS idx_group_managers_phone
+    ON group_managers(phone_number)
+`;
+
+// A WhatsApp group chat belongs to at most one group
+const CREATE_GROUPS_WHATSAPP_INDEX = `
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_groups_whatsapp_group
+    ON groups(whatsapp_group_id) WHERE whatsapp_group_id IS NOT NULL
+`;
+
+const CREATE_OUTBOUND_MESSAGES_DUE_INDEX = `
+    CREATE INDEX IF NOT EXISTS idx_outbound_messages_due
+    ON outbound_messages(status, next_attempt_at)
+`;
+
+const CREATE_SESSIONS_LOCATION_INDEX = `
+    CREATE INDEX IF NOT EXISTS idx_sessions_location
+    ON sessions(location_id)
+`;
+
+const CREATE_SHIFTS_WORK_DATE_INDEX = `
+    CREATE INDEX IF NOT EXISTS idx_shifts_work_date
+    ON shifts(work_date)
+`;
+
+/**
+ * Columns added after the first release. `CREATE TABLE IF NOT EXISTS` leaves
+ * existing tables untouched, so these are added with ALTER TABLE when missing.
+ */
+const COLUMN_MIGRATIONS = {
+  check_ins: [
+    { name: 'location_id', definition: 'TEXT' },
+    { name: 'otp_slot', definition: 'INTEGER' },
+    {
+      name: 'event_type',
+      definition: `TEXT NOT NULL DEFAULT 'check_in' ${EVENT_TYPE_CHECK}`,
+    },
+    { name: 'attendance_status', definition: 'TEXT' },
+    { name: 'schedule_id', definition: 'TEXT' },
+    { name: 'session_id', definition: 'TEXT' },
+    { name: 'whatsapp_client_id', definition: 'TEXT' },
+  ],
+  locations: [{ name: 'whatsapp_client_id', definition: 'TEXT' }],
+  outbound_messages: [{ name: 'whatsapp_client_id', definition: 'TEXT' }],
+  people: [
+    {
+      name: 'status',
+      definition: `TEXT NOT NULL DEFAULT 'approved' ${REGISTRATION_STATUS_CHECK}`,
+    },
+    { name: 'language', definition: 'TEXT' },
+  ],
+  groups: [
+    { name: 'language', definition: 'TEXT' },
+    { name: 'whatsapp_group_id', definition: 'TEXT' },
+    {
+      name: 'whatsapp_reply_mode',
+      definition: `TEXT NOT NULL DEFAULT 'private' ${WHATSAPP_REPLY_MODE_CHECK}`,
+    },
+  ],
+};
+
 const INSERT_DEFAULT_CONFIG = `
     INSERT OR IGNORE INTO system_config (key, value) 
     VALUES ('otp_secret', ?)
 `;
 
+/**
+ * Add any columns from COLUMN_MIGRATIONS that an existing table is missing
+ * @param {DatabaseConnection} dbConnection - Database connection instance
+ * @returns {Promise<void>}
+ */
+async function migrateColumns(dbConnection) {
+  for (const [table, columns] of Object.entries(COLUMN_MIGRATIONS)) {
+    const existing = await dbConnection.all(`PRAGMA table_info(${table})`);
+    const existingNames = new Set(existing.map((column) => column.name));
+
+    for (const column of columns) {
+      if (existingNames.has(column.name)) continue;
+
+      await dbConnection.run(
+        `ALTER TABLE ${table} ADD COLUMN ${column.name} ${column.definition}`,
+      );
+      console.log(`✓ ${table}.${column.name} column added`);
+    }
+  }
+}
+
+/**
+ * People used to have a single group_id column. Move those groups into
+ * groups/group_members and drop the column.
+ * @param {DatabaseConnection} dbConnection - Database connection instance
+ * @returns {Promise<void>}
+ */
+async function migratePeopleGroups(dbConnection) {
+  const columns = await dbConnection.all('PRAGMA table_info(people)');
+  if (!columns.some((column) => column.name === 'group_id')) return;
+
+  const now = new Date().toISOString();
+  await dbConnection.run('BEGIN TRANSACTION');
+  try {
+    await dbConnection.run(
+      `INSERT OR IGNORE INTO groups (id, name, created_at, updated_at)
+       SELECT DISTINCT group_id, group_id, ?, ? FROM people
+       WHERE group_id IS NOT NULL AND group_id != ''`,
+      [now, now],
+    );
+    await dbConnection.run(
+      `INSERT OR IGNORE INTO group_members (group_id, phone_number, added_at)
+       SELECT group_id, phone_number, ? FROM people
+       WHERE group_id IS NOT NULL AND group_id != ''`,
+      [now],
+    );
+    await dbConnection.run('DROP INDEX IF EXISTS idx_people_group');
+    await dbConnection.run('ALTER TABLE people DROP COLUMN group_id');
+    await dbConnection.run('COMMIT');
+    console.log('✓ people groups migrated to group_members');
+  } catch (error) {
+    await dbConnection.run('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * SQLite cannot alter a CHECK constraint, so rebuild check_ins when the stored
+ * table predates the current list of validation statuses
+ * @param {DatabaseConnection} dbConnection - Database connection instance
+ * @returns {Promise<void>}
+ */
+async function migrateCheckInStatuses(dbConnection) {
+  const table = await dbConnection.get(
+    "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'check_ins'",
+  );
+  if (!table || table.sql.includes(VALIDATION_STATUS_CHECK)) return;
+
+  const columns = (await dbConnection.all('PRAGMA table_info(check_ins)'))
+    .map((column) => column.name)
+    .join(', ');
+
+  await dbConnection.run('BEGIN TRANSACTION');
+  try {
+    await dbConnection.run('ALTER TABLE check_ins RENAME TO check_ins_old');
+    await dbConnection.run(CREATE_CHECK_INS_TABLE);
+    await dbConnection.run(
+      `INSERT INTO check_ins (${columns}) SELECT ${columns} FROM check_ins_old`,
+    );
+    await dbConnection.run('DROP TABLE check_ins_old');
+    await dbConnection.run('COMMIT');
+    console.log('✓ check_ins validation statuses migrated');
+  } catch (error) {
+    await dbConnection.run('ROLLBACK');
+    throw error;
+  }
+}
+
 /**
  * Initialize database schema
  * @param {DatabaseConnection} dbConnection - Database connection instance
@@ -58,6 +527,58 @@ async function initializeSchema(dbConnection, secretKey = null) {
     await dbConnection.run(CREATE_SYSTEM_CONFIG_TABLE);
     console.log('✓ system_config table created/verified');
 
+    await dbConnection.run(CREATE_LOCATIONS_TABLE);
+    console.log('✓ locations table created/verified');
+
+    await dbConnection.run(CREATE_DISPLAYS_TABLE);
+    console.log('✓ displays table created/verified');
+
+    await dbConnection.run(CREATE_SHIFTS_TABLE);
+    console.log('✓ shifts table created/verified');
+
+    await dbConnection.run(CREATE_DAILY_WORK_HOURS_VIEW);
+    console.log('✓ daily_work_hours view created/verified');
+
+    await dbConnection.run(CREATE_SCHEDULES_TABLE);
+    console.log('✓ schedules table created/verified');
+
+    await dbConnection.run(CREATE_SCHEDULED_RUNS_TABLE);
+    console.log('✓ scheduled_runs table created/verified');
+
+    await dbConnection.run(CREATE_LEAVE_REQUESTS_TABLE);
+    console.log('✓ leave_requests table created/verified');
+
+    await dbConnection.run(CREATE_PEOPLE_TABLE);
+    console.log('✓ people table created/verified');
+
+    await dbConnection.run(CREATE_GROUPS_TABLE);
+    console.log('✓ groups table created/verified');
+
+    await dbConnection.run(CREATE_GROUP_MEMBERS_TABLE);
+    console.log('✓ group_members table created/verified');
+
+    await dbConnection.run(CREATE_GROUP_MANAGERS_TABLE);
+    console.log('✓ group_managers table created/verified');
+
+    await dbConnection.run(CREATE_CONVERSATIONS_TABLE);
+    console.log('✓ conversations table created/verified');
+
+    await dbConnection.run(CREATE_SESSIONS_TABLE);
+    console.log('✓ sessions table created/verified');
+
+    await dbConnection.run(CREATE_CHECK_IN_PHOTOS_TABLE);
+    console.log('✓ check_in_photos table created/verified');
+
+    await dbConnection.run(CREATE_WHATSAPP_IDENTITIES_TABLE);
+    console.log('✓ whatsapp_identities table created/verified');
+
+    await dbConnection.run(CREATE_OUTBOUND_MESSAGES_TABLE);
+    console.log('✓ outbound_messages table created/verified');
+
+    await migrateColumns(dbConnection);
+    await migrateCheckInStatuses(dbConnection);
+    await migratePeopleGroups(dbConnection);
+
     // Create indexes
     await dbConnection.run(CREATE_CHECK_INS_DATE_INDEX);
     console.log('✓ Date index created/verified');
@@ -68,6 +589,40 @@ async function initializeSchema(dbConnection, secretKey = null) {
     await dbConnection.run(CREATE_CHECK_INS_TIMESTAMP_INDEX);
     console.log('✓ Timestamp index created/verified');
 
+    await dbConnection.run(CREATE_CHECK_INS_LOCATION_INDEX);
+    console.log('✓ Location index created/verified');
+
+    await dbConnection.run(CREATE_CHECK_INS_SESSION_INDEX);
+    console.log('✓ Session index created/verified');
+
+    await dbConnection.run(CREATE_SHIFTS_PHONE_STATUS_INDEX);
+    await dbConnection.run(CREATE_SHIFTS_WORK_DATE_INDEX);
+    console.log('✓ Shift indexes created/verified');
+
+    await dbConnection.run(CREATE_SCHEDULES_WEEKDAY_INDEX);
+    console.log('✓ Schedule index created/verified');
+
+    await dbConnection.run(CREATE_SCHEDULED_RUNS_JOB_INDEX);
+    console.log('✓ Scheduled run index created/verified');
+
+    await dbConnection.run(CREATE_LEAVE_REQUESTS_PHONE_DATES_INDEX);
+    console.log('✓ Leave request index created/verified');
+
+    await dbConnection.run(CREATE_GROUP_MEMBERS_PHONE_INDEX);
+    console.log('✓ Group member index created/verified');
+
+    await dbConnection.run(CREATE_GROUP_MANAGERS_PHONE_INDEX);
+    console.log('✓ Group manager index created/verified');
+
+    await dbConnection.run(CREATE_GROUPS_WHATSAPP_INDEX);
+    console.log('✓ Group WhatsApp chat index created/verified');
+
+    await dbConnection.run(CREATE_SESSIONS_LOCATION_INDEX);
+    console.log('✓ Session location index created/verified');
+
+    await dbConnection.run(CREATE_OUTBOUND_MESSAGES_DUE_INDEX);
+    console.log('✓ Outbound message index created/verified');
+
     // Insert default configuration
     if (secretKey) {
       await dbConnection.run(INSERT_DEFAULT_CONFIG, [secretKey]);
@@ -90,6 +645,22 @@ async function dropSchema(dbConnection) {
   try {
     await dbConnection.run('DROP TABLE IF EXISTS check_ins');
     await dbConnection.run('DROP TABLE IF EXISTS system_config');
+    await dbConnection.run('DROP TABLE IF EXISTS locations');
+    await dbConnection.run('DROP TABLE IF EXISTS displays');
+    await dbConnection.run('DROP VIEW IF EXISTS daily_work_hours');
+    await dbConnection.run('DROP TABLE IF EXISTS shifts');
+    await dbConnection.run('DROP TABLE IF EXISTS schedules');
+    await dbConnection.run('DROP TABLE IF EXISTS scheduled_runs');
+    await dbConnection.run('DROP TABLE IF EXISTS leave_requests');
+    await dbConnection.run('DROP TABLE IF EXISTS group_members');
+    await dbConnection.run('DROP TABLE IF EXISTS group_managers');
+    await dbConnection.run('DROP TABLE IF EXISTS groups');
+    await dbConnection.run('DROP TABLE IF EXISTS people');
+    await dbConnection.run('DROP TABLE IF EXISTS conversations');
+    await dbConnection.run('DROP TABLE IF EXISTS sessions');
+    await dbConnection.run('DROP TABLE IF EXISTS check_in_photos');
+    await dbConnection.run('DROP TABLE IF EXISTS whatsapp_identities');
+    await dbConnection.run('DROP TABLE IF EXISTS outbound_messages');
     console.log('Database schema dropped successfully');
   } catch (error) {
     console.error('Error dropping database schema:', error);
@@ -98,11 +669,43 @@ async function dropSchema(dbConnection) {
 }
 
 export {
+  VALIDATION_STATUSES,
+  EVENT_TYPES,
+  SHIFT_STATUSES,
+  ATTENDANCE_STATUSES,
+  RUN_STATUSES,
+  LEAVE_STATUSES,
+  REGISTRATION_STATUSES,
+  WHATSAPP_REPLY_MODES,
+  MESSAGE_STATUSES,
   initializeSchema,
   dropSchema,
   CREATE_CHECK_INS_TABLE,
   CREATE_SYSTEM_CONFIG_TABLE,
+  CREATE_LOCATIONS_TABLE,
+  CREATE_DISPLAYS_TABLE,
+  CREATE_SHIFTS_TABLE,
+  CREATE_DAILY_WORK_HOURS_VIEW,
+  CREATE_SCHEDULES_TABLE,
+  CREATE_SCHEDULED_RUNS_TABLE,
+  CREATE_LEAVE_REQUESTS_TABLE,
+  CREATE_PEOPLE_TABLE,
+  CREATE_GROUPS_TABLE,
+  CREATE_GROUP_MEMBERS_TABLE,
+  CREATE_GROUP_MANAGERS_TABLE,
+  CREATE_CONVERSATIONS_TABLE,
+  CREATE_SESSIONS_TABLE,
   CREATE_CHECK_INS_DATE_INDEX,
   CREATE_CHECK_INS_PHONE_INDEX,
   CREATE_CHECK_INS_TIMESTAMP_INDEX,
+  CREATE_CHECK_INS_LOCATION_INDEX,
+  CREATE_CHECK_INS_SESSION_INDEX,
+  CREATE_SHIFTS_PHONE_STATUS_INDEX,
+  CREATE_SHIFTS_WORK_DATE_INDEX,
+  CREATE_SCHEDULES_WEEKDAY_INDEX,
+  CREATE_SCHEDULED_RUNS_JOB_INDEX,
+  CREATE_LEAVE_REQUESTS_PHONE_DATES_INDEX,
+  CREATE_GROUP_MEMBERS_PHONE_INDEX,
+  CREATE_GROUP_MANAGERS_PHONE_INDEX,
+  CREATE_SESSIONS_LOCATION_INDEX,
 };
@@ -0,0 +1,183 @@
+import errorHandler from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+import DatabaseConnection from './connection.js';
+
+const { DatabaseErrorHandler } = errorHandler;
+
+const SESSION_COLUMNS = `
+  id, name, location_id, group_id, starts_at, ends_at, cron,
+  duration_minutes, active, created_at, updated_at
+`;
+
+// Session fields and the columns they are stored in
+const FIELD_COLUMNS = {
+  name: 'name',
+  locationId: 'location_id',
+  groupId: 'group_id',
+  startsAt: 'starts_at',
+  endsAt: 'ends_at',
+  cron: 'cron',
+  durationMinutes: 'duration_minutes',
+  active: 'active',
+};
+
+const toRow = (field, value) =>
+  field === 'active' ? (value ? 1 : 0) : (value ?? null);
+
+class SessionRepository {
+  constructor(dbConnection = null) {
+    this.dbConnection = dbConnection || new DatabaseConnection();
+  }
+
+  /**
+   * Run a query and wrap failures the same way for every method
+   * @private
+   */
+  async _query(method, operation, sql, params = []) {
+    try {
+      return await this.dbConnection[method](sql, params);
+    } catch (error) {
+      logger.logSystemError('session_repository', error, { operation });
+      throw DatabaseErrorHandler.handleQueryError(error, sql, params);
+    }
+  }
+
+  /**
+   * Get a session by id
+   * @param {string} id - Session id
+   * @returns {Promise<Object|undefined>}
+   */
+  async getSession(id) {
+    return this._query(
+      'get',
+      'getSession',
+      `SELECT ${SESSION_COLUMNS} FROM sessions WHERE id = ?`,
+      [id],
+    );
+  }
+
+  /**
+   * List sessions, optionally of one location or group, or only the active
+   * or inactive ones
+   * @param {Object} [filter]
+   * @param {string} [filter.locationId]
+   * @param {string} [filter.groupId]
+   * @param {boolean} [filter.active]
+   * @returns {Promise<Array>}
+   */
+  async getSessions({ locationId, groupId, active } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (locationId) {
+      conditions.push('location_id = ?');
+      params.push(locationId);
+    }
+    if (groupId) {
+      conditions.push('group_id = ?');
+      params.push(groupId);
+    }
+    if (active !== undefined) {
+      conditions.push('active = ?');
+      params.push(active ? 1 : 0);
+    }
+
+    return this._query(
+      'all',
+      'getSessions',
+      `SELECT ${SESSION_COLUMNS} FROM sessions
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY name COLLATE NOCASE`,
+      params,
+    );
+  }
+
+  /**
+   * Create a session
+   * @param {Object} session
+   * @param {string} session.name - e.g. 'Physics'
+   * @param {string} session.locationId - Location whose codes it gates
+   * @param {string|null} [session.groupId] - Group it is for; null for everyone
+   * @param {string|null} [session.startsAt] - Start of a one-off session (ISO)
+   * @param {string|null} [session.endsAt] - End of a one-off session (ISO)
+   * @param {string|null} [session.cron] - Local start times of a recurring one
+   * @param {number|null} [session.durationMinutes] - Length of a recurring one
+   * @param {boolean} [session.active=true]
+   * @returns {Promise<Object>} - Created session
+   */
+  async createSession(session) {
+    const fields = Object.keys(FIELD_COLUMNS);
+    const now = new Date().toISOString();
+
+    const result = await this._query(
+      'run',
+      'createSession',
+      `INSERT INTO sessions (${fields.map((field) => FIELD_COLUMNS[field]).join(', ')}, created_at, updated_at)
+       VALUES (${fields.map(() => '?').join(', ')}, ?, ?)`,
+      [
+        ...fields.map((field) =>
+          toRow(
+            field,
+            field === 'active' ? (session.active ?? true) : session[field],
+          ),
+        ),
+        now,
+        now,
+      ],
+    );
+
+    return this._query(
+      'get',
+      'createSession',
+      `SELECT ${SESSION_COLUMNS} FROM sessions WHERE rowid = ?`,
+      [result.lastID],
+    );
+  }
+
+  /**
+   * Change some fields of a session
+   * @param {string} id - Session id
+   * @param {Object} changes - Fields as in createSession; null clears one
+   * @returns {Promise<Object|undefined>} - Updated session, undefined if not found
+   */
+  async updateSession(id, changes) {
+    const assignments = [];
+    const params = [];
+
+    for (const [field, column] of Object.entries(FIELD_COLUMNS)) {
+      if (changes[field] === undefined) continue;
+      assignments.push(`${column} = ?`);
+      params.push(toRow(field, changes[field]));
+    }
+
+    if (assignments.length > 0) {
+      await this._query(
+        'run',
+        'updateSession',
+        `UPDATE sessions SET ${assignments.join(', ')}, updated_at = ?
+         WHERE id = ?`,
+        [...params, new Date().toISOString(), id],
+      );
+    }
+
+    return this.getSession(id);
+  }
+
+  /**
+   * Delete a session. Its check-ins keep the session id.
+   * @param {string} id - Session id
+   * @returns {Promise<boolean>} - True if a session was deleted
+   */
+  async deleteSession(id) {
+    const result = await this._query(
+      'run',
+      'deleteSession',
+      'DELETE FROM sessions WHERE id = ?',
+      [id],
+    );
+    return result.changes > 0;
+  }
+}
+
+export default SessionRepository;
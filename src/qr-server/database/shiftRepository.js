@@ -0,0 +1,263 @@
+import errorHandler from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+import DatabaseConnection from './connection.js';
+
+const { DatabaseErrorHandler } = errorHandler;
+
+const SHIFT_COLUMNS = `
+  id, phone_number, location_id, work_date, check_in_id, check_in_at,
+  check_out_id, check_out_at, worked_minutes, status, created_at, updated_at
+`;
+
+/**
+ * Build a WHERE clause from the optional person, work-date and status filters
+ * @returns {{ where: string, params: Array }}
+ */
+function buildFilter({ phoneNumber, startDate, endDate, status }) {
+  const conditions = [];
+  const params = [];
+
+  if (phoneNumber) {
+    conditions.push('phone_number = ?');
+    params.push(phoneNumber);
+  }
+  if (startDate) {
+    conditions.push('work_date >= ?');
+    params.push(startDate);
+  }
+  if (endDate) {
+    conditions.push('work_date <= ?');
+    params.push(endDate);
+  }
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+  };
+}
+
+class ShiftRepository {
+  constructor(dbConnection = null) {
+    this.dbConnection = dbConnection || new DatabaseConnection();
+  }
+
+  /**
+   * Run a query and wrap failures the same way for every method
+   * @private
+   */
+  async _query(method, operation, sql, params = []) {
+    try {
+      return await this.dbConnection[method](sql, params);
+    } catch (error) {
+      logger.logSystemError('shift_repository', error, { operation });
+      throw DatabaseErrorHandler.handleQueryError(error, sql, params);
+    }
+  }
+
+  /**
+   * Open a shift for a check-in
+   * @param {Object} shift
+   * @param {string} shift.phoneNumber - User's phone number
+   * @param {string|null} shift.locationId - Location of the check-in
+   * @param {string} shift.workDate - Local date of the check-in (YYYY-MM-DD)
+   * @param {string} shift.checkInId - Check-in event id
+   * @param {Date} shift.checkInAt - Check-in time
+   * @returns {Promise<Object>} - Created shift
+   */
+  async createShift({
+    phoneNumber,
+    locationId,
+    workDate,
+    checkInId,
+    checkInAt,
+  }) {
+    const result = await this._query(
+      'run',
+      'createShift',
+      `INSERT INTO shifts (phone_number, location_id, work_date, check_in_id, check_in_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [phoneNumber, locationId, workDate, checkInId, checkInAt.toISOString()],
+    );
+
+    return this._query(
+      'get',
+      'createShift',
+      `SELECT ${SHIFT_COLUMNS} FROM shifts WHERE rowid = ?`,
+      [result.lastID],
+    );
+  }
+
+  /**
+   * Get a shift by id
+   * @param {string} id - Shift id
+   * @returns {Promise<Object|undefined>}
+   */
+  async getShift(id) {
+    return this._query(
+      'get',
+      'getShift',
+      `SELECT ${SHIFT_COLUMNS} FROM shifts WHERE id = ?`,
+      [id],
+    );
+  }
+
+  /**
+   * Find the latest open shift of a person
+   * @param {string} phoneNumber - User's phone number
+   * @returns {Promise<Object|undefined>}
+   */
+  async findOpenShift(phoneNumber) {
+    return this._query(
+      'get',
+      'findOpenShift',
+      `SELECT ${SHIFT_COLUMNS} FROM shifts
+       WHERE phone_number = ? AND status = 'open'
+       ORDER BY check_in_at DESC
+       LIMIT 1`,
+      [phoneNumber],
+    );
+  }
+
+  /**
+   * Close a shift with its check-out
+   * @param {string} id - Shift id
+   * @param {Object} checkOut
+   * @param {string} checkOut.checkOutId - Check-out event id
+   * @param {Date} checkOut.checkOutAt - Check-out time
+   * @param {number} checkOut.workedMinutes - Minutes between check-in and check-out
+   * @returns {Promise<Object|undefined>} - Closed shift
+   */
+  async closeShift(id, { checkOutId, checkOutAt, workedMinutes }) {
+    await this._query(
+      'run',
+      'closeShift',
+      `UPDATE shifts
+       SET check_out_id = ?, check_out_at = ?, worked_minutes = ?,
+           status = 'closed', updated_at = ?
+       WHERE id = ? AND status = 'open'`,
+      [
+        checkOutId,
+        checkOutAt.toISOString(),
+        workedMinutes,
+        new Date().toISOString(),
+        id,
+      ],
+    );
+
+    return this.getShift(id);
+  }
+
+  /**
+   * Flag open shifts as missing their check-out
+   * @param {Object} filter
+   * @param {string} [filter.phoneNumber] - Only this person's shifts
+   * @param {Date} [filter.checkedInBefore] - Only shifts started before this time
+   * @returns {Promise<Array>} - The shifts that were flagged
+   */
+  async flagMissingCheckOuts({ phoneNumber, checkedInBefore } = {}) {
+    const conditions = ["status = 'open'"];
+    const params = [];
+
+    if (phoneNumber) {
+      conditions.push('phone_number = ?');
+      params.push(phoneNumber);
+    }
+    if (checkedInBefore) {
+      conditions.push('check_in_at < ?');
+      params.push(checkedInBefore.toISOString());
+    }
+
+    const where = conditions.join(' AND ');
+    const shifts = await this._query(
+      'all',
+      'flagMissingCheckOuts',
+      `SELECT ${SHIFT_COLUMNS} FROM shifts WHERE ${where}`,
+      params,
+    );
+    if (shifts.length === 0) return [];
+
+    await this._query(
+      'run',
+      'flagMissingCheckOuts',
+      `UPDATE shifts SET status = 'missing_check_out', updated_at = ?
+       WHERE id IN (${shifts.map(() => '?').join(', ')})`,
+      [new Date().toISOString(), ...shifts.map((shift) => shift.id)],
+    );
+
+    return shifts.map((shift) => ({ ...shift, status: 'missing_check_out' }));
+  }
+
+  /**
+   * List shifts, newest first
+   * @param {Object} filter
+   * @param {string} [filter.phoneNumber] - Only this person's shifts
+   * @param {string} [filter.startDate] - First work date (YYYY-MM-DD)
+   * @param {string} [filter.endDate] - Last work date (YYYY-MM-DD)
+   * @param {string} [filter.status] - Only shifts with this status
+   * @returns {Promise<Array>}
+   */
+  async getShifts({ phoneNumber, startDate, endDate, status } = {}) {
+    const { where, params } = buildFilter({
+      phoneNumber,
+      startDate,
+      endDate,
+      status,
+    });
+
+    return this._query(
+      'all',
+      'getShifts',
+      `SELECT ${SHIFT_COLUMNS} FROM shifts ${where} ORDER BY check_in_at DESC`,
+      params,
+    );
+  }
+
+  /**
+   * Work dates with at least one shift, newest first
+   * @param {Object} filter
+   * @param {string} [filter.phoneNumber] - Only this person's days
+   * @param {string} [filter.startDate] - First work date (YYYY-MM-DD)
+   * @param {string} [filter.endDate] - Last work date (YYYY-MM-DD)
+   * @returns {Promise<string[]>}
+   */
+  async getWorkDates({ phoneNumber, startDate, endDate } = {}) {
+    const { where, params } = buildFilter({ phoneNumber, startDate, endDate });
+
+    const rows = await this._query(
+      'all',
+      'getWorkDates',
+      `SELECT DISTINCT work_date FROM shifts ${where} ORDER BY work_date DESC`,
+      params,
+    );
+    return rows.map((row) => row.work_date);
+  }
+
+  /**
+   * Worked-hours totals per person per day
+   * @param {Object} filter
+   * @param {string} [filter.phoneNumber] - Only this person's totals
+   * @param {string} [filter.startDate] - First work date (YYYY-MM-DD)
+   * @param {string} [filter.endDate] - Last work date (YYYY-MM-DD)
+   * @returns {Promise<Array>}
+   */
+  async getDailyHours({ phoneNumber, startDate, endDate } = {}) {
+    const { where, params } = buildFilter({ phoneNumber, startDate, endDate });
+
+    return this._query(
+      'all',
+      'getDailyHours',
+      `SELECT phone_number, work_date, shifts, worked_minutes, first_check_in,
+              last_check_out, open_shifts, missing_check_outs
+       FROM daily_work_hours ${where}
+       ORDER BY work_date DESC, phone_number`,
+      params,
+    );
+  }
+}
+
+export default ShiftRepository;
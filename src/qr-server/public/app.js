@@ -1,9 +1,25 @@
+const DISPLAY_TOKEN_STORAGE_KEY = 'displayToken';
+
 class OTPCheckinApp {
     constructor() {
         this.qrCodeElement = document.getElementById('qr-code');
         this.countdownElement = document.getElementById('countdown');
         this.errorElement = document.getElementById('error-message');
         this.retryButton = document.getElementById('retry-btn');
+        this.qrContainerElement = document.getElementById('qr-container');
+        this.enrollmentElement = document.getElementById('enrollment');
+        this.enrollmentForm = document.getElementById('enrollment-form');
+        this.enrollmentCodeInput = document.getElementById('enrollment-code');
+        this.enrollmentErrorElement = document.getElementById('enrollment-error');
+
+        // Long-lived token issued when an admin enrolls this display
+        this.displayToken = localStorage.getItem(DISPLAY_TOKEN_STORAGE_KEY);
+
+        // Each display is opened as /?location=<id>; no parameter means the default location.
+        // Exit displays add &event=check_out to show the check-out code.
+        const params = new URLSearchParams(window.location.search);
+        this.locationId = params.get('location');
+        this.eventType = ['check_out', 'check-out'].includes(params.get('event')) ? 'check_out' : 'check_in';
 
         this.currentOTP = null;
         this.countdownTimer = null;
@@ -16,27 +32,108 @@ class OTPCheckinApp {
     }
 
     init() {
+        if (this.eventType === 'check_out') {
+            document.getElementById('page-title').textContent = 'Daily Check-out';
+            document.getElementById('page-subtitle').textContent = 'Scan the QR code to check out via WhatsApp';
+            document.getElementById('scan-hint').textContent = 'Scan with your phone to open WhatsApp and send your check-out.';
+        }
+
         this.retryButton.addEventListener('click', () => {
             this.retryCount = 0; // Reset retry count on manual retry
             this.loadCurrentOTP();
         });
+        this.enrollmentForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.registerDisplay(this.enrollmentCodeInput.value);
+        });
+
+        if (!this.displayToken) {
+            this.showEnrollment();
+            return;
+        }
+
         this.loadCurrentOTP();
     }
 
+    async registerDisplay(enrollmentCode) {
+        try {
+            this.enrollmentErrorElement.classList.add('hidden');
+
+            const response = await fetch('/api/displays/register', {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ enrollmentCode: enrollmentCode.trim() })
+            });
+
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw new Error(result.error?.message || 'Failed to register display');
+            }
+
+            this.displayToken = result.data.token;
+            localStorage.setItem(DISPLAY_TOKEN_STORAGE_KEY, this.displayToken);
+
+            this.hideEnrollment();
+            this.retryCount = 0;
+            this.loadCurrentOTP();
+        } catch (error) {
+            console.error('Failed to register display:', error);
+            this.enrollmentErrorElement.textContent = error.message;
+            this.enrollmentErrorElement.classList.remove('hidden');
+        }
+    }
+
+    showEnrollment(message) {
+        this.clearTimers();
+        this.hideError();
+        this.qrContainerElement.classList.add('hidden');
+        this.enrollmentElement.classList.remove('hidden');
+        this.enrollmentCodeInput.value = '';
+
+        if (message) {
+            this.enrollmentErrorElement.textContent = message;
+            this.enrollmentErrorElement.classList.remove('hidden');
+        }
+    }
+
+    hideEnrollment() {
+        this.enrollmentElement.classList.add('hidden');
+        this.qrContainerElement.classList.remove('hidden');
+    }
+
     async loadCurrentOTP() {
         try {
             this.hideError();
             this.showLoading();
 
             // Use the backend QR code generation endpoint
-            const response = await fetch('/api/current-otp-with-qr?format=mobile&size=200', {
+            const params = new URLSearchParams({ format: 'mobile', size: '200', eventType: this.eventType });
+            if (this.locationId) {
+                params.set('location', this.locationId);
+            }
+
+            const response = await fetch(`/api/current-otp-with-qr?${params}`, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    'X-Display-Token': this.displayToken
                 }
             });
 
+            // The token was revoked or never valid: re-enroll instead of retrying
+            if (response.status === 401 || response.status === 403) {
+                const result = await response.json().catch(() => ({}));
+                localStorage.removeItem(DISPLAY_TOKEN_STORAGE_KEY);
+                this.displayToken = null;
+                this.showEnrollment(result.error?.message);
+                return;
+            }
+
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
@@ -48,9 +145,16 @@ class OTPCheckinApp {
                 throw new Error(result.error?.message || 'Failed to get OTP');
             }
 
-            this.currentOTP = result.data;
             this.retryCount = 0; // Reset retry count on success
 
+            // Locations with sessions only show a code while one is open
+            if (!result.data.otp) {
+                this.showNoSession(result.data.nextSession);
+                return;
+            }
+
+            this.currentOTP = result.data;
+
             // Display QR code from backend-generated data URL
             this.displayQRCodeFromDataURL(result.data.qrCodeDataURL, result.data.whatsappURL);
 
@@ -90,7 +194,7 @@ class OTPCheckinApp {
             const img = document.createElement('img');
             img.src = qrCodeDataURL;
             // Use the WhatsApp URL as alt text for accessibility
-            img.alt = `QR Code for WhatsApp Check-in: ${whatsappUrl}`;
+            img.alt = `QR Code for WhatsApp ${this.eventType === 'check_out' ? 'Check-out' : 'Check-in'}: ${whatsappUrl}`;
             img.style.width = '200px';
             img.style.height = '200px';
 
@@ -106,7 +210,7 @@ class OTPCheckinApp {
     async getWhatsAppURL(otp) {
         try {
             // Use the new backend endpoint for WhatsApp URL generation
-            const response = await fetch(`/api/whatsapp-url/${otp}?format=mobile&qrOptimized=true`, {
+            const response = await fetch(`/api/whatsapp-url/${otp}?format=mobile&qrOptimized=true&eventType=${this.eventType}`, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -221,6 +325,33 @@ class OTPCheckinApp {
         this.qrCodeElement.innerHTML = `<div class="loading"><div class="spinner"></div><p>Retrying... (${this.retryCount}/${this.maxRetries})</p></div>`;
     }
 
+    showNoSession(nextSession) {
+        this.clearTimers();
+        this.currentOTP = null;
+        this.countdownElement.textContent = '-';
+
+        const container = document.createElement('div');
+        container.className = 'loading no-session';
+        const title = document.createElement('p');
+        title.textContent = 'No active session';
+        container.appendChild(title);
+
+        if (nextSession) {
+            const next = document.createElement('p');
+            next.textContent = `Next: ${nextSession.name} at ${new Date(nextSession.startsAt).toLocaleString()}`;
+            container.appendChild(next);
+        }
+
+        this.qrCodeElement.innerHTML = '';
+        this.qrCodeElement.appendChild(container);
+
+        // Check again once the next session opens, and at least every minute
+        const untilNext = nextSession ? new Date(nextSession.startsAt) - Date.now() : Infinity;
+        this.refreshTimer = setTimeout(() => {
+            this.loadCurrentOTP();
+        }, Math.max(1000, Math.min(untilNext + 1000, 60000)));
+    }
+
     showError(message = 'Unable to generate QR code') {
         this.errorElement.querySelector('p').textContent = `${message}. `;
         this.errorElement.classList.remove('hidden');
@@ -0,0 +1,292 @@
+const ADMIN_TOKEN_STORAGE_KEY = 'adminToken';
+const REFRESH_INTERVAL_MS = 3000;
+
+// What each state of the WhatsApp client means for the person linking it
+const STATE_LABELS = {
+  stopped: 'Stopped',
+  starting: 'Starting…',
+  qr: 'Waiting to be linked',
+  authenticated: 'Linked, loading chats…',
+  ready: 'Linked and connected',
+  disconnected: 'Disconnected, restarting soon',
+  restarting: 'Restarting…',
+  logging_out: 'Logging out…',
+  logged_out: 'Logged out',
+};
+
+class WhatsAppLinkApp {
+  constructor() {
+    this.signInElement = document.getElementById('sign-in');
+    this.signInForm = document.getElementById('sign-in-form');
+    this.adminKeyInput = document.getElementById('admin-key');
+    this.signInErrorElement = document.getElementById('sign-in-error');
+    this.linkElement = document.getElementById('link');
+    this.clientPickerElement = document.getElementById('client-picker');
+    this.clientSelect = document.getElementById('client-select');
+    this.stateElement = document.getElementById('link-state');
+    this.detailElement = document.getElementById('link-detail');
+    this.qrElement = document.getElementById('link-qr');
+    this.qrCodeElement = document.getElementById('qr-code');
+    this.pairingElement = document.getElementById('link-pairing');
+    this.pairingCodeElement = document.getElementById('pairing-code');
+    this.failureElement = document.getElementById('link-failure');
+    this.logoutButton = document.getElementById('logout-btn');
+    this.relinkButton = document.getElementById('relink-btn');
+    this.signOutButton = document.getElementById('sign-out-btn');
+    this.errorElement = document.getElementById('error-message');
+    this.errorTextElement = document.getElementById('error-text');
+
+    // Kept for this tab only, so the key is not left on a shared computer
+    this.adminToken = sessionStorage.getItem(ADMIN_TOKEN_STORAGE_KEY);
+    this.refreshTimer = null;
+    this.currentQR = null;
+    // WhatsApp client the page manages; null for the default one
+    this.clientId = null;
+
+    this.init();
+  }
+
+  init() {
+    this.signInForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.signIn(this.adminKeyInput.value.trim());
+    });
+    this.logoutButton.addEventListener('click', () => {
+      if (
+        confirm(
+          'Log out the WhatsApp number? The bot stops until it is linked again.',
+        )
+      ) {
+        this.sendAction('logout');
+      }
+    });
+    this.relinkButton.addEventListener('click', () => {
+      if (
+        confirm(
+          'Log out the WhatsApp number and show a new code to link it again?',
+        )
+      ) {
+        this.sendAction('relink');
+      }
+    });
+    this.signOutButton.addEventListener('click', () => this.signOut());
+    this.clientSelect.addEventListener('change', () => {
+      this.clientId = this.clientSelect.value;
+      this.currentQR = null;
+      this.refresh();
+    });
+
+    if (!this.adminToken) {
+      this.showSignIn();
+      return;
+    }
+
+    this.showLink();
+  }
+
+  signIn(adminToken) {
+    this.adminToken = adminToken;
+    sessionStorage.setItem(ADMIN_TOKEN_STORAGE_KEY, adminToken);
+    this.showLink();
+  }
+
+  signOut(message) {
+    this.adminToken = null;
+    sessionStorage.removeItem(ADMIN_TOKEN_STORAGE_KEY);
+    this.showSignIn(message);
+  }
+
+  showSignIn(message) {
+    clearTimeout(this.refreshTimer);
+    this.hideError();
+    this.linkElement.classList.add('hidden');
+    this.signInElement.classList.remove('hidden');
+    this.adminKeyInput.value = '';
+
+    if (message) {
+      this.signInErrorElement.textContent = message;
+      this.signInErrorElement.classList.remove('hidden');
+    } else {
+      this.signInErrorElement.classList.add('hidden');
+    }
+  }
+
+  async showLink() {
+    this.signInElement.classList.add('hidden');
+    this.linkElement.classList.remove('hidden');
+    await this.loadClients();
+    // Signed out when the key was refused
+    if (this.adminToken) this.refresh();
+  }
+
+  /**
+   * List the WhatsApp numbers; the picker is only shown when there are
+   * several
+   */
+  async loadClients() {
+    try {
+      const data = await this.request('clients');
+      if (!data) return;
+
+      const { clients } = data;
+      this.clientSelect.replaceChildren(
+        ...clients.map((client) => {
+          const option = document.createElement('option');
+          option.value = client.id;
+          option.textContent = client.phoneNumber
+            ? `${client.id} (+${client.phoneNumber})`
+            : client.id;
+          return option;
+        }),
+      );
+
+      const current =
+        clients.find((client) => client.id === this.clientId) ||
+        clients.find((client) => client.default);
+      this.clientId = current ? current.id : null;
+      if (current) this.clientSelect.value = current.id;
+      this.clientPickerElement.classList.toggle('hidden', clients.length < 2);
+    } catch (error) {
+      console.error('Failed to load the WhatsApp numbers:', error);
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * Call the admin API; signs out when the key is refused
+   */
+  async request(path, method = 'GET') {
+    const query =
+      this.clientId && path !== 'clients'
+        ? `?client=${encodeURIComponent(this.clientId)}`
+        : '';
+    const response = await fetch(`/api/admin/whatsapp/${path}${query}`, {
+      method,
+      headers: {
+        Accept: 'application/json',
+        Authorization: `Bearer ${this.adminToken}`,
+      },
+    });
+
+    if (response.status === 401 || response.status === 403) {
+      this.signOut('The admin key was not accepted.');
+      return null;
+    }
+
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(
+        result.error?.message || result.message || `HTTP ${response.status}`,
+      );
+    }
+    return result.data;
+  }
+
+  async refresh() {
+    clearTimeout(this.refreshTimer);
+
+    try {
+      const data = await this.request('link');
+      if (!data) return;
+
+      this.hideError();
+      this.render(data.link);
+    } catch (error) {
+      console.error('Failed to load the link state:', error);
+      this.showError(error.message);
+    }
+
+    if (this.adminToken) {
+      this.refreshTimer = setTimeout(() => this.refresh(), REFRESH_INTERVAL_MS);
+    }
+  }
+
+  async sendAction(action) {
+    this.logoutButton.disabled = true;
+    this.relinkButton.disabled = true;
+
+    try {
+      const data = await this.request(action, 'POST');
+      if (!data) return;
+
+      this.render(data.link);
+    } catch (error) {
+      console.error(`Failed to ${action}:`, error);
+      this.showError(error.message);
+    }
+  }
+
+  render(link) {
+    this.stateElement.textContent = STATE_LABELS[link.state] || link.state;
+    this.stateElement.className = `link-state link-state-${link.state}`;
+    this.detailElement.textContent = this.describe(link);
+
+    this.renderQR(link.qrCodeDataURL);
+
+    if (link.pairingCode) {
+      this.pairingCodeElement.textContent = link.pairingCode.code;
+      this.pairingElement.classList.remove('hidden');
+    } else {
+      this.pairingElement.classList.add('hidden');
+    }
+
+    if (link.authFailure) {
+      this.failureElement.textContent = `Linking failed: ${link.authFailure.message}`;
+      this.failureElement.classList.remove('hidden');
+    } else {
+      this.failureElement.classList.add('hidden');
+    }
+
+    const busy = ['logging_out', 'restarting', 'stopped'].includes(link.state);
+    this.logoutButton.disabled = busy || link.state === 'logged_out';
+    this.relinkButton.disabled = busy;
+  }
+
+  describe(link) {
+    const since = new Date(link.since).toLocaleString();
+
+    if (link.account) {
+      const name = link.account.name ? `${link.account.name}, ` : '';
+      return `${name}+${link.account.phoneNumber} · since ${since}`;
+    }
+    if (link.state === 'qr' && link.pairingPhoneNumber) {
+      return `Link +${link.pairingPhoneNumber} · waiting since ${since}`;
+    }
+    if (link.state === 'disconnected' && link.lastError) {
+      return link.lastError;
+    }
+    return `Since ${since}`;
+  }
+
+  renderQR(qrCodeDataURL) {
+    if (!qrCodeDataURL) {
+      this.currentQR = null;
+      this.qrCodeElement.innerHTML = '';
+      this.qrElement.classList.add('hidden');
+      return;
+    }
+    // Only swap the image when WhatsApp Web changed the code
+    if (qrCodeDataURL === this.currentQR) return;
+
+    this.currentQR = qrCodeDataURL;
+    const img = document.createElement('img');
+    img.src = qrCodeDataURL;
+    img.alt = 'QR code to link WhatsApp';
+    this.qrCodeElement.replaceChildren(img);
+    this.qrElement.classList.remove('hidden');
+  }
+
+  showError(message) {
+    this.errorTextElement.textContent = message;
+    this.errorElement.classList.remove('hidden');
+  }
+
+  hideError() {
+    this.errorElement.classList.add('hidden');
+  }
+}
+
+// Initialize the app when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new WhatsAppLinkApp();
+});
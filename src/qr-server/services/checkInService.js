@@ -0,0 +1,369 @@
+import logger from '../utils/logger.js';
+
+import { envConfig } from '#src/configs/environment.js';
+
+/**
+ * Check-in Service
+ * Validates a scanned code, matches it to a session, detects duplicates,
+ * checks the roster, derives the attendance status, records the attempt and
+ * updates the person's shifts
+ */
+class CheckInService {
+  /**
+   * @param {Object} options
+   * @param {import('./locationService.js').default} options.locationService
+   * @param {import('../database/checkInRepository.js').default} options.checkInRepository
+   * @param {import('./shiftService.js').default} options.shiftService
+   * @param {import('./scheduleService.js').default} options.scheduleService
+   * @param {import('./rosterService.js').default} [options.rosterService]
+   * @param {import('./sessionService.js').default} [options.sessionService]
+   * @param {number} [options.cooldownMs] - Duplicate window for the same phone
+   * @param {string} [options.unknownNumberPolicy] - What to do with valid
+   *   codes from numbers not on the roster: allow, reject, hold or register
+   */
+  constructor({
+    locationService,
+    checkInRepository,
+    shiftService,
+    scheduleService,
+    rosterService = null,
+    sessionService = null,
+    cooldownMs = envConfig.QR_CODE_SERVER.CHECKIN_COOLDOWN_MS,
+    unknownNumberPolicy = envConfig.QR_CODE_SERVER.UNKNOWN_NUMBER_POLICY,
+  }) {
+    this.locationService = locationService;
+    this.checkInRepository = checkInRepository;
+    this.shiftService = shiftService;
+    this.scheduleService = scheduleService;
+    this.rosterService = rosterService;
+    this.sessionService = sessionService;
+    this.cooldownMs = cooldownMs;
+    this.unknownNumberPolicy = unknownNumberPolicy;
+    // Last check-in still being processed for each phone number
+    this.pendingByPhone = new Map();
+  }
+
+  /**
+   * Validate and record a check-in or check-out. Every attempt is recorded;
+   * the status is 'valid', 'duplicate', 'expired' or 'invalid', 'held' /
+   * 'unregistered' for a valid code from a number that is not on the roster,
+   * or 'no_session' / 'not_in_group' for a valid code outside its sessions.
+   * @param {Object} checkIn
+   * @param {string} checkIn.phoneNumber - Normalized phone number
+   * @param {string} checkIn.otp - Normalized OTP
+   * @param {Date} checkIn.timestamp - Time of the check-in
+   * @param {string} [checkIn.eventType='check_in'] - 'check_in' or 'check_out'
+   * @param {string|null} [checkIn.whatsappClientId] - WhatsApp client the
+   *   code was sent to
+   * @returns {Promise<Object>} - { checkInId, status, validation, location,
+   *   session, nextSession, duplicateOf, person, registration, attendance,
+   *   shift, day, missingCheckOuts, streak }; streak is the days in a row
+   *   the person has checked in, for check-ins
+   */
+  async processCheckIn(checkIn) {
+    return this._oneAtATime(checkIn.phoneNumber, () =>
+      this._processCheckIn(checkIn),
+    );
+  }
+
+  /**
+   * Check-ins from one phone are processed one at a time, so two sent at once
+   * cannot both pass the duplicate check before either is recorded
+   * @private
+   */
+  async _oneAtATime(phoneNumber, task) {
+    const previous = this.pendingByPhone.get(phoneNumber) ?? Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    this.pendingByPhone.set(phoneNumber, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.pendingByPhone.get(phoneNumber) === current) {
+        this.pendingByPhone.delete(phoneNumber);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _processCheckIn({
+    phoneNumber,
+    otp,
+    timestamp,
+    eventType = 'check_in',
+    whatsappClientId = null,
+  }) {
+    const validation = this.locationService.validateOTP(
+      otp,
+      timestamp.getTime(),
+    );
+    const location = validation.locationId
+      ? this.locationService.getLocation(validation.locationId)
+      : null;
+
+    let status = validation.valid
+      ? 'valid'
+      : validation.reason === 'EXPIRED_OR_INVALID'
+        ? 'expired'
+        : 'invalid';
+
+    let session = null;
+    let nextSession = null;
+    if (status === 'valid' && this.sessionService) {
+      const sessionCheck = await this.sessionService.checkSession({
+        locationId: validation.locationId,
+        phoneNumber,
+        timestamp,
+      });
+      ({ session, nextSession } = sessionCheck);
+
+      if (sessionCheck.status) {
+        status = sessionCheck.status;
+        logger.info('Check-in outside its sessions', {
+          phoneNumber: logger.maskPhoneNumber(phoneNumber),
+          locationId: validation.locationId,
+          status,
+          sessionId: session?.id,
+        });
+      }
+    }
+
+    let duplicateOf = null;
+    if (status === 'valid') {
+      duplicateOf = await this.checkInRepository.findDuplicateCheckIn(
+        phoneNumber,
+        {
+          locationId: validation.locationId,
+          otpSlot: validation.timeSlot,
+          timestamp,
+          cooldownMs: this.cooldownMs,
+          eventType,
+        },
+      );
+
+      if (duplicateOf) {
+        status = 'duplicate';
+        logger.info('Duplicate check-in detected', {
+          phoneNumber: logger.maskPhoneNumber(phoneNumber),
+          eventType,
+          previousCheckinId: duplicateOf.id,
+          replayedCode: duplicateOf.otp_slot === validation.timeSlot,
+        });
+      }
+    }
+
+    let person = null;
+    let registration = null;
+    if (status === 'valid' && this.rosterService) {
+      person = await this.rosterService.getActivePerson(phoneNumber);
+
+      if (!person && this.unknownNumberPolicy !== 'allow') {
+        ({ status, registration } =
+          await this._unknownNumberStatus(phoneNumber));
+        logger.info('Check-in from a number not on the roster', {
+          phoneNumber: logger.maskPhoneNumber(phoneNumber),
+          status,
+          registration,
+        });
+      }
+    }
+
+    const attendance =
+      status === 'valid' && eventType === 'check_in'
+        ? await this._classify(phoneNumber, timestamp)
+        : null;
+
+    const checkInId = await this.checkInRepository.recordCheckIn(
+      phoneNumber,
+      otp,
+      status,
+      timestamp,
+      {
+        locationId: validation.locationId,
+        otpSlot: validation.timeSlot ?? null,
+        eventType,
+        attendanceStatus: attendance?.status ?? null,
+        scheduleId: attendance?.scheduleId ?? null,
+        sessionId: session?.id ?? null,
+        whatsappClientId,
+      },
+    );
+
+    const shifts =
+      status === 'valid'
+        ? await this._updateShifts({
+            checkInId,
+            phoneNumber,
+            locationId: validation.locationId,
+            timestamp,
+            eventType,
+          })
+        : {};
+
+    return {
+      checkInId,
+      status,
+      validation,
+      location,
+      session,
+      nextSession,
+      duplicateOf,
+      person,
+      registration,
+      attendance,
+      shift: shifts.shift ?? null,
+      day: shifts.day ?? null,
+      missingCheckOuts: shifts.missingCheckOuts ?? [],
+      streak: shifts.streak ?? null,
+    };
+  }
+
+  /**
+   * Status of a valid check-in from a number that is not on the roster. With
+   * the register policy the check-in is held until the person's registration
+   * is approved.
+   * @private
+   * @returns {Promise<{ status: string, registration: string|null }>} -
+   *   registration is 'required' or 'pending' while the check-in is held
+   */
+  async _unknownNumberStatus(phoneNumber) {
+    if (this.unknownNumberPolicy === 'hold') {
+      return { status: 'held', registration: null };
+    }
+    if (this.unknownNumberPolicy !== 'register') {
+      return { status: 'unregistered', registration: null };
+    }
+
+    const registered = await this.rosterService.getPerson(phoneNumber);
+    if (registered?.status === 'rejected') {
+      return { status: 'unregistered', registration: null };
+    }
+    return {
+      status: 'held',
+      registration: registered?.status === 'pending' ? 'pending' : 'required',
+    };
+  }
+
+  /**
+   * Accept the held check-ins of a number that was added to the roster, as if
+   * they had been valid when they were made. Repeated scans become duplicates.
+   * @param {string} phoneNumber - Normalized phone number
+   * @returns {Promise<number>} - Number of check-ins accepted
+   */
+  async releaseHeldCheckIns(phoneNumber) {
+    return this._oneAtATime(phoneNumber, () =>
+      this._releaseHeldCheckIns(phoneNumber),
+    );
+  }
+
+  /**
+   * @private
+   */
+  async _releaseHeldCheckIns(phoneNumber) {
+    const held = await this.checkInRepository.getHeldCheckIns(phoneNumber);
+    let released = 0;
+
+    for (const checkIn of held) {
+      const timestamp = new Date(checkIn.timestamp);
+      const duplicateOf = await this.checkInRepository.findDuplicateCheckIn(
+        phoneNumber,
+        {
+          locationId: checkIn.location_id,
+          otpSlot: checkIn.otp_slot,
+          timestamp,
+          cooldownMs: this.cooldownMs,
+          eventType: checkIn.event_type,
+        },
+      );
+
+      if (duplicateOf) {
+        await this.checkInRepository.updateCheckInStatus(checkIn.id, {
+          validationStatus: 'duplicate',
+        });
+        continue;
+      }
+
+      const attendance =
+        checkIn.event_type === 'check_in'
+          ? await this._classify(phoneNumber, timestamp)
+          : null;
+
+      await this.checkInRepository.updateCheckInStatus(checkIn.id, {
+        validationStatus: 'valid',
+        attendanceStatus: attendance?.status ?? null,
+        scheduleId: attendance?.scheduleId ?? null,
+      });
+      await this._updateShifts({
+        checkInId: checkIn.id,
+        phoneNumber,
+        locationId: checkIn.location_id,
+        timestamp,
+        eventType: checkIn.event_type,
+      });
+      released++;
+    }
+
+    return released;
+  }
+
+  /**
+   * Turn down the held check-ins of a number
+   * @param {string} phoneNumber - Normalized phone number
+   * @returns {Promise<number>} - Number of check-ins rejected
+   */
+  async rejectHeldCheckIns(phoneNumber) {
+    const held = await this.checkInRepository.getHeldCheckIns(phoneNumber);
+
+    for (const checkIn of held) {
+      await this.checkInRepository.updateCheckInStatus(checkIn.id, {
+        validationStatus: 'unregistered',
+      });
+    }
+
+    return held.length;
+  }
+
+  /**
+   * Derive the attendance status of a valid check-in. A missing timetable or
+   * a lookup failure leaves the check-in unclassified.
+   * @private
+   */
+  async _classify(phoneNumber, timestamp) {
+    if (!this.scheduleService) return null;
+
+    try {
+      return await this.scheduleService.classifyCheckIn({
+        phoneNumber,
+        timestamp,
+      });
+    } catch (error) {
+      logger.logSystemError('attendance_classification', error, {
+        phoneNumber: logger.maskPhoneNumber(phoneNumber),
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Pair a valid event into the person's shifts. The event itself is already
+   * recorded, so a failure here is logged rather than failing the check-in.
+   * @private
+   */
+  async _updateShifts(event) {
+    try {
+      return event.eventType === 'check_out'
+        ? await this.shiftService.endShift(event)
+        : await this.shiftService.startShift(event);
+    } catch (error) {
+      logger.logSystemError('shift_update', error, {
+        checkinId: event.checkInId,
+        eventType: event.eventType,
+      });
+      return {};
+    }
+  }
+}
+
+export default CheckInService;
@@ -0,0 +1,122 @@
+import { createHash, randomBytes, randomInt } from 'crypto';
+
+import logger from '../utils/logger.js';
+
+// Unambiguous characters so the code can be read off an admin screen
+const ENROLLMENT_CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const ENROLLMENT_CODE_LENGTH = 8;
+const ENROLLMENT_CODE_TTL_MS = 15 * 60 * 1000;
+
+const hash = (value) => createHash('sha256').update(value).digest('hex');
+
+/**
+ * Display Service
+ * Enrolls kiosk displays and authenticates their long-lived tokens
+ */
+class DisplayService {
+  /**
+   * @param {Object} options
+   * @param {import('../database/displayRepository.js').default} options.displayRepository
+   */
+  constructor({ displayRepository }) {
+    this.displayRepository = displayRepository;
+  }
+
+  /**
+   * Create a display and a one-time enrollment code for it
+   * @param {Object} display
+   * @param {string} display.name - Display name
+   * @param {string} display.locationId - Location the display shows codes for
+   * @returns {Promise<Object>} - { display, enrollmentCode, expiresAt }
+   */
+  async createEnrollment({ name, locationId }) {
+    let enrollmentCode = '';
+    for (let i = 0; i < ENROLLMENT_CODE_LENGTH; i++) {
+      enrollmentCode +=
+        ENROLLMENT_CODE_ALPHABET[randomInt(ENROLLMENT_CODE_ALPHABET.length)];
+    }
+
+    const expiresAt = new Date(Date.now() + ENROLLMENT_CODE_TTL_MS);
+    const display = await this.displayRepository.createDisplay({
+      name,
+      locationId,
+      enrollmentCodeHash: hash(enrollmentCode),
+      enrollmentExpiresAt: expiresAt,
+    });
+
+    logger.info('Display enrollment created', {
+      displayId: display.id,
+      locationId,
+    });
+
+    return { display, enrollmentCode, expiresAt: expiresAt.toISOString() };
+  }
+
+  /**
+   * Exchange an enrollment code for a display token
+   * @param {string} enrollmentCode - Code shown to the admin
+   * @returns {Promise<Object|null>} - { display, token } or null if the code is unusable
+   */
+  async register(enrollmentCode) {
+    const normalized = String(enrollmentCode || '')
+      .trim()
+      .toUpperCase();
+    if (!normalized) return null;
+
+    const display = await this.displayRepository.findPendingEnrollment(
+      hash(normalized),
+    );
+    if (!display) return null;
+
+    const token = randomBytes(32).toString('hex');
+    const enrolled = await this.displayRepository.completeEnrollment(
+      display.id,
+      hash(token),
+    );
+    if (!enrolled) return null;
+
+    logger.info('Display enrolled', {
+      displayId: display.id,
+      locationId: display.location_id,
+    });
+
+    return { display, token };
+  }
+
+  /**
+   * Resolve the display that owns a token
+   * @param {string} token - Display token sent by the kiosk
+   * @returns {Promise<Object|null>} - Display or null if unknown/revoked
+   */
+  async authenticate(token) {
+    if (!token) return null;
+
+    const display = await this.displayRepository.findByToken(hash(token));
+    if (!display) return null;
+
+    // Last-seen is informational; a failed write must not block the display
+    this.displayRepository.touchLastSeen(display.id).catch((error) => {
+      logger.warn('Failed to update display last seen', {
+        displayId: display.id,
+        error: error.message,
+      });
+    });
+
+    return display;
+  }
+
+  /**
+   * Revoke a display
+   * @param {string} id - Display id
+   * @returns {Promise<boolean>} - True if the display was revoked
+   */
+  async revoke(id) {
+    const revoked = await this.displayRepository.revokeDisplay(id);
+    if (revoked) {
+      logger.info('Display revoked', { displayId: id });
+    }
+    return revoked;
+  }
+}
+
+export default DisplayService;
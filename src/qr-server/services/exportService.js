@@ -0,0 +1,475 @@
+import { DateTime } from 'luxon';
+
+import logger from '../utils/logger.js';
+
+import { toPerson } from './rosterService.js';
+
+import { envConfig } from '#src/configs/environment.js';
+
+export const EXPORT_REPORTS = ['events', 'daily', 'monthly'];
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'jsonl'];
+
+/**
+ * Default columns of each report, in order. A column maps a report field to
+ * the header written in the file; the stored mappings replace these so the
+ * files match a payroll import. The monthly 'days' field expands to one
+ * column per day, and its header is the luxon format of those columns.
+ */
+export const DEFAULT_EXPORT_COLUMNS = {
+  events: [
+    { field: 'id', header: 'Check-in ID' },
+    { field: 'date', header: 'Date' },
+    { field: 'time', header: 'Time' },
+    { field: 'timestamp', header: 'Timestamp (UTC)' },
+    { field: 'phoneNumber', header: 'Phone number' },
+    { field: 'displayName', header: 'Name' },
+    { field: 'employeeId', header: 'Employee ID' },
+    { field: 'groupIds', header: 'Groups' },
+    { field: 'eventType', header: 'Event' },
+    { field: 'validationStatus', header: 'Validation' },
+    { field: 'attendanceStatus', header: 'Attendance' },
+    { field: 'locationId', header: 'Location' },
+    { field: 'sessionId', header: 'Session' },
+    { field: 'whatsappClientId', header: 'WhatsApp number' },
+  ],
+  daily: [
+    { field: 'date', header: 'Date' },
+    { field: 'phoneNumber', header: 'Phone number' },
+    { field: 'displayName', header: 'Name' },
+    { field: 'employeeId', header: 'Employee ID' },
+    { field: 'groupIds', header: 'Groups' },
+    { field: 'firstCheckIn', header: 'First check-in' },
+    { field: 'lastCheckOut', header: 'Last check-out' },
+    { field: 'checkIns', header: 'Check-ins' },
+    { field: 'checkOuts', header: 'Check-outs' },
+    { field: 'attendanceStatus', header: 'Attendance' },
+    { field: 'workedMinutes', header: 'Worked minutes' },
+    { field: 'workedHours', header: 'Worked hours' },
+    { field: 'missingCheckOuts', header: 'Missing check-outs' },
+  ],
+  monthly: [
+    { field: 'phoneNumber', header: 'Phone number' },
+    { field: 'displayName', header: 'Name' },
+    { field: 'employeeId', header: 'Employee ID' },
+    { field: 'groupIds', header: 'Groups' },
+    { field: 'days', header: 'dd' },
+    { field: 'presentDays', header: 'Days present' },
+    { field: 'lateDays', header: 'Days late' },
+    { field: 'workedHours', header: 'Worked hours' },
+  ],
+};
+
+// Fields each report can export; any of them may be mapped to a column
+const REPORT_FIELDS = {
+  events: DEFAULT_EXPORT_COLUMNS.events.map((column) => column.field),
+  daily: DEFAULT_EXPORT_COLUMNS.daily.map((column) => column.field),
+  monthly: DEFAULT_EXPORT_COLUMNS.monthly.map((column) => column.field),
+};
+
+// Monthly matrix cells: late covers half days too
+const MATRIX_MARKS = { present: 'P', late: 'L' };
+const LATE_STATUSES = ['late', 'half_day'];
+
+const MAX_COLUMNS = 50;
+const MAX_HEADER_LENGTH = 100;
+
+const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+/**
+ * Check the column mappings of one report
+ * @param {string} report - One of EXPORT_REPORTS
+ * @param {Array} columns - [{ field, header }]
+ * @returns {string|null} - Error message, null when valid
+ */
+export function validateExportColumns(report, columns) {
+  if (
+    !Array.isArray(columns) ||
+    columns.length === 0 ||
+    columns.length > MAX_COLUMNS
+  ) {
+    return `'${report}' must be a list of 1 to ${MAX_COLUMNS} columns`;
+  }
+
+  const seen = new Set();
+  for (const column of columns) {
+    if (!REPORT_FIELDS[report].includes(column?.field)) {
+      return `Unknown ${report} field '${column?.field}'. Fields: ${REPORT_FIELDS[report].join(', ')}`;
+    }
+    if (seen.has(column.field)) {
+      return `Field '${column.field}' is mapped twice`;
+    }
+    if (
+      typeof column.header !== 'string' ||
+      !column.header.trim() ||
+      column.header.length > MAX_HEADER_LENGTH
+    ) {
+      return `The header of '${column.field}' must be 1 to ${MAX_HEADER_LENGTH} characters`;
+    }
+    seen.add(column.field);
+  }
+
+  return null;
+}
+
+/**
+ * A value as written to a spreadsheet cell: lists are joined, and text that a
+ * spreadsheet would run as a formula is quoted
+ * @param {*} value
+ * @returns {*}
+ */
+export const toCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'string' && /^([=@\t\r]|[+-]\D)/.test(value)) {
+    return `'${value}`;
+  }
+  return value;
+};
+
+/**
+ * One CSV line of cells, quoted where needed
+ * @param {Array} values
+ * @returns {string}
+ */
+export const toCsvLine = (values) =>
+  values
+    .map((value) => {
+      const text = String(toCell(value));
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(',') + '\r\n';
+
+/**
+ * Export Service
+ * Builds the raw event, daily summary and monthly matrix reports that HR
+ * downloads, with the column mappings configured for the payroll import
+ */
+class ExportService {
+  /**
+   * @param {Object} options
+   * @param {import('../database/checkInRepository.js').default} options.checkInRepository
+   * @param {import('../database/peopleRepository.js').default} options.peopleRepository
+   * @param {import('../database/shiftRepository.js').default} options.shiftRepository
+   * @param {import('../database/configRepository.js').default} options.configRepository
+   * @param {string} [options.timeZone] - Zone the dates are written in
+   */
+  constructor({
+    checkInRepository,
+    peopleRepository,
+    shiftRepository,
+    configRepository,
+    timeZone = envConfig.TIME_ZONE,
+  }) {
+    this.checkInRepository = checkInRepository;
+    this.peopleRepository = peopleRepository;
+    this.shiftRepository = shiftRepository;
+    this.configRepository = configRepository;
+    this.timeZone = timeZone;
+    this.columns = structuredClone(DEFAULT_EXPORT_COLUMNS);
+  }
+
+  /**
+   * Load the stored column mappings
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const stored = await this.configRepository.getExportColumns();
+    this.columns = { ...structuredClone(DEFAULT_EXPORT_COLUMNS), ...stored };
+  }
+
+  /**
+   * @returns {Object} - Current columns of every report
+   */
+  getColumns() {
+    return structuredClone(this.columns);
+  }
+
+  /**
+   * Change the columns of some reports
+   * @param {Object} changes - Columns per report, e.g. { daily: [...] }
+   * @returns {Promise<Object>} - { columns } or { error } when invalid
+   */
+  async updateColumns(changes) {
+    const columns = this.getColumns();
+    for (const report of EXPORT_REPORTS) {
+      if (changes[report] === undefined) continue;
+
+      const error = validateExportColumns(report, changes[report]);
+      if (error) return { error };
+      columns[report] = changes[report].map(({ field, header }) => ({
+        field,
+        header: header.trim(),
+      }));
+    }
+
+    await this.configRepository.setExportColumns(columns);
+    this.columns = columns;
+    logger.info('Export columns updated', {
+      reports: Object.keys(changes).filter((report) =>
+        EXPORT_REPORTS.includes(report),
+      ),
+    });
+
+    return { columns: this.getColumns() };
+  }
+
+  /**
+   * Build a report
+   * @param {string} report - One of EXPORT_REPORTS
+   * @param {Object} filter
+   * @param {string} filter.startDate - First local day (YYYY-MM-DD)
+   * @param {string} filter.endDate - Last local day (YYYY-MM-DD)
+   * @param {string} [filter.groupId] - Only this group's members
+   * @param {string} [filter.phoneNumber] - Only this person
+   * @returns {Promise<Object>} - { columns: [{ key, header }], rows } where
+   *   rows is an async iterable of objects keyed by column key
+   */
+  async buildReport(report, filter) {
+    const people = await this._loadPeople(filter);
+
+    if (report === 'events') {
+      return {
+        columns: this._mapColumns('events'),
+        rows: this._eventRows(filter, people),
+      };
+    }
+    if (report === 'daily') {
+      return {
+        columns: this._mapColumns('daily'),
+        rows: await this._dailyRows(filter, people),
+      };
+    }
+    return this._monthlyReport(filter, people);
+  }
+
+  /**
+   * Headers of a report's columns, keyed by field
+   * @private
+   */
+  _mapColumns(report) {
+    return this.columns[report].map(({ field, header }) => ({
+      key: field,
+      header,
+    }));
+  }
+
+  /**
+   * People by phone number, with the group and person filters applied
+   * @private
+   */
+  async _loadPeople({ groupId, phoneNumber }) {
+    const rows = await this.peopleRepository.getPeople({ groupId });
+    return new Map(
+      rows
+        .filter((row) => !phoneNumber || row.phone_number === phoneNumber)
+        .map((row) => [row.phone_number, toPerson(row)]),
+    );
+  }
+
+  /**
+   * Instants bounding the local days of a filter
+   * @private
+   */
+  _range({ startDate, endDate }) {
+    return {
+      from: DateTime.fromISO(startDate, { zone: this.timeZone }).toJSDate(),
+      to: DateTime.fromISO(endDate, { zone: this.timeZone })
+        .plus({ days: 1 })
+        .toJSDate(),
+    };
+  }
+
+  /**
+   * Fields every report shares about the person
+   * @private
+   */
+  _personFields(phoneNumber, people) {
+    const person = people.get(phoneNumber);
+    return {
+      phoneNumber,
+      displayName: person?.displayName ?? null,
+      employeeId: person?.employeeId ?? null,
+      groupIds: person?.groupIds ?? [],
+    };
+  }
+
+  /**
+   * One row per check-in, streamed from the repository
+   * @private
+   */
+  async *_eventRows(filter, people) {
+    const events = this.checkInRepository.iterateCheckIns({
+      ...this._range(filter),
+      groupId: filter.groupId,
+      phoneNumber: filter.phoneNumber,
+    });
+
+    for await (const event of events) {
+      const at = DateTime.fromISO(event.timestamp).setZone(this.timeZone);
+      yield {
+        id: event.id,
+        date: at.toISODate(),
+        time: at.toFormat('HH:mm:ss'),
+        timestamp: event.timestamp,
+        ...this._personFields(event.phone_number, people),
+        eventType: event.event_type,
+        validationStatus: event.validation_status,
+        attendanceStatus: event.attendance_status,
+        locationId: event.location_id,
+        sessionId: event.session_id,
+        whatsappClientId: event.whatsapp_client_id,
+      };
+    }
+  }
+
+  /**
+   * Valid check-ins summed up per person per local day, with the worked
+   * minutes of their shifts
+   * @private
+   * @returns {Promise<Map<string, Object>>} - Days keyed by 'phone|date'
+   */
+  async _summarizeDays(filter) {
+    const days = new Map();
+    const events = this.checkInRepository.iterateCheckIns({
+      ...this._range(filter),
+      groupId: filter.groupId,
+      phoneNumber: filter.phoneNumber,
+      validOnly: true,
+    });
+
+    for await (const event of events) {
+      const at = DateTime.fromISO(event.timestamp).setZone(this.timeZone);
+      const key = `${event.phone_number}|${at.toISODate()}`;
+      if (!days.has(key)) {
+        days.set(key, {
+          phoneNumber: event.phone_number,
+          date: at.toISODate(),
+          firstCheckIn: null,
+          lastCheckOut: null,
+          checkIns: 0,
+          checkOuts: 0,
+          attendanceStatus: null,
+          workedMinutes: 0,
+          missingCheckOuts: 0,
+        });
+      }
+
+      const day = days.get(key);
+      if (event.event_type === 'check_out') {
+        day.checkOuts += 1;
+        day.lastCheckOut = at.toFormat('HH:mm');
+      } else {
+        day.checkIns += 1;
+        if (!day.firstCheckIn) {
+          day.firstCheckIn = at.toFormat('HH:mm');
+          day.attendanceStatus = event.attendance_status;
+        }
+      }
+    }
+
+    const hours = await this.shiftRepository.getDailyHours({
+      phoneNumber: filter.phoneNumber,
+      startDate: filter.startDate,
+      endDate: filter.endDate,
+    });
+    for (const row of hours) {
+      const day = days.get(`${row.phone_number}|${row.work_date}`);
+      if (!day) continue;
+      day.workedMinutes = row.worked_minutes;
+      day.missingCheckOuts = row.missing_check_outs;
+    }
+
+    return days;
+  }
+
+  /**
+   * One row per person per day with a valid check-in or check-out
+   * @private
+   */
+  async _dailyRows(filter, people) {
+    const days = [...(await this._summarizeDays(filter)).values()].sort(
+      (a, b) =>
+        a.date.localeCompare(b.date) ||
+        a.phoneNumber.localeCompare(b.phoneNumber),
+    );
+
+    return days.map((day) => ({
+      ...day,
+      ...this._personFields(day.phoneNumber, people),
+      workedHours: toHours(day.workedMinutes),
+    }));
+  }
+
+  /**
+   * One row per person with a mark for every day of the range: 'P' present,
+   * 'L' late, empty when there was no valid check-in. Everyone on the roster
+   * gets a row, with or without check-ins.
+   * @private
+   */
+  async _monthlyReport(filter, people) {
+    const summaries = await this._summarizeDays(filter);
+    const dates = [];
+    for (
+      let day = DateTime.fromISO(filter.startDate);
+      day.toISODate() <= filter.endDate;
+      day = day.plus({ days: 1 })
+    ) {
+      dates.push(day);
+    }
+
+    const columns = this.columns.monthly.flatMap(({ field, header }) =>
+      field === 'days'
+        ? dates.map((date) => ({
+            key: date.toISODate(),
+            header: date.toFormat(header),
+          }))
+        : [{ key: field, header }],
+    );
+
+    const phoneNumbers = new Set(
+      [...people.values()]
+        .filter((person) => person.active && person.status === 'approved')
+        .map((person) => person.phoneNumber),
+    );
+    for (const day of summaries.values()) phoneNumbers.add(day.phoneNumber);
+
+    const rows = [...phoneNumbers].map((phoneNumber) => {
+      const row = {
+        ...this._personFields(phoneNumber, people),
+        presentDays: 0,
+        lateDays: 0,
+        workedHours: 0,
+      };
+      let workedMinutes = 0;
+
+      for (const date of dates) {
+        const day = summaries.get(`${phoneNumber}|${date.toISODate()}`);
+        workedMinutes += day?.workedMinutes ?? 0;
+        if (!day?.checkIns) {
+          row[date.toISODate()] = '';
+          continue;
+        }
+
+        const late = LATE_STATUSES.includes(day.attendanceStatus);
+        row[date.toISODate()] = late ? MATRIX_MARKS.late : MATRIX_MARKS.present;
+        row.presentDays += 1;
+        if (late) row.lateDays += 1;
+      }
+
+      row.workedHours = toHours(workedMinutes);
+      return row;
+    });
+
+    rows.sort(
+      (a, b) =>
+        (a.displayName ?? a.phoneNumber).localeCompare(
+          b.displayName ?? b.phoneNumber,
+        ) || a.phoneNumber.localeCompare(b.phoneNumber),
+    );
+
+    return { columns, rows };
+  }
+}
+
+export default ExportService;
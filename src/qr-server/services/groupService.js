@@ -0,0 +1,338 @@
+import { WHATSAPP_REPLY_MODES } from '../database/schema.js';
+import errorHandler from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+import { LANGUAGE_REGEX } from '../utils/replyTemplates.js';
+
+const { ERROR_CODES } = errorHandler;
+
+// No commas: the name list keeps a person's groups comma-separated
+export const GROUP_ID_REGEX = /^[A-Za-z0-9][A-Za-z0-9 _-]{0,49}$/;
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// WhatsApp group chat ids, e.g. '120363025246125486@g.us' or the older
+// '85291234567-1581234567@g.us'
+export const WHATSAPP_GROUP_ID_REGEX = /^\d+(-\d+)?@g\.us$/;
+
+const failure = (code, message) => ({ error: { code, message } });
+
+/**
+ * Convert a groups row to the shape used by the API
+ * @param {Object} row - groups row
+ * @returns {Object}
+ */
+export const toGroup = (row) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  language: row.language,
+  whatsappGroupId: row.whatsapp_group_id,
+  whatsappReplyMode: row.whatsapp_reply_mode,
+  memberCount: row.member_count,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * Check the fields of a group given to the admin API
+ * @param {Object} group - id, name, description, language, whatsappGroupId
+ *   and/or whatsappReplyMode
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Changes to an existing group
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateGroup(group, { partial = false } = {}) {
+  const {
+    id,
+    name,
+    description,
+    language,
+    whatsappGroupId,
+    whatsappReplyMode,
+  } = group;
+
+  if (!partial && (typeof id !== 'string' || !GROUP_ID_REGEX.test(id))) {
+    return "'id' must be 1 to 50 letters, digits, spaces, '-' or '_'";
+  }
+  if (name !== undefined || !partial) {
+    if (
+      typeof name !== 'string' ||
+      !name.trim() ||
+      name.length > MAX_NAME_LENGTH
+    ) {
+      return `'name' must be 1 to ${MAX_NAME_LENGTH} characters`;
+    }
+  }
+  if (
+    description !== undefined &&
+    description !== null &&
+    (typeof description !== 'string' ||
+      description.length > MAX_DESCRIPTION_LENGTH)
+  ) {
+    return `'description' must be up to ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+  if (
+    language !== undefined &&
+    language !== null &&
+    (typeof language !== 'string' || !LANGUAGE_REGEX.test(language))
+  ) {
+    return "'language' must be a language tag such as 'en' or 'zh-HK', or null";
+  }
+  if (
+    whatsappGroupId !== undefined &&
+    whatsappGroupId !== null &&
+    (typeof whatsappGroupId !== 'string' ||
+      !WHATSAPP_GROUP_ID_REGEX.test(whatsappGroupId))
+  ) {
+    return "'whatsappGroupId' must be a WhatsApp group chat id ending in '@g.us', or null";
+  }
+  if (
+    whatsappReplyMode !== undefined &&
+    !WHATSAPP_REPLY_MODES.includes(whatsappReplyMode)
+  ) {
+    return `'whatsappReplyMode' must be one of ${WHATSAPP_REPLY_MODES.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Group Service
+ * Manages class sections and teams and who is in them
+ */
+class GroupService {
+  /**
+   * @param {Object} options
+   * @param {import('../database/groupRepository.js').default} options.groupRepository
+   * @param {import('../database/peopleRepository.js').default} options.peopleRepository
+   */
+  constructor({ groupRepository, peopleRepository }) {
+    this.groupRepository = groupRepository;
+    this.peopleRepository = peopleRepository;
+  }
+
+  /**
+   * @private
+   */
+  async _requireGroup(id) {
+    const group = await this.groupRepository.getGroup(id);
+    return group
+      ? { group }
+      : failure(ERROR_CODES.GROUP_NOT_FOUND, `Group '${id}' not found`);
+  }
+
+  /**
+   * Fail when a WhatsApp group chat is linked to a group other than `id`
+   * @private
+   */
+  async _requireFreeWhatsAppGroup(whatsappGroupId, id) {
+    if (!whatsappGroupId) return {};
+
+    const linked =
+      await this.groupRepository.getGroupByWhatsAppId(whatsappGroupId);
+    return linked && linked.id !== id
+      ? failure(
+          ERROR_CODES.WHATSAPP_GROUP_LINKED,
+          `WhatsApp group ${whatsappGroupId} is linked to group '${linked.id}'`,
+        )
+      : {};
+  }
+
+  /**
+   * Fail with the phone numbers that are not on the roster
+   * @private
+   */
+  async _requirePeople(phoneNumbers) {
+    const unknown = [];
+    for (const phoneNumber of phoneNumbers) {
+      if (!(await this.peopleRepository.getPerson(phoneNumber))) {
+        unknown.push(phoneNumber);
+      }
+    }
+
+    return unknown.length > 0
+      ? failure(
+          ERROR_CODES.PERSON_NOT_FOUND,
+          `Not on the roster: ${unknown.join(', ')}`,
+        )
+      : {};
+  }
+
+  /**
+   * Create a group
+   * @param {Object} group - { id, name, description?, language?,
+   *   whatsappGroupId?, whatsappReplyMode? }
+   * @returns {Promise<Object>} - { group } or { error: { code, message } }
+   */
+  async createGroup(group) {
+    const error = validateGroup(group);
+    if (error) return failure(ERROR_CODES.INVALID_GROUP, error);
+
+    if (await this.groupRepository.getGroup(group.id)) {
+      return failure(
+        ERROR_CODES.GROUP_EXISTS,
+        `Group '${group.id}' already exists`,
+      );
+    }
+
+    const chat = await this._requireFreeWhatsAppGroup(group.whatsappGroupId);
+    if (chat.error) return chat;
+
+    const row = await this.groupRepository.createGroup({
+      id: group.id,
+      name: group.name.trim(),
+      description: group.description ?? null,
+      language: group.language ?? null,
+      whatsappGroupId: group.whatsappGroupId ?? null,
+      whatsappReplyMode: group.whatsappReplyMode,
+    });
+    logger.info('Group created', { groupId: row.id });
+
+    return { group: toGroup(row) };
+  }
+
+  /**
+   * Rename a group or change its description, language or WhatsApp chat
+   * @param {string} id - Group ID
+   * @param {Object} changes - name, description, language, whatsappGroupId
+   *   and/or whatsappReplyMode
+   * @returns {Promise<Object>} - { group } or { error }
+   */
+  async updateGroup(id, changes) {
+    const error = validateGroup(changes, { partial: true });
+    if (error) return failure(ERROR_CODES.INVALID_GROUP, error);
+
+    const existing = await this._requireGroup(id);
+    if (existing.error) return existing;
+
+    const chat = await this._requireFreeWhatsAppGroup(
+      changes.whatsappGroupId,
+      id,
+    );
+    if (chat.error) return chat;
+
+    const row = await this.groupRepository.updateGroup(id, {
+      name: changes.name?.trim(),
+      description: changes.description,
+      language: changes.language,
+      whatsappGroupId: changes.whatsappGroupId,
+      whatsappReplyMode: changes.whatsappReplyMode,
+    });
+    return { group: toGroup(row) };
+  }
+
+  /**
+   * Delete a group; its members stay on the roster
+   * @param {string} id - Group ID
+   * @returns {Promise<Object>} - { group } or { error }
+   */
+  async deleteGroup(id) {
+    const existing = await this._requireGroup(id);
+    if (existing.error) return existing;
+
+    await this.groupRepository.deleteGroup(id);
+    logger.info('Group deleted', { groupId: id });
+
+    return { group: toGroup(existing.group) };
+  }
+
+  /**
+   * Add roster people to a group
+   * @param {string} id - Group ID
+   * @param {string[]} phoneNumbers - Normalized phone numbers
+   * @returns {Promise<Object>} - { group, added } or { error }
+   */
+  async addMembers(id, phoneNumbers) {
+    const existing = await this._requireGroup(id);
+    if (existing.error) return existing;
+
+    const people = await this._requirePeople(phoneNumbers);
+    if (people.error) return people;
+
+    const added = await this.groupRepository.addMembers(id, phoneNumbers);
+    return { group: toGroup(await this.groupRepository.getGroup(id)), added };
+  }
+
+  /**
+   * Remove people from a group
+   * @param {string} id - Group ID
+   * @param {string[]} phoneNumbers - Normalized phone numbers
+   * @returns {Promise<Object>} - { group, removed } or { error }
+   */
+  async removeMembers(id, phoneNumbers) {
+    const existing = await this._requireGroup(id);
+    if (existing.error) return existing;
+
+    const removed = await this.groupRepository.removeMembers(id, phoneNumbers);
+    return { group: toGroup(await this.groupRepository.getGroup(id)), removed };
+  }
+
+  /**
+   * Replace the managers who may see a group's reports over WhatsApp
+   * @param {string} id - Group ID
+   * @param {string[]} phoneNumbers - Normalized phone numbers; none removes
+   *   every manager
+   * @returns {Promise<Object>} - { group, managers } or { error }
+   */
+  async setManagers(id, phoneNumbers) {
+    const existing = await this._requireGroup(id);
+    if (existing.error) return existing;
+
+    await this.groupRepository.setManagers(id, phoneNumbers);
+    logger.info('Group managers set', { groupId: id, managers: phoneNumbers });
+
+    return {
+      group: toGroup(existing.group),
+      managers: await this.groupRepository.getManagers(id),
+    };
+  }
+
+  /**
+   * Move people from one group to another, e.g. to a new class section
+   * @param {string} fromId - Group they leave
+   * @param {string} toId - Group they join
+   * @param {string[]} phoneNumbers - Normalized phone numbers
+   * @returns {Promise<Object>} - { from, to, moved } or { error }
+   */
+  async moveMembers(fromId, toId, phoneNumbers) {
+    if (fromId === toId) {
+      return failure(
+        ERROR_CODES.INVALID_GROUP,
+        'Cannot move people to the group they are in',
+      );
+    }
+
+    for (const id of [fromId, toId]) {
+      const existing = await this._requireGroup(id);
+      if (existing.error) return existing;
+    }
+
+    const members = new Set(
+      await this.groupRepository.getMemberPhoneNumbers(fromId),
+    );
+    const outsiders = phoneNumbers.filter((phone) => !members.has(phone));
+    if (outsiders.length > 0) {
+      return failure(
+        ERROR_CODES.INVALID_GROUP,
+        `Not in group '${fromId}': ${outsiders.join(', ')}`,
+      );
+    }
+
+    // Join first, so nobody is left without either group if this fails
+    await this.groupRepository.addMembers(toId, phoneNumbers);
+    const moved = await this.groupRepository.removeMembers(
+      fromId,
+      phoneNumbers,
+    );
+    logger.info('Group members moved', { fromId, toId, moved });
+
+    return {
+      from: toGroup(await this.groupRepository.getGroup(fromId)),
+      to: toGroup(await this.groupRepository.getGroup(toId)),
+      moved,
+    };
+  }
+}
+
+export default GroupService;
@@ -0,0 +1,205 @@
+import { randomInt } from 'crypto';
+
+import { DateTime } from 'luxon';
+
+import errorHandler from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const { ERROR_CODES } = errorHandler;
+
+// Unambiguous characters so managers can type the code back
+const CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const CODE_LENGTH = 6;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const failure = (code, message) => ({ error: { code, message } });
+
+/**
+ * Parse a YYYY-MM-DD date
+ * @param {string} value
+ * @returns {DateTime|null}
+ */
+const parseDate = (value) => {
+  if (typeof value !== 'string' || !DATE_REGEX.test(value)) return null;
+  const date = DateTime.fromISO(value);
+  return date.isValid ? date : null;
+};
+
+/**
+ * Leave Service
+ * Records leave requests and the managers' decisions on them
+ */
+class LeaveService {
+  /**
+   * @param {Object} options
+   * @param {import('../database/leaveRepository.js').default} options.leaveRepository
+   * @param {number} [options.maxLeaveDays=60] - Longest single request
+   */
+  constructor({ leaveRepository, maxLeaveDays = 60 }) {
+    this.leaveRepository = leaveRepository;
+    this.maxLeaveDays = maxLeaveDays;
+  }
+
+  /**
+   * Number of days a request covers, both ends included
+   * @param {Object} leave - Leave request row
+   * @returns {number}
+   */
+  countDays(leave) {
+    return (
+      DateTime.fromISO(leave.end_date)
+        .diff(DateTime.fromISO(leave.start_date), 'days')
+        .as('days') + 1
+    );
+  }
+
+  /**
+   * Generate a code no other request uses
+   * @private
+   */
+  async _generateCode() {
+    for (;;) {
+      let code = '';
+      for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+      }
+      if (!(await this.leaveRepository.getLeave(code))) return code;
+    }
+  }
+
+  /**
+   * Record a leave request
+   * @param {Object} request
+   * @param {string} request.phoneNumber - Normalized phone number
+   * @param {string} request.startDate - First day (YYYY-MM-DD)
+   * @param {string} [request.endDate] - Last day, the start date when missing
+   * @param {string} [request.reason] - Free text
+   * @returns {Promise<Object>} - { leave } or { error: { code, message } }
+   */
+  async requestLeave({ phoneNumber, startDate, endDate = startDate, reason }) {
+    const start = parseDate(startDate);
+    const end = parseDate(endDate);
+    if (!start || !end) {
+      return failure(
+        ERROR_CODES.INVALID_LEAVE_REQUEST,
+        'Dates must be valid and written as YYYY-MM-DD',
+      );
+    }
+    if (end < start) {
+      return failure(
+        ERROR_CODES.INVALID_LEAVE_REQUEST,
+        'The last day of leave cannot be before the first day',
+      );
+    }
+    if (end.diff(start, 'days').as('days') + 1 > this.maxLeaveDays) {
+      return failure(
+        ERROR_CODES.INVALID_LEAVE_REQUEST,
+        `A single request can cover at most ${this.maxLeaveDays} days`,
+      );
+    }
+
+    const [overlapping] = await this.leaveRepository.findOverlappingLeaves(
+      phoneNumber,
+      startDate,
+      endDate,
+    );
+    if (overlapping) {
+      return failure(
+        ERROR_CODES.LEAVE_OVERLAP,
+        `You already have ${overlapping.status} leave from ${overlapping.start_date} to ${overlapping.end_date} (${overlapping.code})`,
+      );
+    }
+
+    const leave = await this.leaveRepository.createLeave({
+      code: await this._generateCode(),
+      phoneNumber,
+      startDate,
+      endDate,
+      reason: reason?.trim() || null,
+    });
+
+    logger.info('Leave requested', {
+      code: leave.code,
+      phoneNumber: logger.maskPhoneNumber(phoneNumber),
+      startDate,
+      endDate,
+    });
+
+    return { leave };
+  }
+
+  /**
+   * Approve or reject a pending request
+   * @param {string} idOrCode - Request id or code
+   * @param {Object} decision
+   * @param {boolean} decision.approve - True to approve, false to reject
+   * @param {string} [decision.decidedBy] - Who decided
+   * @returns {Promise<Object>} - { leave } or { error: { code, message } }
+   */
+  async decide(idOrCode, { approve, decidedBy = null }) {
+    return this._changeStatus(idOrCode, {
+      status: approve ? 'approved' : 'rejected',
+      from: ['pending'],
+      decidedBy,
+    });
+  }
+
+  /**
+   * Cancel a pending or approved request
+   * @param {string} idOrCode - Request id or code
+   * @param {Object} [options]
+   * @param {string} [options.decidedBy] - Who cancelled
+   * @returns {Promise<Object>} - { leave } or { error: { code, message } }
+   */
+  async cancel(idOrCode, { decidedBy = null } = {}) {
+    return this._changeStatus(idOrCode, {
+      status: 'cancelled',
+      from: ['pending', 'approved'],
+      decidedBy,
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _changeStatus(idOrCode, { status, from, decidedBy }) {
+    const leave = await this.leaveRepository.getLeave(idOrCode);
+    if (!leave) {
+      return failure(
+        ERROR_CODES.LEAVE_NOT_FOUND,
+        `Leave request '${idOrCode}' not found`,
+      );
+    }
+    if (!from.includes(leave.status)) {
+      return failure(
+        ERROR_CODES.LEAVE_ALREADY_DECIDED,
+        `Leave request ${leave.code} is already ${leave.status}`,
+      );
+    }
+
+    const updated = await this.leaveRepository.updateStatus(leave.id, {
+      status,
+      decidedBy,
+    });
+    logger.info('Leave request updated', { code: leave.code, status });
+
+    return { leave: updated };
+  }
+
+  /**
+   * Phone numbers with approved leave on a date
+   * @param {string} date - Local date (YYYY-MM-DD)
+   * @returns {Promise<Set<string>>}
+   */
+  async getPhonesOnLeave(date) {
+    const leaves = await this.leaveRepository.getLeaves({
+      status: 'approved',
+      startDate: date,
+      endDate: date,
+    });
+    return new Set(leaves.map((leave) => leave.phone_number));
+  }
+}
+
+export default LeaveService;
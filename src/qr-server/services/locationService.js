@@ -0,0 +1,121 @@
+import logger from '../utils/logger.js';
+
+import OTPService from './otpService.js';
+
+import { envConfig } from '#src/configs/environment.js';
+
+export const DEFAULT_LOCATION_ID = 'default';
+
+// Failure reasons ordered from most to least useful to report back
+const FAILURE_PRIORITY = ['FUTURE_OTP', 'EXPIRED_OR_INVALID', 'INVALID_FORMAT'];
+
+const failureRank = (reason) => {
+  const rank = FAILURE_PRIORITY.indexOf(reason);
+  return rank === -1 ? FAILURE_PRIORITY.length : rank;
+};
+
+/**
+ * Location Service
+ * Keeps one OTP service per location so every display shows its own code
+ */
+class LocationService {
+  /**
+   * @param {Object} options
+   * @param {import('../database/locationRepository.js').default} options.locationRepository
+   * @param {string} options.defaultSecret - Secret for the built-in default location
+   */
+  constructor({ locationRepository, defaultSecret }) {
+    this.locationRepository = locationRepository;
+    this.defaultSecret = defaultSecret;
+    this.locations = new Map();
+  }
+
+  /**
+   * (Re)load locations from the database and build their OTP services
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const records = await this.locationRepository.getLocations();
+    const locations = new Map();
+
+    // The default location keeps displays without ?location= working
+    locations.set(DEFAULT_LOCATION_ID, {
+      id: DEFAULT_LOCATION_ID,
+      name: 'Default',
+      whatsappClientId: null,
+      otpService: new OTPService(this.defaultSecret),
+    });
+
+    for (const record of records) {
+      try {
+        locations.set(record.id, {
+          id: record.id,
+          name: record.name,
+          whatsappClientId: record.whatsapp_client_id ?? null,
+          otpService: new OTPService(record.secret, {
+            timeWindow: record.time_window_ms ?? undefined,
+          }),
+        });
+      } catch (error) {
+        logger.logSystemError('location_service', error, {
+          operation: 'load',
+          locationId: record.id,
+        });
+      }
+    }
+
+    this.locations = locations;
+    logger.info('Locations loaded', { count: locations.size });
+  }
+
+  /**
+   * Get a loaded location
+   * @param {string} [id] - Location id, defaults to the default location
+   * @returns {Object|null} - { id, name, whatsappClientId, otpService } or
+   *   null if unknown; whatsappClientId is null for the default number
+   */
+  getLocation(id = DEFAULT_LOCATION_ID) {
+    return this.locations.get(id || DEFAULT_LOCATION_ID) ?? null;
+  }
+
+  /**
+   * Get the URL a display should open for a location
+   * @param {string} id - Location id
+   * @returns {string} - Display URL
+   */
+  getDisplayURL(id) {
+    const baseURL = envConfig.ATTENDANCE_QR_CODE_URL.replace(/\/+$/, '');
+    return id === DEFAULT_LOCATION_ID
+      ? `${baseURL}/`
+      : `${baseURL}/?location=${encodeURIComponent(id)}`;
+  }
+
+  /**
+   * Validate an OTP against every location and report which one matched
+   * @param {string} otp - OTP to validate
+   * @param {number} timestamp - Timestamp when OTP was received
+   * @returns {Object} - Validation result with locationId (null if no match)
+   */
+  validateOTP(otp, timestamp = Date.now()) {
+    let failure = null;
+
+    for (const location of this.locations.values()) {
+      const validation = location.otpService.validateOTP(otp, timestamp);
+
+      if (validation.valid) {
+        return { ...validation, locationId: location.id };
+      }
+
+      if (
+        !failure ||
+        failureRank(validation.reason) < failureRank(failure.reason)
+      ) {
+        failure = validation;
+      }
+    }
+
+    return { ...failure, locationId: null };
+  }
+}
+
+export default LocationService;
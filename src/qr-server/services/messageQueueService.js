@@ -0,0 +1,263 @@
+import logger from '../utils/logger.js';
+
+// Due messages read per pass; the rest wait for the next pass
+const BATCH_SIZE = 50;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Message Queue Service
+ * Sends the bot's WhatsApp messages from the outbound_messages table at a
+ * steady pace: no more than ratePerMinute per WhatsApp client and one per
+ * chat every chatIntervalMs, each gap stretched by a random jitter so the bot
+ * does not send like a machine. A message that fails is retried with a
+ * doubling delay and dead-lettered after maxAttempts. Queued messages survive
+ * a restart and wait while the WhatsApp client sending them is disconnected.
+ */
+class MessageQueueService {
+  /**
+   * @param {Object} options
+   * @param {import('../database/outboundMessageRepository.js').default} options.outboundMessageRepository
+   * @param {Function} options.sendMessage - async (chatId, body,
+   *   { quotedMessageId, whatsappClientId })
+   * @param {Function} [options.isClientReady] - (whatsappClientId) => boolean
+   * @param {number} [options.ratePerMinute=40] - Messages per minute from
+   *   each WhatsApp client
+   * @param {number} [options.chatIntervalMs=3000] - Least time between two
+   *   messages to the same chat
+   * @param {number} [options.jitterMs=1500] - Up to this much is added to
+   *   every gap
+   * @param {number} [options.maxAttempts=6] - Attempts before giving up
+   * @param {number} [options.retryBaseMs=30000] - Delay before the first
+   *   retry; it doubles with each attempt
+   * @param {number} [options.pollIntervalMs=1000] - How often due messages
+   *   are looked for
+   */
+  constructor({
+    outboundMessageRepository,
+    sendMessage,
+    isClientReady = () => true,
+    ratePerMinute = 40,
+    chatIntervalMs = 3000,
+    jitterMs = 1500,
+    maxAttempts = 6,
+    retryBaseMs = 30000,
+    pollIntervalMs = 1000,
+  }) {
+    this.outboundMessageRepository = outboundMessageRepository;
+    this.sendMessage = sendMessage;
+    this.isClientReady = isClientReady;
+    this.sendIntervalMs = 60000 / ratePerMinute;
+    this.chatIntervalMs = chatIntervalMs;
+    this.jitterMs = jitterMs;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMs = retryBaseMs;
+    this.pollIntervalMs = pollIntervalMs;
+    this.timer = null;
+    this.draining = false;
+    // When the next message may go out, by client and by client and chat id
+    this.nextSendAt = new Map();
+    this.nextChatSendAt = new Map();
+  }
+
+  /**
+   * Queue a message; it is sent by the running queue
+   * @param {string} chatId - WhatsApp chat id, e.g. '85291234567@c.us'
+   * @param {string} body - Text
+   * @param {Object} [options]
+   * @param {string} [options.quotedMessageId] - Send it as a reply to this
+   *   message
+   * @param {string} [options.whatsappClientId] - Send it from this WhatsApp
+   *   client; the default one if not given
+   * @returns {Promise<Object>} - Stored message
+   */
+  async enqueue(
+    chatId,
+    body,
+    { quotedMessageId = null, whatsappClientId = null } = {},
+  ) {
+    const message = await this.outboundMessageRepository.enqueue({
+      chatId,
+      body,
+      quotedMessageId,
+      whatsappClientId,
+    });
+    if (this.timer) this.drainInBackground();
+    return message;
+  }
+
+  /**
+   * Start sending queued messages
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(
+      () => this.drainInBackground(),
+      this.pollIntervalMs,
+    );
+    this.timer.unref();
+    this.drainInBackground();
+    logger.info('Message queue started', {
+      sendIntervalMs: this.sendIntervalMs,
+      chatIntervalMs: this.chatIntervalMs,
+    });
+  }
+
+  /**
+   * Stop sending; messages left in the queue go out after the next start
+   */
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    logger.info('Message queue stopped');
+  }
+
+  /**
+   * @private
+   */
+  drainInBackground() {
+    this.drain().catch((error) =>
+      logger.logSystemError('message_queue', error),
+    );
+  }
+
+  /**
+   * Send the due messages the pace allows, up to a batch per pass. Messages
+   * from a client that is not ready, or to a chat that has to wait, are
+   * left out of the query and left for a later pass, so one busy chat or
+   * disconnected number does not hold up the others.
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    if (this.draining) return;
+    this.draining = true;
+
+    try {
+      const now = Date.now();
+      for (const [chatKey, at] of this.nextChatSendAt) {
+        if (at <= now) this.nextChatSendAt.delete(chatKey);
+      }
+
+      const pendingClientIds =
+        await this.outboundMessageRepository.getPendingClientIds();
+      const excludeClientIds = pendingClientIds.filter(
+        (clientId) => !this.isClientReady(clientId),
+      );
+      const waiting = new Set();
+      let afterId = 0;
+      let sent = 0;
+
+      while (this.timer && sent < BATCH_SIZE) {
+        const due = await this.outboundMessageRepository.getDueMessages(
+          new Date(now),
+          BATCH_SIZE,
+          {
+            afterId,
+            excludeClientIds,
+            excludeChatKeys: [...this.waitingChatKeys(), ...waiting],
+          },
+        );
+
+        for (const message of due) {
+          if (!this.timer || sent >= BATCH_SIZE) break;
+          afterId = message.id;
+
+          // Later messages to a waiting chat wait too, to keep their order
+          const clientId = message.whatsapp_client_id ?? null;
+          const chatKey = `${clientId ?? ''} ${message.chat_id}`;
+          if (
+            waiting.has(chatKey) ||
+            !this.isClientReady(clientId) ||
+            (this.nextChatSendAt.get(chatKey) ?? 0) > Date.now()
+          ) {
+            waiting.add(chatKey);
+            continue;
+          }
+
+          await sleep(
+            Math.max(0, (this.nextSendAt.get(clientId) ?? 0) - Date.now()),
+          );
+          await this.deliver(message);
+          sent += 1;
+
+          const sentAt = Date.now();
+          this.nextSendAt.set(
+            clientId,
+            sentAt + this.sendIntervalMs + this.jitter(),
+          );
+          this.nextChatSendAt.set(
+            chatKey,
+            sentAt + this.chatIntervalMs + this.jitter(),
+          );
+        }
+
+        if (due.length < BATCH_SIZE) break;
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  /**
+   * Chats that were sent to too recently to be sent to again yet
+   * @private
+   * @returns {Array<string>}
+   */
+  waitingChatKeys() {
+    const now = Date.now();
+    return [...this.nextChatSendAt]
+      .filter(([, at]) => at > now)
+      .map(([chatKey]) => chatKey);
+  }
+
+  /**
+   * Send one message and record the outcome
+   * @private
+   */
+  async deliver(message) {
+    try {
+      await this.sendMessage(message.chat_id, message.body, {
+        quotedMessageId: message.quoted_message_id,
+        whatsappClientId: message.whatsapp_client_id,
+      });
+      await this.outboundMessageRepository.markSent(message.id);
+    } catch (error) {
+      const attempts = message.attempts + 1;
+      const nextAttemptAt =
+        attempts < this.maxAttempts
+          ? new Date(Date.now() + this.retryBaseMs * 2 ** (attempts - 1))
+          : null;
+
+      await this.outboundMessageRepository.markFailed(message.id, {
+        error: error.message,
+        nextAttemptAt,
+      });
+
+      const details = {
+        messageId: message.id,
+        attempts,
+        error: error.message,
+      };
+      if (nextAttemptAt) {
+        logger.warn('Message not sent, will retry', {
+          ...details,
+          nextAttemptAt: nextAttemptAt.toISOString(),
+        });
+      } else {
+        logger.error('Message not sent, giving up', details);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  jitter() {
+    return Math.random() * this.jitterMs;
+  }
+}
+
+export default MessageQueueService;
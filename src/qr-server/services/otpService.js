@@ -2,14 +2,21 @@ import { createHmac } from 'crypto';
 
 import errorHandler from '../utils/errorHandler.js';
 import logger from '../utils/logger.js';
+import { otpFormat } from '../utils/otpFormat.js';
 
 import { envConfig } from '#src/configs/environment.js';
 
 const { ServiceErrorHandler } = errorHandler;
 
 class OTPService {
+  /**
+   * @param {string} secretKey - HMAC secret used to derive codes
+   * @param {Object} [options]
+   * @param {number} [options.timeWindow] - Rotation window in milliseconds
+   */
   constructor(
     secretKey = envConfig.QR_CODE_SERVER.OTP_SECRET || 'default-secret-key',
+    options = {},
   ) {
     if (!secretKey || secretKey.length < 16) {
       logger.warn(
@@ -19,7 +26,7 @@ class OTPService {
 
     this.secretKey = secretKey;
     this.timeWindow = this._validateTimeWindow(
-      envConfig.QR_CODE_SERVER.DEFAULT_TIME_WINDOW_MS,
+      options.timeWindow ?? envConfig.QR_CODE_SERVER.DEFAULT_TIME_WINDOW_MS,
     );
     this.generationCount = 0;
     this.validationCount = 0;
@@ -28,6 +35,8 @@ class OTPService {
     logger.info('OTP Service initialized', {
       timeWindow: this.timeWindow,
       secretKeyLength: this.secretKey.length,
+      format: otpFormat.name,
+      length: otpFormat.length,
     });
   }
 
@@ -47,7 +56,7 @@ class OTPService {
   /**
    * Generate OTP for a specific timestamp with error handling
    * @param {number} timestamp - Unix timestamp in milliseconds
-   * @returns {string} - 6-character alphanumeric OTP
+   * @returns {string} - OTP in the configured format (see otpFormat.js)
    */
   generateOTP(timestamp = Date.now()) {
     try {
@@ -61,11 +70,10 @@ class OTPService {
       // Create hash using timeSlot + secretKey
       const hash = createHmac('sha256', this.secretKey)
         .update(timeSlot.toString())
-        .digest('hex');
+        .digest();
 
-      // Extract 6-character alphanumeric code from hash
-      // Use first 6 characters and convert to uppercase for readability
-      const otp = hash.substring(0, 6).toUpperCase();
+      // Encode the leading bits of the hash in the configured alphabet
+      const otp = otpFormat.fromDigest(hash);
 
       this.generationCount++;
       this.lastGenerationTime = timestamp;
@@ -157,8 +165,8 @@ class OTPService {
       // Normalize OTP (uppercase, trim)
       const normalizedOTP = otp.trim().toUpperCase();
 
-      if (normalizedOTP.length !== 6) {
-        logger.debug('OTP validation failed - incorrect length', {
+      if (!otpFormat.regex.test(normalizedOTP)) {
+        logger.debug('OTP validation failed - incorrect format', {
           length: normalizedOTP.length,
           validationCount: this.validationCount,
         });
@@ -166,7 +174,7 @@ class OTPService {
         return {
           valid: false,
           reason: 'INVALID_FORMAT',
-          message: 'OTP must be exactly 6 characters',
+          message: `OTP must be a ${otpFormat.description}`,
         };
       }
 
@@ -183,6 +191,7 @@ class OTPService {
           reason: 'CURRENT_WINDOW',
           message: 'OTP is valid (current window)',
           timeWindow: 'current',
+          timeSlot: Math.floor(timestamp / this.timeWindow),
         };
       }
 
@@ -200,6 +209,7 @@ class OTPService {
           reason: 'PREVIOUS_WINDOW',
           message: 'OTP is valid (previous window)',
           timeWindow: 'previous',
+          timeSlot: Math.floor(previousTimestamp / this.timeWindow),
         };
       }
 
@@ -264,6 +274,8 @@ class OTPService {
 
       return {
         timeWindow: this.timeWindow,
+        format: otpFormat.name,
+        length: otpFormat.length,
         currentTimeSlot: currentTimeSlot,
         timeUntilNext: this.getTimeUntilNext(now),
         secretKeyLength: this.secretKey.length,
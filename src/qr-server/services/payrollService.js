@@ -0,0 +1,433 @@
+import { DateTime, Interval } from 'luxon';
+
+import logger from '../utils/logger.js';
+
+import { toPerson } from './rosterService.js';
+import { isValidTimeOfDay } from './scheduleService.js';
+
+import { envConfig } from '#src/configs/environment.js';
+
+export const PAY_PERIODS = ['weekly', 'biweekly', 'semi_monthly', 'monthly'];
+
+/**
+ * Organization-wide payroll rules. Stored in system_config and editable
+ * through the admin API.
+ */
+export const DEFAULT_PAYROLL_RULES = {
+  payPeriod: 'monthly',
+  // First day of a weekly or biweekly period; the others follow from it
+  periodAnchor: '2026-01-05',
+  // Paid minutes a day before overtime starts; 0 turns daily overtime off
+  dailyRegularMinutes: 480,
+  // Regular minutes a Monday-to-Sunday week before overtime starts; 0 turns
+  // weekly overtime off
+  weeklyRegularMinutes: 2400,
+  // Local hours counted as night hours, may cross midnight; null turns them off
+  nightStart: '22:00',
+  nightEnd: '06:00',
+  // Unpaid break taken off a shift at least afterMinutes long. Only the
+  // largest deduction that applies is taken.
+  breakDeductions: [{ afterMinutes: 360, minutes: 30 }],
+};
+
+const MAX_BREAK_TIERS = 10;
+
+const isMinutes = (value) => Number.isInteger(value) && value >= 0;
+
+const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+/**
+ * Check that a payroll rule set is complete and consistent
+ * @param {Object} rules - Payroll rules
+ * @returns {string|null} - Error message, null when valid
+ */
+export function validatePayrollRules(rules) {
+  if (!PAY_PERIODS.includes(rules.payPeriod)) {
+    return `'payPeriod' must be one of: ${PAY_PERIODS.join(', ')}`;
+  }
+  if (!DateTime.fromISO(String(rules.periodAnchor)).isValid) {
+    return "'periodAnchor' must be a date (YYYY-MM-DD)";
+  }
+  for (const key of ['dailyRegularMinutes', 'weeklyRegularMinutes']) {
+    if (!isMinutes(rules[key])) {
+      return `'${key}' must be a non-negative whole number of minutes`;
+    }
+  }
+
+  if (rules.nightStart !== null || rules.nightEnd !== null) {
+    if (
+      !isValidTimeOfDay(rules.nightStart) ||
+      !isValidTimeOfDay(rules.nightEnd)
+    ) {
+      return "'nightStart' and 'nightEnd' must both be HH:mm, or both null";
+    }
+    if (rules.nightStart === rules.nightEnd) {
+      return "'nightStart' and 'nightEnd' must differ";
+    }
+  }
+
+  if (
+    !Array.isArray(rules.breakDeductions) ||
+    rules.breakDeductions.length > MAX_BREAK_TIERS ||
+    !rules.breakDeductions.every(
+      (tier) =>
+        isMinutes(tier?.afterMinutes) &&
+        isMinutes(tier?.minutes) &&
+        tier.minutes < tier.afterMinutes,
+    )
+  ) {
+    return `'breakDeductions' must be up to ${MAX_BREAK_TIERS} of { afterMinutes, minutes }, with minutes below afterMinutes`;
+  }
+
+  return null;
+}
+
+/**
+ * The pay period containing a day
+ * @param {DateTime} day - Local day
+ * @param {Object} rules - Payroll rules
+ * @returns {{ startDate: string, endDate: string }} - YYYY-MM-DD
+ */
+export function payPeriodFor(day, rules) {
+  let start;
+  let end;
+
+  if (rules.payPeriod === 'monthly') {
+    start = day.startOf('month');
+    end = day.endOf('month');
+  } else if (rules.payPeriod === 'semi_monthly') {
+    start = day.day <= 15 ? day.startOf('month') : day.set({ day: 16 });
+    end = day.day <= 15 ? day.set({ day: 15 }) : day.endOf('month');
+  } else {
+    const length = rules.payPeriod === 'weekly' ? 7 : 14;
+    const anchor = DateTime.fromISO(rules.periodAnchor, { zone: day.zone });
+    const periods = Math.floor(
+      day.startOf('day').diff(anchor, 'days').days / length,
+    );
+    start = anchor.plus({ days: periods * length });
+    end = start.plus({ days: length - 1 });
+  }
+
+  return { startDate: start.toISODate(), endDate: end.toISODate() };
+}
+
+/**
+ * Payroll Service
+ * Turns closed shifts into regular, overtime and night hours per employee
+ * per pay period, after break deductions
+ */
+class PayrollService {
+  /**
+   * @param {Object} options
+   * @param {import('../database/shiftRepository.js').default} options.shiftRepository
+   * @param {import('./shiftService.js').default} options.shiftService
+   * @param {import('../database/peopleRepository.js').default} options.peopleRepository
+   * @param {import('../database/configRepository.js').default} options.configRepository
+   * @param {Object} [options.payrollStorage] - Sheet storage with append()
+   * @param {string} [options.sheetId] - Spreadsheet of the payroll tab
+   * @param {string} [options.sheetName] - Payroll tab; empty to skip the sheet
+   * @param {string} [options.timeZone] - Zone of work dates and night hours
+   */
+  constructor({
+    shiftRepository,
+    shiftService,
+    peopleRepository,
+    configRepository,
+    payrollStorage = null,
+    sheetId = '',
+    sheetName = '',
+    timeZone = envConfig.TIME_ZONE,
+  }) {
+    this.shiftRepository = shiftRepository;
+    this.shiftService = shiftService;
+    this.peopleRepository = peopleRepository;
+    this.configRepository = configRepository;
+    this.payrollStorage = payrollStorage;
+    this.sheetId = sheetId;
+    this.sheetName = sheetName;
+    this.timeZone = timeZone;
+    this.rules = structuredClone(DEFAULT_PAYROLL_RULES);
+  }
+
+  /**
+   * Load the stored payroll rules
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const stored = await this.configRepository.getPayrollRules();
+    this.rules = { ...structuredClone(DEFAULT_PAYROLL_RULES), ...stored };
+  }
+
+  /**
+   * @returns {Object} - Current payroll rules
+   */
+  getRules() {
+    return structuredClone(this.rules);
+  }
+
+  /**
+   * Change some of the payroll rules
+   * @param {Object} changes - Rules to change
+   * @returns {Promise<Object>} - { rules } or { error } when invalid
+   */
+  async updateRules(changes) {
+    const rules = this.getRules();
+    for (const key of Object.keys(DEFAULT_PAYROLL_RULES)) {
+      if (changes[key] !== undefined) rules[key] = changes[key];
+    }
+
+    const error = validatePayrollRules(rules);
+    if (error) return { error };
+
+    await this.configRepository.setPayrollRules(rules);
+    this.rules = rules;
+    logger.info('Payroll rules updated', rules);
+
+    return { rules: this.getRules() };
+  }
+
+  /**
+   * The pay period containing a day
+   * @param {string} [date] - YYYY-MM-DD; today by default
+   * @returns {{ startDate: string, endDate: string }}
+   */
+  getPayPeriod(date) {
+    const day = date
+      ? DateTime.fromISO(date, { zone: this.timeZone })
+      : DateTime.now().setZone(this.timeZone);
+    return payPeriodFor(day.startOf('day'), this.rules);
+  }
+
+  /**
+   * @returns {boolean} - Whether a payroll tab is configured
+   */
+  isSheetEnabled() {
+    return Boolean(this.payrollStorage && this.sheetId && this.sheetName);
+  }
+
+  /**
+   * Unpaid break minutes of a shift
+   * @private
+   */
+  _breakMinutes(workedMinutes) {
+    return this.rules.breakDeductions
+      .filter((tier) => workedMinutes >= tier.afterMinutes)
+      .reduce((largest, tier) => Math.max(largest, tier.minutes), 0);
+  }
+
+  /**
+   * Minutes of a shift inside the night window of any day it touches
+   * @private
+   */
+  _nightMinutes(checkInAt, checkOutAt) {
+    if (!this.rules.nightStart) return 0;
+
+    const shift = Interval.fromDateTimes(
+      DateTime.fromISO(checkInAt).setZone(this.timeZone),
+      DateTime.fromISO(checkOutAt).setZone(this.timeZone),
+    );
+    const at = (day, time) => {
+      const [hour, minute] = time.split(':').map(Number);
+      return day.set({ hour, minute, second: 0, millisecond: 0 });
+    };
+
+    let minutes = 0;
+    // A night that started the day before can still cover the check-in
+    for (
+      let day = shift.start.startOf('day').minus({ days: 1 });
+      day <= shift.end;
+      day = day.plus({ days: 1 })
+    ) {
+      const start = at(day, this.rules.nightStart);
+      let end = at(day, this.rules.nightEnd);
+      if (end <= start) end = end.plus({ days: 1 });
+
+      const overlap = shift.intersection(Interval.fromDateTimes(start, end));
+      if (overlap) minutes += overlap.length('minutes');
+    }
+
+    return Math.round(minutes);
+  }
+
+  /**
+   * Regular and overtime minutes of one employee's days. Daily overtime comes
+   * first; regular minutes over the weekly limit then become overtime, taken
+   * from the last days of the week.
+   * @private
+   * @param {Array} days - { date, paidMinutes, nightMinutes }, oldest first
+   */
+  _splitOvertime(days) {
+    const { dailyRegularMinutes, weeklyRegularMinutes } = this.rules;
+
+    for (const day of days) {
+      day.overtimeMinutes =
+        dailyRegularMinutes > 0
+          ? Math.max(0, day.paidMinutes - dailyRegularMinutes)
+          : 0;
+      day.regularMinutes = day.paidMinutes - day.overtimeMinutes;
+    }
+    if (weeklyRegularMinutes === 0) return;
+
+    const weeks = new Map();
+    for (const day of days) {
+      const week = DateTime.fromISO(day.date).startOf('week').toISODate();
+      weeks.set(week, [...(weeks.get(week) ?? []), day]);
+    }
+    for (const week of weeks.values()) {
+      let excess =
+        week.reduce((sum, day) => sum + day.regularMinutes, 0) -
+        weeklyRegularMinutes;
+      for (const day of week.toReversed()) {
+        if (excess <= 0) break;
+        const moved = Math.min(excess, day.regularMinutes);
+        day.regularMinutes -= moved;
+        day.overtimeMinutes += moved;
+        excess -= moved;
+      }
+    }
+  }
+
+  /**
+   * Hours per employee for a pay period or any other range of work dates.
+   * Only closed shifts are paid; shifts missing a check-out are counted so
+   * they can be fixed first.
+   * @param {Object} filter
+   * @param {string} filter.startDate - First work date (YYYY-MM-DD)
+   * @param {string} filter.endDate - Last work date (YYYY-MM-DD)
+   * @param {string} [filter.groupId] - Only this group's members
+   * @param {string} [filter.phoneNumber] - Only this person
+   * @returns {Promise<Object>} - { period, rules, employees }
+   */
+  async buildReport({ startDate, endDate, groupId, phoneNumber }) {
+    // Shifts nobody closed in time count as missing a check-out
+    await this.shiftService.flagStaleShifts();
+
+    const [shifts, people] = await Promise.all([
+      this.shiftRepository.getShifts({ phoneNumber, startDate, endDate }),
+      this.peopleRepository.getPeople({ groupId }),
+    ]);
+    const roster = new Map(
+      people.map((row) => [row.phone_number, toPerson(row)]),
+    );
+
+    const employees = new Map();
+    for (const shift of shifts.toReversed()) {
+      if (groupId && !roster.has(shift.phone_number)) continue;
+      if (shift.status === 'open') continue;
+
+      if (!employees.has(shift.phone_number)) {
+        const person = roster.get(shift.phone_number);
+        employees.set(shift.phone_number, {
+          phoneNumber: shift.phone_number,
+          displayName: person?.displayName ?? null,
+          employeeId: person?.employeeId ?? null,
+          shifts: 0,
+          missingCheckOuts: 0,
+          workedMinutes: 0,
+          breakMinutes: 0,
+          days: new Map(),
+        });
+      }
+
+      const employee = employees.get(shift.phone_number);
+      if (shift.status === 'missing_check_out') {
+        employee.missingCheckOuts += 1;
+        continue;
+      }
+
+      const breakMinutes = this._breakMinutes(shift.worked_minutes);
+      employee.shifts += 1;
+      employee.workedMinutes += shift.worked_minutes;
+      employee.breakMinutes += breakMinutes;
+
+      if (!employee.days.has(shift.work_date)) {
+        employee.days.set(shift.work_date, {
+          date: shift.work_date,
+          paidMinutes: 0,
+          nightMinutes: 0,
+        });
+      }
+      const day = employee.days.get(shift.work_date);
+      const paidMinutes = Math.max(0, shift.worked_minutes - breakMinutes);
+      day.paidMinutes += paidMinutes;
+      day.nightMinutes += Math.min(
+        paidMinutes,
+        this._nightMinutes(shift.check_in_at, shift.check_out_at),
+      );
+    }
+
+    const report = [...employees.values()].map((employee) => {
+      const days = [...employee.days.values()].sort((a, b) =>
+        a.date.localeCompare(b.date),
+      );
+      this._splitOvertime(days);
+
+      const sum = (key) => days.reduce((total, day) => total + day[key], 0);
+      const totals = {
+        workedMinutes: employee.workedMinutes,
+        breakMinutes: employee.breakMinutes,
+        paidMinutes: sum('paidMinutes'),
+        regularMinutes: sum('regularMinutes'),
+        overtimeMinutes: sum('overtimeMinutes'),
+        nightMinutes: sum('nightMinutes'),
+      };
+
+      return {
+        phoneNumber: employee.phoneNumber,
+        displayName: employee.displayName,
+        employeeId: employee.employeeId,
+        shifts: employee.shifts,
+        missingCheckOuts: employee.missingCheckOuts,
+        ...totals,
+        workedHours: toHours(totals.workedMinutes),
+        breakHours: toHours(totals.breakMinutes),
+        paidHours: toHours(totals.paidMinutes),
+        regularHours: toHours(totals.regularMinutes),
+        overtimeHours: toHours(totals.overtimeMinutes),
+        nightHours: toHours(totals.nightMinutes),
+        days,
+      };
+    });
+
+    report.sort(
+      (a, b) =>
+        (a.displayName ?? a.phoneNumber).localeCompare(
+          b.displayName ?? b.phoneNumber,
+        ) || a.phoneNumber.localeCompare(b.phoneNumber),
+    );
+
+    return {
+      period: { startDate, endDate },
+      rules: this.getRules(),
+      employees: report,
+    };
+  }
+
+  /**
+   * Append a report to the payroll tab
+   * @param {Object} report - As returned by buildReport
+   * @returns {Promise<number>} - Rows written
+   */
+  async writeToSheet(report) {
+    if (!this.isSheetEnabled()) {
+      throw new Error('Payroll sheet is not configured');
+    }
+
+    await this.payrollStorage.append(this.sheetId, {
+      period: report.period,
+      employees: report.employees,
+      generatedAt: DateTime.now()
+        .setZone(this.timeZone)
+        .toFormat('yyyy-MM-dd HH:mm'),
+      sheetName: this.sheetName,
+    });
+    logger.info('Payroll written to sheet', {
+      ...report.period,
+      employees: report.employees.length,
+    });
+
+    return report.employees.length;
+  }
+}
+
+export default PayrollService;
@@ -0,0 +1,151 @@
+import errorHandler from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+import { toPerson, validatePerson } from './rosterService.js';
+
+const { ERROR_CODES } = errorHandler;
+
+const failure = (code, message) => ({ error: { code, message } });
+
+/**
+ * Registration Service
+ * Lets people who are not on the roster register themselves over WhatsApp.
+ * They join the roster as pending; once an admin decides, their held
+ * check-ins are counted or turned down and they are told the outcome.
+ */
+class RegistrationService {
+  /**
+   * @param {Object} options
+   * @param {import('../database/peopleRepository.js').default} options.peopleRepository
+   * @param {import('./checkInService.js').default} options.checkInService
+   * @param {import('./templateService.js').default} options.templateService
+   * @param {Function} [options.sendMessage] - async (phoneNumber, text)
+   * @param {Function} [options.isClientReady] - Whether messages can be sent
+   */
+  constructor({
+    peopleRepository,
+    checkInService,
+    templateService,
+    sendMessage = async () => {},
+    isClientReady = () => false,
+  }) {
+    this.peopleRepository = peopleRepository;
+    this.checkInService = checkInService;
+    this.templateService = templateService;
+    this.sendMessage = sendMessage;
+    this.isClientReady = isClientReady;
+  }
+
+  /**
+   * Add a self-registered person to the roster as pending
+   * @param {Object} registration
+   * @param {string} registration.phoneNumber - Normalized phone number
+   * @param {string} registration.displayName - Name given by the person
+   * @param {string|null} [registration.employeeId] - Employee or student id
+   * @returns {Promise<Object>} - { person } or { error: { code, message } }
+   */
+  async register({ phoneNumber, displayName, employeeId = null }) {
+    const error = validatePerson({ displayName, employeeId });
+    if (error) return failure(ERROR_CODES.INVALID_PERSON, error);
+
+    const existing = await this.peopleRepository.getPerson(phoneNumber);
+    if (existing?.status === 'approved' && existing.active) {
+      return failure(
+        ERROR_CODES.PERSON_EXISTS,
+        'This number is already registered',
+      );
+    }
+    if (existing?.status === 'rejected') {
+      return failure(
+        ERROR_CODES.REGISTRATION_NOT_PENDING,
+        'The registration of this number was rejected',
+      );
+    }
+
+    const row = await this.peopleRepository.upsertPerson({
+      phoneNumber,
+      displayName: displayName.trim(),
+      employeeId: employeeId?.trim() || null,
+      status: 'pending',
+    });
+    logger.info('Registration received', {
+      phoneNumber: logger.maskPhoneNumber(phoneNumber),
+    });
+
+    return { person: toPerson(row) };
+  }
+
+  /**
+   * Approve or reject a pending registration
+   * @param {string} phoneNumber - Normalized phone number
+   * @param {Object} decision
+   * @param {boolean} decision.approve - Approve or reject
+   * @returns {Promise<Object>} - { person, checkIns } or { error }
+   */
+  async decide(phoneNumber, { approve }) {
+    const existing = await this.peopleRepository.getPerson(phoneNumber);
+    if (!existing) {
+      return failure(
+        ERROR_CODES.PERSON_NOT_FOUND,
+        `No registration for '${phoneNumber}'`,
+      );
+    }
+    if (existing.status !== 'pending') {
+      return failure(
+        ERROR_CODES.REGISTRATION_NOT_PENDING,
+        `Registration is already ${existing.status}`,
+      );
+    }
+
+    const row = await this.peopleRepository.updatePerson(phoneNumber, {
+      status: approve ? 'approved' : 'rejected',
+    });
+    const person = toPerson(row);
+    const checkIns = await this.applyDecision(person);
+
+    return { person, checkIns };
+  }
+
+  /**
+   * Count or turn down the held check-ins of a decided registration and tell
+   * the person. Also called when the decision was made in the name list.
+   * @param {Object} person - Person as returned by toPerson
+   * @returns {Promise<number>} - Number of held check-ins handled
+   */
+  async applyDecision(person) {
+    const approved = person.status === 'approved';
+    const checkIns = approved
+      ? await this.checkInService.releaseHeldCheckIns(person.phoneNumber)
+      : await this.checkInService.rejectHeldCheckIns(person.phoneNumber);
+
+    logger.info('Registration decided', {
+      phoneNumber: logger.maskPhoneNumber(person.phoneNumber),
+      status: person.status,
+      checkIns,
+    });
+
+    if (this.isClientReady()) {
+      const key = !approved
+        ? 'registration.rejected'
+        : checkIns > 0
+          ? 'registration.approvedCounted'
+          : 'registration.approved';
+      try {
+        const text = await this.templateService.render(
+          person.phoneNumber,
+          key,
+          {
+            name: person.displayName,
+          },
+        );
+        await this.sendMessage(person.phoneNumber, text);
+      } catch (error) {
+        logger.logSystemError('registration_notify', error);
+      }
+    }
+
+    return checkIns;
+  }
+}
+
+export default RegistrationService;
@@ -0,0 +1,363 @@
+import { DateTime } from 'luxon';
+
+import errorHandler from '../utils/errorHandler.js';
+
+import { envConfig } from '#src/configs/environment.js';
+
+const { ERROR_CODES } = errorHandler;
+
+// Named periods a report can cover; a single date (YYYY-MM-DD) works too
+export const REPORT_PERIODS = [
+  'today',
+  'yesterday',
+  'week',
+  'last-week',
+  'month',
+  'last-month',
+];
+
+// The longest period a report can cover, in days
+const MAX_PERIOD_DAYS = 31;
+
+const digitsOnly = (phoneNumber) => phoneNumber.replace(/\D/g, '');
+
+const failure = (code, message) => ({ error: { code, message } });
+
+const toReportPerson = (row) => ({
+  phoneNumber: row.phone_number,
+  name: row.display_name,
+});
+
+/**
+ * Report Service
+ * Attendance summaries for managers: who came, who was late and who is
+ * absent, over a day or a period. Global managers (MANAGER_PHONE_NUMBERS)
+ * see every group; anyone else only the groups they manage. The roster is
+ * taken as it is now, so people who joined a group later count as absent
+ * on the days before.
+ */
+class ReportService {
+  /**
+   * @param {Object} options
+   * @param {import('../database/checkInRepository.js').default} options.checkInRepository
+   * @param {import('../database/groupRepository.js').default} options.groupRepository
+   * @param {import('./leaveService.js').default} [options.leaveService] -
+   *   Tells absence from approved leave
+   * @param {string[]} [options.managerPhoneNumbers] - See every group
+   * @param {string} [options.timeZone] - Zone the days are counted in
+   */
+  constructor({
+    checkInRepository,
+    groupRepository,
+    leaveService = null,
+    managerPhoneNumbers = [],
+    timeZone = envConfig.TIME_ZONE,
+  }) {
+    this.checkInRepository = checkInRepository;
+    this.groupRepository = groupRepository;
+    this.leaveService = leaveService;
+    this.managerPhoneNumbers = managerPhoneNumbers.map(digitsOnly);
+    this.timeZone = timeZone;
+  }
+
+  /**
+   * The groups a manager may see, or the one group they asked for. Groups
+   * are matched by id or name, in any case.
+   * @param {string|null} phoneNumber - Normalized phone number of the
+   *   manager; null for the admin API, which sees everything
+   * @param {string} [groupName] - Group ID or name
+   * @returns {Promise<Object>} - { groups, groupIds } where groupIds is null
+   *   for everyone, or { error }
+   */
+  async getScope(phoneNumber, groupName) {
+    const isGlobal =
+      !phoneNumber ||
+      this.managerPhoneNumbers.includes(digitsOnly(phoneNumber));
+    const managed = isGlobal
+      ? null
+      : await this.groupRepository.getManagedGroupIds(phoneNumber);
+
+    if (managed?.length === 0) {
+      return failure(
+        ERROR_CODES.NOT_GROUP_MANAGER,
+        'Only managers can see attendance reports',
+      );
+    }
+
+    const groups = await this.groupRepository.getGroups();
+    if (!groupName) {
+      const visible = managed
+        ? groups.filter((group) => managed.includes(group.id))
+        : [];
+      return {
+        groups: visible.map(({ id, name }) => ({ id, name })),
+        groupIds: managed,
+      };
+    }
+
+    const wanted = groupName.trim().toLowerCase();
+    const group =
+      groups.find((g) => g.id.toLowerCase() === wanted) ??
+      groups.find((g) => g.name.toLowerCase() === wanted);
+    if (!group) {
+      return failure(ERROR_CODES.GROUP_NOT_FOUND, `No group '${groupName}'`);
+    }
+    if (managed && !managed.includes(group.id)) {
+      return failure(
+        ERROR_CODES.NOT_GROUP_MANAGER,
+        `You do not manage group '${group.name}'`,
+      );
+    }
+
+    return {
+      groups: [{ id: group.id, name: group.name }],
+      groupIds: [group.id],
+    };
+  }
+
+  /**
+   * The local days of a period, up to today
+   * @param {string} [period='today'] - One of REPORT_PERIODS or a date
+   *   (YYYY-MM-DD)
+   * @param {Date} [now=new Date()]
+   * @returns {Object} - { startDate, endDate, days: DateTime[] } or { error }
+   */
+  resolvePeriod(period = 'today', now = new Date()) {
+    const today = DateTime.fromJSDate(now)
+      .setZone(this.timeZone)
+      .startOf('day');
+    let start;
+    let end;
+
+    switch (period) {
+      case 'today':
+        start = end = today;
+        break;
+      case 'yesterday':
+        start = end = today.minus({ days: 1 });
+        break;
+      case 'week':
+        start = today.startOf('week');
+        end = today;
+        break;
+      case 'last-week':
+        start = today.minus({ weeks: 1 }).startOf('week');
+        end = start.endOf('week').startOf('day');
+        break;
+      case 'month':
+        start = today.startOf('month');
+        end = today;
+        break;
+      case 'last-month':
+        start = today.minus({ months: 1 }).startOf('month');
+        end = start.endOf('month').startOf('day');
+        break;
+      default: {
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(period)
+          ? DateTime.fromISO(period, { zone: this.timeZone })
+          : null;
+        if (!date?.isValid) {
+          return failure(
+            ERROR_CODES.INVALID_REPORT,
+            `'period' must be one of ${REPORT_PERIODS.join(', ')} or a date (YYYY-MM-DD)`,
+          );
+        }
+        if (date > today) {
+          return failure(
+            ERROR_CODES.INVALID_REPORT,
+            'Reports cannot cover days to come',
+          );
+        }
+        start = end = date;
+      }
+    }
+
+    const days = [];
+    for (let day = start; day <= end; day = day.plus({ days: 1 })) {
+      days.push(day);
+    }
+    if (days.length > MAX_PERIOD_DAYS) {
+      return failure(
+        ERROR_CODES.INVALID_REPORT,
+        `Reports cover up to ${MAX_PERIOD_DAYS} days`,
+      );
+    }
+
+    return { startDate: start.toISODate(), endDate: end.toISODate(), days };
+  }
+
+  /**
+   * Resolve the scope and period every report starts from
+   * @private
+   */
+  async _prepare({ phoneNumber, groupName, period }, now) {
+    const range = this.resolvePeriod(period, now);
+    if (range.error) return range;
+
+    const scope = await this.getScope(phoneNumber, groupName);
+    if (scope.error) return scope;
+
+    return { range, scope };
+  }
+
+  /**
+   * Who came, who was late, who was on leave and who was absent on each day
+   * of a period. Past days nobody checked in on, such as weekends and
+   * holidays, are left out.
+   * @private
+   */
+  async _getDays({ range, scope }, now) {
+    const today = DateTime.fromJSDate(now).setZone(this.timeZone).toISODate();
+    const days = [];
+
+    for (const day of range.days) {
+      const rows = await this.checkInRepository.getRosterAttendance({
+        from: day.toJSDate(),
+        to: day.plus({ days: 1 }).toJSDate(),
+        groupIds: scope.groupIds,
+      });
+      const present = rows.filter((row) => row.check_ins > 0);
+      if (present.length === 0 && day.toISODate() !== today) continue;
+
+      const onLeave = this.leaveService
+        ? await this.leaveService.getPhonesOnLeave(day.toISODate())
+        : new Set();
+      const missing = rows.filter((row) => row.check_ins === 0);
+
+      days.push({
+        date: day.toISODate(),
+        rows,
+        present,
+        late: present.filter((row) => row.late > 0),
+        onLeave: missing.filter((row) => onLeave.has(row.phone_number)),
+        absent: missing.filter((row) => !onLeave.has(row.phone_number)),
+      });
+    }
+
+    return days;
+  }
+
+  /**
+   * Attendance counts over a period. On one day they count people; over
+   * several they count person-days.
+   * @param {Object} request
+   * @param {string|null} request.phoneNumber - Manager asking, see getScope
+   * @param {string} [request.groupName] - Group ID or name
+   * @param {string} [request.period='today'] - See resolvePeriod
+   * @param {Date} [now=new Date()]
+   * @returns {Promise<Object>} - { report } or { error }
+   */
+  async getSummary(request, now = new Date()) {
+    const prepared = await this._prepare(request, now);
+    if (prepared.error) return prepared;
+
+    const days = await this._getDays(prepared, now);
+    const count = (key) =>
+      days.reduce((total, day) => total + day[key].length, 0);
+    const lastDay = days.at(-1);
+
+    return {
+      report: {
+        startDate: prepared.range.startDate,
+        endDate: prepared.range.endDate,
+        groups: prepared.scope.groups,
+        days: days.length,
+        roster: lastDay?.rows.length ?? 0,
+        present: count('present'),
+        late: count('late'),
+        onLeave: count('onLeave'),
+        absent: count('absent'),
+      },
+    };
+  }
+
+  /**
+   * The people absent, and those on leave, on each day of a period
+   * @param {Object} request - See getSummary
+   * @param {Date} [now=new Date()]
+   * @returns {Promise<Object>} - { report } or { error }
+   */
+  async getAbsences(request, now = new Date()) {
+    const prepared = await this._prepare(request, now);
+    if (prepared.error) return prepared;
+
+    const days = await this._getDays(prepared, now);
+
+    return {
+      report: {
+        startDate: prepared.range.startDate,
+        endDate: prepared.range.endDate,
+        groups: prepared.scope.groups,
+        days: days.map((day) => ({
+          date: day.date,
+          absent: day.absent.map(toReportPerson),
+          onLeave: day.onLeave.map(toReportPerson),
+        })),
+      },
+    };
+  }
+
+  /**
+   * The late check-ins of a period, oldest first
+   * @param {Object} request - See getSummary
+   * @param {Date} [now=new Date()]
+   * @returns {Promise<Object>} - { report } or { error }
+   */
+  async getLateArrivals(request, now = new Date()) {
+    const prepared = await this._prepare(request, now);
+    if (prepared.error) return prepared;
+
+    const { range, scope } = prepared;
+    const checkIns = await this.checkInRepository.getLateCheckIns({
+      from: range.days[0].toJSDate(),
+      to: range.days.at(-1).plus({ days: 1 }).toJSDate(),
+      groupIds: scope.groupIds,
+    });
+
+    return {
+      report: {
+        startDate: range.startDate,
+        endDate: range.endDate,
+        groups: scope.groups,
+        late: checkIns.map((checkIn) => ({
+          ...toReportPerson(checkIn),
+          timestamp: checkIn.timestamp,
+          attendanceStatus: checkIn.attendance_status,
+        })),
+      },
+    };
+  }
+
+  /**
+   * Who is checked in right now: their latest event today is a check-in
+   * @param {Object} request - phoneNumber and groupName, see getSummary
+   * @param {Date} [now=new Date()]
+   * @returns {Promise<Object>} - { report } or { error }
+   */
+  async getPresent(request, now = new Date()) {
+    const prepared = await this._prepare({ ...request, period: 'today' }, now);
+    if (prepared.error) return prepared;
+
+    const { range, scope } = prepared;
+    const rows = await this.checkInRepository.getRosterAttendance({
+      from: range.days[0].toJSDate(),
+      to: range.days[0].plus({ days: 1 }).toJSDate(),
+      groupIds: scope.groupIds,
+    });
+    const present = rows.filter((row) => row.last_event_type === 'check_in');
+
+    return {
+      report: {
+        date: range.startDate,
+        groups: scope.groups,
+        roster: rows.length,
+        present: present.map((row) => ({
+          ...toReportPerson(row),
+          since: row.last_event_at,
+        })),
+      },
+    };
+  }
+}
+
+export default ReportService;
@@ -0,0 +1,361 @@
+import logger from '../utils/logger.js';
+import { LANGUAGE_REGEX } from '../utils/replyTemplates.js';
+import validation from '../utils/validation.js';
+
+import { GROUP_ID_REGEX } from './groupService.js';
+
+const { PhoneNumberValidator } = validation;
+
+const LAST_SYNC_KEY = 'roster_last_synced_at';
+
+const SYNCED_FIELDS = [
+  'displayName',
+  'employeeId',
+  'groupIds',
+  'active',
+  'status',
+];
+
+/**
+ * Convert a people row to the shape used by the API and the sheet
+ * @param {Object} row - people row
+ * @returns {Object}
+ */
+export const toPerson = (row) => ({
+  phoneNumber: row.phone_number,
+  displayName: row.display_name,
+  employeeId: row.employee_id,
+  groupIds: row.group_ids ? row.group_ids.split(',').sort() : [],
+  active: Boolean(row.active),
+  status: row.status,
+  language: row.language,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const MAX_TEXT_LENGTH = 100;
+
+const isOptionalText = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && value.length <= MAX_TEXT_LENGTH);
+
+const isLanguage = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && LANGUAGE_REGEX.test(value));
+
+/**
+ * Check the fields of a person given to the admin API
+ * @param {Object} person - displayName, employeeId, groupIds, active and/or
+ *   language
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Allow a missing displayName
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validatePerson(person, { partial = false } = {}) {
+  const { displayName, employeeId, groupIds, active, language } = person;
+
+  if (displayName !== undefined || !partial) {
+    if (
+      typeof displayName !== 'string' ||
+      !displayName.trim() ||
+      displayName.length > MAX_TEXT_LENGTH
+    ) {
+      return `'displayName' must be 1 to ${MAX_TEXT_LENGTH} characters`;
+    }
+  }
+  if (!isOptionalText(employeeId)) {
+    return `'employeeId' must be up to ${MAX_TEXT_LENGTH} characters`;
+  }
+  if (
+    groupIds !== undefined &&
+    !(
+      Array.isArray(groupIds) &&
+      groupIds.every((id) => typeof id === 'string' && GROUP_ID_REGEX.test(id))
+    )
+  ) {
+    return "'groupIds' must be a list of group ids";
+  }
+  if (active !== undefined && typeof active !== 'boolean') {
+    return "'active' must be true or false";
+  }
+  if (!isLanguage(language)) {
+    return "'language' must be a language tag such as 'en' or 'zh-HK', or null";
+  }
+
+  return null;
+}
+
+const syncedValue = (person, field) =>
+  field === 'groupIds' ? [...person.groupIds].sort().join(',') : person[field];
+
+const differs = (a, b) =>
+  SYNCED_FIELDS.some(
+    (field) => syncedValue(a, field) !== syncedValue(b, field),
+  );
+
+/**
+ * Roster Service
+ * Knows who belongs to which phone number and keeps the people table in sync
+ * with the NameList sheet
+ */
+class RosterService {
+  /**
+   * @param {Object} options
+   * @param {import('../database/peopleRepository.js').default} options.peopleRepository
+   * @param {import('../database/groupRepository.js').default} options.groupRepository
+   * @param {import('../database/configRepository.js').default} options.configRepository
+   * @param {Object} [options.nameListStorage] - NameListSheetStorage; no sync without it
+   * @param {string} [options.sheetId] - Spreadsheet holding the name list
+   * @param {string} [options.sheetName] - Name list sheet
+   * @param {number} [options.syncIntervalMinutes=15] - 0 syncs only on demand
+   * @param {Function} [options.onRegistrationDecided] - async (person) called
+   *   when a pending registration is approved or rejected in the sheet
+   */
+  constructor({
+    peopleRepository,
+    groupRepository,
+    configRepository,
+    nameListStorage = null,
+    sheetId = '',
+    sheetName = '',
+    syncIntervalMinutes = 15,
+    onRegistrationDecided = async () => {},
+  }) {
+    this.peopleRepository = peopleRepository;
+    this.groupRepository = groupRepository;
+    this.configRepository = configRepository;
+    this.nameListStorage = nameListStorage;
+    this.sheetId = sheetId;
+    this.sheetName = sheetName;
+    this.syncIntervalMinutes = syncIntervalMinutes;
+    this.onRegistrationDecided = onRegistrationDecided;
+    this.syncTimer = null;
+    this.syncing = null;
+  }
+
+  /**
+   * @returns {boolean} - Whether a name list sheet is configured
+   */
+  isSyncEnabled() {
+    return Boolean(this.nameListStorage && this.sheetId && this.sheetName);
+  }
+
+  /**
+   * Sync now and then every syncIntervalMinutes
+   */
+  start() {
+    if (!this.isSyncEnabled() || this.syncTimer) return;
+
+    const syncInBackground = () =>
+      this.sync().catch((error) => logger.logSystemError('roster_sync', error));
+
+    syncInBackground();
+    if (this.syncIntervalMinutes > 0) {
+      this.syncTimer = setInterval(
+        syncInBackground,
+        this.syncIntervalMinutes * 60 * 1000,
+      );
+      this.syncTimer.unref();
+    }
+  }
+
+  /**
+   * Stop the periodic sync
+   */
+  stop() {
+    clearInterval(this.syncTimer);
+    this.syncTimer = null;
+  }
+
+  /**
+   * Roster entry for a phone number, whatever its status
+   * @param {string} phoneNumber - Normalized phone number
+   * @returns {Promise<Object|null>} - Person or null when unknown
+   */
+  async getPerson(phoneNumber) {
+    const row = await this.peopleRepository.getPerson(phoneNumber);
+    return row ? toPerson(row) : null;
+  }
+
+  /**
+   * Active, approved roster entry for a phone number
+   * @param {string} phoneNumber - Normalized phone number
+   * @returns {Promise<Object|null>} - Person or null when unknown, inactive
+   *   or not approved
+   */
+  async getActivePerson(phoneNumber) {
+    const person = await this.getPerson(phoneNumber);
+    return person?.active && person.status === 'approved' ? person : null;
+  }
+
+  /**
+   * Active, approved roster entries
+   * @returns {Promise<Object[]>}
+   */
+  async getActivePeople() {
+    const rows = await this.peopleRepository.getPeople({
+      active: true,
+      status: 'approved',
+    });
+    return rows.map(toPerson);
+  }
+
+  /**
+   * Groups a person belongs to
+   * @param {string} phoneNumber - Normalized phone number
+   * @returns {Promise<string[]>}
+   */
+  async getGroupIds(phoneNumber) {
+    return this.groupRepository.getGroupIds(phoneNumber);
+  }
+
+  /**
+   * Add a person to the roster, or replace them
+   * @param {Object} person - phoneNumber, displayName, and optionally
+   *   employeeId, groupIds, active and status
+   * @returns {Promise<Object>} - Stored person
+   */
+  async addPerson({ groupIds, ...person }) {
+    await this.peopleRepository.upsertPerson(person);
+    if (groupIds) {
+      await this.groupRepository.setGroups(person.phoneNumber, groupIds);
+    }
+    return this.getPerson(person.phoneNumber);
+  }
+
+  /**
+   * Change some fields of a person; groupIds replaces their groups
+   * @param {string} phoneNumber - Normalized phone number
+   * @param {Object} changes - displayName, employeeId, groupIds, active
+   *   and/or status
+   * @returns {Promise<Object|null>} - Updated person, null if not found
+   */
+  async updatePerson(phoneNumber, { groupIds, ...changes }) {
+    const row = await this.peopleRepository.updatePerson(phoneNumber, changes);
+    if (!row) return null;
+
+    if (groupIds) {
+      await this.groupRepository.setGroups(phoneNumber, groupIds);
+    }
+    return this.getPerson(phoneNumber);
+  }
+
+  /**
+   * Two-way sync with the name list. Rows edited in the database since the
+   * last sync win over the sheet, otherwise the sheet wins. People added on
+   * either side are copied to the other; people whose row was deleted from
+   * the sheet are removed. The merged roster is then written back; rows that
+   * cannot be read are kept as they are.
+   * @returns {Promise<Object>} - { pulled, removed, pushed, skipped }
+   */
+  async sync() {
+    if (!this.isSyncEnabled()) {
+      throw new Error('Name list sync is not configured');
+    }
+
+    // One sync at a time; callers during a sync share its result
+    this.syncing ??= this._sync().finally(() => {
+      this.syncing = null;
+    });
+    return this.syncing;
+  }
+
+  /**
+   * @private
+   */
+  async _sync() {
+    const lastSyncedAt = await this.configRepository.getConfig(LAST_SYNC_KEY);
+    const changedSinceSync = (row) =>
+      !lastSyncedAt || row.updated_at > lastSyncedAt;
+
+    const sheet = await this.nameListStorage.read(this.sheetId, {
+      sheetName: this.sheetName,
+    });
+    const rows = new Map(
+      (await this.peopleRepository.getPeople()).map((row) => [
+        row.phone_number,
+        row,
+      ]),
+    );
+
+    const stats = { pulled: 0, removed: 0, pushed: 0, skipped: 0 };
+    const inSheet = new Set();
+    const unreadable = [];
+    const decided = [];
+
+    for (const entry of sheet.people) {
+      const phoneValidation = PhoneNumberValidator.validate(entry.phoneNumber);
+      if (
+        !phoneValidation.valid ||
+        !entry.displayName ||
+        !entry.groupIds.every((id) => GROUP_ID_REGEX.test(id))
+      ) {
+        unreadable.push(entry);
+        continue;
+      }
+
+      const person = { ...entry, phoneNumber: phoneValidation.normalized };
+      inSheet.add(person.phoneNumber);
+
+      const row = rows.get(person.phoneNumber);
+      if (row && (!differs(toPerson(row), person) || changedSinceSync(row))) {
+        continue;
+      }
+
+      const { groupIds, ...fields } = person;
+      await this.peopleRepository.upsertPerson(fields);
+      await this.groupRepository.setGroups(person.phoneNumber, groupIds, {
+        touch: false,
+      });
+      const stored = await this.getPerson(person.phoneNumber);
+      stats.pulled++;
+
+      if (row?.status === 'pending' && stored.status !== 'pending') {
+        decided.push(stored);
+      }
+    }
+
+    for (const row of rows.values()) {
+      if (inSheet.has(row.phone_number)) continue;
+
+      if (lastSyncedAt && row.created_at <= lastSyncedAt) {
+        await this.peopleRepository.deletePerson(row.phone_number);
+        stats.removed++;
+      } else {
+        stats.pushed++;
+      }
+    }
+
+    const people = (await this.peopleRepository.getPeople()).map(toPerson);
+    await this.nameListStorage.write(this.sheetId, {
+      sheetName: this.sheetName,
+      people: [...people, ...unreadable],
+      previousRowCount: sheet.rowCount,
+    });
+    await this.configRepository.setConfig(
+      LAST_SYNC_KEY,
+      new Date().toISOString(),
+    );
+
+    // Registrations approved or rejected in the sheet
+    for (const person of decided) {
+      try {
+        await this.onRegistrationDecided(person);
+      } catch (error) {
+        logger.logSystemError('roster_registration_decided', error);
+      }
+    }
+
+    stats.skipped = unreadable.length;
+    logger.info('Roster synced with the name list', {
+      ...stats,
+      total: people.length,
+    });
+
+    return stats;
+  }
+}
+
+export default RosterService;
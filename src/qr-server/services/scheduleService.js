@@ -0,0 +1,353 @@
+import { DateTime } from 'luxon';
+
+import logger from '../utils/logger.js';
+
+import { envConfig } from '#src/configs/environment.js';
+
+/**
+ * Organization-wide attendance rules, in minutes relative to the scheduled
+ * start. Stored in system_config and editable through the admin API.
+ */
+export const DEFAULT_ATTENDANCE_RULES = {
+  // Late after start + grace; a schedule entry may set its own grace
+  graceMinutes: 5,
+  // Early when arriving more than this before the start
+  earlyMinutes: 30,
+  // Arriving this late counts as a half day
+  halfDayAfterMinutes: 120,
+  // Arriving this late, or not at all, counts as absent
+  absentAfterMinutes: 240,
+};
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Person-specific entries win over group entries, which win over everyone's
+const specificity = (schedule) =>
+  schedule.phone_number ? 0 : schedule.group_id ? 1 : 2;
+
+// Whether an entry is for this person, their group or everyone
+const appliesTo = (schedule, person) =>
+  schedule.phone_number
+    ? schedule.phone_number === person.phoneNumber
+    : !schedule.group_id || person.groupIds.includes(schedule.group_id);
+
+/**
+ * Check that a rule set is complete and consistent
+ * @param {Object} rules - Attendance rules
+ * @returns {string|null} - Error message, null when valid
+ */
+export function validateAttendanceRules(rules) {
+  for (const key of Object.keys(DEFAULT_ATTENDANCE_RULES)) {
+    if (!Number.isInteger(rules[key]) || rules[key] < 0) {
+      return `'${key}' must be a non-negative whole number of minutes`;
+    }
+  }
+
+  if (
+    rules.graceMinutes >= rules.halfDayAfterMinutes ||
+    rules.halfDayAfterMinutes >= rules.absentAfterMinutes
+  ) {
+    return 'Thresholds must increase: graceMinutes < halfDayAfterMinutes < absentAfterMinutes';
+  }
+
+  return null;
+}
+
+/**
+ * Check an HH:mm time of day
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isValidTimeOfDay = (value) =>
+  typeof value === 'string' && TIME_REGEX.test(value);
+
+/**
+ * Schedule Service
+ * Matches check-ins to the timetable and derives on-time/late/early statuses
+ */
+class ScheduleService {
+  /**
+   * @param {Object} options
+   * @param {import('../database/scheduleRepository.js').default} options.scheduleRepository
+   * @param {import('../database/configRepository.js').default} options.configRepository
+   * @param {import('../database/checkInRepository.js').default} options.checkInRepository
+   * @param {import('./leaveService.js').default} [options.leaveService] - Marks approved leave
+   * @param {Function} [options.resolveGroupIds] - async (phoneNumber) => group ids
+   * @param {Function} [options.listPeople] - async () => the active roster,
+   *   as { phoneNumber, displayName, groupIds }
+   * @param {string} [options.timeZone] - Zone the timetable is written in
+   */
+  constructor({
+    scheduleRepository,
+    configRepository,
+    checkInRepository,
+    leaveService = null,
+    resolveGroupIds = async () => [],
+    listPeople = async () => [],
+    timeZone = envConfig.TIME_ZONE,
+  }) {
+    this.scheduleRepository = scheduleRepository;
+    this.configRepository = configRepository;
+    this.checkInRepository = checkInRepository;
+    this.leaveService = leaveService;
+    this.resolveGroupIds = resolveGroupIds;
+    this.listPeople = listPeople;
+    this.timeZone = timeZone;
+    this.rules = { ...DEFAULT_ATTENDANCE_RULES };
+  }
+
+  /**
+   * Load the stored attendance rules
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const stored = await this.configRepository.getAttendanceRules();
+    this.rules = { ...DEFAULT_ATTENDANCE_RULES, ...stored };
+  }
+
+  /**
+   * @returns {Object} - Current attendance rules
+   */
+  getRules() {
+    return { ...this.rules };
+  }
+
+  /**
+   * Change some of the attendance rules
+   * @param {Object} changes - Rules to change
+   * @returns {Promise<Object>} - { rules } or { error } when invalid
+   */
+  async updateRules(changes) {
+    const rules = { ...this.rules };
+    for (const key of Object.keys(DEFAULT_ATTENDANCE_RULES)) {
+      if (changes[key] !== undefined) rules[key] = changes[key];
+    }
+
+    const error = validateAttendanceRules(rules);
+    if (error) return { error };
+
+    await this.configRepository.setAttendanceRules(rules);
+    this.rules = rules;
+    logger.info('Attendance rules updated', rules);
+
+    return { rules: this.getRules() };
+  }
+
+  /**
+   * Scheduled start and end of an entry on a given day
+   * @param {Object} schedule - Schedule entry
+   * @param {DateTime} day - Local day
+   * @returns {{ start: DateTime, end: DateTime }}
+   */
+  scheduledTimes(schedule, day) {
+    const at = (time) => {
+      const [hour, minute] = time.split(':').map(Number);
+      return day.set({ hour, minute, second: 0, millisecond: 0 });
+    };
+
+    const start = at(schedule.start_time);
+    let end = at(schedule.end_time);
+    if (end <= start) end = end.plus({ days: 1 });
+
+    return { start, end };
+  }
+
+  /**
+   * Find the schedule entry a check-in belongs to: the most specific entries
+   * that apply to the person, and among those the start closest in time
+   * @param {string} phoneNumber - User's phone number
+   * @param {Date} timestamp - Check-in time
+   * @returns {Promise<Object|null>} - { schedule, start, end } or null
+   */
+  async findSchedule(phoneNumber, timestamp) {
+    const local = DateTime.fromJSDate(timestamp).setZone(this.timeZone);
+    // Yesterday covers overnight shifts, tomorrow covers early arrivals
+    const days = [-1, 0, 1].map((offset) =>
+      local.plus({ days: offset }).startOf('day'),
+    );
+
+    const schedules = await this.scheduleRepository.findApplicableSchedules({
+      phoneNumber,
+      groupIds: await this.resolveGroupIds(phoneNumber),
+      weekdays: [...new Set(days.map((day) => day.weekday))],
+    });
+    if (schedules.length === 0) return null;
+
+    const level = Math.min(...schedules.map(specificity));
+    let best = null;
+
+    for (const schedule of schedules) {
+      if (specificity(schedule) !== level) continue;
+
+      for (const day of days) {
+        if (day.weekday !== schedule.weekday) continue;
+
+        const times = this.scheduledTimes(schedule, day);
+        const distance = Math.abs(times.start.toMillis() - local.toMillis());
+        if (!best || distance < best.distance) {
+          best = { schedule, ...times, distance };
+        }
+      }
+    }
+
+    return best
+      ? { schedule: best.schedule, start: best.start, end: best.end }
+      : null;
+  }
+
+  /**
+   * Derive the attendance status from how late someone arrived
+   * @param {number} minutesLate - Negative when early
+   * @param {number|null} [graceMinutes] - Schedule-specific grace
+   * @returns {string} - early, on_time, late, half_day or absent
+   */
+  classify(minutesLate, graceMinutes = null) {
+    const grace = graceMinutes ?? this.rules.graceMinutes;
+
+    if (minutesLate < -this.rules.earlyMinutes) return 'early';
+    if (minutesLate <= grace) return 'on_time';
+    if (minutesLate >= this.rules.absentAfterMinutes) return 'absent';
+    if (minutesLate >= this.rules.halfDayAfterMinutes) return 'half_day';
+    return 'late';
+  }
+
+  /**
+   * Derive the status of a valid check-in
+   * @param {Object} checkIn
+   * @param {string} checkIn.phoneNumber - User's phone number
+   * @param {Date} checkIn.timestamp - Check-in time
+   * @returns {Promise<Object|null>} - { status, scheduleId, scheduledStart,
+   *   minutesLate } or null when the person has no schedule
+   */
+  async classifyCheckIn({ phoneNumber, timestamp }) {
+    const match = await this.findSchedule(phoneNumber, timestamp);
+    if (!match) return null;
+
+    const minutesLate = Math.round(
+      (timestamp.getTime() - match.start.toMillis()) / 60000,
+    );
+
+    return {
+      status: this.classify(minutesLate, match.schedule.grace_minutes),
+      scheduleId: match.schedule.id,
+      scheduledStart: match.start.toUTC().toISO(),
+      minutesLate,
+    };
+  }
+
+  /**
+   * Who is expected on a day: each person with the most specific entries
+   * that apply to them, as for check-ins. Group and everyone entries are
+   * expanded to the active roster; a personal entry counts even for someone
+   * missing from it.
+   * @param {Array} schedules - Entries of the day's weekday
+   * @returns {Promise<Array>} - { schedule, person }, in entry order
+   */
+  async getExpectedPeople(schedules) {
+    const people = new Map(
+      (await this.listPeople()).map((person) => [person.phoneNumber, person]),
+    );
+    for (const schedule of schedules) {
+      if (schedule.phone_number && !people.has(schedule.phone_number)) {
+        people.set(schedule.phone_number, {
+          phoneNumber: schedule.phone_number,
+          displayName: null,
+          groupIds: [],
+        });
+      }
+    }
+
+    const levels = new Map();
+    for (const person of people.values()) {
+      const applicable = schedules.filter((schedule) =>
+        appliesTo(schedule, person),
+      );
+      if (applicable.length > 0) {
+        levels.set(
+          person.phoneNumber,
+          Math.min(...applicable.map(specificity)),
+        );
+      }
+    }
+
+    return schedules.flatMap((schedule) =>
+      [...people.values()]
+        .filter(
+          (person) =>
+            appliesTo(schedule, person) &&
+            levels.get(person.phoneNumber) === specificity(schedule),
+        )
+        .map((person) => ({ schedule, person })),
+    );
+  }
+
+  /**
+   * Attendance of everyone expected on a date, whether by a personal, group
+   * or everyone entry. People who have not checked in are 'leave' when they
+   * have approved leave, else 'absent' once the absent threshold has passed
+   * and 'pending' before that.
+   * @param {string} date - Local date (YYYY-MM-DD)
+   * @param {Date} [now=new Date()]
+   * @returns {Promise<Array>}
+   */
+  async getDailyAttendance(date, now = new Date()) {
+    const day = DateTime.fromISO(date, { zone: this.timeZone }).startOf('day');
+    const expected = await this.getExpectedPeople(
+      await this.scheduleRepository.getSchedules({ weekday: day.weekday }),
+    );
+
+    const checkIns = await this.checkInRepository.getValidEvents({
+      from: day.minus({ minutes: this.rules.earlyMinutes }).toJSDate(),
+      to: day.plus({ days: 1 }).toJSDate(),
+      eventType: 'check_in',
+    });
+    const onLeave = this.leaveService
+      ? await this.leaveService.getPhonesOnLeave(day.toISODate())
+      : new Set();
+
+    return expected.map(({ schedule, person }) => {
+      const { start, end } = this.scheduledTimes(schedule, day);
+      const windowStart = start.minus({ minutes: this.rules.earlyMinutes });
+      const checkIn = checkIns.find(
+        (record) =>
+          record.phone_number === person.phoneNumber &&
+          (record.schedule_id === schedule.id ||
+            (new Date(record.timestamp) >= windowStart.toJSDate() &&
+              new Date(record.timestamp) < end.toJSDate())),
+      );
+
+      let status;
+      let minutesLate = null;
+      if (checkIn) {
+        minutesLate = Math.round(
+          (new Date(checkIn.timestamp).getTime() - start.toMillis()) / 60000,
+        );
+        status =
+          checkIn.attendance_status ??
+          this.classify(minutesLate, schedule.grace_minutes);
+      } else if (onLeave.has(person.phoneNumber)) {
+        status = 'leave';
+      } else {
+        const absentAt = start.plus({
+          minutes: this.rules.absentAfterMinutes,
+        });
+        status = now >= absentAt.toJSDate() ? 'absent' : 'pending';
+      }
+
+      return {
+        phoneNumber: person.phoneNumber,
+        displayName: person.displayName ?? null,
+        groupIds: person.groupIds,
+        scheduleId: schedule.id,
+        groupId: schedule.group_id ?? null,
+        scheduledStart: start.toUTC().toISO(),
+        scheduledEnd: end.toUTC().toISO(),
+        status,
+        checkInAt: checkIn?.timestamp ?? null,
+        minutesLate,
+      };
+    });
+  }
+}
+
+export default ScheduleService;
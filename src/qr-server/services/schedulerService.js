@@ -0,0 +1,439 @@
+import { CronJob } from 'cron';
+import { DateTime } from 'luxon';
+
+import logger from '../utils/logger.js';
+import { fillTemplate } from '../utils/replyTemplates.js';
+
+import { envConfig } from '#src/configs/environment.js';
+
+const ABSENCE_NUDGE_JOB = 'absence_nudge';
+
+const MAX_DELAY_MINUTES = 24 * 60;
+
+// A run still recorded as running after this long was cut short, by a crash
+// or a restart, and is run again
+const STALE_RUN_MS = 10 * 60 * 1000;
+
+/**
+ * When absence reminders go out, in minutes after the scheduled start.
+ * Stored in system_config and editable through the admin API; `groups` maps a
+ * group id to its own { enabled, delayMinutes }.
+ */
+export const DEFAULT_NUDGE_SETTINGS = {
+  enabled: true,
+  delayMinutes: 15,
+  groups: {},
+};
+
+const isValidDelay = (minutes) =>
+  Number.isInteger(minutes) && minutes >= 0 && minutes <= MAX_DELAY_MINUTES;
+
+/**
+ * Check that absence reminder settings are complete and consistent
+ * @param {Object} settings - Absence reminder settings
+ * @returns {string|null} - Error message, null when valid
+ */
+export function validateNudgeSettings(settings) {
+  if (typeof settings.enabled !== 'boolean') {
+    return "'enabled' must be true or false";
+  }
+  if (!isValidDelay(settings.delayMinutes)) {
+    return `'delayMinutes' must be 0 to ${MAX_DELAY_MINUTES}`;
+  }
+  if (
+    !settings.groups ||
+    typeof settings.groups !== 'object' ||
+    Array.isArray(settings.groups)
+  ) {
+    return "'groups' must map group ids to settings";
+  }
+
+  for (const [groupId, group] of Object.entries(settings.groups)) {
+    if (!group || typeof group !== 'object') {
+      return `Settings for group '${groupId}' must be an object`;
+    }
+    if (group.enabled !== undefined && typeof group.enabled !== 'boolean') {
+      return `'enabled' of group '${groupId}' must be true or false`;
+    }
+    if (group.delayMinutes !== undefined && !isValidDelay(group.delayMinutes)) {
+      return `'delayMinutes' of group '${groupId}' must be 0 to ${MAX_DELAY_MINUTES}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Scheduler Service
+ * Runs timed jobs. After each scheduled shift starts it reminds the people
+ * who have not checked in and sends their managers a summary. Every run is
+ * recorded in scheduled_runs and only marked completed once the summary is
+ * sent, so a restart does not send the same reminders twice and a crash does
+ * not lose them.
+ */
+class SchedulerService {
+  /**
+   * @param {Object} options
+   * @param {import('./scheduleService.js').default} options.scheduleService
+   * @param {import('../database/scheduleRepository.js').default} options.scheduleRepository
+   * @param {import('../database/scheduledRunRepository.js').default} options.scheduledRunRepository
+   * @param {import('../database/configRepository.js').default} options.configRepository
+   * @param {import('./templateService.js').default} options.templateService
+   * @param {Function} options.sendMessage - async (phoneNumber, text) => void
+   * @param {Function} [options.getGroupManagers] - async (groupId) => phone
+   *   numbers of the group's managers, who receive its summaries
+   * @param {string[]} [options.managerPhoneNumbers] - Receive the summaries
+   *   of people without a managed group
+   * @param {string} [options.cronTime] - How often due runs are looked for
+   * @param {string} [options.timeZone] - Zone the timetable is written in
+   */
+  constructor({
+    scheduleService,
+    scheduleRepository,
+    scheduledRunRepository,
+    configRepository,
+    templateService,
+    sendMessage,
+    getGroupManagers = async () => [],
+    managerPhoneNumbers = [],
+    cronTime = '0 * * * * *',
+    timeZone = envConfig.TIME_ZONE,
+  }) {
+    this.scheduleService = scheduleService;
+    this.scheduleRepository = scheduleRepository;
+    this.scheduledRunRepository = scheduledRunRepository;
+    this.configRepository = configRepository;
+    this.templateService = templateService;
+    this.sendMessage = sendMessage;
+    this.getGroupManagers = getGroupManagers;
+    this.managerPhoneNumbers = managerPhoneNumbers;
+    this.cronTime = cronTime;
+    this.timeZone = timeZone;
+    this.settings = { ...DEFAULT_NUDGE_SETTINGS };
+    this.job = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Load the stored settings
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const stored = await this.configRepository.getAbsenceNudgeSettings();
+    this.settings = { ...DEFAULT_NUDGE_SETTINGS, ...stored };
+  }
+
+  /**
+   * Start looking for due runs
+   */
+  start() {
+    if (this.job) return;
+
+    this.job = CronJob.from({
+      cronTime: this.cronTime,
+      onTick: () => this.tick(),
+      start: true,
+      timeZone: this.timeZone,
+    });
+    logger.info('Scheduler started', { cronTime: this.cronTime });
+  }
+
+  /**
+   * Stop the scheduler; a run in progress finishes on its own
+   */
+  stop() {
+    if (!this.job) return;
+
+    this.job.stop();
+    this.job = null;
+    logger.info('Scheduler stopped');
+  }
+
+  /**
+   * @returns {Object} - Current absence reminder settings
+   */
+  getSettings() {
+    return structuredClone(this.settings);
+  }
+
+  /**
+   * Change some of the absence reminder settings. `groups` replaces the
+   * stored group settings as a whole.
+   * @param {Object} changes - Settings to change
+   * @returns {Promise<Object>} - { settings } or { error } when invalid
+   */
+  async updateSettings(changes) {
+    const settings = this.getSettings();
+    for (const key of Object.keys(DEFAULT_NUDGE_SETTINGS)) {
+      if (changes[key] !== undefined) settings[key] = changes[key];
+    }
+
+    const error = validateNudgeSettings(settings);
+    if (error) return { error };
+
+    await this.configRepository.setAbsenceNudgeSettings(settings);
+    this.settings = settings;
+    logger.info('Absence reminder settings updated', settings);
+
+    return { settings: this.getSettings() };
+  }
+
+  /**
+   * Settings that apply to a schedule entry
+   * @param {Object} schedule - Schedule entry
+   * @returns {{ enabled: boolean, delayMinutes: number }}
+   */
+  settingsFor(schedule) {
+    const group = schedule.group_id
+      ? this.settings.groups[schedule.group_id]
+      : null;
+
+    return {
+      enabled: group?.enabled ?? this.settings.enabled,
+      delayMinutes: group?.delayMinutes ?? this.settings.delayMinutes,
+    };
+  }
+
+  /**
+   * Reminder runs that are due and still useful: past their run time but
+   * before the end of the shift. Yesterday is included for overnight shifts.
+   * @param {Date} now
+   * @returns {Promise<Array>} - { runKey, schedule, day, start, runAt }
+   */
+  async getDueRuns(now) {
+    const local = DateTime.fromJSDate(now).setZone(this.timeZone);
+    const due = [];
+
+    for (const day of [local.minus({ days: 1 }), local].map((date) =>
+      date.startOf('day'),
+    )) {
+      const schedules = await this.scheduleRepository.getSchedules({
+        weekday: day.weekday,
+      });
+
+      for (const schedule of schedules) {
+        const { enabled, delayMinutes } = this.settingsFor(schedule);
+        if (!enabled) continue;
+
+        const { start, end } = this.scheduleService.scheduledTimes(
+          schedule,
+          day,
+        );
+        const runAt = start.plus({ minutes: delayMinutes });
+        if (runAt > local || end <= local) continue;
+
+        due.push({
+          runKey: `${ABSENCE_NUDGE_JOB}:${schedule.id}:${day.toISODate()}`,
+          schedule,
+          day,
+          start,
+          runAt,
+        });
+      }
+    }
+
+    return due;
+  }
+
+  /**
+   * Start every due run that has not been recorded yet, or was cut short,
+   * then send each manager one summary for all of them and mark the runs
+   * completed. The messages are queued, and wait in the queue while the
+   * WhatsApp client each one is sent from is not ready.
+   * @param {Date} [now=new Date()]
+   * @returns {Promise<void>}
+   */
+  async tick(now = new Date()) {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const results = [];
+
+      for (const run of await this.getDueRuns(now)) {
+        const claimed = await this.scheduledRunRepository.claimRun({
+          job: ABSENCE_NUDGE_JOB,
+          runKey: run.runKey,
+          scheduledFor: run.runAt.toJSDate(),
+          staleBefore: new Date(now.getTime() - STALE_RUN_MS),
+        });
+        if (!claimed) continue;
+
+        const outcome = await this.runAbsenceNudge(run, now);
+        if (outcome) results.push({ run, ...outcome });
+      }
+
+      const missed = results.filter(({ absentees }) => absentees.length > 0);
+      if (missed.length > 0) await this.sendAbsenceSummary(missed);
+
+      for (const { run, result } of results) {
+        await this.scheduledRunRepository.finishRun(run.runKey, {
+          status: 'completed',
+          result,
+        });
+      }
+    } catch (error) {
+      logger.logSystemError('scheduler_tick', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Remind everyone on a shift who has not checked in and is not on leave.
+   * A failed run is recorded at once; a successful one is left to tick, which
+   * completes it after the summary.
+   * @param {Object} run - Due run from getDueRuns
+   * @param {Date} now
+   * @returns {Promise<Object|null>} - { result, absentees } with the
+   *   attendance entries of the people reminded, null when the run failed
+   */
+  async runAbsenceNudge({ runKey, schedule, day, start }, now) {
+    try {
+      const attendance = (
+        await this.scheduleService.getDailyAttendance(day.toISODate(), now)
+      ).filter((entry) => entry.scheduleId === schedule.id);
+      const absentees = attendance.filter(
+        (entry) => !entry.checkInAt && entry.status !== 'leave',
+      );
+      const missing = absentees.map((entry) => entry.phoneNumber);
+      const failed = [];
+
+      for (const phoneNumber of missing) {
+        try {
+          await this.sendMessage(
+            phoneNumber,
+            await this.templateService.render(phoneNumber, 'reminder.absence', {
+              time: start.toFormat('HH:mm'),
+            }),
+          );
+        } catch (error) {
+          failed.push(phoneNumber);
+          logger.warn('Absence reminder could not be sent', {
+            phoneNumber: logger.maskPhoneNumber(phoneNumber),
+            error: error.message,
+          });
+        }
+      }
+
+      const result = {
+        scheduleId: schedule.id,
+        date: day.toISODate(),
+        rostered: attendance.length,
+        missing,
+        failed,
+      };
+      logger.info('Absence reminders sent', {
+        runKey,
+        rostered: result.rostered,
+        missing: missing.length,
+        failed: failed.length,
+      });
+
+      return { result, absentees };
+    } catch (error) {
+      logger.logSystemError('absence_nudge', error, { runKey });
+      await this.scheduledRunRepository.finishRun(runKey, {
+        status: 'failed',
+        result: { error: error.message },
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Tell the managers who has not checked in, one section per shift. Each
+   * absentee is reported to the managers of the shift's group, or of their
+   * own groups for a shift without one; people without a managed group are
+   * reported to managerPhoneNumbers.
+   * @param {Array} results - { run, absentees } of the runs that found someone
+   * @returns {Promise<void>}
+   */
+  async sendAbsenceSummary(results) {
+    const managersByGroup = new Map();
+    const managersOf = async (groupId) => {
+      if (!managersByGroup.has(groupId)) {
+        managersByGroup.set(groupId, await this.getGroupManagers(groupId));
+      }
+      return managersByGroup.get(groupId);
+    };
+
+    // The runs and absentees each manager hears about
+    const reports = new Map();
+    for (const { run, absentees } of results) {
+      for (const absentee of absentees) {
+        const managers = new Set();
+        for (const groupId of run.schedule.group_id
+          ? [run.schedule.group_id]
+          : absentee.groupIds) {
+          for (const manager of await managersOf(groupId)) {
+            managers.add(manager);
+          }
+        }
+
+        for (const manager of managers.size > 0
+          ? managers
+          : this.managerPhoneNumbers) {
+          const report = reports.get(manager) ?? new Map();
+          report.set(run, [...(report.get(run) ?? []), absentee]);
+          reports.set(manager, report);
+        }
+      }
+    }
+
+    // Built per manager, in the language each of them reads
+    const buildSummary = (report, { language, templates }) => {
+      let total = 0;
+      const sections = new Map();
+      for (const [run, absentees] of report) {
+        const start = run.start.setLocale(language);
+        const title = fillTemplate(
+          templates[
+            run.schedule.group_id
+              ? 'reminder.summaryShiftGroup'
+              : 'reminder.summaryShift'
+          ],
+          {
+            time: start.toFormat('HH:mm'),
+            date: start.toFormat('ccc d LLL'),
+            group: run.schedule.group_id,
+          },
+        );
+        sections.set(title, [
+          ...(sections.get(title) ?? []),
+          ...absentees.map(
+            (absentee) => absentee.displayName ?? absentee.phoneNumber,
+          ),
+        ]);
+        total += absentees.length;
+      }
+
+      return [
+        fillTemplate(templates['reminder.summary'], { count: total }),
+        ...[...sections].map(
+          ([title, names]) =>
+            `\n${title}:\n${names.map((name) => `• ${name}`).join('\n')}`,
+        ),
+      ].join('\n');
+    };
+
+    for (const [manager, report] of reports) {
+      try {
+        await this.sendMessage(
+          manager,
+          buildSummary(
+            report,
+            await this.templateService.getTemplatesFor(manager),
+          ),
+        );
+      } catch (error) {
+        logger.warn('Absence summary could not be sent', {
+          phoneNumber: logger.maskPhoneNumber(manager),
+          error: error.message,
+        });
+      }
+    }
+  }
+}
+
+export default SchedulerService;
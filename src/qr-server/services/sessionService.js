@@ -0,0 +1,447 @@
+import { CronTime } from 'cron';
+import { DateTime } from 'luxon';
+
+import errorHandler from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+import { envConfig } from '#src/configs/environment.js';
+
+const { ERROR_CODES } = errorHandler;
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DURATION_MINUTES = 24 * 60;
+
+const failure = (code, message) => ({ error: { code, message } });
+
+/**
+ * Convert a sessions row to the shape used by the API
+ * @param {Object} row - sessions row
+ * @returns {Object}
+ */
+export const toSession = (row) => ({
+  id: row.id,
+  name: row.name,
+  locationId: row.location_id,
+  groupId: row.group_id,
+  startsAt: row.starts_at,
+  endsAt: row.ends_at,
+  cron: row.cron,
+  durationMinutes: row.duration_minutes,
+  active: Boolean(row.active),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * Parse the start times of a recurring session. Only the five standard
+ * fields are accepted, so a session opens on the minute.
+ * @param {string} cron - e.g. '0 10 * * 2,4' for Tuesdays and Thursdays at 10
+ * @param {string} timeZone - Zone the expression is written in
+ * @returns {CronTime|null} - null when the expression is invalid
+ */
+export function parseRecurrence(cron, timeZone) {
+  if (typeof cron !== 'string' || cron.trim().split(/\s+/).length !== 5) {
+    return null;
+  }
+  try {
+    return new CronTime(cron.trim(), timeZone);
+  } catch {
+    return null;
+  }
+}
+
+const parseTime = (value, timeZone) =>
+  typeof value === 'string'
+    ? DateTime.fromISO(value, { zone: timeZone })
+    : null;
+
+/**
+ * Check a complete session given to the admin API
+ * @param {Object} session - name, locationId, groupId, active, and either
+ *   startsAt/endsAt or cron/durationMinutes
+ * @param {string} [timeZone] - Zone of times given without an offset
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateSession(session, timeZone = envConfig.TIME_ZONE) {
+  const {
+    name,
+    locationId,
+    groupId,
+    startsAt,
+    endsAt,
+    cron,
+    durationMinutes,
+    active,
+  } = session;
+
+  if (
+    typeof name !== 'string' ||
+    !name.trim() ||
+    name.length > MAX_NAME_LENGTH
+  ) {
+    return `'name' must be 1 to ${MAX_NAME_LENGTH} characters`;
+  }
+  if (typeof locationId !== 'string' || !locationId) {
+    return "'locationId' must be a location id";
+  }
+  if (groupId != null && (typeof groupId !== 'string' || !groupId)) {
+    return "'groupId' must be a group id, or null for everyone";
+  }
+  if (active !== undefined && typeof active !== 'boolean') {
+    return "'active' must be true or false";
+  }
+
+  const oneOff = startsAt != null || endsAt != null;
+  const recurring = cron != null || durationMinutes != null;
+  if (oneOff === recurring) {
+    return "Give either 'startsAt' and 'endsAt', or 'cron' and 'durationMinutes'";
+  }
+
+  if (oneOff) {
+    const start = parseTime(startsAt, timeZone);
+    const end = parseTime(endsAt, timeZone);
+    if (!start?.isValid || !end?.isValid) {
+      return "'startsAt' and 'endsAt' must be ISO date-times";
+    }
+    if (end <= start) {
+      return "'endsAt' must be after 'startsAt'";
+    }
+    return null;
+  }
+
+  if (!parseRecurrence(cron, timeZone)) {
+    return "'cron' must be a five-field cron expression, e.g. '0 10 * * 2,4'";
+  }
+  if (
+    !Number.isInteger(durationMinutes) ||
+    durationMinutes < 1 ||
+    durationMinutes > MAX_DURATION_MINUTES
+  ) {
+    return `'durationMinutes' must be 1 to ${MAX_DURATION_MINUTES}`;
+  }
+  return null;
+}
+
+/**
+ * One opening of a session
+ * @param {Object} session - Loaded session
+ * @param {DateTime} start
+ * @param {DateTime} end
+ * @returns {Object} - { id, name, groupId, startsAt, endsAt }
+ */
+const toOccurrence = (session, start, end) => ({
+  id: session.id,
+  name: session.name,
+  groupId: session.groupId,
+  startsAt: start.toUTC().toISO(),
+  endsAt: end.toUTC().toISO(),
+});
+
+/**
+ * Session Service
+ * Opens a location's codes only during its sessions, e.g. "Physics, Tue/Thu
+ * 10:00-11:30". Locations without sessions accept codes at any time.
+ */
+class SessionService {
+  /**
+   * @param {Object} options
+   * @param {import('../database/sessionRepository.js').default} options.sessionRepository
+   * @param {import('../database/groupRepository.js').default} options.groupRepository
+   * @param {import('./locationService.js').default} options.locationService
+   * @param {Function} [options.resolveGroupIds] - async (phoneNumber) => group ids
+   * @param {string} [options.timeZone] - Zone cron expressions are written in
+   */
+  constructor({
+    sessionRepository,
+    groupRepository,
+    locationService,
+    resolveGroupIds = async () => [],
+    timeZone = envConfig.TIME_ZONE,
+  }) {
+    this.sessionRepository = sessionRepository;
+    this.groupRepository = groupRepository;
+    this.locationService = locationService;
+    this.resolveGroupIds = resolveGroupIds;
+    this.timeZone = timeZone;
+    this.sessions = [];
+  }
+
+  /**
+   * (Re)load the active sessions
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const rows = await this.sessionRepository.getSessions({ active: true });
+
+    this.sessions = rows.map((row) => ({
+      ...toSession(row),
+      recurrence: row.cron ? parseRecurrence(row.cron, this.timeZone) : null,
+    }));
+    logger.info('Sessions loaded', { count: this.sessions.length });
+  }
+
+  /**
+   * Whether codes of a location only work during its sessions
+   * @param {string} locationId
+   * @returns {boolean}
+   */
+  hasSessions(locationId) {
+    return this.sessions.some((session) => session.locationId === locationId);
+  }
+
+  /**
+   * The opening of a session that is in progress at a time
+   * @private
+   * @returns {Object|null}
+   */
+  _openOccurrence(session, at) {
+    if (session.recurrence) {
+      // The first start after (at - duration) is open at `at` if it has begun
+      const start = session.recurrence.getNextDateFrom(
+        at.minus({ minutes: session.durationMinutes }),
+      );
+      return start <= at
+        ? toOccurrence(
+            session,
+            start,
+            start.plus({ minutes: session.durationMinutes }),
+          )
+        : null;
+    }
+
+    const start = DateTime.fromISO(session.startsAt);
+    const end = DateTime.fromISO(session.endsAt);
+    return start <= at && at < end ? toOccurrence(session, start, end) : null;
+  }
+
+  /**
+   * The next opening of a session after a time
+   * @private
+   * @returns {Object|null}
+   */
+  _nextOccurrence(session, at) {
+    if (session.recurrence) {
+      const start = session.recurrence.getNextDateFrom(at);
+      return toOccurrence(
+        session,
+        start,
+        start.plus({ minutes: session.durationMinutes }),
+      );
+    }
+
+    const start = DateTime.fromISO(session.startsAt);
+    return start > at
+      ? toOccurrence(session, start, DateTime.fromISO(session.endsAt))
+      : null;
+  }
+
+  /**
+   * Sessions of a location that are open at a time
+   * @param {string} locationId
+   * @param {Date} [at]
+   * @returns {Array<Object>} - Occurrences: { id, name, groupId, startsAt,
+   *   endsAt }
+   */
+  getOpenSessions(locationId, at = new Date()) {
+    const time = DateTime.fromJSDate(at).setZone(this.timeZone);
+
+    return this.sessions
+      .filter((session) => session.locationId === locationId)
+      .map((session) => this._openOccurrence(session, time))
+      .filter(Boolean);
+  }
+
+  /**
+   * The next session of a location to open after a time
+   * @param {string} locationId
+   * @param {Date} [at]
+   * @returns {Object|null} - Occurrence, or null when none is planned
+   */
+  getNextSession(locationId, at = new Date()) {
+    const time = DateTime.fromJSDate(at).setZone(this.timeZone);
+
+    return (
+      this.sessions
+        .filter((session) => session.locationId === locationId)
+        .map((session) => this._nextOccurrence(session, time))
+        .filter(Boolean)
+        .sort((a, b) => a.startsAt.localeCompare(b.startsAt))[0] ?? null
+    );
+  }
+
+  /**
+   * The current and next opening of one active session
+   * @param {string} id - Session id
+   * @param {Date} [at]
+   * @returns {{ open: Object|null, next: Object|null }} - Occurrences; both
+   *   null for an inactive session
+   */
+  getOpenings(id, at = new Date()) {
+    const session = this.sessions.find((loaded) => loaded.id === id);
+    if (!session) return { open: null, next: null };
+
+    const time = DateTime.fromJSDate(at).setZone(this.timeZone);
+    return {
+      open: this._openOccurrence(session, time),
+      next: this._nextOccurrence(session, time),
+    };
+  }
+
+  /**
+   * Find the session a valid code belongs to. A session of one of the
+   * person's groups wins over a session for everyone.
+   * @param {Object} checkIn
+   * @param {string} checkIn.locationId - Location whose code was scanned
+   * @param {string} checkIn.phoneNumber - Normalized phone number
+   * @param {Date} checkIn.timestamp - Time of the check-in
+   * @returns {Promise<Object>} - { status, session, nextSession }; status is
+   *   null when the code may be used, else 'no_session' or 'not_in_group'
+   */
+  async checkSession({ locationId, phoneNumber, timestamp }) {
+    if (!this.hasSessions(locationId)) {
+      return { status: null, session: null, nextSession: null };
+    }
+
+    const open = this.getOpenSessions(locationId, timestamp);
+    if (open.length === 0) {
+      return {
+        status: 'no_session',
+        session: null,
+        nextSession: this.getNextSession(locationId, timestamp),
+      };
+    }
+
+    const groupIds = open.some((session) => session.groupId)
+      ? await this.resolveGroupIds(phoneNumber)
+      : [];
+    const session =
+      open.find((session) => groupIds.includes(session.groupId)) ??
+      open.find((session) => !session.groupId);
+
+    return session
+      ? { status: null, session, nextSession: null }
+      : { status: 'not_in_group', session: open[0], nextSession: null };
+  }
+
+  /**
+   * Check that the location and group of a session exist
+   * @private
+   */
+  async _checkReferences({ locationId, groupId }) {
+    if (!this.locationService.getLocation(locationId)) {
+      return failure(
+        ERROR_CODES.LOCATION_NOT_FOUND,
+        `Location '${locationId}' not found`,
+      );
+    }
+    if (groupId && !(await this.groupRepository.getGroup(groupId))) {
+      return failure(
+        ERROR_CODES.GROUP_NOT_FOUND,
+        `Group '${groupId}' not found`,
+      );
+    }
+    return null;
+  }
+
+  /**
+   * Store one-off times in UTC
+   * @private
+   */
+  _normalizeTimes(session) {
+    const toUTC = (value) =>
+      value == null ? null : parseTime(value, this.timeZone).toUTC().toISO();
+
+    return {
+      ...session,
+      startsAt: toUTC(session.startsAt),
+      endsAt: toUTC(session.endsAt),
+      cron: session.cron?.trim() ?? null,
+      durationMinutes: session.durationMinutes ?? null,
+    };
+  }
+
+  /**
+   * Create a session
+   * @param {Object} session - See validateSession
+   * @returns {Promise<Object>} - { session } or { error: { code, message } }
+   */
+  async createSession(session) {
+    const error = validateSession(session, this.timeZone);
+    if (error) return failure(ERROR_CODES.INVALID_SESSION, error);
+
+    const missing = await this._checkReferences(session);
+    if (missing) return missing;
+
+    const row = await this.sessionRepository.createSession(
+      this._normalizeTimes({
+        ...session,
+        name: session.name.trim(),
+        groupId: session.groupId ?? null,
+      }),
+    );
+    await this.load();
+    logger.info('Session created', { sessionId: row.id });
+
+    return { session: toSession(row) };
+  }
+
+  /**
+   * Change a session. Switching between one-off and recurring needs the
+   * fields of the other kind set to null.
+   * @param {string} id - Session id
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} - { session } or { error }
+   */
+  async updateSession(id, changes) {
+    const existing = await this.sessionRepository.getSession(id);
+    if (!existing) {
+      return failure(
+        ERROR_CODES.SESSION_NOT_FOUND,
+        `Session '${id}' not found`,
+      );
+    }
+
+    const session = toSession(existing);
+    for (const [field, value] of Object.entries(changes)) {
+      if (value !== undefined) session[field] = value;
+    }
+
+    const error = validateSession(session, this.timeZone);
+    if (error) return failure(ERROR_CODES.INVALID_SESSION, error);
+
+    const missing = await this._checkReferences(session);
+    if (missing) return missing;
+
+    const row = await this.sessionRepository.updateSession(
+      id,
+      this._normalizeTimes({ ...session, name: session.name.trim() }),
+    );
+    await this.load();
+    logger.info('Session updated', { sessionId: id });
+
+    return { session: toSession(row) };
+  }
+
+  /**
+   * Delete a session; its check-ins keep the session id
+   * @param {string} id - Session id
+   * @returns {Promise<Object>} - { session } or { error }
+   */
+  async deleteSession(id) {
+    const existing = await this.sessionRepository.getSession(id);
+    if (!existing) {
+      return failure(
+        ERROR_CODES.SESSION_NOT_FOUND,
+        `Session '${id}' not found`,
+      );
+    }
+
+    await this.sessionRepository.deleteSession(id);
+    await this.load();
+    logger.info('Session deleted', { sessionId: id });
+
+    return { session: toSession(existing) };
+  }
+}
+
+export default SessionService;
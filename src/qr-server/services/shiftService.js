@@ -0,0 +1,167 @@
+import { DateTime } from 'luxon';
+
+import logger from '../utils/logger.js';
+
+import { envConfig } from '#src/configs/environment.js';
+
+// Streaks longer than this are reported as this long
+const STREAK_LOOKBACK_DAYS = 366;
+
+/**
+ * Shift Service
+ * Pairs check-in and check-out events into shifts and flags shifts that
+ * never got a check-out
+ */
+class ShiftService {
+  /**
+   * @param {Object} options
+   * @param {import('../database/shiftRepository.js').default} options.shiftRepository
+   * @param {number} [options.maxShiftHours] - Longest shift a check-out can close
+   * @param {string} [options.timeZone] - Zone used for work dates
+   */
+  constructor({
+    shiftRepository,
+    maxShiftHours = envConfig.QR_CODE_SERVER.MAX_SHIFT_HOURS,
+    timeZone = envConfig.TIME_ZONE,
+  }) {
+    this.shiftRepository = shiftRepository;
+    this.maxShiftMs = maxShiftHours * 60 * 60 * 1000;
+    this.timeZone = timeZone;
+  }
+
+  /**
+   * Local work date of a timestamp
+   * @param {Date} timestamp
+   * @returns {string} - YYYY-MM-DD
+   */
+  toWorkDate(timestamp) {
+    return DateTime.fromJSDate(timestamp).setZone(this.timeZone).toISODate();
+  }
+
+  /**
+   * Open a shift for a valid check-in. Shifts the person left open are flagged
+   * as missing their check-out.
+   * @param {Object} event
+   * @param {string} event.checkInId - Check-in event id
+   * @param {string} event.phoneNumber - User's phone number
+   * @param {string|null} event.locationId - Location of the check-in
+   * @param {Date} event.timestamp - Check-in time
+   * @returns {Promise<Object>} - { shift, missingCheckOuts, streak }
+   */
+  async startShift({ checkInId, phoneNumber, locationId, timestamp }) {
+    const missingCheckOuts = await this.shiftRepository.flagMissingCheckOuts({
+      phoneNumber,
+    });
+
+    if (missingCheckOuts.length > 0) {
+      logger.info('Open shifts flagged as missing check-out', {
+        phoneNumber: logger.maskPhoneNumber(phoneNumber),
+        shiftIds: missingCheckOuts.map((shift) => shift.id),
+      });
+    }
+
+    const workDate = this.toWorkDate(timestamp);
+    const shift = await this.shiftRepository.createShift({
+      phoneNumber,
+      locationId,
+      workDate,
+      checkInId,
+      checkInAt: timestamp,
+    });
+    const streak = await this.getStreak(phoneNumber, workDate);
+
+    return { shift, missingCheckOuts, streak };
+  }
+
+  /**
+   * Days in a row a person has worked up to a day. Days on which nobody
+   * worked, such as weekends and holidays, do not break the streak.
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} workDate - Last day of the streak (YYYY-MM-DD)
+   * @returns {Promise<number>}
+   */
+  async getStreak(phoneNumber, workDate) {
+    const startDate = DateTime.fromISO(workDate)
+      .minus({ days: STREAK_LOOKBACK_DAYS })
+      .toISODate();
+    const [workedDays, personDays] = await Promise.all([
+      this.shiftRepository.getWorkDates({ startDate, endDate: workDate }),
+      this.shiftRepository.getWorkDates({
+        phoneNumber,
+        startDate,
+        endDate: workDate,
+      }),
+    ]);
+    const attended = new Set(personDays);
+
+    let streak = 0;
+    for (const day of workedDays) {
+      if (!attended.has(day)) break;
+      streak++;
+    }
+    return streak;
+  }
+
+  /**
+   * Close the person's open shift with a valid check-out
+   * @param {Object} event
+   * @param {string} event.checkInId - Check-out event id
+   * @param {string} event.phoneNumber - User's phone number
+   * @param {Date} event.timestamp - Check-out time
+   * @returns {Promise<Object>} - { shift, day, missingCheckOuts }; shift is
+   *   null when there was no check-in to close
+   */
+  async endShift({ checkInId, phoneNumber, timestamp }) {
+    const openShift = await this.shiftRepository.findOpenShift(phoneNumber);
+    const openedAt = openShift ? new Date(openShift.check_in_at) : null;
+
+    if (!openShift || timestamp - openedAt > this.maxShiftMs) {
+      // A check-in this old belongs to a shift that was never closed
+      const missingCheckOuts = openShift
+        ? await this.shiftRepository.flagMissingCheckOuts({ phoneNumber })
+        : [];
+
+      logger.warn('Check-out without an open shift', {
+        phoneNumber: logger.maskPhoneNumber(phoneNumber),
+        checkOutId: checkInId,
+      });
+
+      return { shift: null, day: null, missingCheckOuts };
+    }
+
+    const shift = await this.shiftRepository.closeShift(openShift.id, {
+      checkOutId: checkInId,
+      checkOutAt: timestamp,
+      workedMinutes: Math.max(0, Math.round((timestamp - openedAt) / 60000)),
+    });
+
+    const [day] = await this.shiftRepository.getDailyHours({
+      phoneNumber,
+      startDate: shift.work_date,
+      endDate: shift.work_date,
+    });
+
+    return { shift, day, missingCheckOuts: [] };
+  }
+
+  /**
+   * Flag every open shift older than the longest allowed shift
+   * @param {Date} [now=new Date()]
+   * @returns {Promise<Array>} - The shifts that were flagged
+   */
+  async flagStaleShifts(now = new Date()) {
+    const shifts = await this.shiftRepository.flagMissingCheckOuts({
+      checkedInBefore: new Date(now.getTime() - this.maxShiftMs),
+    });
+
+    if (shifts.length > 0) {
+      logger.info('Stale shifts flagged as missing check-out', {
+        count: shifts.length,
+      });
+    }
+
+    return shifts;
+  }
+}
+
+export default ShiftService;
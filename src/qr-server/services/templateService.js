@@ -0,0 +1,200 @@
+import logger from '../utils/logger.js';
+import {
+  FALLBACK_LANGUAGE,
+  LANGUAGE_REGEX,
+  REPLY_TEMPLATES,
+  fillTemplate,
+  templatesFor,
+} from '../utils/replyTemplates.js';
+import validation from '../utils/validation.js';
+
+const { PhoneNumberValidator } = validation;
+
+const MAX_TEMPLATE_LENGTH = 2000;
+
+/**
+ * Check a change to the reply templates
+ * @param {Object} changes
+ * @param {string} [changes.defaultLanguage] - Language of people and groups
+ *   without one
+ * @param {Object} [changes.templates] - { key: { language: text|null } };
+ *   null drops the admin text so the built-in one is used again
+ * @returns {string|null} - Error message, null when valid
+ */
+export function validateTemplateChanges({ defaultLanguage, templates }) {
+  if (
+    defaultLanguage !== undefined &&
+    (typeof defaultLanguage !== 'string' ||
+      !LANGUAGE_REGEX.test(defaultLanguage))
+  ) {
+    return "'defaultLanguage' must be a language tag such as 'en' or 'zh-HK'";
+  }
+  if (templates === undefined) return null;
+  if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+    return "'templates' must map template keys to texts by language";
+  }
+
+  for (const [key, texts] of Object.entries(templates)) {
+    if (!REPLY_TEMPLATES[key]) return `Unknown template '${key}'`;
+    if (!texts || typeof texts !== 'object' || Array.isArray(texts)) {
+      return `'${key}' must map languages to texts`;
+    }
+    for (const [language, text] of Object.entries(texts)) {
+      if (!LANGUAGE_REGEX.test(language)) {
+        return `'${language}' in '${key}' is not a language tag`;
+      }
+      if (
+        text !== null &&
+        (typeof text !== 'string' ||
+          !text.trim() ||
+          text.length > MAX_TEMPLATE_LENGTH)
+      ) {
+        return `'${key}' in '${language}' must be 1 to ${MAX_TEMPLATE_LENGTH} characters, or null`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Template Service
+ * Picks the language of each person and the texts the bot sends them. Admin
+ * texts are stored in system_config and win over the built-in ones.
+ */
+class TemplateService {
+  /**
+   * @param {Object} options
+   * @param {import('../database/configRepository.js').default} options.configRepository
+   * @param {import('../database/peopleRepository.js').default} options.peopleRepository
+   * @param {import('../database/groupRepository.js').default} options.groupRepository
+   */
+  constructor({ configRepository, peopleRepository, groupRepository }) {
+    this.configRepository = configRepository;
+    this.peopleRepository = peopleRepository;
+    this.groupRepository = groupRepository;
+    this.defaultLanguage = FALLBACK_LANGUAGE;
+    this.overrides = {};
+  }
+
+  /**
+   * Read the stored settings
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const stored = await this.configRepository.getReplyTemplates();
+    this.defaultLanguage = stored?.defaultLanguage ?? FALLBACK_LANGUAGE;
+    this.overrides = stored?.overrides ?? {};
+  }
+
+  /**
+   * Every template with its built-in and admin texts
+   * @returns {Object} - { defaultLanguage, templates, overrides }; templates
+   *   holds the texts in use, { key: { language: text } }
+   */
+  getCatalog() {
+    const templates = Object.fromEntries(
+      Object.entries(REPLY_TEMPLATES).map(([key, texts]) => [
+        key,
+        { ...texts, ...this.overrides[key] },
+      ]),
+    );
+
+    return {
+      defaultLanguage: this.defaultLanguage,
+      templates,
+      overrides: structuredClone(this.overrides),
+    };
+  }
+
+  /**
+   * Change the default language and/or admin texts
+   * @param {Object} changes - See validateTemplateChanges
+   * @returns {Promise<Object>} - { catalog } or { error } when invalid
+   */
+  async updateTemplates(changes) {
+    const error = validateTemplateChanges(changes);
+    if (error) return { error };
+
+    const overrides = structuredClone(this.overrides);
+    for (const [key, texts] of Object.entries(changes.templates ?? {})) {
+      const merged = { ...overrides[key], ...texts };
+      for (const [language, text] of Object.entries(merged)) {
+        if (text === null) delete merged[language];
+      }
+      if (Object.keys(merged).length > 0) {
+        overrides[key] = merged;
+      } else {
+        delete overrides[key];
+      }
+    }
+    const defaultLanguage = changes.defaultLanguage ?? this.defaultLanguage;
+
+    await this.configRepository.setReplyTemplates({
+      defaultLanguage,
+      overrides,
+    });
+    this.defaultLanguage = defaultLanguage;
+    this.overrides = overrides;
+    logger.info('Reply templates updated', {
+      defaultLanguage,
+      keys: Object.keys(changes.templates ?? {}),
+    });
+
+    return { catalog: this.getCatalog() };
+  }
+
+  /**
+   * Language a person reads: their own, else that of the first of their
+   * groups that has one, else the default language
+   * @param {string} phoneNumber - Phone number in any format
+   * @returns {Promise<string>}
+   */
+  async resolveLanguage(phoneNumber) {
+    const { valid, normalized } = PhoneNumberValidator.validate(phoneNumber);
+    const person = valid
+      ? await this.peopleRepository.getPerson(normalized)
+      : null;
+    if (person?.language) return person.language;
+
+    const groupIds = person
+      ? await this.groupRepository.getGroupIds(normalized)
+      : [];
+    for (const groupId of groupIds) {
+      const group = await this.groupRepository.getGroup(groupId);
+      if (group?.language) return group.language;
+    }
+
+    return this.defaultLanguage;
+  }
+
+  /**
+   * Every text in the language a person reads
+   * @param {string} phoneNumber - Phone number in any format
+   * @returns {Promise<{ language: string, templates: Object<string, string> }>}
+   */
+  async getTemplatesFor(phoneNumber) {
+    const language = await this.resolveLanguage(phoneNumber);
+    return {
+      language,
+      templates: templatesFor(language, {
+        defaultLanguage: this.defaultLanguage,
+        overrides: this.overrides,
+      }),
+    };
+  }
+
+  /**
+   * One message in the language a person reads
+   * @param {string} phoneNumber - Phone number in any format
+   * @param {string} key - Template key
+   * @param {Object} [values] - Placeholder values
+   * @returns {Promise<string>}
+   */
+  async render(phoneNumber, key, values) {
+    const { templates } = await this.getTemplatesFor(phoneNumber);
+    return fillTemplate(templates[key], values);
+  }
+}
+
+export default TemplateService;
@@ -1,21 +1,65 @@
+import { otpFormat } from '../utils/otpFormat.js';
+
 import { envConfig } from '#src/configs/environment.js';
 
 /**
  * WhatsApp URL Generation Service
- * Handles creation of WhatsApp chat URLs with pre-filled OTP messages
+ * Handles creation of WhatsApp chat URLs with pre-filled OTP messages. A
+ * deployment with several numbers has one WhatsApp client per number; URLs
+ * for a client open a chat with its number.
  */
 class WhatsAppService {
   constructor(config = {}) {
     // Default WhatsApp number - should be configured via environment or database
     this.whatsappNumber = config.whatsappNumber || envConfig.PHONE_NUMBER;
+    // Number of each WhatsApp client, by client id
+    this.whatsappNumbers = new Map(
+      Object.entries(config.whatsappNumbers ?? {}),
+    );
     this.messageTemplate = config.messageTemplate || 'Check-in code: {otp}';
+    this.checkoutMessageTemplate =
+      config.checkoutMessageTemplate || 'Check-out code: {otp}';
     this.fallbackToWeb = config.fallbackToWeb !== false; // Default to true
   }
 
+  /**
+   * Whether a WhatsApp client of this deployment has this id
+   * @param {string} clientId
+   * @returns {boolean}
+   */
+  hasClient(clientId) {
+    return this.whatsappNumbers.has(clientId);
+  }
+
+  /**
+   * Get the number of a WhatsApp client
+   * @param {string|null} [clientId] - Client id; none for the default number
+   * @returns {string} - The client's number, or the default one
+   */
+  getWhatsAppNumber(clientId) {
+    return (
+      (clientId && this.whatsappNumbers.get(clientId)) || this.whatsappNumber
+    );
+  }
+
+  /**
+   * Get the message template for an attendance event
+   * @param {string} [eventType='check_in'] - 'check_in' or 'check_out'
+   * @returns {string} - Template with an {otp} placeholder
+   */
+  getMessageTemplate(eventType = 'check_in') {
+    return eventType === 'check_out'
+      ? this.checkoutMessageTemplate
+      : this.messageTemplate;
+  }
+
   /**
    * Generate WhatsApp chat URL with pre-filled OTP message
    * @param {string} otp - The OTP code to include in the message
    * @param {Object} options - Additional options for URL generation
+   * @param {string} [options.eventType] - 'check_in' (default) or 'check_out'
+   * @param {string|null} [options.clientId] - WhatsApp client whose number
+   *   the chat opens with; the default number when not given
    * @returns {string} - Complete WhatsApp URL
    */
   generateWhatsAppURL(otp, options = {}) {
@@ -26,13 +70,16 @@ class WhatsAppService {
     // Normalize OTP (uppercase, trim)
     const normalizedOTP = otp.trim().toUpperCase();
 
-    // Validate OTP format (6 characters, alphanumeric)
-    if (!/^[A-Z0-9]{6}$/.test(normalizedOTP)) {
-      throw new Error('OTP must be 6 alphanumeric characters');
+    // Validate OTP against the configured format
+    if (!otpFormat.regex.test(normalizedOTP)) {
+      throw new Error(`OTP must be a ${otpFormat.description}`);
     }
 
     // Generate message from template
-    let message = this.messageTemplate.replace('{otp}', normalizedOTP);
+    let message = this.getMessageTemplate(options.eventType).replace(
+      '{otp}',
+      normalizedOTP,
+    );
 
     // Add timestamp if requested
     if (options.includeTimestamp) {
@@ -41,7 +88,9 @@ class WhatsAppService {
     }
 
     // Clean and validate WhatsApp number
-    const cleanNumber = this.cleanWhatsAppNumber(this.whatsappNumber);
+    const cleanNumber = this.cleanWhatsAppNumber(
+      this.getWhatsAppNumber(options.clientId),
+    );
 
     // Generate WhatsApp URL with proper encoding
     const encodedMessage = encodeURIComponent(message);
@@ -62,14 +111,19 @@ class WhatsAppService {
     }
 
     const normalizedOTP = otp.trim().toUpperCase();
-    let message = this.messageTemplate.replace('{otp}', normalizedOTP);
+    let message = this.getMessageTemplate(options.eventType).replace(
+      '{otp}',
+      normalizedOTP,
+    );
 
     if (options.includeTimestamp) {
       const timestamp = new Date().toLocaleString();
       message += ` (Generated: ${timestamp})`;
     }
 
-    const cleanNumber = this.cleanWhatsAppNumber(this.whatsappNumber);
+    const cleanNumber = this.cleanWhatsAppNumber(
+      this.getWhatsAppNumber(options.clientId),
+    );
     const encodedMessage = encodeURIComponent(message);
 
     return `https://web.whatsapp.com/send?phone=${cleanNumber}&text=${encodedMessage}`;
@@ -139,8 +193,8 @@ class WhatsAppService {
       // Decode the message
       const decodedText = decodeURIComponent(text);
 
-      // Extract OTP using regex (6 alphanumeric characters)
-      const otpMatch = decodedText.match(/\b[A-Z0-9]{6}\b/);
+      // Extract OTP using the configured format
+      const otpMatch = decodedText.match(otpFormat.searchRegex);
       return otpMatch ? otpMatch[0] : null;
     } catch (error) {
       console.error('Error extracting OTP from URL:', error);
@@ -166,6 +220,15 @@ class WhatsAppService {
       this.messageTemplate = config.messageTemplate;
     }
 
+    if (config.checkoutMessageTemplate) {
+      if (!config.checkoutMessageTemplate.includes('{otp}')) {
+        throw new Error(
+          'Check-out message template must include {otp} placeholder',
+        );
+      }
+      this.checkoutMessageTemplate = config.checkoutMessageTemplate;
+    }
+
     if (typeof config.fallbackToWeb === 'boolean') {
       this.fallbackToWeb = config.fallbackToWeb;
     }
@@ -173,12 +236,14 @@ class WhatsAppService {
 
   /**
    * Get current configuration
+   * @param {string|null} [clientId] - Report this WhatsApp client's number
    * @returns {Object} - Current service configuration
    */
-  getConfig() {
+  getConfig(clientId) {
     return {
-      whatsappNumber: this.whatsappNumber,
+      whatsappNumber: this.getWhatsAppNumber(clientId),
       messageTemplate: this.messageTemplate,
+      checkoutMessageTemplate: this.checkoutMessageTemplate,
       fallbackToWeb: this.fallbackToWeb,
     };
   }
@@ -199,7 +264,9 @@ class WhatsAppService {
     if (options.qrOptimized) {
       const shortMessage = `Code: ${otp.trim().toUpperCase()}`;
       const encodedShortMessage = encodeURIComponent(shortMessage);
-      const cleanNumber = this.cleanWhatsAppNumber(this.whatsappNumber);
+      const cleanNumber = this.cleanWhatsAppNumber(
+        this.getWhatsAppNumber(options.clientId),
+      );
       urls.qr = `https://wa.me/${cleanNumber}?text=${encodedShortMessage}`;
     }
 
@@ -211,7 +278,7 @@ class WhatsAppService {
    * @returns {Object} - Test results
    */
   testURLGeneration() {
-    const testOTP = 'ABC123';
+    const testOTP = otpFormat.example;
     const results = {
       success: true,
       tests: [],
@@ -1,4 +1,5 @@
 import logger from './logger.js';
+import { otpFormat } from './otpFormat.js';
 
 /**
  * Standard error codes used throughout the application
@@ -12,14 +13,64 @@ const ERROR_CODES = {
   INVALID_DATE_RANGE: 'INVALID_DATE_RANGE',
   INVALID_LIMIT: 'INVALID_LIMIT',
   MISSING_REQUIRED_FIELD: 'MISSING_REQUIRED_FIELD',
+  INVALID_LOCATION: 'INVALID_LOCATION',
+  INVALID_ENROLLMENT_CODE: 'INVALID_ENROLLMENT_CODE',
+  INVALID_EVENT_TYPE: 'INVALID_EVENT_TYPE',
+  INVALID_SHIFT_STATUS: 'INVALID_SHIFT_STATUS',
+  INVALID_SCHEDULE: 'INVALID_SCHEDULE',
+  INVALID_ATTENDANCE_RULES: 'INVALID_ATTENDANCE_RULES',
+  INVALID_PAYROLL_RULES: 'INVALID_PAYROLL_RULES',
+  INVALID_NUDGE_SETTINGS: 'INVALID_NUDGE_SETTINGS',
+  INVALID_LEAVE_REQUEST: 'INVALID_LEAVE_REQUEST',
+  INVALID_PERSON: 'INVALID_PERSON',
+  INVALID_CONVERSATION: 'INVALID_CONVERSATION',
+  INVALID_GROUP: 'INVALID_GROUP',
+  INVALID_SESSION: 'INVALID_SESSION',
+  INVALID_EXPORT: 'INVALID_EXPORT',
+  INVALID_TEMPLATES: 'INVALID_TEMPLATES',
+  INVALID_PHOTO: 'INVALID_PHOTO',
+  INVALID_IDENTITY: 'INVALID_IDENTITY',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  INVALID_REPORT: 'INVALID_REPORT',
+  INVALID_WHATSAPP_CLIENT: 'INVALID_WHATSAPP_CLIENT',
 
   // Authentication/Authorization errors (401/403)
   UNAUTHORIZED: 'UNAUTHORIZED',
   FORBIDDEN: 'FORBIDDEN',
+  DISPLAY_TOKEN_REQUIRED: 'DISPLAY_TOKEN_REQUIRED',
+  DISPLAY_TOKEN_INVALID: 'DISPLAY_TOKEN_INVALID',
+  PHONE_NOT_REGISTERED: 'PHONE_NOT_REGISTERED',
+  NO_ACTIVE_SESSION: 'NO_ACTIVE_SESSION',
+  NOT_IN_SESSION_GROUP: 'NOT_IN_SESSION_GROUP',
+  NOT_GROUP_MANAGER: 'NOT_GROUP_MANAGER',
 
   // Not found errors (404)
   NOT_FOUND: 'NOT_FOUND',
   ENDPOINT_NOT_FOUND: 'ENDPOINT_NOT_FOUND',
+  LOCATION_NOT_FOUND: 'LOCATION_NOT_FOUND',
+  DISPLAY_NOT_FOUND: 'DISPLAY_NOT_FOUND',
+  SCHEDULE_NOT_FOUND: 'SCHEDULE_NOT_FOUND',
+  LEAVE_NOT_FOUND: 'LEAVE_NOT_FOUND',
+  PERSON_NOT_FOUND: 'PERSON_NOT_FOUND',
+  CONVERSATION_NOT_FOUND: 'CONVERSATION_NOT_FOUND',
+  GROUP_NOT_FOUND: 'GROUP_NOT_FOUND',
+  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+  CHECKIN_NOT_FOUND: 'CHECKIN_NOT_FOUND',
+  PHOTO_NOT_FOUND: 'PHOTO_NOT_FOUND',
+  IDENTITY_NOT_FOUND: 'IDENTITY_NOT_FOUND',
+  MESSAGE_NOT_FOUND: 'MESSAGE_NOT_FOUND',
+  WHATSAPP_CLIENT_NOT_FOUND: 'WHATSAPP_CLIENT_NOT_FOUND',
+
+  // Conflict errors (409)
+  LOCATION_EXISTS: 'LOCATION_EXISTS',
+  DUPLICATE_CHECKIN: 'DUPLICATE_CHECKIN',
+  LEAVE_OVERLAP: 'LEAVE_OVERLAP',
+  LEAVE_ALREADY_DECIDED: 'LEAVE_ALREADY_DECIDED',
+  PERSON_EXISTS: 'PERSON_EXISTS',
+  REGISTRATION_NOT_PENDING: 'REGISTRATION_NOT_PENDING',
+  GROUP_EXISTS: 'GROUP_EXISTS',
+  WHATSAPP_GROUP_LINKED: 'WHATSAPP_GROUP_LINKED',
+  MESSAGE_NOT_DEAD: 'MESSAGE_NOT_DEAD',
 
   // OTP specific errors (410)
   OTP_EXPIRED: 'OTP_EXPIRED',
@@ -256,7 +307,7 @@ class ValidationErrorHandler {
   static invalidOTP(otp) {
     return new AppError(
       ERROR_CODES.INVALID_OTP_FORMAT,
-      'OTP must be a 6-character alphanumeric string',
+      `OTP must be a ${otpFormat.description}`,
       400,
       { providedValue: otp ? otp.substring(0, 2) + '****' : null },
     );
@@ -276,6 +327,21 @@ class ValidationErrorHandler {
     );
   }
 
+  /**
+   * Create event type validation error
+   * @param {string} eventType - Invalid event type
+   * @param {string[]} allowed - Supported event types
+   * @returns {AppError} - Validation error
+   */
+  static invalidEventType(eventType, allowed) {
+    return new AppError(
+      ERROR_CODES.INVALID_EVENT_TYPE,
+      `Event type must be one of: ${allowed.join(', ')}`,
+      400,
+      { providedValue: eventType },
+    );
+  }
+
   /**
    * Create missing field validation error
    * @param {string} fieldName - Name of missing field
@@ -0,0 +1,101 @@
+import { envConfig } from '#src/configs/environment.js';
+
+/**
+ * Supported check-in code formats. Alphabet sizes are powers of two so each
+ * character maps to a fixed number of HMAC bits.
+ * - base32: long codes for scanning (RFC 4648 alphabet, no 0/1/8/9), opt-in
+ * - typeable: short hex codes people can type by hand (the original format
+ *   and the default)
+ */
+const OTP_FORMATS = {
+  base32: {
+    alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567',
+    defaultLength: 12,
+    minLength: 8,
+    maxLength: 32,
+  },
+  typeable: {
+    alphabet: '0123456789ABCDEF',
+    defaultLength: 6,
+    minLength: 6,
+    maxLength: 8,
+  },
+};
+
+/**
+ * Build an OTP format description
+ * @param {string} name - Format name (key of OTP_FORMATS)
+ * @param {number} [length] - Code length, defaults to the format's default
+ * @returns {Object} - Format with regexes and an encoder
+ */
+function createOTPFormat(name, length) {
+  const format = OTP_FORMATS[name];
+  if (!format) {
+    throw new Error(
+      `Unknown OTP format '${name}'. Use one of: ${Object.keys(OTP_FORMATS).join(', ')}`,
+    );
+  }
+
+  const codeLength = length || format.defaultLength;
+  if (
+    !Number.isInteger(codeLength) ||
+    codeLength < format.minLength ||
+    codeLength > format.maxLength
+  ) {
+    throw new Error(
+      `OTP length for '${name}' must be between ${format.minLength} and ${format.maxLength}`,
+    );
+  }
+
+  const { alphabet } = format;
+  const bitsPerChar = Math.log2(alphabet.length);
+  const charClass = `[${alphabet}]`;
+
+  return {
+    name,
+    alphabet,
+    length: codeLength,
+    description: `${codeLength}-character ${name === 'base32' ? 'base32' : 'alphanumeric'} code`,
+    // Whole-string match, for validating a normalized (uppercased) code
+    regex: new RegExp(`^${charClass}{${codeLength}}$`),
+    // Finds a code inside a message such as "Check-in code: ABC123"
+    searchRegex: new RegExp(`\\b${charClass}{${codeLength}}\\b`),
+    // A syntactically valid code for self-tests
+    example: alphabet
+      .repeat(Math.ceil(codeLength / alphabet.length))
+      .slice(0, codeLength),
+
+    /**
+     * Encode the leading bits of a digest as a code
+     * @param {Buffer} digest - HMAC digest
+     * @returns {string} - Code in this format
+     */
+    fromDigest(digest) {
+      let code = '';
+      let buffer = 0;
+      let bufferedBits = 0;
+
+      for (const byte of digest) {
+        buffer = (buffer << 8) | byte;
+        bufferedBits += 8;
+
+        while (bufferedBits >= bitsPerChar) {
+          bufferedBits -= bitsPerChar;
+          code += alphabet[(buffer >> bufferedBits) & (alphabet.length - 1)];
+          if (code.length === codeLength) return code;
+        }
+        buffer &= (1 << bufferedBits) - 1;
+      }
+
+      throw new Error('Digest is too short for the configured OTP length');
+    },
+  };
+}
+
+// Format used across the server and the bot, configured via environment
+const otpFormat = createOTPFormat(
+  envConfig.QR_CODE_SERVER.OTP_FORMAT,
+  envConfig.QR_CODE_SERVER.OTP_LENGTH,
+);
+
+export { OTP_FORMATS, createOTPFormat, otpFormat };
@@ -0,0 +1,605 @@
+/**
+ * Texts of the WhatsApp bot's messages by key and language. Admins can
+ * override any of them at runtime; see TemplateService. `{name}`-style
+ * placeholders are filled in when a message is sent, and a placeholder
+ * without a value is left as typed.
+ *
+ * Languages are BCP 47 tags such as 'en', 'zh-HK' or 'vi'. A text missing in
+ * a language falls back to the base language ('zh' for 'zh-HK'), then to the
+ * default language and finally to English.
+ */
+
+export const FALLBACK_LANGUAGE = 'en';
+
+export const LANGUAGE_REGEX = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+const DATE_PROMPT = {
+  en: "Reply with a date like 2026-11-03, or 'today' / 'tomorrow'. Send 'cancel' to stop.",
+  'zh-HK':
+    "請回覆日期，例如 2026-11-03，或者 'today' / 'tomorrow'。傳送 'cancel' 可以取消。",
+  vi: "Hãy trả lời bằng một ngày như 2026-11-03, hoặc 'today' / 'tomorrow'. Gửi 'cancel' để dừng.",
+};
+
+export const REPLY_TEMPLATES = {
+  wait: {
+    en: 'Please wait...',
+    'zh-HK': '請稍等...',
+    vi: 'Vui lòng chờ...',
+  },
+  error: {
+    en: 'Please wait a minute and try again.',
+    'zh-HK': '請等一分鐘再試。',
+    vi: 'Vui lòng chờ một phút rồi thử lại.',
+  },
+  chatNotFound: {
+    en: 'Chat not found. Please try again later.',
+    'zh-HK': '搵唔到對話，請稍後再試。',
+    vi: 'Không tìm thấy cuộc trò chuyện. Vui lòng thử lại sau.',
+  },
+  identityUnresolved: {
+    en: 'We could not match your WhatsApp account to a phone number yet, so your message was not recorded. Please try again in a few minutes.',
+    'zh-HK':
+      '暫時未能將你嘅 WhatsApp 帳戶對應到電話號碼，所以你嘅訊息未有記錄。請過幾分鐘再試。',
+    vi: 'Chưa thể liên kết tài khoản WhatsApp của bạn với số điện thoại, nên tin nhắn chưa được ghi nhận. Vui lòng thử lại sau vài phút.',
+  },
+  failed: {
+    en: '{error}. Please try again.',
+    'zh-HK': '{error}。請再試一次。',
+    vi: '{error}. Vui lòng thử lại.',
+  },
+
+  'checkIn.greeting': {
+    en: 'Hi {name}! {reply}',
+    'zh-HK': '{name}你好！{reply}',
+    vi: 'Chào {name}! {reply}',
+  },
+  'checkIn.success': {
+    en: 'You have successfully checked in. Thank you!',
+    'zh-HK': '你已成功簽到，多謝！',
+    vi: 'Bạn đã điểm danh vào thành công. Cảm ơn bạn!',
+  },
+  'checkIn.late': {
+    en: 'You have checked in, {minutesLate} minutes late. Thank you!',
+    'zh-HK': '你已簽到，遲咗 {minutesLate} 分鐘。多謝！',
+    vi: 'Bạn đã điểm danh vào, trễ {minutesLate} phút. Cảm ơn bạn!',
+  },
+  'checkIn.halfDay': {
+    en: 'You have checked in, {minutesLate} minutes late. This counts as a half day.',
+    'zh-HK': '你已簽到，遲咗 {minutesLate} 分鐘，今日當半日計。',
+    vi: 'Bạn đã điểm danh vào, trễ {minutesLate} phút. Hôm nay được tính là nửa ngày.',
+  },
+  'checkIn.absent': {
+    en: 'You have checked in, {minutesLate} minutes late. This counts as an absence.',
+    'zh-HK': '你已簽到，遲咗 {minutesLate} 分鐘，今日當缺席計。',
+    vi: 'Bạn đã điểm danh vào, trễ {minutesLate} phút. Hôm nay được tính là vắng mặt.',
+  },
+  'checkIn.streak': {
+    en: 'That is {streak} days in a row!',
+    'zh-HK': '你已經連續 {streak} 日出席！',
+    vi: 'Bạn đã có mặt {streak} ngày liên tiếp!',
+  },
+  'checkIn.missingCheckOut': {
+    en: 'Note: you did not check out on {dates}.',
+    'zh-HK': '注意：你喺 {dates} 冇簽退。',
+    vi: 'Lưu ý: bạn chưa điểm danh ra vào {dates}.',
+  },
+  'checkIn.registrationPending': {
+    en: 'Your scan was received. Your registration is waiting for approval, and your check-ins will count once it is approved.',
+    'zh-HK': '已收到你嘅掃描。你嘅登記等緊批核，批核後簽到先會計算。',
+    vi: 'Đã nhận lượt quét của bạn. Đăng ký của bạn đang chờ duyệt; các lần điểm danh sẽ được tính khi được duyệt.',
+  },
+  'checkIn.held': {
+    en: 'Your scan was received, but your number is not on the attendance list yet. It will count once your manager approves it.',
+    'zh-HK': '已收到你嘅掃描，但你嘅號碼未喺出席名單上。經理批核後先會計算。',
+    vi: 'Đã nhận lượt quét của bạn, nhưng số của bạn chưa có trong danh sách điểm danh. Lượt quét sẽ được tính khi quản lý duyệt.',
+  },
+  'checkIn.notRegistered': {
+    en: 'Your number is not registered for attendance. Please contact your manager.',
+    'zh-HK': '你嘅號碼未登記出席，請聯絡你嘅經理。',
+    vi: 'Số của bạn chưa được đăng ký điểm danh. Vui lòng liên hệ quản lý.',
+  },
+  'checkIn.duplicate': {
+    en: 'You already checked in at {time}. No need to scan again!',
+    'zh-HK': '你已經喺 {time} 簽到，唔使再掃描！',
+    vi: 'Bạn đã điểm danh vào lúc {time}. Không cần quét lại!',
+  },
+  'checkIn.noSession': {
+    en: 'There is no session open right now.',
+    'zh-HK': '而家冇開放緊嘅時段。',
+    vi: 'Hiện không có buổi nào đang mở.',
+  },
+  'checkIn.noSessionNext': {
+    en: 'There is no session open right now. The next one is {session} at {time}.',
+    'zh-HK': '而家冇開放緊嘅時段。下一個係 {time} 嘅{session}。',
+    vi: 'Hiện không có buổi nào đang mở. Buổi tiếp theo là {session} lúc {time}.',
+  },
+  'checkIn.notInGroup': {
+    en: 'The session open now ({session}) is not for your group. Please contact your manager if this is wrong.',
+    'zh-HK':
+      '而家開放嘅時段（{session}）唔係你組別嘅。如有錯誤，請聯絡你嘅經理。',
+    vi: 'Buổi đang mở ({session}) không dành cho nhóm của bạn. Vui lòng liên hệ quản lý nếu có nhầm lẫn.',
+  },
+  'checkIn.photoUnreadable': {
+    en: 'We could not find a check-in QR code in that photo. Please send a sharper photo of the whole code, or scan it with your camera.',
+    'zh-HK':
+      '相入面搵唔到簽到 QR 碼。請影一張清楚啲、包含成個 QR 碼嘅相，或者用相機掃描。',
+    vi: 'Không tìm thấy mã QR điểm danh trong ảnh. Vui lòng gửi ảnh rõ hơn chụp toàn bộ mã, hoặc quét mã bằng camera.',
+  },
+  'checkIn.photoNoCode': {
+    en: 'The QR code in that photo is not a check-in code. Please send a photo of the check-in QR code on the display.',
+    'zh-HK': '相入面嘅 QR 碼唔係簽到碼。請影一張顯示屏上簽到 QR 碼嘅相。',
+    vi: 'Mã QR trong ảnh không phải là mã điểm danh. Vui lòng gửi ảnh chụp mã QR điểm danh trên màn hình.',
+  },
+  'checkIn.failed': {
+    en: '{error}. Please try scanning again!',
+    'zh-HK': '{error}。請再掃描一次！',
+    vi: '{error}. Vui lòng quét lại!',
+  },
+  'checkOut.success': {
+    en: 'You have successfully checked out. You worked {worked} this shift.',
+    'zh-HK': '你已成功簽退。呢更你做咗 {worked}。',
+    vi: 'Bạn đã điểm danh ra thành công. Ca này bạn đã làm {worked}.',
+  },
+  'checkOut.successDay': {
+    en: 'You have successfully checked out. You worked {worked} this shift and {dayWorked} in total today.',
+    'zh-HK': '你已成功簽退。呢更你做咗 {worked}，今日總共 {dayWorked}。',
+    vi: 'Bạn đã điểm danh ra thành công. Ca này bạn đã làm {worked}, tổng cộng hôm nay {dayWorked}.',
+  },
+  'checkOut.noShift': {
+    en: 'You have checked out, but we could not find your check-in for this shift.',
+    'zh-HK': '你已簽退，但搵唔到你呢更嘅簽到紀錄。',
+    vi: 'Bạn đã điểm danh ra, nhưng không tìm thấy lần điểm danh vào của ca này.',
+  },
+  'checkOut.duplicate': {
+    en: 'You already checked out at {time}. No need to scan again!',
+    'zh-HK': '你已經喺 {time} 簽退，唔使再掃描！',
+    vi: 'Bạn đã điểm danh ra lúc {time}. Không cần quét lại!',
+  },
+
+  'registration.welcome': {
+    en: 'Welcome! Your number is not registered yet, so your check-in will count once you are. What is your full name?',
+    'zh-HK': '歡迎！你嘅號碼未登記，登記後簽到先會計算。請問你嘅全名係？',
+    vi: 'Chào mừng! Số của bạn chưa được đăng ký, lần điểm danh sẽ được tính khi bạn đăng ký xong. Họ tên đầy đủ của bạn là gì?',
+  },
+  'registration.welcomeName': {
+    en: "Welcome! Your number is not registered yet, so your check-in will count once you are. Is your name {name}? Reply 'yes', or send your full name.",
+    'zh-HK':
+      "歡迎！你嘅號碼未登記，登記後簽到先會計算。你係咪叫 {name}？請回覆 'yes'，或者傳送你嘅全名。",
+    vi: "Chào mừng! Số của bạn chưa được đăng ký, lần điểm danh sẽ được tính khi bạn đăng ký xong. Tên bạn là {name} phải không? Trả lời 'yes', hoặc gửi họ tên đầy đủ.",
+  },
+  'registration.inProgress': {
+    en: 'Your scan was received. Please answer the question above to finish registering.',
+    'zh-HK': '已收到你嘅掃描。請回答上面嘅問題完成登記。',
+    vi: 'Đã nhận lượt quét của bạn. Vui lòng trả lời câu hỏi ở trên để hoàn tất đăng ký.',
+  },
+  'registration.cancelled': {
+    en: 'Registration cancelled. Your check-ins will not count until you register.',
+    'zh-HK': '已取消登記。你登記之前，簽到唔會計算。',
+    vi: 'Đã hủy đăng ký. Các lần điểm danh sẽ không được tính cho đến khi bạn đăng ký.',
+  },
+  'registration.expired': {
+    en: 'Your registration timed out. Please scan the QR code again to start over.',
+    'zh-HK': '你嘅登記已逾時。請再掃描 QR 碼重新開始。',
+    vi: 'Đăng ký của bạn đã hết thời gian. Vui lòng quét lại mã QR để bắt đầu lại.',
+  },
+  'registration.askFullName': {
+    en: 'Please send your full name.',
+    'zh-HK': '請傳送你嘅全名。',
+    vi: 'Vui lòng gửi họ tên đầy đủ của bạn.',
+  },
+  'registration.askEmployeeId': {
+    en: "Thanks, {name}. What is your employee or student ID? Reply 'skip' if you do not have one.",
+    'zh-HK': "多謝，{name}。你嘅員工或學生編號係？冇嘅話請回覆 'skip'。",
+    vi: "Cảm ơn, {name}. Mã nhân viên hoặc mã học sinh của bạn là gì? Trả lời 'skip' nếu bạn không có.",
+  },
+  'registration.submitted': {
+    en: 'Thanks, {name}! Your registration has been sent for approval. Your check-in will count once it is approved.',
+    'zh-HK': '多謝，{name}！你嘅登記已送去批核，批核後簽到先會計算。',
+    vi: 'Cảm ơn, {name}! Đăng ký của bạn đã được gửi đi để duyệt. Lần điểm danh sẽ được tính khi được duyệt.',
+  },
+  'registration.alreadyRegistered': {
+    en: 'You are already registered. Please scan the QR code again.',
+    'zh-HK': '你已經登記咗，請再掃描二維碼。',
+    vi: 'Bạn đã đăng ký rồi. Vui lòng quét lại mã QR.',
+  },
+  'registration.failed': {
+    en: '{error}. Please contact your manager.',
+    'zh-HK': '{error}。請聯絡你嘅經理。',
+    vi: '{error}. Vui lòng liên hệ quản lý.',
+  },
+  'registration.notSaved': {
+    en: 'Your registration could not be saved',
+    'zh-HK': '未能儲存你嘅登記',
+    vi: 'Không thể lưu đăng ký của bạn',
+  },
+  'registration.approved': {
+    en: 'Hi {name}! Your registration has been approved.',
+    'zh-HK': '{name}你好！你嘅登記已獲批核。',
+    vi: 'Chào {name}! Đăng ký của bạn đã được duyệt.',
+  },
+  'registration.approvedCounted': {
+    en: 'Hi {name}! Your registration has been approved and your check-in has been counted.',
+    'zh-HK': '{name}你好！你嘅登記已獲批核，簽到亦已計算。',
+    vi: 'Chào {name}! Đăng ký của bạn đã được duyệt và lần điểm danh đã được tính.',
+  },
+  'registration.rejected': {
+    en: 'Your registration was not approved. Please contact your manager.',
+    'zh-HK': '你嘅登記未獲批核，請聯絡你嘅經理。',
+    vi: 'Đăng ký của bạn không được duyệt. Vui lòng liên hệ quản lý.',
+  },
+  'registration.managerPrompt': {
+    en: 'New registration from {phone}: {name}.',
+  },
+  'registration.managerEmployeeId': {
+    en: 'Employee ID: {employeeId}',
+  },
+  'registration.managerApproved': {
+    en: 'Registration of {name} ({phone}) approved.',
+  },
+  'registration.managerRejected': {
+    en: 'Registration of {name} ({phone}) rejected.',
+  },
+  'registration.managerHeldUpdated': {
+    en: 'Held check-ins updated: {count}.',
+  },
+  'registration.notUpdated': {
+    en: 'The registration could not be updated.',
+  },
+  'manager.replyPrompt': {
+    en: 'Reply "approve {reference}" or "reject {reference}".',
+  },
+
+  'leave.datePrompt': DATE_PROMPT,
+  'leave.askStart': {
+    en: 'Which day does your leave start? {datePrompt}',
+    'zh-HK': '你嘅假期由邊日開始？{datePrompt}',
+    vi: 'Bạn nghỉ phép từ ngày nào? {datePrompt}',
+  },
+  'leave.notDate': {
+    en: 'That is not a date. {datePrompt}',
+    'zh-HK': '呢個唔係日期。{datePrompt}',
+    vi: 'Đó không phải là ngày. {datePrompt}',
+  },
+  'leave.askEnd': {
+    en: "What is the last day of your leave? Reply with a date, or 'same' for a single day.",
+    'zh-HK': "你嘅假期最後一日係邊日？請回覆日期，只請一日嘅話回覆 'same'。",
+    vi: "Ngày cuối cùng bạn nghỉ phép là ngày nào? Trả lời bằng một ngày, hoặc 'same' nếu chỉ nghỉ một ngày.",
+  },
+  'leave.askReason': {
+    en: 'What is the reason for your leave?',
+    'zh-HK': '請假原因係？',
+    vi: 'Lý do nghỉ phép của bạn là gì?',
+  },
+  'leave.cancelled': {
+    en: 'Leave request cancelled.',
+    'zh-HK': '已取消請假申請。',
+    vi: 'Đã hủy yêu cầu nghỉ phép.',
+  },
+  'leave.expired': {
+    en: "Your leave request timed out. Send 'leave' to start again.",
+    'zh-HK': "你嘅請假申請已逾時。傳送 'leave' 重新開始。",
+    vi: "Yêu cầu nghỉ phép của bạn đã hết thời gian. Gửi 'leave' để bắt đầu lại.",
+  },
+  'leave.notSaved': {
+    en: 'Your leave request could not be saved',
+    'zh-HK': '未能儲存你嘅請假申請',
+    vi: 'Không thể lưu yêu cầu nghỉ phép của bạn',
+  },
+  'leave.dateRange': {
+    en: '{start} to {end}',
+    'zh-HK': '{start} 至 {end}',
+    vi: '{start} đến {end}',
+  },
+  'leave.submitted': {
+    en: 'Your leave request for {dates} has been sent to your manager. Reference: {code}.',
+    'zh-HK': '你 {dates} 嘅請假申請已送交經理。編號：{code}。',
+    vi: 'Yêu cầu nghỉ phép {dates} của bạn đã được gửi cho quản lý. Mã tham chiếu: {code}.',
+  },
+  'leave.approved': {
+    en: 'Your leave request {code} for {dates} has been approved.',
+    'zh-HK': '你 {dates} 嘅請假申請 {code} 已獲批准。',
+    vi: 'Yêu cầu nghỉ phép {code} cho {dates} của bạn đã được duyệt.',
+  },
+  'leave.rejected': {
+    en: 'Your leave request {code} for {dates} has been rejected.',
+    'zh-HK': '你 {dates} 嘅請假申請 {code} 已被拒絕。',
+    vi: 'Yêu cầu nghỉ phép {code} cho {dates} của bạn đã bị từ chối.',
+  },
+  'leave.managerPrompt': {
+    en: 'Leave request {code} from {phone}: {dates}. Days: {days}.',
+  },
+  'leave.managerReason': {
+    en: 'Reason: {reason}',
+  },
+  'leave.managerApproved': {
+    en: 'Leave {code} for {phone} approved.',
+  },
+  'leave.managerRejected': {
+    en: 'Leave {code} for {phone} rejected.',
+  },
+  'leave.notUpdated': {
+    en: 'The leave request could not be updated.',
+  },
+
+  'reminder.absence': {
+    en: 'Reminder: we have not received your check-in for your shift starting at {time}. Please scan the QR code when you arrive.',
+    'zh-HK': '提提你：我哋未收到你 {time} 開始嗰更嘅簽到。到達後請掃描二維碼。',
+    vi: 'Nhắc nhở: chúng tôi chưa nhận được điểm danh cho ca bắt đầu lúc {time} của bạn. Vui lòng quét mã QR khi bạn đến.',
+  },
+  'reminder.summary': {
+    en: 'Attendance check: {count} not checked in yet.',
+  },
+  'reminder.summaryShift': {
+    en: '{time} shift, {date}',
+  },
+  'reminder.summaryShiftGroup': {
+    en: '{time} shift, {date} ({group})',
+  },
+
+  'menu.header': {
+    en: 'You can send:',
+    'zh-HK': '你可以傳送：',
+    vi: 'Bạn có thể gửi:',
+  },
+  'menu.qrCode': {
+    en: 'To check in or out, scan the QR code at: {url}',
+    'zh-HK': '簽到或簽退，請掃描呢度嘅二維碼：{url}',
+    vi: 'Để điểm danh vào hoặc ra, hãy quét mã QR tại: {url}',
+  },
+  'command.help': {
+    en: 'list what you can send, or explain one command',
+    'zh-HK': '列出可以傳送嘅指令，或者解釋某個指令',
+    vi: 'liệt kê những gì bạn có thể gửi, hoặc giải thích một lệnh',
+  },
+  'command.status': {
+    en: 'whether you checked in today',
+    'zh-HK': '睇下你今日有冇簽到',
+    vi: 'xem hôm nay bạn đã điểm danh chưa',
+  },
+  'command.history': {
+    en: 'your last check-ins, {max} at most',
+    'zh-HK': '你最近嘅簽到，最多 {max} 個',
+    vi: 'các lần điểm danh gần nhất, tối đa {max}',
+  },
+  'command.leave': {
+    en: "request leave, e.g. 'leave 2026-11-03 to 2026-11-05 sick'",
+    'zh-HK': "申請請假，例如 'leave 2026-11-03 to 2026-11-05 sick'",
+    vi: "xin nghỉ phép, ví dụ 'leave 2026-11-03 to 2026-11-05 sick'",
+  },
+  'command.cancel': {
+    en: 'stop a registration or leave request in progress',
+    'zh-HK': '停止進行中嘅登記或者請假申請',
+    vi: 'dừng việc đăng ký hoặc xin nghỉ phép đang làm dở',
+  },
+  'command.approve': {
+    en: 'approve a leave request or a registration',
+  },
+  'command.reject': {
+    en: 'reject a leave request or a registration',
+  },
+  'command.report': {
+    en: "attendance summary, e.g. 'report 3A this week'",
+  },
+  'command.absent': {
+    en: "who is absent, e.g. 'absent 3A' or 'absent yesterday'",
+  },
+  'command.late': {
+    en: "who was late, e.g. 'late this week'",
+  },
+  'command.who': {
+    en: "who is checked in now, e.g. 'who is in 3A'",
+  },
+  'command.managerOnly': {
+    en: "Only managers can use '{command}'.",
+    'zh-HK': "只有經理可以用 '{command}'。",
+    vi: "Chỉ quản lý mới có thể dùng '{command}'.",
+  },
+  'command.unknown': {
+    en: "There is no command '{command}'.",
+    'zh-HK': "冇 '{command}' 呢個指令。",
+    vi: "Không có lệnh '{command}'.",
+  },
+  'command.usage': {
+    en: '{error}\nUsage: {usage}',
+    'zh-HK': '{error}\n用法：{usage}',
+    vi: '{error}\nCách dùng: {usage}',
+  },
+  'command.aliases': {
+    en: 'Also: {aliases}',
+    'zh-HK': '亦可以用：{aliases}',
+    vi: 'Cũng có thể dùng: {aliases}',
+  },
+  'command.missingArg': {
+    en: 'Please add the {arg}.',
+    'zh-HK': '請加上 {arg}。',
+    vi: 'Vui lòng thêm {arg}.',
+  },
+  'command.notNumber': {
+    en: 'The {arg} must be a whole number.',
+    'zh-HK': '{arg} 必須係整數。',
+    vi: '{arg} phải là số nguyên.',
+  },
+  'command.outOfRange': {
+    en: 'The {arg} must be from {min} to {max}.',
+    'zh-HK': '{arg} 必須喺 {min} 至 {max} 之間。',
+    vi: '{arg} phải từ {min} đến {max}.',
+  },
+  'command.tooManyArgs': {
+    en: 'That is more than this command takes.',
+    'zh-HK': '呢個指令唔需要咁多資料。',
+    vi: 'Lệnh này không nhận nhiều thông tin như vậy.',
+  },
+  'command.badReference': {
+    en: "'{reference}' is not a leave reference or a phone number.",
+  },
+
+  'status.none': {
+    en: 'You have not checked in today.',
+    'zh-HK': '你今日未簽到。',
+    vi: 'Hôm nay bạn chưa điểm danh.',
+  },
+  'status.today': {
+    en: 'Today:',
+    'zh-HK': '今日：',
+    vi: 'Hôm nay:',
+  },
+  'status.checkedIn': {
+    en: 'You are checked in and have not checked out yet.',
+    'zh-HK': '你已簽到，仲未簽退。',
+    vi: 'Bạn đã điểm danh vào và chưa điểm danh ra.',
+  },
+  'status.checkedOut': {
+    en: 'You are checked out.',
+    'zh-HK': '你已簽退。',
+    vi: 'Bạn đã điểm danh ra.',
+  },
+  'status.held': {
+    en: 'Scans waiting for approval: {count}.',
+    'zh-HK': '等緊批核嘅掃描：{count}。',
+    vi: 'Lượt quét đang chờ duyệt: {count}.',
+  },
+  'status.notRead': {
+    en: 'Your check-ins could not be read',
+    'zh-HK': '未能讀取你嘅簽到紀錄',
+    vi: 'Không thể đọc các lần điểm danh của bạn',
+  },
+  'history.header': {
+    en: 'Your last check-ins:',
+    'zh-HK': '你最近嘅簽到：',
+    vi: 'Các lần điểm danh gần nhất của bạn:',
+  },
+  'history.none': {
+    en: 'You have no check-ins yet.',
+    'zh-HK': '你暫時未有簽到紀錄。',
+    vi: 'Bạn chưa có lần điểm danh nào.',
+  },
+  'history.notCounted': {
+    en: '{reason}, not counted',
+    'zh-HK': '{reason}，不計算',
+    vi: '{reason}, không được tính',
+  },
+  'cancel.nothing': {
+    en: 'There is nothing to cancel.',
+    'zh-HK': '冇嘢需要取消。',
+    vi: 'Không có gì để hủy.',
+  },
+  'report.everyone': { en: 'everyone' },
+  'report.summary': {
+    en: 'Attendance, {period} – {scope}\nOn the roster: {roster}\nPresent: {present}\nLate: {late}\nOn leave: {onLeave}\nAbsent: {absent}',
+  },
+  'report.summaryDays': {
+    en: 'Attendance, {period} – {scope}\nDays with check-ins: {days}\nOn the roster: {roster}\nAttendances: {present}\nLate: {late}\nDays on leave: {onLeave}\nAbsences: {absent}',
+  },
+  'report.absent': { en: 'Absent, {period} – {scope}' },
+  'report.absentDay': { en: '{date}: {names}' },
+  'report.onLeave': { en: '{date}, on leave: {names}' },
+  'report.noneAbsent': { en: 'Nobody was absent.' },
+  'report.late': { en: 'Late, {period} – {scope}' },
+  'report.noneLate': { en: 'Nobody was late.' },
+  'report.present': {
+    en: 'Checked in now – {scope}: {count} of {roster}',
+  },
+  'report.nonePresent': { en: 'Nobody is checked in.' },
+  'report.noDays': { en: 'Nobody checked in on any day of {period}.' },
+  'report.notManager': {
+    en: 'You can only see the reports of the groups you manage.',
+  },
+  'report.unknownGroup': { en: "There is no group '{group}'." },
+  'report.more': { en: '…and {count} more' },
+
+  'event.check_in': { en: 'check-in', 'zh-HK': '簽到', vi: 'điểm danh vào' },
+  'event.check_out': { en: 'check-out', 'zh-HK': '簽退', vi: 'điểm danh ra' },
+  'attendance.early': { en: 'early', 'zh-HK': '提早', vi: 'sớm' },
+  'attendance.on_time': { en: 'on time', 'zh-HK': '準時', vi: 'đúng giờ' },
+  'attendance.late': { en: 'late', 'zh-HK': '遲到', vi: 'trễ' },
+  'attendance.half_day': { en: 'half day', 'zh-HK': '半日', vi: 'nửa ngày' },
+  'attendance.absent': { en: 'absent', 'zh-HK': '缺席', vi: 'vắng mặt' },
+  'scan.held': {
+    en: 'waiting for approval',
+    'zh-HK': '等緊批核',
+    vi: 'đang chờ duyệt',
+  },
+  'scan.unregistered': {
+    en: 'number not registered',
+    'zh-HK': '號碼未登記',
+    vi: 'số chưa đăng ký',
+  },
+  'scan.duplicate': {
+    en: 'already recorded',
+    'zh-HK': '已經記錄咗',
+    vi: 'đã được ghi nhận',
+  },
+  'scan.expired': { en: 'expired code', 'zh-HK': '過期代碼', vi: 'mã hết hạn' },
+  'scan.invalid': { en: 'wrong code', 'zh-HK': '代碼錯誤', vi: 'mã sai' },
+  'scan.error': {
+    en: 'not recorded',
+    'zh-HK': '未有記錄',
+    vi: 'không được ghi nhận',
+  },
+  'scan.no_session': {
+    en: 'no session open',
+    'zh-HK': '冇開放時段',
+    vi: 'không có buổi nào mở',
+  },
+  'scan.not_in_group': {
+    en: 'session not for your group',
+    'zh-HK': '時段唔屬於你嘅組別',
+    vi: 'buổi không dành cho nhóm của bạn',
+  },
+};
+
+/**
+ * Languages to try for a text, most specific first
+ * @param {string|null} language - Language of the reader, e.g. 'zh-HK'
+ * @param {string} defaultLanguage - Organization-wide language
+ * @returns {string[]}
+ */
+export const languageFallbacks = (language, defaultLanguage) => {
+  const chain = [];
+  for (const tag of [language, defaultLanguage, FALLBACK_LANGUAGE]) {
+    if (!tag) continue;
+    const parts = tag.split('-');
+    for (let length = parts.length; length > 0; length--) {
+      const candidate = parts.slice(0, length).join('-');
+      if (!chain.includes(candidate)) chain.push(candidate);
+    }
+  }
+  return chain;
+};
+
+/**
+ * Every text in one language, after fallbacks
+ * @param {string|null} language - Language of the reader
+ * @param {Object} [options]
+ * @param {string} [options.defaultLanguage='en']
+ * @param {Object} [options.overrides] - Admin texts, { key: { language: text } }
+ * @returns {Object<string, string>} - Text by key
+ */
+export const templatesFor = (
+  language,
+  { defaultLanguage = FALLBACK_LANGUAGE, overrides = {} } = {},
+) => {
+  const chain = languageFallbacks(language, defaultLanguage);
+
+  return Object.fromEntries(
+    Object.entries(REPLY_TEMPLATES).map(([key, texts]) => {
+      const found = chain
+        .map((tag) => overrides[key]?.[tag] ?? texts[tag])
+        .find((text) => text !== undefined);
+      return [key, found ?? texts[FALLBACK_LANGUAGE]];
+    }),
+  );
+};
+
+/**
+ * Fill in the placeholders of a text
+ * @param {string} text - e.g. 'Hi {name}!'
+ * @param {Object} [values] - e.g. { name: 'Amy' }
+ * @returns {string}
+ */
+export const fillTemplate = (text, values = {}) =>
+  text.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    values[name] === undefined || values[name] === null
+      ? placeholder
+      : String(values[name]),
+  );
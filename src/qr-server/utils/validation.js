@@ -1,4 +1,7 @@
+import { EVENT_TYPES } from '../database/schema.js';
+
 import errorHandler from './errorHandler.js';
+import { otpFormat } from './otpFormat.js';
 const { ValidationErrorHandler } = errorHandler;
 
 /**
@@ -101,7 +104,7 @@ class OTPValidator {
       };
     }
 
-    const trimmed = otp.trim();
+    const trimmed = otp.trim().toUpperCase();
 
     if (trimmed.length === 0) {
       return {
@@ -111,9 +114,8 @@ class OTPValidator {
       };
     }
 
-    // OTP should be exactly 6 characters, alphanumeric
-    const otpRegex = /^[A-Za-z0-9]{6}$/;
-    if (!otpRegex.test(trimmed)) {
+    // OTP must match the configured format (alphabet and length)
+    if (!otpFormat.regex.test(trimmed)) {
       return {
         valid: false,
         error: ValidationErrorHandler.invalidOTP(otp),
@@ -124,7 +126,7 @@ class OTPValidator {
     return {
       valid: true,
       error: null,
-      normalized: trimmed.toUpperCase(),
+      normalized: trimmed,
       original: otp,
     };
   }
@@ -149,6 +151,38 @@ class OTPValidator {
   }
 }
 
+/**
+ * Attendance event type validation utility
+ */
+class EventTypeValidator {
+  /**
+   * Validate event type
+   * @param {string} eventType - 'check_in' or 'check_out' (dashes allowed)
+   * @returns {Object} - Validation result
+   */
+  static validate(eventType) {
+    const normalized =
+      typeof eventType === 'string'
+        ? eventType.trim().toLowerCase().replace('-', '_')
+        : null;
+
+    if (!EVENT_TYPES.includes(normalized)) {
+      return {
+        valid: false,
+        error: ValidationErrorHandler.invalidEventType(eventType, EVENT_TYPES),
+        normalized: null,
+      };
+    }
+
+    return {
+      valid: true,
+      error: null,
+      normalized,
+      original: eventType,
+    };
+  }
+}
+
 /**
  * Timestamp validation utility
  */
@@ -417,6 +451,9 @@ function createValidationMiddleware(validationRules) {
         case 'otp':
           validationResult = OTPValidator.validate(value);
           break;
+        case 'eventType':
+          validationResult = EventTypeValidator.validate(value);
+          break;
         case 'timestamp':
           validationResult = TimestampValidator.validate(
             value,
@@ -459,6 +496,7 @@ function createValidationMiddleware(validationRules) {
 export default {
   PhoneNumberValidator,
   OTPValidator,
+  EventTypeValidator,
   TimestampValidator,
   DateValidator,
   NumericValidator,
@@ -4,20 +4,65 @@ import { fileURLToPath } from 'url';
 import bodyParser from 'body-parser';
 import cors from 'cors';
 import express from 'express';
-import rateLimit from 'express-rate-limit';
+import rateLimit, { ipKeyGenerator } from 'express-rate-limit';
 import helmet from 'helmet';
 import QRCode from 'qrcode';
 
 import { envConfig } from '#src/configs/environment.js';
+import {
+  nameListSheetStorage,
+  payrollSheetStorage,
+} from '#src/libs/google-sheet.js';
+import { WhatsAppClients } from '#src/libs/whatsapp-clients.js';
 import qrDatabase from '#src/qr-server/database/index.js';
-import OTPService from '#src/qr-server/services/otpService.js';
+import CheckInService from '#src/qr-server/services/checkInService.js';
+import DisplayService from '#src/qr-server/services/displayService.js';
+import ExportService from '#src/qr-server/services/exportService.js';
+import GroupService from '#src/qr-server/services/groupService.js';
+import LeaveService from '#src/qr-server/services/leaveService.js';
+import LocationService from '#src/qr-server/services/locationService.js';
+import MessageQueueService from '#src/qr-server/services/messageQueueService.js';
+import PayrollService from '#src/qr-server/services/payrollService.js';
+import RegistrationService from '#src/qr-server/services/registrationService.js';
+import ReportService from '#src/qr-server/services/reportService.js';
+import RosterService from '#src/qr-server/services/rosterService.js';
+import SchedulerService from '#src/qr-server/services/schedulerService.js';
+import ScheduleService from '#src/qr-server/services/scheduleService.js';
+import SessionService from '#src/qr-server/services/sessionService.js';
+import ShiftService from '#src/qr-server/services/shiftService.js';
+import TemplateService from '#src/qr-server/services/templateService.js';
 import WhatsAppService from '#src/qr-server/services/whatsappService.js';
 import errorHandler from '#src/qr-server/utils/errorHandler.js';
 import logger from '#src/qr-server/utils/logger.js';
+import { otpFormat } from '#src/qr-server/utils/otpFormat.js';
 import validation from '#src/qr-server/utils/validation.js';
+import { registerConversationRoutes } from '#src/servers/routes/conversation.routes.js';
+import { registerDisplayRoutes } from '#src/servers/routes/display.routes.js';
+import { registerExportRoutes } from '#src/servers/routes/export.routes.js';
+import { registerGroupRoutes } from '#src/servers/routes/group.routes.js';
+import {
+  registerHoursRoutes,
+  toDailyHoursResponse,
+  toShiftResponse,
+} from '#src/servers/routes/hours.routes.js';
+import { registerIdentityRoutes } from '#src/servers/routes/identity.routes.js';
+import { registerLeaveRoutes } from '#src/servers/routes/leave.routes.js';
+import { registerLocationRoutes } from '#src/servers/routes/location.routes.js';
+import { registerMessageRoutes } from '#src/servers/routes/message.routes.js';
+import { registerPayrollRoutes } from '#src/servers/routes/payroll.routes.js';
+import { registerPeopleRoutes } from '#src/servers/routes/people.routes.js';
+import { registerPhotoRoutes } from '#src/servers/routes/photo.routes.js';
+import { registerReportRoutes } from '#src/servers/routes/report.routes.js';
+import { registerScheduleRoutes } from '#src/servers/routes/schedule.routes.js';
+import { registerSchedulerRoutes } from '#src/servers/routes/scheduler.routes.js';
+import { registerSessionRoutes } from '#src/servers/routes/session.routes.js';
+import { registerTemplateRoutes } from '#src/servers/routes/template.routes.js';
+import { registerWhatsAppRoutes } from '#src/servers/routes/whatsapp.routes.js';
+import { formatUserIdWA } from '#src/utils/common.js';
 
 const {
   createValidationMiddleware,
+  EventTypeValidator,
   OTPValidator,
   PhoneNumberValidator,
   NumericValidator,
@@ -31,27 +76,233 @@ const {
   ServiceErrorHandler,
 } = errorHandler;
 
-const { DatabaseConnection, CheckInRepository, ConfigRepository } = qrDatabase;
+const {
+  DatabaseConnection,
+  CheckInRepository,
+  CheckInPhotoRepository,
+  ConfigRepository,
+  ConversationRepository,
+  DisplayRepository,
+  GroupRepository,
+  IdentityRepository,
+  LeaveRepository,
+  LocationRepository,
+  OutboundMessageRepository,
+  PeopleRepository,
+  ScheduleRepository,
+  ScheduledRunRepository,
+  SessionRepository,
+  ShiftRepository,
+  initializeSchema,
+} = qrDatabase;
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+const EXPIRED_CONVERSATION_GRACE_MS = 24 * 60 * 60 * 1000;
+
+const SENT_MESSAGE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
 // Initialize services
 let otpService;
 let whatsappService;
 let checkInRepository;
+let checkInPhotoRepository;
+let checkInService;
 let configRepository;
+let locationRepository;
+let locationService;
+let displayRepository;
+let displayService;
+let shiftRepository;
+let shiftService;
+let scheduleRepository;
+let scheduleService;
+let scheduledRunRepository;
+let schedulerService;
+let leaveRepository;
+let leaveService;
+let peopleRepository;
+let groupRepository;
+let groupService;
+let rosterService;
+let registrationService;
+let conversationRepository;
+let identityRepository;
+let outboundMessageRepository;
+let messageQueueService;
+let sessionRepository;
+let sessionService;
+let exportService;
+let reportService;
+let payrollService;
+let templateService;
+
+// Accessor for route modules, which run after the services are initialized
+const getServices = () => ({
+  otpService,
+  whatsappService,
+  checkInRepository,
+  checkInPhotoRepository,
+  checkInService,
+  configRepository,
+  locationRepository,
+  locationService,
+  displayRepository,
+  displayService,
+  shiftRepository,
+  shiftService,
+  scheduleRepository,
+  scheduleService,
+  scheduledRunRepository,
+  schedulerService,
+  leaveRepository,
+  leaveService,
+  peopleRepository,
+  groupRepository,
+  groupService,
+  rosterService,
+  registrationService,
+  conversationRepository,
+  identityRepository,
+  outboundMessageRepository,
+  messageQueueService,
+  sessionRepository,
+  sessionService,
+  exportService,
+  reportService,
+  payrollService,
+  templateService,
+});
 
 // Initialize services with database config and comprehensive error handling
-async function initializeQRServices() {
+async function initializeQRServices(clients) {
   try {
     logger.info('Starting service initialization');
 
     // Initialize database connection
     const dbConnection = new DatabaseConnection();
     await dbConnection.connect();
+    await initializeSchema(dbConnection);
+
+    // Without an id these mean the default WhatsApp client
+    const isClientReady = (whatsappClientId) =>
+      clients.isReady(whatsappClientId);
+
+    outboundMessageRepository = new OutboundMessageRepository(dbConnection);
+    await outboundMessageRepository.deleteSentMessages(
+      new Date(Date.now() - SENT_MESSAGE_RETENTION_MS),
+    );
+    messageQueueService = new MessageQueueService({
+      outboundMessageRepository,
+      sendMessage: (chatId, body, { quotedMessageId, whatsappClientId }) =>
+        clients.sendMessage(
+          whatsappClientId,
+          chatId,
+          body,
+          quotedMessageId ? { quotedMessageId } : {},
+        ),
+      isClientReady,
+      ratePerMinute: envConfig.QR_CODE_SERVER.SEND_RATE_PER_MINUTE,
+      chatIntervalMs: envConfig.QR_CODE_SERVER.SEND_CHAT_INTERVAL_MS,
+      jitterMs: envConfig.QR_CODE_SERVER.SEND_JITTER_MS,
+      maxAttempts: envConfig.QR_CODE_SERVER.SEND_MAX_ATTEMPTS,
+    });
+    // Reminders and other messages from the server are paced like the
+    // bot's replies, and sent from the number the person last checked in
+    // with
+    const sendMessage = async (phoneNumber, text) => {
+      const digits = phoneNumber.replace(/\D/g, '');
+      // Check-ins are stored under the normalized '+<digits>' number
+      const whatsappClientId = await checkInRepository.getLastWhatsAppClientId(
+        `+${digits}`,
+      );
+      return messageQueueService.enqueue(formatUserIdWA(digits), text, {
+        whatsappClientId,
+      });
+    };
 
     configRepository = new ConfigRepository(dbConnection);
     checkInRepository = new CheckInRepository(dbConnection);
+    checkInPhotoRepository = new CheckInPhotoRepository(dbConnection);
+    locationRepository = new LocationRepository(dbConnection);
+    displayRepository = new DisplayRepository(dbConnection);
+    displayService = new DisplayService({ displayRepository });
+    shiftRepository = new ShiftRepository(dbConnection);
+    shiftService = new ShiftService({ shiftRepository });
+    leaveRepository = new LeaveRepository(dbConnection);
+    leaveService = new LeaveService({ leaveRepository });
+    peopleRepository = new PeopleRepository(dbConnection);
+    groupRepository = new GroupRepository(dbConnection);
+    groupService = new GroupService({ groupRepository, peopleRepository });
+    templateService = new TemplateService({
+      configRepository,
+      peopleRepository,
+      groupRepository,
+    });
+    await templateService.load();
+    rosterService = new RosterService({
+      peopleRepository,
+      groupRepository,
+      configRepository,
+      nameListStorage: nameListSheetStorage,
+      sheetId: envConfig.DEFAULT_SHEET.ID,
+      sheetName: envConfig.DEFAULT_SHEET.NAME_LIST,
+      syncIntervalMinutes: envConfig.QR_CODE_SERVER.ROSTER_SYNC_MINUTES,
+      onRegistrationDecided: (person) =>
+        registrationService.applyDecision(person),
+    });
+    conversationRepository = new ConversationRepository(dbConnection);
+    // Keep conversations that timed out lately, so the bot can still tell
+    // their users the flow was reset
+    await conversationRepository.deleteExpiredConversations(
+      new Date(Date.now() - EXPIRED_CONVERSATION_GRACE_MS),
+    );
+    identityRepository = new IdentityRepository(dbConnection);
+    scheduleRepository = new ScheduleRepository(dbConnection);
+    scheduleService = new ScheduleService({
+      scheduleRepository,
+      configRepository,
+      checkInRepository,
+      leaveService,
+      resolveGroupIds: (phoneNumber) => rosterService.getGroupIds(phoneNumber),
+      listPeople: () => rosterService.getActivePeople(),
+    });
+    await scheduleService.load();
+    scheduledRunRepository = new ScheduledRunRepository(dbConnection);
+    schedulerService = new SchedulerService({
+      scheduleService,
+      scheduleRepository,
+      scheduledRunRepository,
+      configRepository,
+      templateService,
+      sendMessage,
+      getGroupManagers: (groupId) => groupRepository.getManagers(groupId),
+      managerPhoneNumbers: envConfig.MANAGER_PHONE_NUMBERS,
+    });
+    await schedulerService.load();
+    exportService = new ExportService({
+      checkInRepository,
+      peopleRepository,
+      shiftRepository,
+      configRepository,
+    });
+    await exportService.load();
+    reportService = new ReportService({
+      checkInRepository,
+      groupRepository,
+      leaveService,
+      managerPhoneNumbers: envConfig.MANAGER_PHONE_NUMBERS,
+    });
+    payrollService = new PayrollService({
+      shiftRepository,
+      shiftService,
+      peopleRepository,
+      configRepository,
+      payrollStorage: payrollSheetStorage,
+      sheetId: envConfig.DEFAULT_SHEET.ID,
+      sheetName: envConfig.DEFAULT_SHEET.PAYROLL,
+    });
+    await payrollService.load();
 
     // Get OTP secret from database or use environment variable
     let otpSecret;
@@ -76,9 +327,38 @@ async function initializeQRServices() {
       }
     }
 
-    // Initialize OTP service
+    // Initialize OTP services, one per location
     try {
-      otpService = new OTPService(otpSecret);
+      locationService = new LocationService({
+        locationRepository,
+        defaultSecret: otpSecret,
+      });
+      await locationService.load();
+      otpService = locationService.getLocation().otpService;
+      sessionRepository = new SessionRepository(dbConnection);
+      sessionService = new SessionService({
+        sessionRepository,
+        groupRepository,
+        locationService,
+        resolveGroupIds: (phoneNumber) =>
+          rosterService.getGroupIds(phoneNumber),
+      });
+      await sessionService.load();
+      checkInService = new CheckInService({
+        locationService,
+        checkInRepository,
+        shiftService,
+        scheduleService,
+        rosterService,
+        sessionService,
+      });
+      registrationService = new RegistrationService({
+        peopleRepository,
+        checkInService,
+        templateService,
+        sendMessage,
+        isClientReady,
+      });
       logger.info('OTP service initialized successfully');
     } catch (error) {
       logger.logSystemError('otp_service_init', error);
@@ -88,14 +368,20 @@ async function initializeQRServices() {
     // Initialize WhatsApp service with configuration
     try {
       const whatsappConfig = {
-        whatsappNumber: envConfig.PHONE_NUMBER,
+        whatsappNumber: clients.get()?.phoneNumber || envConfig.PHONE_NUMBER,
+        whatsappNumbers: Object.fromEntries(
+          clients.list().map(({ id, phoneNumber }) => [id, phoneNumber]),
+        ),
         messageTemplate:
           envConfig.QR_CODE_SERVER.WHATSAPP_MESSAGE_TEMPLATE ||
           'Check-in code: {otp}',
+        checkoutMessageTemplate:
+          envConfig.QR_CODE_SERVER.WHATSAPP_CHECKOUT_MESSAGE_TEMPLATE,
       };
       whatsappService = new WhatsAppService(whatsappConfig);
       logger.info('WhatsApp service initialized successfully', {
         whatsappNumber: whatsappConfig.whatsappNumber,
+        whatsappClients: Object.keys(whatsappConfig.whatsappNumbers),
       });
     } catch (error) {
       logger.logSystemError('whatsapp_service_init', error);
@@ -116,10 +402,129 @@ async function initializeQRServices() {
   }
 }
 
+/**
+ * Require an enrolled display token (X-Display-Token header) so the live OTP
+ * can only be fetched by registered kiosks, not from anywhere on the internet
+ */
+const authenticateDisplay = asyncHandler(async (req, res, next) => {
+  if (!displayService) {
+    return res
+      .status(503)
+      .json(
+        createDegradedResponse(
+          'display_service',
+          'Display authentication is not available',
+        ),
+      );
+  }
+
+  const token = req.get('X-Display-Token');
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: ERROR_CODES.DISPLAY_TOKEN_REQUIRED,
+        message: 'This display is not registered',
+      },
+    });
+  }
+
+  const display = await displayService.authenticate(token);
+  if (!display) {
+    logger.warn('Rejected display token', {
+      ip: req.ip,
+      url: req.originalUrl,
+    });
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: ERROR_CODES.DISPLAY_TOKEN_INVALID,
+        message: 'Display token is invalid or has been revoked',
+      },
+    });
+  }
+
+  req.display = display;
+  next();
+});
+
+/**
+ * Resolve the location shown by the requesting display. Enrolled displays are
+ * bound to their location; ?location= is only a fallback. Sends a 404 and
+ * returns null for unknown ids.
+ */
+function resolveDisplayLocation(req, res) {
+  const locationId = req.display?.location_id ?? req.query.location;
+  const location = locationService.getLocation(locationId);
+
+  if (!location) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: ERROR_CODES.LOCATION_NOT_FOUND,
+        message: `Location '${locationId}' not found`,
+      },
+    });
+    return null;
+  }
+
+  return location;
+}
+
+/**
+ * Find the open session of a display's location. When the location has
+ * sessions but none is open, sends a response without a code, so the display
+ * shows that there is no active session, and returns null.
+ * @returns {{ session: Object|null }|null}
+ */
+function resolveDisplaySession(res, location) {
+  if (!sessionService?.hasSessions(location.id)) return { session: null };
+
+  const [session] = sessionService.getOpenSessions(location.id);
+  if (session) return { session };
+
+  res.json({
+    success: true,
+    data: {
+      otp: null,
+      session: null,
+      nextSession: sessionService.getNextSession(location.id),
+      message: 'No active session',
+      location: { id: location.id, name: location.name },
+    },
+  });
+  return null;
+}
+
+/**
+ * Resolve the ?eventType= of a QR request; check-in when missing. Sends a 400
+ * and returns null for unknown types.
+ */
+function resolveEventType(req, res) {
+  if (!req.query.eventType) return 'check_in';
+
+  const result = EventTypeValidator.validate(req.query.eventType);
+  if (!result.valid) {
+    res.status(result.error.statusCode).json(result.error.toJSON());
+    return null;
+  }
+
+  return result.normalized;
+}
+
 // Rate limiting with enhanced logging
+// Calls made with SECRET_KEY, by the bot and by admins, are not counted, so a
+// busy morning of check-ins cannot lock the bot out of the API; check-ins
+// still count against the per-person checkInLimiter
+const hasAdminToken = (req) => {
+  const token = req.headers['authorization']?.split(' ')[1];
+  return Boolean(token) && token === process.env.SECRET_KEY;
+};
+
 const apiLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 100, // limit each IP to 100 requests per windowMs
+  skip: hasAdminToken,
   message: {
     success: false,
     error: {
@@ -145,7 +550,12 @@ const apiLimiter = rateLimit({
 
 const checkInLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
-  max: 10, // limit each IP to 10 check-in attempts per minute
+  max: 10, // limit each person to 10 check-in attempts per minute
+  // Check-ins all arrive from the bot, so they are counted by the person's
+  // canonical phone number rather than by IP
+  keyGenerator: (req) =>
+    PhoneNumberValidator.validate(req.body?.phoneNumber).normalized ??
+    ipKeyGenerator(req.ip),
   message: {
     success: false,
     error: {
@@ -180,8 +590,12 @@ const EXTRA = (process.env.ALLOW_ORIGINS || '')
   .filter(Boolean);
 
 export class ExpressServer {
-  constructor(client) {
-    this.client = client;
+  /**
+   * @param {import('#src/libs/whatsapp-clients.js').WhatsAppClients} [clients]
+   *   - The WhatsApp clients, one per number; their state is shown on /health
+   */
+  constructor(clients = new WhatsAppClients()) {
+    this.clients = clients;
     this.app = express();
     this.port = envConfig.WHATSAPP_PORT;
 
@@ -262,82 +676,44 @@ export class ExpressServer {
   }
 
   setupRoutes() {
-    // Health check endpoint
+    // Health check endpoint. A client waiting to be linked or logged out
+    // needs a person, not a restart, so it is reported with a 200; only a
+    // client stuck starting or restarting past the grace period answers 503
     this.app.get('/health', (req, res) => {
-      res.status(200).json({
-        status: 'ok',
+      const clients = this.clients.list();
+      const unhealthy = clients.some(({ supervisor }) =>
+        supervisor?.isStuck(envConfig.WHATSAPP_CLIENT.HEALTH_GRACE_MS),
+      );
+      const allReady =
+        clients.length > 0 &&
+        clients.every(({ id }) => this.clients.isReady(id));
+
+      res.status(unhealthy ? 503 : 200).json({
+        status: unhealthy ? 'unhealthy' : allReady ? 'ok' : 'degraded',
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
-        client_ready: this.client?.info?.pushname ? true : false,
+        client_ready: allReady,
+        ...(this.clients.get()?.supervisor && {
+          whatsapp: this.clients.get().supervisor.getStatus(),
+          whatsapp_clients: Object.fromEntries(
+            clients.map(({ id, supervisor }) => [id, supervisor?.getStatus()]),
+          ),
+        }),
       });
     });
 
-    // Health check endpoint with comprehensive status
-    this.app.get(
-      '/health',
-      asyncHandler(async (req, res) => {
-        try {
-          const healthStatus = {
-            status: 'ok',
-            timestamp: new Date().toISOString(),
-            services: {
-              otp: otpService ? 'available' : 'unavailable',
-              whatsapp: whatsappService ? 'available' : 'unavailable',
-              database: 'unknown',
-              checkInRepository: 'unknown',
-            },
-          };
-
-          // Check database health if available
-          if (checkInRepository) {
-            try {
-              const dbHealth = await checkInRepository.getHealthStatus();
-              healthStatus.services.database = dbHealth.status;
-              healthStatus.services.checkInRepository = dbHealth.status;
-              healthStatus.database = dbHealth;
-            } catch (error) {
-              healthStatus.services.database = 'unhealthy';
-              healthStatus.services.checkInRepository = 'unhealthy';
-              healthStatus.database = {
-                status: 'unhealthy',
-                error: error.message,
-              };
-            }
-          }
-
-          // Determine overall status
-          const unhealthyServices = Object.values(healthStatus.services).filter(
-            (status) => status === 'unavailable' || status === 'unhealthy',
-          );
-
-          if (unhealthyServices.length > 0) {
-            healthStatus.status = 'degraded';
-            res.status(503);
-          }
-
-          res.json(healthStatus);
-        } catch (error) {
-          logger.logSystemError('health_check', error);
-          res.status(500).json({
-            status: 'error',
-            timestamp: new Date().toISOString(),
-            error: error.message,
-          });
-        }
-      }),
-    );
-
     // API Routes
 
     /**
      * GET /api/current-otp
-     * Returns current OTP and expiry information
+     * Returns current OTP and expiry information (enrolled displays only)
      */
     this.app.get(
       '/api/current-otp',
+      authenticateDisplay,
       asyncHandler(async (req, res) => {
         try {
-          if (!otpService) {
+          if (!locationService) {
             return res.status(503).json({
               success: false,
               error: {
@@ -347,7 +723,13 @@ export class ExpressServer {
             });
           }
 
-          const otpData = otpService.getCurrentOTP();
+          const location = resolveDisplayLocation(req, res);
+          if (!location) return;
+
+          const open = resolveDisplaySession(res, location);
+          if (!open) return;
+
+          const otpData = location.otpService.getCurrentOTP();
 
           res.json({
             success: true,
@@ -357,6 +739,8 @@ export class ExpressServer {
               expiresAt: otpData.expiresAt,
               nextOtp: otpData.nextOtp,
               generatedAt: otpData.generatedAt,
+              location: { id: location.id, name: location.name },
+              session: open.session,
             },
           });
         } catch (error) {
@@ -382,6 +766,7 @@ export class ExpressServer {
       createValidationMiddleware({
         otp: { type: 'otp', required: true },
         phoneNumber: { type: 'phone', required: true },
+        eventType: { type: 'eventType', required: false },
         timestamp: {
           type: 'timestamp',
           required: false,
@@ -390,9 +775,10 @@ export class ExpressServer {
       }),
       asyncHandler(async (req, res) => {
         const { otp, phoneNumber, timestamp } = req.validated;
+        const eventType = req.validated.eventType ?? 'check_in';
 
         // Check service availability with graceful degradation
-        if (!otpService) {
+        if (!locationService) {
           logger.error('OTP service unavailable during check-in attempt', {
             phoneNumber: logger.maskPhoneNumber(phoneNumber),
             otp: otp ? otp.substring(0, 2) + '****' : null,
@@ -407,7 +793,7 @@ export class ExpressServer {
             );
         }
 
-        if (!checkInRepository) {
+        if (!checkInService) {
           logger.error(
             'Check-in repository unavailable during check-in attempt',
             {
@@ -425,29 +811,57 @@ export class ExpressServer {
             );
         }
 
+        // The WhatsApp client that received the code, when the bot sent it
+        const whatsappClientId = req.body.whatsappClientId ?? null;
+        if (
+          whatsappClientId !== null &&
+          !whatsappService?.hasClient(whatsappClientId)
+        ) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: ERROR_CODES.INVALID_WHATSAPP_CLIENT,
+              message: "'whatsappClientId' must be the id of a WhatsApp client",
+            },
+          });
+        }
+
         // Use validated timestamp or current time
         const checkInTime = timestamp || new Date();
 
         try {
-          // Validate OTP
-          const validation = otpService.validateOTP(otp, checkInTime.getTime());
-
-          // Record check-in regardless of validation result
-          const checkInId = await checkInRepository.recordCheckIn(
+          // Validate against every location's code, detect duplicates and
+          // record the check-in regardless of the result
+          const {
+            checkInId,
+            status,
+            validation,
+            location,
+            session,
+            nextSession,
+            duplicateOf,
+            person,
+            registration,
+            attendance,
+            shift,
+            day,
+            missingCheckOuts,
+            streak,
+          } = await checkInService.processCheckIn({
             phoneNumber,
             otp,
-            validation.valid
-              ? 'valid'
-              : validation.reason === 'EXPIRED_OR_INVALID'
-                ? 'expired'
-                : 'invalid',
-            checkInTime,
-          );
+            timestamp: checkInTime,
+            eventType,
+            whatsappClientId,
+          });
 
-          if (validation.valid) {
+          if (status === 'valid') {
             logger.info('Check-in successful', {
               checkinId: checkInId,
               phoneNumber: logger.maskPhoneNumber(phoneNumber),
+              locationId: validation.locationId,
+              eventType,
+              attendanceStatus: attendance?.status,
               timeWindow: validation.timeWindow,
               timestamp: checkInTime.toISOString(),
             });
@@ -456,9 +870,90 @@ export class ExpressServer {
               success: true,
               data: {
                 checkinId: checkInId,
+                eventType,
                 message: validation.message,
                 timeWindow: validation.timeWindow,
                 timestamp: checkInTime.toISOString(),
+                location: { id: location.id, name: location.name },
+                session,
+                person: person && {
+                  displayName: person.displayName,
+                  employeeId: person.employeeId,
+                  groupIds: person.groupIds,
+                },
+                attendance,
+                shift: shift && toShiftResponse(shift),
+                day: day && toDailyHoursResponse(day),
+                missingCheckOuts: missingCheckOuts.map(toShiftResponse),
+                streak,
+              },
+            });
+          } else if (status === 'held') {
+            // Valid code from an unknown number, waiting for an admin
+            res.status(202).json({
+              success: true,
+              data: {
+                held: true,
+                registration,
+                checkinId: checkInId,
+                eventType,
+                message: 'Check-in is waiting for approval',
+                timestamp: checkInTime.toISOString(),
+                location: { id: location.id, name: location.name },
+                session,
+              },
+            });
+          } else if (status === 'unregistered') {
+            res.status(403).json({
+              success: false,
+              error: {
+                code: ERROR_CODES.PHONE_NOT_REGISTERED,
+                message: 'This phone number is not registered',
+                checkinId: checkInId,
+                timestamp: checkInTime.toISOString(),
+              },
+            });
+          } else if (status === 'no_session') {
+            res.status(403).json({
+              success: false,
+              error: {
+                code: ERROR_CODES.NO_ACTIVE_SESSION,
+                message: 'No session is open at this location',
+                checkinId: checkInId,
+                timestamp: checkInTime.toISOString(),
+                location: { id: location.id, name: location.name },
+                nextSession,
+              },
+            });
+          } else if (status === 'not_in_group') {
+            res.status(403).json({
+              success: false,
+              error: {
+                code: ERROR_CODES.NOT_IN_SESSION_GROUP,
+                message: 'The open session is for another group',
+                checkinId: checkInId,
+                timestamp: checkInTime.toISOString(),
+                location: { id: location.id, name: location.name },
+                session,
+              },
+            });
+          } else if (status === 'duplicate') {
+            res.status(409).json({
+              success: false,
+              error: {
+                code: ERROR_CODES.DUPLICATE_CHECKIN,
+                message:
+                  eventType === 'check_out'
+                    ? 'Already checked out'
+                    : 'Already checked in',
+                eventType,
+                checkinId: checkInId,
+                timestamp: checkInTime.toISOString(),
+                previousCheckIn: {
+                  id: duplicateOf.id,
+                  timestamp: duplicateOf.timestamp,
+                  locationId: duplicateOf.location_id,
+                },
               },
             });
           } else {
@@ -496,6 +991,7 @@ export class ExpressServer {
                 otp,
                 'error',
                 checkInTime,
+                { eventType },
               );
             }
           } catch (recordError) {
@@ -539,14 +1035,18 @@ export class ExpressServer {
               success: false,
               error: {
                 code: 'INVALID_OTP_FORMAT',
-                message: 'OTP must be a 6-character alphanumeric string',
+                message: `OTP must be a ${otpFormat.description}`,
               },
             });
           }
 
+          const eventType = resolveEventType(req, res);
+          if (!eventType) return;
+
           const options = {
             qrOptimized: qrOptimized === 'true',
             includeTimestamp: includeTimestamp === 'true',
+            eventType,
           };
 
           let whatsappURL;
@@ -650,13 +1150,16 @@ export class ExpressServer {
               success: false,
               error: {
                 code: 'INVALID_OTP_FORMAT',
-                message: 'OTP must be a 6-character alphanumeric string',
+                message: `OTP must be a ${otpFormat.description}`,
               },
             });
           }
 
+          const eventType = resolveEventType(req, res);
+          if (!eventType) return;
+
           // Generate WhatsApp URL
-          const options = { qrOptimized: true };
+          const options = { qrOptimized: true, eventType };
           let whatsappURL;
 
           if (format === 'web') {
@@ -705,9 +1208,10 @@ export class ExpressServer {
      */
     this.app.get(
       '/api/current-otp-with-qr',
+      authenticateDisplay,
       asyncHandler(async (req, res) => {
         try {
-          if (!otpService || !whatsappService) {
+          if (!locationService || !whatsappService) {
             return res.status(503).json({
               success: false,
               error: {
@@ -717,11 +1221,25 @@ export class ExpressServer {
             });
           }
 
+          const location = resolveDisplayLocation(req, res);
+          if (!location) return;
+
+          const eventType = resolveEventType(req, res);
+          if (!eventType) return;
+
+          const open = resolveDisplaySession(res, location);
+          if (!open) return;
+
           const { format = 'mobile', size = 200 } = req.query;
-          const otpData = otpService.getCurrentOTP();
+          const otpData = location.otpService.getCurrentOTP();
 
           // Generate WhatsApp URL
-          const options = { qrOptimized: true };
+          // The code is sent to the number of the location's WhatsApp client
+          const options = {
+            qrOptimized: true,
+            eventType,
+            clientId: location.whatsappClientId,
+          };
           let whatsappURL;
 
           if (format === 'web') {
@@ -757,7 +1275,12 @@ export class ExpressServer {
               generatedAt: otpData.generatedAt,
               whatsappURL: whatsappURL,
               qrCodeDataURL: qrCodeDataURL,
-              whatsappConfig: whatsappService.getConfig(),
+              whatsappConfig: whatsappService.getConfig(
+                location.whatsappClientId,
+              ),
+              eventType,
+              location: { id: location.id, name: location.name },
+              session: open.session,
             },
           });
         } catch (error) {
@@ -779,9 +1302,10 @@ export class ExpressServer {
      */
     this.app.get(
       '/api/current-otp-with-whatsapp',
+      authenticateDisplay,
       asyncHandler(async (req, res) => {
         try {
-          if (!otpService || !whatsappService) {
+          if (!locationService || !whatsappService) {
             return res.status(503).json({
               success: false,
               error: {
@@ -791,11 +1315,22 @@ export class ExpressServer {
             });
           }
 
+          const location = resolveDisplayLocation(req, res);
+          if (!location) return;
+
+          const eventType = resolveEventType(req, res);
+          if (!eventType) return;
+
+          const open = resolveDisplaySession(res, location);
+          if (!open) return;
+
           const { format = 'mobile', qrOptimized = 'true' } = req.query;
-          const otpData = otpService.getCurrentOTP();
+          const otpData = location.otpService.getCurrentOTP();
 
           const options = {
             qrOptimized: qrOptimized === 'true',
+            eventType,
+            clientId: location.whatsappClientId,
           };
 
           let whatsappURL;
@@ -825,7 +1360,12 @@ export class ExpressServer {
               nextOtp: otpData.nextOtp,
               generatedAt: otpData.generatedAt,
               whatsappURL: whatsappURL,
-              whatsappConfig: whatsappService.getConfig(),
+              whatsappConfig: whatsappService.getConfig(
+                location.whatsappClientId,
+              ),
+              eventType,
+              location: { id: location.id, name: location.name },
+              session: open.session,
             },
           });
         } catch (error) {
@@ -863,10 +1403,33 @@ export class ExpressServer {
             );
         }
 
-        const { date, startDate, endDate, phone, limit } = req.query;
+        const { date, startDate, endDate, phone, limit, group, session } =
+          req.query;
         let checkIns = [];
 
         try {
+          if (group !== undefined) {
+            if (!groupRepository) {
+              return res
+                .status(503)
+                .json(
+                  createDegradedResponse(
+                    'group_repository',
+                    'Groups are not available',
+                  ),
+                );
+            }
+            if (!(await groupRepository.getGroup(group))) {
+              return res.status(404).json({
+                success: false,
+                error: {
+                  code: ERROR_CODES.GROUP_NOT_FOUND,
+                  message: `Group '${group}' not found`,
+                },
+              });
+            }
+          }
+
           if (phone) {
             // Validate phone number format
             const phoneValidation = PhoneNumberValidator.validate(phone);
@@ -910,6 +1473,7 @@ export class ExpressServer {
             checkIns = await checkInRepository.getCheckInsByDateRange(
               dateValidation.normalized,
               dateValidation.normalized,
+              { groupId: group, sessionId: session },
             );
 
             logger.info('Retrieved check-ins by date', {
@@ -931,6 +1495,7 @@ export class ExpressServer {
             checkIns = await checkInRepository.getCheckInsByDateRange(
               rangeValidation.startDate,
               rangeValidation.endDate,
+              { groupId: group, sessionId: session },
             );
 
             logger.info('Retrieved check-ins by date range', {
@@ -940,7 +1505,10 @@ export class ExpressServer {
             });
           } else {
             // Default: today's check-ins
-            checkIns = await checkInRepository.getTodaysCheckIns();
+            checkIns = await checkInRepository.getTodaysCheckIns({
+              groupId: group,
+              sessionId: session,
+            });
 
             logger.info("Retrieved today's check-ins", {
               count: checkIns.length,
@@ -958,6 +1526,8 @@ export class ExpressServer {
                 endDate,
                 phone: phone ? logger.maskPhoneNumber(phone) : undefined,
                 limit,
+                group,
+                session,
               },
             },
           });
@@ -975,10 +1545,88 @@ export class ExpressServer {
         }
       }),
     );
+
+    // Admin routes
+    registerLocationRoutes(this.app, {
+      getServices,
+      authenticateToken: this.authenticateToken,
+    });
+    registerDisplayRoutes(this.app, {
+      getServices,
+      authenticateToken: this.authenticateToken,
+    });
+    registerHoursRoutes(this.app, {
+      getServices,
+      authenticateToken: this.authenticateToken,
+    });
+    registerScheduleRoutes(this.app, {
+      getServices,
+      authenticateToken: this.authenticateToken,
+    });
+    registerSchedulerRoutes(this.app, {
+      getServices,
+      authenticateToken: this.authenticateToken,
+    });
+    registerLeaveRoutes(this.app, {
+      getServices,
+      authenticateToken: this.authenticateToken,
+    });
+    registerPeopleRoutes(this.app, {
+      getServices,
+      authenticateToken: this.authenticateToken,
+    });
+    registerConversationRoutes(this.app, {
+      getServices,
+      authenticateToken: this.authenticateToken,
+    });
+    registerGroupRoutes(this.app, {
+      getServices,
+      authenticateToken: this.authenticateToken,
+    });
+    registerSessionRoutes(this.app, {
+      getServices,
+      authenticateToken: this.authenticateToken,
+    });
+    registerExportRoutes(this.app, {
+      getServices,
+      authenticateToken: this.authenticateToken,
+    });
+    registerPayrollRoutes(this.app, {
+      getServices,
+      authenticateToken: this.authenticateToken,
+    });
+    registerTemplateRoutes(this.app, {
+      getServices,
+      authenticateToken: this.authenticateToken,
+    });
+    registerPhotoRoutes(this.app, {
+      getServices,
+      authenticateToken: this.authenticateToken,
+    });
+    registerIdentityRoutes(this.app, {
+      getServices,
+      authenticateToken: this.authenticateToken,
+    });
+    registerMessageRoutes(this.app, {
+      getServices,
+      authenticateToken: this.authenticateToken,
+    });
+    registerReportRoutes(this.app, {
+      getServices,
+      authenticateToken: this.authenticateToken,
+    });
+    registerWhatsAppRoutes(this.app, {
+      clients: this.clients,
+      authenticateToken: this.authenticateToken,
+    });
   }
 
   async start() {
-    await initializeQRServices();
+    await initializeQRServices(this.clients);
+    schedulerService.start();
+    rosterService.start();
+    messageQueueService.start();
+
     const server = this.app.listen(this.port, () => {
       console.info(`Server is running on http://localhost:${this.port}`);
     });
@@ -991,4 +1639,10 @@ export class ExpressServer {
 
     return server;
   }
+
+  stop() {
+    schedulerService?.stop();
+    rosterService?.stop();
+    messageQueueService?.stop();
+  }
 }
@@ -0,0 +1,169 @@
+import errorHandler from '#src/qr-server/utils/errorHandler.js';
+
+const { asyncHandler, createDegradedResponse, ERROR_CODES } = errorHandler;
+
+const MAX_NAME_LENGTH = 50;
+const DEFAULT_TTL_MINUTES = 30;
+const MAX_TTL_MINUTES = 7 * 24 * 60;
+
+const isName = (value) =>
+  typeof value === 'string' &&
+  value.length > 0 &&
+  value.length <= MAX_NAME_LENGTH;
+
+const toConversationResponse = (conversation) => ({
+  userId: conversation.user_id,
+  flow: conversation.flow,
+  step: conversation.step,
+  data: conversation.data,
+  expiresAt: conversation.expires_at,
+  expired: new Date(conversation.expires_at) <= new Date(),
+  updatedAt: conversation.updated_at,
+});
+
+/**
+ * Validate a conversation from the request body
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateConversation({ flow, step, data, ttlMinutes }) {
+  if (!isName(flow)) {
+    return `'flow' must be 1 to ${MAX_NAME_LENGTH} characters`;
+  }
+  if (!isName(step)) {
+    return `'step' must be 1 to ${MAX_NAME_LENGTH} characters`;
+  }
+  if (
+    data !== undefined &&
+    (data === null || typeof data !== 'object' || Array.isArray(data))
+  ) {
+    return "'data' must be an object";
+  }
+  if (
+    ttlMinutes !== undefined &&
+    !(
+      Number.isInteger(ttlMinutes) &&
+      ttlMinutes > 0 &&
+      ttlMinutes <= MAX_TTL_MINUTES
+    )
+  ) {
+    return `'ttlMinutes' must be 1 to ${MAX_TTL_MINUTES}`;
+  }
+  return null;
+}
+
+/**
+ * Admin routes for the state of multi-step WhatsApp conversations. The bot
+ * keeps its conversations here so they survive a restart.
+ * @param {import('express').Express} app
+ * @param {Object} options
+ * @param {Function} options.getServices - Returns the initialized services
+ * @param {Function} options.authenticateToken - Admin auth middleware
+ */
+export function registerConversationRoutes(
+  app,
+  { getServices, authenticateToken },
+) {
+  const requireServices = (req, res, next) => {
+    const { conversationRepository } = getServices();
+    if (!conversationRepository) {
+      return res
+        .status(503)
+        .json(
+          createDegradedResponse(
+            'conversation_store',
+            'Conversation store is not available',
+          ),
+        );
+    }
+    next();
+  };
+
+  /**
+   * GET /api/admin/conversations/:userId
+   * The conversation in progress with a WhatsApp user. With
+   * ?includeExpired=true a conversation that timed out is returned too, with
+   * `expired` set, until the bot clears it.
+   */
+  app.get(
+    '/api/admin/conversations/:userId',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { conversationRepository } = getServices();
+      const conversation = await conversationRepository.getConversation(
+        req.params.userId,
+        new Date(),
+        { includeExpired: req.query.includeExpired === 'true' },
+      );
+
+      if (!conversation) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.CONVERSATION_NOT_FOUND,
+            message: 'No conversation in progress',
+          },
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { conversation: toConversationResponse(conversation) },
+      });
+    }),
+  );
+
+  /**
+   * PUT /api/admin/conversations/:userId
+   * Starts or moves on a conversation: { flow, step, data?, ttlMinutes? }
+   */
+  app.put(
+    '/api/admin/conversations/:userId',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { conversationRepository } = getServices();
+      const error = validateConversation(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: { code: ERROR_CODES.INVALID_CONVERSATION, message: error },
+        });
+      }
+
+      const { flow, step, data, ttlMinutes = DEFAULT_TTL_MINUTES } = req.body;
+      const conversation = await conversationRepository.saveConversation(
+        req.params.userId,
+        {
+          flow,
+          step,
+          data,
+          expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+        },
+      );
+
+      res.json({
+        success: true,
+        data: { conversation: toConversationResponse(conversation) },
+      });
+    }),
+  );
+
+  /**
+   * DELETE /api/admin/conversations/:userId
+   * Ends the conversation in progress, if any
+   */
+  app.delete(
+    '/api/admin/conversations/:userId',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { conversationRepository } = getServices();
+      const deleted = await conversationRepository.deleteConversation(
+        req.params.userId,
+      );
+
+      res.json({ success: true, data: { deleted } });
+    }),
+  );
+}
@@ -0,0 +1,211 @@
+import rateLimit from 'express-rate-limit';
+
+import errorHandler from '#src/qr-server/utils/errorHandler.js';
+import logger from '#src/qr-server/utils/logger.js';
+
+const { asyncHandler, createDegradedResponse, ERROR_CODES } = errorHandler;
+
+// Enrollment codes are short, so guessing them must be slow
+const registrationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 registration attempts per window
+  handler: (req, res) => {
+    logger.warn('Display registration rate limit exceeded', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+    res.status(429).json({
+      success: false,
+      error: {
+        code: ERROR_CODES.RATE_LIMIT_EXCEEDED,
+        message: 'Too many registration attempts, please try again later',
+      },
+    });
+  },
+});
+
+const toDisplayResponse = (display) => ({
+  id: display.id,
+  name: display.name,
+  locationId: display.location_id,
+  status: display.revoked_at
+    ? 'revoked'
+    : display.enrolled_at
+      ? 'enrolled'
+      : 'pending',
+  enrollmentExpiresAt: display.enrolled_at
+    ? null
+    : display.enrollment_expires_at,
+  enrolledAt: display.enrolled_at,
+  lastSeenAt: display.last_seen_at,
+  revokedAt: display.revoked_at,
+  createdAt: display.created_at,
+});
+
+/**
+ * Display enrollment routes: admins create and revoke displays, kiosks
+ * exchange an enrollment code for their long-lived display token
+ * @param {import('express').Express} app
+ * @param {Object} options
+ * @param {Function} options.getServices - Returns the initialized services
+ * @param {Function} options.authenticateToken - Admin auth middleware
+ */
+export function registerDisplayRoutes(app, { getServices, authenticateToken }) {
+  const requireServices = (req, res, next) => {
+    if (!getServices().displayService) {
+      return res
+        .status(503)
+        .json(
+          createDegradedResponse(
+            'display_service',
+            'Display service is not available',
+          ),
+        );
+    }
+    next();
+  };
+
+  /**
+   * GET /api/admin/displays
+   * Lists displays and their enrollment status
+   */
+  app.get(
+    '/api/admin/displays',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { displayRepository } = getServices();
+      const displays = await displayRepository.getDisplays({
+        includeRevoked: req.query.includeRevoked === 'true',
+      });
+
+      res.json({
+        success: true,
+        data: {
+          displays: displays.map(toDisplayResponse),
+          count: displays.length,
+        },
+      });
+    }),
+  );
+
+  /**
+   * POST /api/admin/displays
+   * Creates a display and returns its one-time enrollment code
+   */
+  app.post(
+    '/api/admin/displays',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { displayService, locationService } = getServices();
+      const { name, locationId } = req.body;
+
+      if (!name || typeof name !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.MISSING_REQUIRED_FIELD,
+            message: "Required field 'name' is missing",
+          },
+        });
+      }
+
+      const location = locationService.getLocation(locationId);
+      if (!location) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.LOCATION_NOT_FOUND,
+            message: `Location '${locationId}' not found`,
+          },
+        });
+      }
+
+      const { display, enrollmentCode, expiresAt } =
+        await displayService.createEnrollment({
+          name: name.trim(),
+          locationId: location.id,
+        });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          display: toDisplayResponse(display),
+          enrollmentCode,
+          expiresAt,
+          displayURL: locationService.getDisplayURL(location.id),
+        },
+      });
+    }),
+  );
+
+  /**
+   * DELETE /api/admin/displays/:id
+   * Revokes a display; its token stops working immediately
+   */
+  app.delete(
+    '/api/admin/displays/:id',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { displayService, displayRepository } = getServices();
+      const revoked = await displayService.revoke(req.params.id);
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.DISPLAY_NOT_FOUND,
+            message: `Display '${req.params.id}' not found or already revoked`,
+          },
+        });
+      }
+
+      const display = await displayRepository.getDisplay(req.params.id);
+      res.json({
+        success: true,
+        data: { display: toDisplayResponse(display) },
+      });
+    }),
+  );
+
+  /**
+   * POST /api/displays/register
+   * Exchanges an enrollment code for a display token (called by the kiosk)
+   */
+  app.post(
+    '/api/displays/register',
+    registrationLimiter,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { displayService } = getServices();
+      const registration = await displayService.register(
+        req.body.enrollmentCode,
+      );
+
+      if (!registration) {
+        logger.warn('Display registration failed', { ip: req.ip });
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.INVALID_ENROLLMENT_CODE,
+            message: 'Enrollment code is invalid or has expired',
+          },
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: {
+          token: registration.token,
+          display: {
+            id: registration.display.id,
+            name: registration.display.name,
+            locationId: registration.display.location_id,
+          },
+        },
+      });
+    }),
+  );
+}
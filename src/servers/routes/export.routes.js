@@ -0,0 +1,317 @@
+import ExcelJS from 'exceljs';
+import { DateTime } from 'luxon';
+
+import { envConfig } from '#src/configs/environment.js';
+import {
+  EXPORT_FORMATS,
+  EXPORT_REPORTS,
+  toCell,
+  toCsvLine,
+} from '#src/qr-server/services/exportService.js';
+import errorHandler from '#src/qr-server/utils/errorHandler.js';
+import logger from '#src/qr-server/utils/logger.js';
+import validation from '#src/qr-server/utils/validation.js';
+
+const { asyncHandler, createDegradedResponse, ERROR_CODES } = errorHandler;
+const { DateValidator, PhoneNumberValidator } = validation;
+
+// Larger ranges can still be exported as JSON Lines, which is streamed
+const MAX_SPREADSHEET_DAYS = 366;
+
+const MONTH_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  jsonl: 'application/x-ndjson; charset=utf-8',
+};
+
+const invalidExport = (res, message) =>
+  res.status(400).json({
+    success: false,
+    error: { code: ERROR_CODES.INVALID_EXPORT, message },
+  });
+
+const toWorkDate = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Write a chunk and wait while the client catches up. Resolves false once
+ * the client has gone away.
+ */
+async function write(res, chunk) {
+  if (res.destroyed) return false;
+  if (!res.write(chunk)) {
+    await new Promise((resolve) => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+  }
+  return !res.destroyed;
+}
+
+/**
+ * Stream a report's rows to the response in the requested format
+ * @param {import('express').Response} res
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {{ columns: Array, rows: AsyncIterable<Object>|Array }} report
+ * @param {string} sheetName - Worksheet name of XLSX files
+ */
+async function sendReport(res, format, { columns, rows }, sheetName) {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+    const worksheet = workbook.addWorksheet(sheetName);
+    worksheet.addRow(columns.map((column) => column.header)).commit();
+    for await (const row of rows) {
+      if (res.destroyed) return;
+      worksheet
+        .addRow(columns.map((column) => toCell(row[column.key])))
+        .commit();
+    }
+    worksheet.commit();
+    await workbook.commit();
+    return;
+  }
+
+  if (format === 'csv') {
+    // The byte order mark makes Excel read the names as UTF-8
+    if (
+      !(await write(res, '\uFEFF' + toCsvLine(columns.map((c) => c.header))))
+    ) {
+      return;
+    }
+    for await (const row of rows) {
+      const line = toCsvLine(columns.map((column) => row[column.key]));
+      if (!(await write(res, line))) return;
+    }
+    res.end();
+    return;
+  }
+
+  for await (const row of rows) {
+    const record = Object.fromEntries(
+      columns.map((column) => [column.header, row[column.key] ?? null]),
+    );
+    if (!(await write(res, JSON.stringify(record) + '\n'))) return;
+  }
+  res.end();
+}
+
+/**
+ * Read the ?date=, ?startDate=&endDate= or, for the monthly report, ?month=
+ * query as local days, defaulting to today or this month. Sends a 400 and
+ * returns null when it is invalid.
+ */
+function parseDays(req, res, report) {
+  const { date, startDate, endDate, month } = req.query;
+  const today = DateTime.now().setZone(envConfig.TIME_ZONE);
+
+  if (report === 'monthly') {
+    if (month !== undefined && !MONTH_REGEX.test(month)) {
+      invalidExport(res, "'month' must be a month such as 2026-03");
+      return null;
+    }
+    const first = month
+      ? DateTime.fromISO(`${month}-01`)
+      : today.startOf('month');
+    return {
+      startDate: first.toISODate(),
+      endDate: first.endOf('month').toISODate(),
+      label: first.toFormat('yyyy-MM'),
+    };
+  }
+
+  if (date) {
+    const dateValidation = DateValidator.validate(date);
+    if (!dateValidation.valid) {
+      res
+        .status(dateValidation.error.statusCode)
+        .json(dateValidation.error.toJSON());
+      return null;
+    }
+    const day = toWorkDate(dateValidation.normalized);
+    return { startDate: day, endDate: day, label: day };
+  }
+
+  if (startDate && endDate) {
+    const rangeValidation = DateValidator.validateRange(startDate, endDate);
+    if (!rangeValidation.valid) {
+      res
+        .status(rangeValidation.error.statusCode)
+        .json(rangeValidation.error.toJSON());
+      return null;
+    }
+    const days = {
+      startDate: toWorkDate(rangeValidation.startDate),
+      endDate: toWorkDate(rangeValidation.endDate),
+    };
+    return { ...days, label: `${days.startDate}_${days.endDate}` };
+  }
+
+  return {
+    startDate: today.toISODate(),
+    endDate: today.toISODate(),
+    label: today.toISODate(),
+  };
+}
+
+/**
+ * Admin routes that download attendance reports as CSV, XLSX or JSON Lines,
+ * and set the columns they contain
+ * @param {import('express').Express} app
+ * @param {Object} options
+ * @param {Function} options.getServices - Returns the initialized services
+ * @param {Function} options.authenticateToken - Admin auth middleware
+ */
+export function registerExportRoutes(app, { getServices, authenticateToken }) {
+  const requireServices = (req, res, next) => {
+    const { exportService, groupRepository } = getServices();
+    if (!exportService || !groupRepository) {
+      return res
+        .status(503)
+        .json(
+          createDegradedResponse(
+            'export_service',
+            'Export service is not available',
+          ),
+        );
+    }
+    next();
+  };
+
+  /**
+   * GET /api/admin/exports/columns
+   * Returns the columns of every report
+   */
+  app.get(
+    '/api/admin/exports/columns',
+    authenticateToken,
+    requireServices,
+    (req, res) => {
+      const { exportService } = getServices();
+      res.json({
+        success: true,
+        data: { columns: exportService.getColumns() },
+      });
+    },
+  );
+
+  /**
+   * PUT /api/admin/exports/columns
+   * Replaces the columns of some reports: { daily: [{ field, header }], ... }
+   */
+  app.put(
+    '/api/admin/exports/columns',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { exportService } = getServices();
+      const { columns, error } = await exportService.updateColumns(req.body);
+      if (error) return invalidExport(res, error);
+
+      res.json({ success: true, data: { columns } });
+    }),
+  );
+
+  /**
+   * GET /api/admin/exports/:report?format=csv|xlsx|jsonl
+   * Downloads the events, daily or monthly report. Takes ?date= or
+   * ?startDate=&endDate= (?month= for monthly), ?group= and ?phone=.
+   */
+  app.get(
+    '/api/admin/exports/:report',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { exportService, groupRepository } = getServices();
+      const { report } = req.params;
+      const { format = 'csv', group, phone } = req.query;
+
+      if (!EXPORT_REPORTS.includes(report)) {
+        return invalidExport(
+          res,
+          `Report must be one of: ${EXPORT_REPORTS.join(', ')}`,
+        );
+      }
+      if (!EXPORT_FORMATS.includes(format)) {
+        return invalidExport(
+          res,
+          `Format must be one of: ${EXPORT_FORMATS.join(', ')}`,
+        );
+      }
+
+      const days = parseDays(req, res, report);
+      if (!days) return;
+
+      const rangeDays =
+        DateTime.fromISO(days.endDate).diff(
+          DateTime.fromISO(days.startDate),
+          'days',
+        ).days + 1;
+      if (format !== 'jsonl' && rangeDays > MAX_SPREADSHEET_DAYS) {
+        return invalidExport(
+          res,
+          `Spreadsheets cover at most ${MAX_SPREADSHEET_DAYS} days; use format=jsonl for longer ranges`,
+        );
+      }
+
+      const filter = { startDate: days.startDate, endDate: days.endDate };
+      if (group) {
+        if (!(await groupRepository.getGroup(group))) {
+          return res.status(404).json({
+            success: false,
+            error: {
+              code: ERROR_CODES.GROUP_NOT_FOUND,
+              message: `Group '${group}' not found`,
+            },
+          });
+        }
+        filter.groupId = group;
+      }
+      if (phone) {
+        const phoneValidation = PhoneNumberValidator.validate(phone);
+        if (!phoneValidation.valid) {
+          return res
+            .status(phoneValidation.error.statusCode)
+            .json(phoneValidation.error.toJSON());
+        }
+        filter.phoneNumber = phoneValidation.normalized;
+      }
+
+      const built = await exportService.buildReport(report, filter);
+
+      res.set({
+        'Content-Type': CONTENT_TYPES[format],
+        'Content-Disposition': `attachment; filename="attendance-${report}-${days.label}.${format}"`,
+        'Cache-Control': 'no-store',
+      });
+
+      // A client that goes away mid-download is not an error worth a crash
+      res.on('error', (error) =>
+        logger.debug('Export stream closed', { error: error.message }),
+      );
+
+      try {
+        await sendReport(res, format, built, `${report} ${days.label}`);
+      } catch (error) {
+        // Headers are gone once streaming starts, so all we can do is cut
+        // the download short rather than send an incomplete file as whole
+        logger.logSystemError('export_stream', error, { report, format });
+        res.destroy(error);
+        return;
+      }
+
+      logger.info('Attendance export downloaded', {
+        report,
+        format,
+        startDate: days.startDate,
+        endDate: days.endDate,
+        groupId: filter.groupId,
+      });
+    }),
+  );
+}
@@ -0,0 +1,454 @@
+import { toGroup } from '#src/qr-server/services/groupService.js';
+import { toPerson } from '#src/qr-server/services/rosterService.js';
+import errorHandler from '#src/qr-server/utils/errorHandler.js';
+import validation from '#src/qr-server/utils/validation.js';
+
+const { asyncHandler, createDegradedResponse, ERROR_CODES } = errorHandler;
+const { DateValidator, PhoneNumberValidator } = validation;
+
+const MAX_PHONE_NUMBERS = 500;
+
+const ERROR_STATUSES = {
+  [ERROR_CODES.INVALID_GROUP]: 400,
+  [ERROR_CODES.GROUP_NOT_FOUND]: 404,
+  [ERROR_CODES.PERSON_NOT_FOUND]: 404,
+  [ERROR_CODES.GROUP_EXISTS]: 409,
+  [ERROR_CODES.WHATSAPP_GROUP_LINKED]: 409,
+};
+
+const invalidGroup = (res, message) =>
+  res.status(400).json({
+    success: false,
+    error: { code: ERROR_CODES.INVALID_GROUP, message },
+  });
+
+const sendResult = (res, { error, ...data }, status = 200) => {
+  if (error) {
+    return res
+      .status(ERROR_STATUSES[error.code] ?? 400)
+      .json({ success: false, error });
+  }
+  res.status(status).json({ success: true, data });
+};
+
+/**
+ * Validate the phoneNumbers list of a request body. Sends a 400 and returns
+ * null when it is not a list of phone numbers.
+ */
+function resolvePhoneNumbers(res, phoneNumbers) {
+  if (
+    !Array.isArray(phoneNumbers) ||
+    phoneNumbers.length === 0 ||
+    phoneNumbers.length > MAX_PHONE_NUMBERS
+  ) {
+    invalidGroup(
+      res,
+      `'phoneNumbers' must be a list of 1 to ${MAX_PHONE_NUMBERS} phone numbers`,
+    );
+    return null;
+  }
+
+  const normalized = [];
+  for (const phoneNumber of phoneNumbers) {
+    const phoneValidation = PhoneNumberValidator.validate(phoneNumber);
+    if (!phoneValidation.valid) {
+      res
+        .status(phoneValidation.error.statusCode)
+        .json(phoneValidation.error.toJSON());
+      return null;
+    }
+    normalized.push(phoneValidation.normalized);
+  }
+  return [...new Set(normalized)];
+}
+
+/**
+ * Validate the date or startDate/endDate query of a report, defaulting to
+ * today. Sends a 400 and returns null when a date is invalid.
+ */
+function resolveDateRange(res, { date, startDate, endDate }) {
+  if (date) {
+    const dateValidation = DateValidator.validate(date);
+    if (!dateValidation.valid) {
+      res
+        .status(dateValidation.error.statusCode)
+        .json(dateValidation.error.toJSON());
+      return null;
+    }
+    return {
+      startDate: dateValidation.normalized,
+      endDate: dateValidation.normalized,
+    };
+  }
+
+  if (startDate && endDate) {
+    const rangeValidation = DateValidator.validateRange(startDate, endDate);
+    if (!rangeValidation.valid) {
+      res
+        .status(rangeValidation.error.statusCode)
+        .json(rangeValidation.error.toJSON());
+      return null;
+    }
+    return {
+      startDate: rangeValidation.startDate,
+      endDate: rangeValidation.endDate,
+    };
+  }
+
+  const today = new Date();
+  return { startDate: today, endDate: today };
+}
+
+/**
+ * Admin routes for groups such as class sections or teams, their members and
+ * their check-in reports
+ * @param {import('express').Express} app
+ * @param {Object} options
+ * @param {Function} options.getServices - Returns the initialized services
+ * @param {Function} options.authenticateToken - Admin auth middleware
+ */
+export function registerGroupRoutes(app, { getServices, authenticateToken }) {
+  const requireServices = (req, res, next) => {
+    const {
+      groupRepository,
+      groupService,
+      peopleRepository,
+      checkInRepository,
+    } = getServices();
+    if (
+      !groupRepository ||
+      !groupService ||
+      !peopleRepository ||
+      !checkInRepository
+    ) {
+      return res
+        .status(503)
+        .json(
+          createDegradedResponse(
+            'group_service',
+            'Group service is not available',
+          ),
+        );
+    }
+    next();
+  };
+
+  /**
+   * GET /api/admin/groups
+   */
+  app.get(
+    '/api/admin/groups',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { groupRepository } = getServices();
+      const groups = await groupRepository.getGroups();
+
+      res.json({
+        success: true,
+        data: { groups: groups.map(toGroup), count: groups.length },
+      });
+    }),
+  );
+
+  /**
+   * POST /api/admin/groups
+   * Creates a group: { id, name, description?, language?, whatsappGroupId?,
+   * whatsappReplyMode? }
+   */
+  app.post(
+    '/api/admin/groups',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { groupService } = getServices();
+      const {
+        id,
+        name,
+        description,
+        language,
+        whatsappGroupId,
+        whatsappReplyMode,
+      } = req.body;
+
+      sendResult(
+        res,
+        await groupService.createGroup({
+          id,
+          name,
+          description,
+          language,
+          whatsappGroupId,
+          whatsappReplyMode,
+        }),
+        201,
+      );
+    }),
+  );
+
+  /**
+   * GET /api/admin/whatsapp-groups/:chatId
+   * The group a WhatsApp group chat is linked to. The bot only takes
+   * check-ins from linked group chats.
+   */
+  app.get(
+    '/api/admin/whatsapp-groups/:chatId',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { groupRepository } = getServices();
+      const group = await groupRepository.getGroupByWhatsAppId(
+        req.params.chatId,
+      );
+      if (!group) {
+        return sendResult(res, {
+          error: {
+            code: ERROR_CODES.GROUP_NOT_FOUND,
+            message: `WhatsApp group ${req.params.chatId} is not linked to a group`,
+          },
+        });
+      }
+
+      res.json({ success: true, data: { group: toGroup(group) } });
+    }),
+  );
+
+  /**
+   * GET /api/admin/groups/stats?date= or ?startDate=&endDate=
+   * Check-in statistics of every group, for today by default
+   */
+  app.get(
+    '/api/admin/groups/stats',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { checkInRepository } = getServices();
+      const range = resolveDateRange(res, req.query);
+      if (!range) return;
+
+      const groups = await checkInRepository.getCheckInStatsByGroup(
+        range.startDate,
+        range.endDate,
+      );
+
+      res.json({
+        success: true,
+        data: {
+          groups,
+          dateRange: {
+            startDate: range.startDate.toISOString(),
+            endDate: range.endDate.toISOString(),
+          },
+        },
+      });
+    }),
+  );
+
+  /**
+   * GET /api/admin/groups/:id
+   * A group, its members and the managers who may see its reports
+   */
+  app.get(
+    '/api/admin/groups/:id',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { groupRepository, peopleRepository } = getServices();
+      const group = await groupRepository.getGroup(req.params.id);
+      if (!group) {
+        return sendResult(res, {
+          error: {
+            code: ERROR_CODES.GROUP_NOT_FOUND,
+            message: `Group '${req.params.id}' not found`,
+          },
+        });
+      }
+
+      const members = await peopleRepository.getPeople({ groupId: group.id });
+      res.json({
+        success: true,
+        data: {
+          group: toGroup(group),
+          members: members.map(toPerson),
+          managers: await groupRepository.getManagers(group.id),
+        },
+      });
+    }),
+  );
+
+  /**
+   * GET /api/admin/groups/:id/stats?date= or ?startDate=&endDate=
+   * Check-in statistics of one group's members, for today by default
+   */
+  app.get(
+    '/api/admin/groups/:id/stats',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { groupRepository, checkInRepository } = getServices();
+      const group = await groupRepository.getGroup(req.params.id);
+      if (!group) {
+        return sendResult(res, {
+          error: {
+            code: ERROR_CODES.GROUP_NOT_FOUND,
+            message: `Group '${req.params.id}' not found`,
+          },
+        });
+      }
+
+      const range = resolveDateRange(res, req.query);
+      if (!range) return;
+
+      const stats = await checkInRepository.getCheckInStats(
+        range.startDate,
+        range.endDate,
+        { groupId: group.id },
+      );
+
+      res.json({
+        success: true,
+        data: { group: toGroup(group), stats },
+      });
+    }),
+  );
+
+  /**
+   * PATCH /api/admin/groups/:id
+   * Changes the name, description, language and/or WhatsApp group chat of a
+   * group; whatsappGroupId null unlinks the chat
+   */
+  app.patch(
+    '/api/admin/groups/:id',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { groupService } = getServices();
+      const {
+        name,
+        description,
+        language,
+        whatsappGroupId,
+        whatsappReplyMode,
+      } = req.body;
+
+      sendResult(
+        res,
+        await groupService.updateGroup(req.params.id, {
+          name,
+          description,
+          language,
+          whatsappGroupId,
+          whatsappReplyMode,
+        }),
+      );
+    }),
+  );
+
+  /**
+   * DELETE /api/admin/groups/:id
+   * Deletes a group; its members stay on the roster
+   */
+  app.delete(
+    '/api/admin/groups/:id',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { groupService } = getServices();
+
+      sendResult(res, await groupService.deleteGroup(req.params.id));
+    }),
+  );
+
+  /**
+   * POST /api/admin/groups/:id/members
+   * Adds roster people to a group: { phoneNumbers }
+   */
+  app.post(
+    '/api/admin/groups/:id/members',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { groupService } = getServices();
+      const phoneNumbers = resolvePhoneNumbers(res, req.body.phoneNumbers);
+      if (!phoneNumbers) return;
+
+      sendResult(
+        res,
+        await groupService.addMembers(req.params.id, phoneNumbers),
+      );
+    }),
+  );
+
+  /**
+   * DELETE /api/admin/groups/:id/members/:phone
+   * Removes a person from a group
+   */
+  app.delete(
+    '/api/admin/groups/:id/members/:phone',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { groupService } = getServices();
+      const phoneNumbers = resolvePhoneNumbers(res, [req.params.phone]);
+      if (!phoneNumbers) return;
+
+      sendResult(
+        res,
+        await groupService.removeMembers(req.params.id, phoneNumbers),
+      );
+    }),
+  );
+
+  /**
+   * PUT /api/admin/groups/:id/managers
+   * Replaces the managers who may ask the bot for the group's reports:
+   * { phoneNumbers }, an empty list removes them all
+   */
+  app.put(
+    '/api/admin/groups/:id/managers',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { groupService } = getServices();
+      const phoneNumbers =
+        Array.isArray(req.body.phoneNumbers) &&
+        req.body.phoneNumbers.length === 0
+          ? []
+          : resolvePhoneNumbers(res, req.body.phoneNumbers);
+      if (!phoneNumbers) return;
+
+      sendResult(
+        res,
+        await groupService.setManagers(req.params.id, phoneNumbers),
+      );
+    }),
+  );
+
+  /**
+   * POST /api/admin/groups/:id/move
+   * Moves members to another group: { phoneNumbers, to }
+   */
+  app.post(
+    '/api/admin/groups/:id/move',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { groupService } = getServices();
+      const phoneNumbers = resolvePhoneNumbers(res, req.body.phoneNumbers);
+      if (!phoneNumbers) return;
+
+      if (typeof req.body.to !== 'string' || !req.body.to) {
+        return invalidGroup(res, "'to' must be the id of the target group");
+      }
+
+      sendResult(
+        res,
+        await groupService.moveMembers(
+          req.params.id,
+          req.body.to,
+          phoneNumbers,
+        ),
+      );
+    }),
+  );
+}
@@ -0,0 +1,163 @@
+import { SHIFT_STATUSES } from '#src/qr-server/database/schema.js';
+import errorHandler from '#src/qr-server/utils/errorHandler.js';
+import validation from '#src/qr-server/utils/validation.js';
+
+const { asyncHandler, createDegradedResponse, ERROR_CODES } = errorHandler;
+const { DateValidator, PhoneNumberValidator } = validation;
+
+export const toShiftResponse = (shift) => ({
+  id: shift.id,
+  phoneNumber: shift.phone_number,
+  locationId: shift.location_id,
+  workDate: shift.work_date,
+  checkInAt: shift.check_in_at,
+  checkOutAt: shift.check_out_at,
+  workedMinutes: shift.worked_minutes,
+  status: shift.status,
+});
+
+export const toDailyHoursResponse = (day) => ({
+  phoneNumber: day.phone_number,
+  workDate: day.work_date,
+  shifts: day.shifts,
+  workedMinutes: day.worked_minutes,
+  workedHours: Math.round((day.worked_minutes / 60) * 100) / 100,
+  firstCheckIn: day.first_check_in,
+  lastCheckOut: day.last_check_out,
+  openShifts: day.open_shifts,
+  missingCheckOuts: day.missing_check_outs,
+});
+
+const toWorkDate = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Read the shared ?phone=&date=&startDate=&endDate= filters. Sends a 400 and
+ * returns null when one of them is invalid.
+ */
+function parseFilter(req, res) {
+  const { phone, date, startDate, endDate } = req.query;
+  const filter = {};
+
+  if (phone) {
+    const phoneValidation = PhoneNumberValidator.validate(phone);
+    if (!phoneValidation.valid) {
+      res
+        .status(phoneValidation.error.statusCode)
+        .json(phoneValidation.error.toJSON());
+      return null;
+    }
+    filter.phoneNumber = phoneValidation.normalized;
+  }
+
+  if (date) {
+    const dateValidation = DateValidator.validate(date);
+    if (!dateValidation.valid) {
+      res
+        .status(dateValidation.error.statusCode)
+        .json(dateValidation.error.toJSON());
+      return null;
+    }
+    filter.startDate = toWorkDate(dateValidation.normalized);
+    filter.endDate = filter.startDate;
+  } else if (startDate && endDate) {
+    const rangeValidation = DateValidator.validateRange(startDate, endDate);
+    if (!rangeValidation.valid) {
+      res
+        .status(rangeValidation.error.statusCode)
+        .json(rangeValidation.error.toJSON());
+      return null;
+    }
+    filter.startDate = toWorkDate(rangeValidation.startDate);
+    filter.endDate = toWorkDate(rangeValidation.endDate);
+  }
+
+  return filter;
+}
+
+/**
+ * Admin routes for shifts and worked hours
+ * @param {import('express').Express} app
+ * @param {Object} options
+ * @param {Function} options.getServices - Returns the initialized services
+ * @param {Function} options.authenticateToken - Admin auth middleware
+ */
+export function registerHoursRoutes(app, { getServices, authenticateToken }) {
+  const requireServices = (req, res, next) => {
+    const { shiftRepository, shiftService } = getServices();
+    if (!shiftRepository || !shiftService) {
+      return res
+        .status(503)
+        .json(
+          createDegradedResponse(
+            'shift_service',
+            'Shift service is not available',
+          ),
+        );
+    }
+    next();
+  };
+
+  /**
+   * GET /api/admin/hours
+   * Worked-hours totals per person per day
+   */
+  app.get(
+    '/api/admin/hours',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const filter = parseFilter(req, res);
+      if (!filter) return;
+
+      const { shiftRepository, shiftService } = getServices();
+      // Shifts nobody closed in time count as missing a check-out
+      await shiftService.flagStaleShifts();
+      const days = await shiftRepository.getDailyHours(filter);
+
+      res.json({
+        success: true,
+        data: {
+          days: days.map(toDailyHoursResponse),
+          count: days.length,
+        },
+      });
+    }),
+  );
+
+  /**
+   * GET /api/admin/shifts
+   * Lists shifts; ?status=missing_check_out lists the missing check-outs
+   */
+  app.get(
+    '/api/admin/shifts',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const filter = parseFilter(req, res);
+      if (!filter) return;
+
+      const { status } = req.query;
+      if (status && !SHIFT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.INVALID_SHIFT_STATUS,
+            message: `Status must be one of: ${SHIFT_STATUSES.join(', ')}`,
+          },
+        });
+      }
+
+      const { shiftRepository, shiftService } = getServices();
+      await shiftService.flagStaleShifts();
+      const shifts = await shiftRepository.getShifts({ ...filter, status });
+
+      res.json({
+        success: true,
+        data: {
+          shifts: shifts.map(toShiftResponse),
+          count: shifts.length,
+        },
+      });
+    }),
+  );
+}
@@ -0,0 +1,116 @@
+import errorHandler from '#src/qr-server/utils/errorHandler.js';
+import validation from '#src/qr-server/utils/validation.js';
+
+const { asyncHandler, createDegradedResponse, ERROR_CODES } = errorHandler;
+const { PhoneNumberValidator } = validation;
+
+const LID_REGEX = /^\d{1,20}@lid$/;
+
+const toIdentityResponse = (identity) => ({
+  lid: identity.lid,
+  phoneNumber: identity.phone_number,
+  resolvedAt: identity.resolved_at,
+});
+
+/**
+ * Admin routes for the phone numbers behind WhatsApp LIDs. The bot resolves
+ * a LID through the WhatsApp client once and keeps the answer here.
+ * @param {import('express').Express} app
+ * @param {Object} options
+ * @param {Function} options.getServices - Returns the initialized services
+ * @param {Function} options.authenticateToken - Admin auth middleware
+ */
+export function registerIdentityRoutes(
+  app,
+  { getServices, authenticateToken },
+) {
+  const requireServices = (req, res, next) => {
+    const { identityRepository } = getServices();
+    if (!identityRepository) {
+      return res
+        .status(503)
+        .json(
+          createDegradedResponse(
+            'identity_store',
+            'WhatsApp identity store is not available',
+          ),
+        );
+    }
+    next();
+  };
+
+  const requireLid = (req, res, next) => {
+    if (!LID_REGEX.test(req.params.lid)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: ERROR_CODES.INVALID_IDENTITY,
+          message: "The LID must be digits followed by '@lid'",
+        },
+      });
+    }
+    next();
+  };
+
+  /**
+   * GET /api/admin/identities/:lid
+   * The phone number a LID was resolved to
+   */
+  app.get(
+    '/api/admin/identities/:lid',
+    authenticateToken,
+    requireServices,
+    requireLid,
+    asyncHandler(async (req, res) => {
+      const { identityRepository } = getServices();
+      const identity = await identityRepository.getIdentity(req.params.lid);
+
+      if (!identity) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.IDENTITY_NOT_FOUND,
+            message: 'This LID has not been resolved yet',
+          },
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { identity: toIdentityResponse(identity) },
+      });
+    }),
+  );
+
+  /**
+   * PUT /api/admin/identities/:lid
+   * Stores the phone number behind a LID: { phoneNumber }
+   */
+  app.put(
+    '/api/admin/identities/:lid',
+    authenticateToken,
+    requireServices,
+    requireLid,
+    asyncHandler(async (req, res) => {
+      const { identityRepository } = getServices();
+      const phoneValidation = PhoneNumberValidator.validate(
+        req.body?.phoneNumber,
+      );
+      if (!phoneValidation.valid) {
+        return res
+          .status(phoneValidation.error.statusCode)
+          .json(phoneValidation.error.toJSON());
+      }
+
+      const identity = await identityRepository.saveIdentity(
+        req.params.lid,
+        phoneValidation.normalized,
+      );
+
+      res.json({
+        success: true,
+        data: { identity: toIdentityResponse(identity) },
+      });
+    }),
+  );
+}
@@ -0,0 +1,200 @@
+import { LEAVE_STATUSES } from '#src/qr-server/database/schema.js';
+import errorHandler from '#src/qr-server/utils/errorHandler.js';
+import validation from '#src/qr-server/utils/validation.js';
+
+const { asyncHandler, createDegradedResponse, ERROR_CODES } = errorHandler;
+const { DateValidator, PhoneNumberValidator } = validation;
+
+const ERROR_STATUSES = {
+  [ERROR_CODES.INVALID_LEAVE_REQUEST]: 400,
+  [ERROR_CODES.LEAVE_NOT_FOUND]: 404,
+  [ERROR_CODES.LEAVE_OVERLAP]: 409,
+  [ERROR_CODES.LEAVE_ALREADY_DECIDED]: 409,
+};
+
+const toDate = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Admin routes for leave requests. The WhatsApp bot files requests and
+ * managers' decisions through these as well.
+ * @param {import('express').Express} app
+ * @param {Object} options
+ * @param {Function} options.getServices - Returns the initialized services
+ * @param {Function} options.authenticateToken - Admin auth middleware
+ */
+export function registerLeaveRoutes(app, { getServices, authenticateToken }) {
+  const requireServices = (req, res, next) => {
+    const { leaveRepository, leaveService } = getServices();
+    if (!leaveRepository || !leaveService) {
+      return res
+        .status(503)
+        .json(
+          createDegradedResponse(
+            'leave_service',
+            'Leave service is not available',
+          ),
+        );
+    }
+    next();
+  };
+
+  const toLeaveResponse = (leave) => ({
+    id: leave.id,
+    code: leave.code,
+    phoneNumber: leave.phone_number,
+    startDate: leave.start_date,
+    endDate: leave.end_date,
+    days: getServices().leaveService.countDays(leave),
+    reason: leave.reason,
+    status: leave.status,
+    decidedBy: leave.decided_by,
+    decidedAt: leave.decided_at,
+    createdAt: leave.created_at,
+  });
+
+  const sendResult = (res, { leave, error }, status = 200) => {
+    if (error) {
+      return res
+        .status(ERROR_STATUSES[error.code] ?? 400)
+        .json({ success: false, error });
+    }
+    res.status(status).json({
+      success: true,
+      data: { leave: toLeaveResponse(leave) },
+    });
+  };
+
+  /**
+   * GET /api/admin/leaves?phone=&status=&date=&startDate=&endDate=
+   * Lists leave requests; date filters match requests covering those days
+   */
+  app.get(
+    '/api/admin/leaves',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { leaveRepository } = getServices();
+      const { phone, status, date, startDate, endDate } = req.query;
+      const filter = {};
+
+      if (phone) {
+        const phoneValidation = PhoneNumberValidator.validate(phone);
+        if (!phoneValidation.valid) {
+          return res
+            .status(phoneValidation.error.statusCode)
+            .json(phoneValidation.error.toJSON());
+        }
+        filter.phoneNumber = phoneValidation.normalized;
+      }
+
+      if (status) {
+        if (!LEAVE_STATUSES.includes(status)) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: ERROR_CODES.INVALID_LEAVE_REQUEST,
+              message: `Status must be one of: ${LEAVE_STATUSES.join(', ')}`,
+            },
+          });
+        }
+        filter.status = status;
+      }
+
+      if (date) {
+        const dateValidation = DateValidator.validate(date);
+        if (!dateValidation.valid) {
+          return res
+            .status(dateValidation.error.statusCode)
+            .json(dateValidation.error.toJSON());
+        }
+        filter.startDate = toDate(dateValidation.normalized);
+        filter.endDate = filter.startDate;
+      } else if (startDate && endDate) {
+        const rangeValidation = DateValidator.validateRange(startDate, endDate);
+        if (!rangeValidation.valid) {
+          return res
+            .status(rangeValidation.error.statusCode)
+            .json(rangeValidation.error.toJSON());
+        }
+        filter.startDate = toDate(rangeValidation.startDate);
+        filter.endDate = toDate(rangeValidation.endDate);
+      }
+
+      const leaves = await leaveRepository.getLeaves(filter);
+
+      res.json({
+        success: true,
+        data: { leaves: leaves.map(toLeaveResponse), count: leaves.length },
+      });
+    }),
+  );
+
+  /**
+   * POST /api/admin/leaves
+   * Files a pending request: { phoneNumber, startDate, endDate?, reason? }
+   */
+  app.post(
+    '/api/admin/leaves',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { leaveService } = getServices();
+      const { phoneNumber, startDate, endDate, reason } = req.body;
+
+      const phoneValidation = PhoneNumberValidator.validate(phoneNumber);
+      if (!phoneValidation.valid) {
+        return res
+          .status(phoneValidation.error.statusCode)
+          .json(phoneValidation.error.toJSON());
+      }
+
+      const result = await leaveService.requestLeave({
+        phoneNumber: phoneValidation.normalized,
+        startDate,
+        endDate: endDate || startDate,
+        reason: typeof reason === 'string' ? reason : undefined,
+      });
+
+      sendResult(res, result, 201);
+    }),
+  );
+
+  /**
+   * POST /api/admin/leaves/:id/approve and /api/admin/leaves/:id/reject
+   * Decides a pending request; :id is the id or the short code
+   */
+  for (const action of ['approve', 'reject']) {
+    app.post(
+      `/api/admin/leaves/:id/${action}`,
+      authenticateToken,
+      requireServices,
+      asyncHandler(async (req, res) => {
+        const { leaveService } = getServices();
+        const result = await leaveService.decide(req.params.id, {
+          approve: action === 'approve',
+          decidedBy: req.body?.decidedBy || 'admin',
+        });
+
+        sendResult(res, result);
+      }),
+    );
+  }
+
+  /**
+   * DELETE /api/admin/leaves/:id
+   * Cancels a pending or approved request
+   */
+  app.delete(
+    '/api/admin/leaves/:id',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { leaveService } = getServices();
+      const result = await leaveService.cancel(req.params.id, {
+        decidedBy: req.body?.decidedBy || 'admin',
+      });
+
+      sendResult(res, result);
+    }),
+  );
+}
@@ -0,0 +1,238 @@
+import { randomBytes } from 'crypto';
+
+import { DEFAULT_LOCATION_ID } from '#src/qr-server/services/locationService.js';
+import errorHandler from '#src/qr-server/utils/errorHandler.js';
+import logger from '#src/qr-server/utils/logger.js';
+
+const { asyncHandler, createDegradedResponse, ERROR_CODES } = errorHandler;
+
+const LOCATION_ID_REGEX = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const MIN_TIME_WINDOW_MS = 30 * 1000;
+const MAX_TIME_WINDOW_MS = 5 * 60 * 1000;
+
+const invalidLocation = (res, message) =>
+  res.status(400).json({
+    success: false,
+    error: { code: ERROR_CODES.INVALID_LOCATION, message },
+  });
+
+const isValidTimeWindow = (timeWindowMs) =>
+  timeWindowMs === null ||
+  (Number.isInteger(timeWindowMs) &&
+    timeWindowMs >= MIN_TIME_WINDOW_MS &&
+    timeWindowMs <= MAX_TIME_WINDOW_MS);
+
+// null sends people to the default number
+const isValidWhatsAppClient = (whatsappClientId, whatsappService) =>
+  whatsappClientId === null ||
+  (typeof whatsappClientId === 'string' &&
+    Boolean(whatsappService?.hasClient(whatsappClientId)));
+
+const invalidWhatsAppClient = (res) =>
+  invalidLocation(
+    res,
+    "'whatsappClientId' must be the id of a WhatsApp client, or null for the default one",
+  );
+
+// Never expose the secret outside the server
+const toLocationResponse = (record, locationService) => ({
+  id: record.id,
+  name: record.name,
+  timeWindowMs: record.time_window_ms,
+  active: Boolean(record.active),
+  whatsappClientId: record.whatsapp_client_id,
+  displayURL: locationService.getDisplayURL(record.id),
+  createdAt: record.created_at,
+  updatedAt: record.updated_at,
+});
+
+/**
+ * Admin routes for managing check-in locations
+ * @param {import('express').Express} app
+ * @param {Object} options
+ * @param {Function} options.getServices - Returns the initialized services
+ * @param {Function} options.authenticateToken - Admin auth middleware
+ */
+export function registerLocationRoutes(
+  app,
+  { getServices, authenticateToken },
+) {
+  const requireServices = (req, res, next) => {
+    const { locationRepository, locationService } = getServices();
+    if (!locationRepository || !locationService) {
+      return res
+        .status(503)
+        .json(
+          createDegradedResponse(
+            'location_service',
+            'Location service is not available',
+          ),
+        );
+    }
+    next();
+  };
+
+  /**
+   * GET /api/admin/locations
+   * Lists locations with their display URLs
+   */
+  app.get(
+    '/api/admin/locations',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { locationRepository, locationService } = getServices();
+      const records = await locationRepository.getLocations({
+        activeOnly: req.query.includeInactive !== 'true',
+      });
+
+      res.json({
+        success: true,
+        data: {
+          locations: records.map((record) =>
+            toLocationResponse(record, locationService),
+          ),
+          count: records.length,
+        },
+      });
+    }),
+  );
+
+  /**
+   * POST /api/admin/locations
+   * Creates a location with its own OTP secret. whatsappClientId picks the
+   * number its QR code opens a chat with.
+   */
+  app.post(
+    '/api/admin/locations',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { locationRepository, locationService, whatsappService } =
+        getServices();
+      const {
+        id,
+        name,
+        timeWindowMs = null,
+        secret,
+        whatsappClientId = null,
+      } = req.body;
+
+      if (!id || !LOCATION_ID_REGEX.test(id) || id === DEFAULT_LOCATION_ID) {
+        return invalidLocation(
+          res,
+          'Location id must be lowercase letters, digits and dashes',
+        );
+      }
+
+      if (!name || typeof name !== 'string') {
+        return invalidLocation(res, 'Location name is required');
+      }
+
+      if (!isValidTimeWindow(timeWindowMs)) {
+        return invalidLocation(
+          res,
+          'Time window must be between 30 seconds and 5 minutes',
+        );
+      }
+
+      if (
+        secret !== undefined &&
+        (typeof secret !== 'string' || secret.length < 16)
+      ) {
+        return invalidLocation(res, 'Secret must be at least 16 characters');
+      }
+
+      if (!isValidWhatsAppClient(whatsappClientId, whatsappService)) {
+        return invalidWhatsAppClient(res);
+      }
+
+      if (await locationRepository.getLocation(id)) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.LOCATION_EXISTS,
+            message: `Location '${id}' already exists`,
+          },
+        });
+      }
+
+      const record = await locationRepository.createLocation({
+        id,
+        name: name.trim(),
+        secret: secret || randomBytes(32).toString('hex'),
+        timeWindowMs,
+        whatsappClientId,
+      });
+      await locationService.load();
+
+      logger.info('Location created via admin API', { id });
+
+      res.status(201).json({
+        success: true,
+        data: { location: toLocationResponse(record, locationService) },
+      });
+    }),
+  );
+
+  /**
+   * PATCH /api/admin/locations/:id
+   * Updates a location; `rotateSecret: true` issues a new OTP secret
+   */
+  app.patch(
+    '/api/admin/locations/:id',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { locationRepository, locationService, whatsappService } =
+        getServices();
+      const { id } = req.params;
+      const { name, timeWindowMs, active, rotateSecret, whatsappClientId } =
+        req.body;
+
+      if (timeWindowMs !== undefined && !isValidTimeWindow(timeWindowMs)) {
+        return invalidLocation(
+          res,
+          'Time window must be between 30 seconds and 5 minutes',
+        );
+      }
+
+      if (
+        whatsappClientId !== undefined &&
+        !isValidWhatsAppClient(whatsappClientId, whatsappService)
+      ) {
+        return invalidWhatsAppClient(res);
+      }
+
+      const record = await locationRepository.updateLocation(id, {
+        name: typeof name === 'string' ? name.trim() : undefined,
+        timeWindowMs,
+        active: typeof active === 'boolean' ? active : undefined,
+        secret: rotateSecret ? randomBytes(32).toString('hex') : undefined,
+        whatsappClientId,
+      });
+
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.LOCATION_NOT_FOUND,
+            message: `Location '${id}' not found`,
+          },
+        });
+      }
+
+      await locationService.load();
+
+      logger.info('Location updated via admin API', {
+        id,
+        secretRotated: Boolean(rotateSecret),
+      });
+
+      res.json({
+        success: true,
+        data: { location: toLocationResponse(record, locationService) },
+      });
+    }),
+  );
+}
@@ -0,0 +1,202 @@
+import { MESSAGE_STATUSES } from '#src/qr-server/database/schema.js';
+import errorHandler from '#src/qr-server/utils/errorHandler.js';
+import validation from '#src/qr-server/utils/validation.js';
+
+const { asyncHandler, createDegradedResponse, ERROR_CODES } = errorHandler;
+const { NumericValidator } = validation;
+
+// WhatsApp's limit on the length of a text message
+const MAX_BODY_LENGTH = 65536;
+
+const CHAT_ID_REGEX = /^\d+(-\d+)?@(c\.us|g\.us|lid)$/;
+
+const toMessageResponse = (message) => ({
+  id: message.id,
+  chatId: message.chat_id,
+  body: message.body,
+  quotedMessageId: message.quoted_message_id,
+  whatsappClientId: message.whatsapp_client_id,
+  status: message.status,
+  attempts: message.attempts,
+  lastError: message.last_error,
+  nextAttemptAt: message.next_attempt_at,
+  createdAt: message.created_at,
+  sentAt: message.sent_at,
+});
+
+const invalidMessage = (res, message) =>
+  res.status(400).json({
+    success: false,
+    error: { code: ERROR_CODES.INVALID_MESSAGE, message },
+  });
+
+/**
+ * Admin routes for the queue of outgoing WhatsApp messages. The bot queues
+ * every reply here; the queue sends them at a safe pace and keeps the ones
+ * it gave up on for a retry.
+ * @param {import('express').Express} app
+ * @param {Object} options
+ * @param {Function} options.getServices - Returns the initialized services
+ * @param {Function} options.authenticateToken - Admin auth middleware
+ */
+export function registerMessageRoutes(app, { getServices, authenticateToken }) {
+  const requireServices = (req, res, next) => {
+    const { outboundMessageRepository, messageQueueService } = getServices();
+    if (!outboundMessageRepository || !messageQueueService) {
+      return res
+        .status(503)
+        .json(
+          createDegradedResponse(
+            'message_queue',
+            'Message queue is not available',
+          ),
+        );
+    }
+    next();
+  };
+
+  /**
+   * POST /api/admin/messages
+   * Queues a message: { chatId, body, quotedMessageId?, whatsappClientId? }.
+   * It is sent from the WhatsApp client whatsappClientId, else the default
+   * one.
+   */
+  app.post(
+    '/api/admin/messages',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { messageQueueService, whatsappService } = getServices();
+      const { chatId, body, quotedMessageId, whatsappClientId } =
+        req.body ?? {};
+
+      if (typeof chatId !== 'string' || !CHAT_ID_REGEX.test(chatId)) {
+        return invalidMessage(
+          res,
+          "'chatId' must be a WhatsApp chat id such as '85291234567@c.us'",
+        );
+      }
+      if (
+        typeof body !== 'string' ||
+        !body.trim() ||
+        body.length > MAX_BODY_LENGTH
+      ) {
+        return invalidMessage(
+          res,
+          `'body' must be 1 to ${MAX_BODY_LENGTH} characters`,
+        );
+      }
+      if (
+        quotedMessageId !== undefined &&
+        quotedMessageId !== null &&
+        typeof quotedMessageId !== 'string'
+      ) {
+        return invalidMessage(res, "'quotedMessageId' must be a message id");
+      }
+      if (
+        whatsappClientId !== undefined &&
+        whatsappClientId !== null &&
+        !whatsappService?.hasClient(whatsappClientId)
+      ) {
+        return invalidMessage(
+          res,
+          "'whatsappClientId' must be the id of a WhatsApp client",
+        );
+      }
+
+      const message = await messageQueueService.enqueue(chatId, body, {
+        quotedMessageId,
+        whatsappClientId,
+      });
+
+      res
+        .status(202)
+        .json({ success: true, data: { message: toMessageResponse(message) } });
+    }),
+  );
+
+  /**
+   * GET /api/admin/messages?status=&limit=
+   * Most recent messages, e.g. ?status=dead for the ones given up on, and
+   * how many there are of each status
+   */
+  app.get(
+    '/api/admin/messages',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { outboundMessageRepository } = getServices();
+      const { status } = req.query;
+      let limit = 50;
+
+      if (status && !MESSAGE_STATUSES.includes(status)) {
+        return invalidMessage(
+          res,
+          `Status must be one of: ${MESSAGE_STATUSES.join(', ')}`,
+        );
+      }
+      if (req.query.limit) {
+        const limitValidation = NumericValidator.validateLimit(req.query.limit);
+        if (!limitValidation.valid) {
+          return res
+            .status(limitValidation.error.statusCode)
+            .json(limitValidation.error.toJSON());
+        }
+        limit = limitValidation.normalized;
+      }
+
+      const messages = await outboundMessageRepository.getMessages({
+        status,
+        limit,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          messages: messages.map(toMessageResponse),
+          count: messages.length,
+          counts: await outboundMessageRepository.countByStatus(),
+        },
+      });
+    }),
+  );
+
+  /**
+   * POST /api/admin/messages/:id/retry
+   * Queues a dead message again
+   */
+  app.post(
+    '/api/admin/messages/:id/retry',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { outboundMessageRepository } = getServices();
+      const message = await outboundMessageRepository.getMessage(req.params.id);
+
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.MESSAGE_NOT_FOUND,
+            message: 'Message not found',
+          },
+        });
+      }
+      if (message.status !== 'dead') {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.MESSAGE_NOT_DEAD,
+            message: `The message is ${message.status}, not dead`,
+          },
+        });
+      }
+
+      const requeued = await outboundMessageRepository.requeue(message.id);
+      res.json({
+        success: true,
+        data: { message: toMessageResponse(requeued) },
+      });
+    }),
+  );
+}
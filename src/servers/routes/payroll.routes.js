@@ -0,0 +1,191 @@
+import errorHandler from '#src/qr-server/utils/errorHandler.js';
+import validation from '#src/qr-server/utils/validation.js';
+
+const { asyncHandler, createDegradedResponse, ERROR_CODES } = errorHandler;
+const { DateValidator, PhoneNumberValidator } = validation;
+
+const toWorkDate = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Read the ?date= (the pay period containing it) or ?startDate=&endDate=
+ * query, defaulting to the current pay period, and the ?group= and ?phone=
+ * filters. Sends an error and returns null when one of them is invalid.
+ */
+async function parseFilter(source, res, { payrollService, groupRepository }) {
+  const { date, startDate, endDate, group, phone } = source;
+  let filter;
+
+  if (startDate && endDate) {
+    const rangeValidation = DateValidator.validateRange(startDate, endDate);
+    if (!rangeValidation.valid) {
+      res
+        .status(rangeValidation.error.statusCode)
+        .json(rangeValidation.error.toJSON());
+      return null;
+    }
+    filter = {
+      startDate: toWorkDate(rangeValidation.startDate),
+      endDate: toWorkDate(rangeValidation.endDate),
+    };
+  } else if (date) {
+    const dateValidation = DateValidator.validate(date);
+    if (!dateValidation.valid) {
+      res
+        .status(dateValidation.error.statusCode)
+        .json(dateValidation.error.toJSON());
+      return null;
+    }
+    filter = payrollService.getPayPeriod(toWorkDate(dateValidation.normalized));
+  } else {
+    filter = payrollService.getPayPeriod();
+  }
+
+  if (group) {
+    if (!(await groupRepository.getGroup(group))) {
+      res.status(404).json({
+        success: false,
+        error: {
+          code: ERROR_CODES.GROUP_NOT_FOUND,
+          message: `Group '${group}' not found`,
+        },
+      });
+      return null;
+    }
+    filter.groupId = group;
+  }
+
+  if (phone) {
+    const phoneValidation = PhoneNumberValidator.validate(phone);
+    if (!phoneValidation.valid) {
+      res
+        .status(phoneValidation.error.statusCode)
+        .json(phoneValidation.error.toJSON());
+      return null;
+    }
+    filter.phoneNumber = phoneValidation.normalized;
+  }
+
+  return filter;
+}
+
+/**
+ * Admin routes for payroll hours and the rules behind them
+ * @param {import('express').Express} app
+ * @param {Object} options
+ * @param {Function} options.getServices - Returns the initialized services
+ * @param {Function} options.authenticateToken - Admin auth middleware
+ */
+export function registerPayrollRoutes(app, { getServices, authenticateToken }) {
+  const requireServices = (req, res, next) => {
+    const { payrollService, groupRepository } = getServices();
+    if (!payrollService || !groupRepository) {
+      return res
+        .status(503)
+        .json(
+          createDegradedResponse(
+            'payroll_service',
+            'Payroll service is not available',
+          ),
+        );
+    }
+    next();
+  };
+
+  /**
+   * GET /api/admin/payroll-rules
+   * Returns the pay period, overtime, night-hour and break rules
+   */
+  app.get(
+    '/api/admin/payroll-rules',
+    authenticateToken,
+    requireServices,
+    (req, res) => {
+      const { payrollService } = getServices();
+      res.json({
+        success: true,
+        data: { rules: payrollService.getRules() },
+      });
+    },
+  );
+
+  /**
+   * PUT /api/admin/payroll-rules
+   * Changes some or all of the rules
+   */
+  app.put(
+    '/api/admin/payroll-rules',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { payrollService } = getServices();
+      const { rules, error } = await payrollService.updateRules(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: { code: ERROR_CODES.INVALID_PAYROLL_RULES, message: error },
+        });
+      }
+
+      res.json({ success: true, data: { rules } });
+    }),
+  );
+
+  /**
+   * GET /api/admin/payroll?date= or ?startDate=&endDate=, &group=, &phone=
+   * Regular, overtime and night hours per employee, for the current pay
+   * period by default
+   */
+  app.get(
+    '/api/admin/payroll',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const filter = await parseFilter(req.query, res, getServices());
+      if (!filter) return;
+
+      const { payrollService } = getServices();
+      const report = await payrollService.buildReport(filter);
+
+      res.json({
+        success: true,
+        data: { ...report, count: report.employees.length },
+      });
+    }),
+  );
+
+  /**
+   * POST /api/admin/payroll/sheet
+   * Writes a pay period to the payroll tab: { date } or { startDate, endDate },
+   * optionally { group }
+   */
+  app.post(
+    '/api/admin/payroll/sheet',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { payrollService } = getServices();
+      if (!payrollService.isSheetEnabled()) {
+        return res
+          .status(503)
+          .json(
+            createDegradedResponse(
+              'payroll_sheet',
+              'No payroll sheet is configured',
+            ),
+          );
+      }
+
+      const filter = await parseFilter(req.body, res, getServices());
+      if (!filter) return;
+
+      const report = await payrollService.buildReport(filter);
+      const rows = await payrollService.writeToSheet(report);
+
+      res.json({
+        success: true,
+        data: { period: report.period, rows },
+      });
+    }),
+  );
+}
@@ -0,0 +1,410 @@
+import { REGISTRATION_STATUSES } from '#src/qr-server/database/schema.js';
+import {
+  toPerson,
+  validatePerson,
+} from '#src/qr-server/services/rosterService.js';
+import errorHandler from '#src/qr-server/utils/errorHandler.js';
+import logger from '#src/qr-server/utils/logger.js';
+import validation from '#src/qr-server/utils/validation.js';
+
+const { asyncHandler, createDegradedResponse, ERROR_CODES } = errorHandler;
+const { PhoneNumberValidator } = validation;
+
+const PERSON_FIELDS = [
+  'displayName',
+  'employeeId',
+  'groupIds',
+  'active',
+  'language',
+];
+
+const ERROR_STATUSES = {
+  [ERROR_CODES.INVALID_PERSON]: 400,
+  [ERROR_CODES.PERSON_NOT_FOUND]: 404,
+  [ERROR_CODES.PERSON_EXISTS]: 409,
+  [ERROR_CODES.REGISTRATION_NOT_PENDING]: 409,
+};
+
+const pickPersonFields = (body = {}) =>
+  Object.fromEntries(
+    PERSON_FIELDS.filter((field) => body[field] !== undefined).map((field) => [
+      field,
+      typeof body[field] === 'string'
+        ? body[field].trim() || null
+        : body[field],
+    ]),
+  );
+
+const invalidPerson = (res, message) =>
+  res.status(400).json({
+    success: false,
+    error: { code: ERROR_CODES.INVALID_PERSON, message },
+  });
+
+const personNotFound = (res, phoneNumber) =>
+  res.status(404).json({
+    success: false,
+    error: {
+      code: ERROR_CODES.PERSON_NOT_FOUND,
+      message: `No person with phone number '${phoneNumber}'`,
+    },
+  });
+
+/**
+ * Validate a phone number from the request. Sends a 400 and returns null
+ * when it is not a phone number.
+ */
+function resolvePhoneNumber(res, phoneNumber) {
+  const phoneValidation = PhoneNumberValidator.validate(phoneNumber);
+  if (!phoneValidation.valid) {
+    res
+      .status(phoneValidation.error.statusCode)
+      .json(phoneValidation.error.toJSON());
+    return null;
+  }
+  return phoneValidation.normalized;
+}
+
+/**
+ * Admin routes for the people roster, self-registrations and the check-ins
+ * held for numbers that are not on it
+ * @param {import('express').Express} app
+ * @param {Object} options
+ * @param {Function} options.getServices - Returns the initialized services
+ * @param {Function} options.authenticateToken - Admin auth middleware
+ */
+export function registerPeopleRoutes(app, { getServices, authenticateToken }) {
+  const requireServices = (req, res, next) => {
+    const {
+      peopleRepository,
+      rosterService,
+      checkInService,
+      registrationService,
+    } = getServices();
+    if (
+      !peopleRepository ||
+      !rosterService ||
+      !checkInService ||
+      !registrationService
+    ) {
+      return res
+        .status(503)
+        .json(
+          createDegradedResponse(
+            'roster_service',
+            'Roster service is not available',
+          ),
+        );
+    }
+    next();
+  };
+
+  const sendResult = (res, { person, checkIns, error }, status = 200) => {
+    if (error) {
+      return res
+        .status(ERROR_STATUSES[error.code] ?? 400)
+        .json({ success: false, error });
+    }
+    res.status(status).json({
+      success: true,
+      data: { person, ...(checkIns !== undefined && { checkIns }) },
+    });
+  };
+
+  /**
+   * GET /api/admin/people?active=&group=&status=
+   * Lists the roster, optionally only active/inactive people, one group or
+   * one registration status
+   */
+  app.get(
+    '/api/admin/people',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { peopleRepository } = getServices();
+      const { active, group, status } = req.query;
+
+      if (active !== undefined && !['true', 'false'].includes(active)) {
+        return invalidPerson(res, "'active' must be true or false");
+      }
+      if (status !== undefined && !REGISTRATION_STATUSES.includes(status)) {
+        return invalidPerson(
+          res,
+          `'status' must be one of: ${REGISTRATION_STATUSES.join(', ')}`,
+        );
+      }
+
+      const people = await peopleRepository.getPeople({
+        active: active === undefined ? undefined : active === 'true',
+        groupId: group,
+        status,
+      });
+
+      res.json({
+        success: true,
+        data: { people: people.map(toPerson), count: people.length },
+      });
+    }),
+  );
+
+  /**
+   * POST /api/admin/people
+   * Adds a person: { phoneNumber, displayName, employeeId?, groupIds?,
+   * active?, language? }; groups that do not exist yet are created
+   */
+  app.post(
+    '/api/admin/people',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { peopleRepository, rosterService } = getServices();
+      const phoneNumber = resolvePhoneNumber(res, req.body.phoneNumber);
+      if (!phoneNumber) return;
+
+      const person = pickPersonFields(req.body);
+      const error = validatePerson(person);
+      if (error) return invalidPerson(res, error);
+
+      if (await peopleRepository.getPerson(phoneNumber)) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.PERSON_EXISTS,
+            message: `'${phoneNumber}' is already on the roster`,
+          },
+        });
+      }
+
+      const stored = await rosterService.addPerson({ ...person, phoneNumber });
+      logger.info('Person added to the roster', {
+        phoneNumber: logger.maskPhoneNumber(phoneNumber),
+      });
+
+      res.status(201).json({ success: true, data: { person: stored } });
+    }),
+  );
+
+  /**
+   * POST /api/admin/people/registrations
+   * Files a self-registration as pending: { phoneNumber, displayName,
+   * employeeId? }. The WhatsApp bot registers first-time users through this.
+   */
+  app.post(
+    '/api/admin/people/registrations',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { registrationService } = getServices();
+      const phoneNumber = resolvePhoneNumber(res, req.body.phoneNumber);
+      if (!phoneNumber) return;
+
+      const { displayName, employeeId } = req.body;
+      const result = await registrationService.register({
+        phoneNumber,
+        displayName,
+        employeeId: employeeId ?? null,
+      });
+
+      sendResult(res, result, 201);
+    }),
+  );
+
+  /**
+   * POST /api/admin/people/:phone/approve and /api/admin/people/:phone/reject
+   * Decides a pending registration; the person is told over WhatsApp and
+   * their held check-ins are counted or turned down
+   */
+  for (const action of ['approve', 'reject']) {
+    app.post(
+      `/api/admin/people/:phone/${action}`,
+      authenticateToken,
+      requireServices,
+      asyncHandler(async (req, res) => {
+        const { registrationService } = getServices();
+        const phoneNumber = resolvePhoneNumber(res, req.params.phone);
+        if (!phoneNumber) return;
+
+        const result = await registrationService.decide(phoneNumber, {
+          approve: action === 'approve',
+        });
+
+        sendResult(res, result);
+      }),
+    );
+  }
+
+  /**
+   * POST /api/admin/people/sync
+   * Syncs the roster with the name list sheet now
+   */
+  app.post(
+    '/api/admin/people/sync',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { rosterService } = getServices();
+      if (!rosterService.isSyncEnabled()) {
+        return res
+          .status(503)
+          .json(
+            createDegradedResponse(
+              'roster_sync',
+              'No name list sheet is configured',
+            ),
+          );
+      }
+
+      const result = await rosterService.sync();
+      res.json({ success: true, data: result });
+    }),
+  );
+
+  /**
+   * GET /api/admin/people/held
+   * Numbers not on the roster with check-ins waiting for a decision
+   */
+  app.get(
+    '/api/admin/people/held',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { checkInRepository } = getServices();
+      const held = await checkInRepository.getHeldPhoneNumbers();
+
+      res.json({
+        success: true,
+        data: {
+          held: held.map((row) => ({
+            phoneNumber: row.phone_number,
+            checkIns: row.held,
+            firstAt: row.first_at,
+            lastAt: row.last_at,
+          })),
+          count: held.length,
+        },
+      });
+    }),
+  );
+
+  /**
+   * POST /api/admin/people/held/:phone/approve
+   * Adds the number to the roster ({ displayName, employeeId?, groupIds? },
+   * displayName is only needed for new people) and accepts its held check-ins
+   */
+  app.post(
+    '/api/admin/people/held/:phone/approve',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { rosterService, checkInService } = getServices();
+      const phoneNumber = resolvePhoneNumber(res, req.params.phone);
+      if (!phoneNumber) return;
+
+      const existing = await rosterService.getPerson(phoneNumber);
+      const changes = { ...pickPersonFields(req.body), active: true };
+      const error = validatePerson(changes, { partial: Boolean(existing) });
+      if (error) return invalidPerson(res, error);
+      changes.status = 'approved';
+
+      const person = existing
+        ? await rosterService.updatePerson(phoneNumber, changes)
+        : await rosterService.addPerson({ ...changes, phoneNumber });
+      const released = await checkInService.releaseHeldCheckIns(phoneNumber);
+
+      logger.info('Held check-ins approved', {
+        phoneNumber: logger.maskPhoneNumber(phoneNumber),
+        released,
+      });
+
+      res.json({
+        success: true,
+        data: { person, released },
+      });
+    }),
+  );
+
+  /**
+   * POST /api/admin/people/held/:phone/reject
+   * Marks the held check-ins of a number as unregistered
+   */
+  app.post(
+    '/api/admin/people/held/:phone/reject',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { checkInService } = getServices();
+      const phoneNumber = resolvePhoneNumber(res, req.params.phone);
+      if (!phoneNumber) return;
+
+      const rejected = await checkInService.rejectHeldCheckIns(phoneNumber);
+
+      res.json({ success: true, data: { phoneNumber, rejected } });
+    }),
+  );
+
+  /**
+   * GET /api/admin/people/:phone
+   */
+  app.get(
+    '/api/admin/people/:phone',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { peopleRepository } = getServices();
+      const phoneNumber = resolvePhoneNumber(res, req.params.phone);
+      if (!phoneNumber) return;
+
+      const row = await peopleRepository.getPerson(phoneNumber);
+      if (!row) return personNotFound(res, phoneNumber);
+
+      res.json({ success: true, data: { person: toPerson(row) } });
+    }),
+  );
+
+  /**
+   * PATCH /api/admin/people/:phone
+   * Changes displayName, employeeId, groupIds, active and/or language;
+   * groupIds replaces the groups the person is in
+   */
+  app.patch(
+    '/api/admin/people/:phone',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { rosterService } = getServices();
+      const phoneNumber = resolvePhoneNumber(res, req.params.phone);
+      if (!phoneNumber) return;
+
+      const changes = pickPersonFields(req.body);
+      const error = validatePerson(changes, { partial: true });
+      if (error) return invalidPerson(res, error);
+
+      const person = await rosterService.updatePerson(phoneNumber, changes);
+      if (!person) return personNotFound(res, phoneNumber);
+
+      res.json({ success: true, data: { person } });
+    }),
+  );
+
+  /**
+   * DELETE /api/admin/people/:phone
+   * Deactivates a person; the row stays so past check-ins keep their name
+   */
+  app.delete(
+    '/api/admin/people/:phone',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { peopleRepository } = getServices();
+      const phoneNumber = resolvePhoneNumber(res, req.params.phone);
+      if (!phoneNumber) return;
+
+      const row = await peopleRepository.updatePerson(phoneNumber, {
+        active: false,
+      });
+      if (!row) return personNotFound(res, phoneNumber);
+
+      res.json({ success: true, data: { person: toPerson(row) } });
+    }),
+  );
+}
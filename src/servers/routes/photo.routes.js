@@ -0,0 +1,111 @@
+import express from 'express';
+
+import errorHandler from '#src/qr-server/utils/errorHandler.js';
+
+const { asyncHandler, createDegradedResponse, ERROR_CODES } = errorHandler;
+
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Admin routes for the photos people check in with. The bot uploads the
+ * photo after the check-in is recorded; managers can look at it later.
+ * @param {import('express').Express} app
+ * @param {Object} options
+ * @param {Function} options.getServices - Returns the initialized services
+ * @param {Function} options.authenticateToken - Admin auth middleware
+ */
+export function registerPhotoRoutes(app, { getServices, authenticateToken }) {
+  const requireServices = (req, res, next) => {
+    const { checkInPhotoRepository } = getServices();
+    if (!checkInPhotoRepository) {
+      return res
+        .status(503)
+        .json(
+          createDegradedResponse(
+            'checkin_photos',
+            'Check-in photo store is not available',
+          ),
+        );
+    }
+    next();
+  };
+
+  /**
+   * PUT /api/admin/checkins/:id/photo
+   * Stores the photo of a check-in. The body is the image itself, with its
+   * type as Content-Type.
+   */
+  app.put(
+    '/api/admin/checkins/:id/photo',
+    authenticateToken,
+    requireServices,
+    express.raw({ type: 'image/*', limit: MAX_PHOTO_BYTES }),
+    asyncHandler(async (req, res) => {
+      const { checkInPhotoRepository } = getServices();
+      const mimeType = req.get('Content-Type')?.split(';')[0].trim();
+
+      if (!PHOTO_TYPES.includes(mimeType) || !Buffer.isBuffer(req.body)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.INVALID_PHOTO,
+            message: `The photo must be sent as ${PHOTO_TYPES.join(', ')}`,
+          },
+        });
+      }
+      if (req.body.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: { code: ERROR_CODES.INVALID_PHOTO, message: 'Empty photo' },
+        });
+      }
+
+      const saved = await checkInPhotoRepository.savePhoto(req.params.id, {
+        mimeType,
+        data: req.body,
+      });
+      if (!saved) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.CHECKIN_NOT_FOUND,
+            message: 'Check-in not found',
+          },
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { checkinId: req.params.id, mimeType, bytes: req.body.length },
+      });
+    }),
+  );
+
+  /**
+   * GET /api/admin/checkins/:id/photo
+   * The photo a check-in was made with
+   */
+  app.get(
+    '/api/admin/checkins/:id/photo',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { checkInPhotoRepository } = getServices();
+      const photo = await checkInPhotoRepository.getPhoto(req.params.id);
+
+      if (!photo) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.PHOTO_NOT_FOUND,
+            message: 'This check-in has no photo',
+          },
+        });
+      }
+
+      res.set('Last-Modified', new Date(photo.created_at).toUTCString());
+      res.type(photo.mime_type).send(photo.data);
+    }),
+  );
+}
@@ -0,0 +1,140 @@
+import errorHandler from '#src/qr-server/utils/errorHandler.js';
+import validation from '#src/qr-server/utils/validation.js';
+
+const { asyncHandler, createDegradedResponse, ERROR_CODES } = errorHandler;
+const { PhoneNumberValidator } = validation;
+
+const ERROR_STATUSES = {
+  [ERROR_CODES.INVALID_REPORT]: 400,
+  [ERROR_CODES.NOT_GROUP_MANAGER]: 403,
+  [ERROR_CODES.GROUP_NOT_FOUND]: 404,
+};
+
+// ReportService method by the report's name in the path
+const REPORTS = new Map([
+  ['summary', 'getSummary'],
+  ['absent', 'getAbsences'],
+  ['late', 'getLateArrivals'],
+  ['present', 'getPresent'],
+]);
+
+/**
+ * Admin routes for the attendance reports managers ask the bot for. The bot
+ * passes the manager's phone number as ?by=, and the report only covers the
+ * groups they manage; without it a report covers everyone.
+ * @param {import('express').Express} app
+ * @param {Object} options
+ * @param {Function} options.getServices - Returns the initialized services
+ * @param {Function} options.authenticateToken - Admin auth middleware
+ */
+export function registerReportRoutes(app, { getServices, authenticateToken }) {
+  const requireServices = (req, res, next) => {
+    const { reportService } = getServices();
+    if (!reportService) {
+      return res
+        .status(503)
+        .json(createDegradedResponse('reports', 'Reports are not available'));
+    }
+    next();
+  };
+
+  /**
+   * GET /api/admin/reports/scope?by=
+   * The groups a manager may see reports of; 403 for someone who manages
+   * none
+   */
+  app.get(
+    '/api/admin/reports/scope',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { reportService } = getServices();
+      const by = resolveManager(res, req.query.by);
+      if (by === undefined) return;
+
+      const { error, groups, groupIds } = await reportService.getScope(by);
+      if (error) {
+        return res
+          .status(ERROR_STATUSES[error.code] ?? 400)
+          .json({ success: false, error });
+      }
+
+      res.json({
+        success: true,
+        data: { groups, everyone: groupIds === null },
+      });
+    }),
+  );
+
+  /**
+   * GET /api/admin/reports/:report?by=&group=&period=
+   * summary, absent, late or present (who is checked in now). period is
+   * today (the default), yesterday, week, last-week, month, last-month or a
+   * date (YYYY-MM-DD); group is a group's id or name.
+   */
+  app.get(
+    '/api/admin/reports/:report',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { reportService } = getServices();
+      const method = REPORTS.get(req.params.report);
+      if (!method) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.NOT_FOUND,
+            message: `Reports are ${[...REPORTS.keys()].join(', ')}`,
+          },
+        });
+      }
+
+      const by = resolveManager(res, req.query.by);
+      if (by === undefined) return;
+
+      const { group, period } = req.query;
+      if (
+        (group !== undefined && typeof group !== 'string') ||
+        (period !== undefined && typeof period !== 'string')
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.INVALID_REPORT,
+            message: "'group' and 'period' must be given once",
+          },
+        });
+      }
+
+      const { error, report } = await reportService[method]({
+        phoneNumber: by,
+        groupName: group || undefined,
+        period: period || undefined,
+      });
+      if (error) {
+        return res
+          .status(ERROR_STATUSES[error.code] ?? 400)
+          .json({ success: false, error });
+      }
+
+      res.json({ success: true, data: { report } });
+    }),
+  );
+}
+
+/**
+ * Validate the ?by= phone number of a report. Sends a 400 and returns
+ * undefined when it is invalid; null when there is none.
+ */
+function resolveManager(res, by) {
+  if (by === undefined || by === '') return null;
+
+  const phoneValidation = PhoneNumberValidator.validate(String(by));
+  if (!phoneValidation.valid) {
+    res
+      .status(phoneValidation.error.statusCode)
+      .json(phoneValidation.error.toJSON());
+    return undefined;
+  }
+  return phoneValidation.normalized;
+}
@@ -0,0 +1,324 @@
+import { DateTime } from 'luxon';
+
+import { envConfig } from '#src/configs/environment.js';
+import { isValidTimeOfDay } from '#src/qr-server/services/scheduleService.js';
+import errorHandler from '#src/qr-server/utils/errorHandler.js';
+import logger from '#src/qr-server/utils/logger.js';
+import validation from '#src/qr-server/utils/validation.js';
+
+const { asyncHandler, createDegradedResponse, ERROR_CODES } = errorHandler;
+const { DateValidator, PhoneNumberValidator } = validation;
+
+const MAX_GRACE_MINUTES = 240;
+
+const invalidSchedule = (res, message) =>
+  res.status(400).json({
+    success: false,
+    error: { code: ERROR_CODES.INVALID_SCHEDULE, message },
+  });
+
+const isValidWeekday = (weekday) =>
+  Number.isInteger(weekday) && weekday >= 1 && weekday <= 7;
+
+const isValidGrace = (graceMinutes) =>
+  graceMinutes === null ||
+  (Number.isInteger(graceMinutes) &&
+    graceMinutes >= 0 &&
+    graceMinutes <= MAX_GRACE_MINUTES);
+
+const toScheduleResponse = (schedule) => ({
+  id: schedule.id,
+  phoneNumber: schedule.phone_number,
+  groupId: schedule.group_id,
+  weekday: schedule.weekday,
+  startTime: schedule.start_time,
+  endTime: schedule.end_time,
+  graceMinutes: schedule.grace_minutes,
+  createdAt: schedule.created_at,
+  updatedAt: schedule.updated_at,
+});
+
+/**
+ * Validate the timing fields shared by create and update
+ * @returns {string|null} - Error message, null when valid
+ */
+function validateTiming({ weekday, startTime, endTime, graceMinutes }) {
+  if (weekday !== undefined && !isValidWeekday(weekday)) {
+    return 'Weekday must be 1 (Monday) to 7 (Sunday)';
+  }
+  if (startTime !== undefined && !isValidTimeOfDay(startTime)) {
+    return 'Start time must be HH:mm';
+  }
+  if (endTime !== undefined && !isValidTimeOfDay(endTime)) {
+    return 'End time must be HH:mm';
+  }
+  if (graceMinutes !== undefined && !isValidGrace(graceMinutes)) {
+    return `Grace must be 0 to ${MAX_GRACE_MINUTES} minutes, or null for the default`;
+  }
+  return null;
+}
+
+/**
+ * Admin routes for the timetable, the attendance rules and the daily
+ * attendance report
+ * @param {import('express').Express} app
+ * @param {Object} options
+ * @param {Function} options.getServices - Returns the initialized services
+ * @param {Function} options.authenticateToken - Admin auth middleware
+ */
+export function registerScheduleRoutes(
+  app,
+  { getServices, authenticateToken },
+) {
+  const requireServices = (req, res, next) => {
+    const { scheduleRepository, scheduleService } = getServices();
+    if (!scheduleRepository || !scheduleService) {
+      return res
+        .status(503)
+        .json(
+          createDegradedResponse(
+            'schedule_service',
+            'Schedule service is not available',
+          ),
+        );
+    }
+    next();
+  };
+
+  const scheduleNotFound = (res, id) =>
+    res.status(404).json({
+      success: false,
+      error: {
+        code: ERROR_CODES.SCHEDULE_NOT_FOUND,
+        message: `Schedule '${id}' not found`,
+      },
+    });
+
+  /**
+   * GET /api/admin/schedules
+   * Lists schedule entries, optionally for one person or group
+   */
+  app.get(
+    '/api/admin/schedules',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { scheduleRepository } = getServices();
+      const { phone, groupId } = req.query;
+      const filter = { groupId };
+
+      if (phone) {
+        const phoneValidation = PhoneNumberValidator.validate(phone);
+        if (!phoneValidation.valid) {
+          return res
+            .status(phoneValidation.error.statusCode)
+            .json(phoneValidation.error.toJSON());
+        }
+        filter.phoneNumber = phoneValidation.normalized;
+      }
+
+      const schedules = await scheduleRepository.getSchedules(filter);
+
+      res.json({
+        success: true,
+        data: {
+          schedules: schedules.map(toScheduleResponse),
+          count: schedules.length,
+        },
+      });
+    }),
+  );
+
+  /**
+   * POST /api/admin/schedules
+   * Adds a weekly entry for a person, a group, or everyone (neither given)
+   */
+  app.post(
+    '/api/admin/schedules',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { scheduleRepository } = getServices();
+      const {
+        phoneNumber,
+        groupId,
+        weekday,
+        startTime,
+        endTime,
+        graceMinutes = null,
+      } = req.body;
+
+      if (phoneNumber && groupId) {
+        return invalidSchedule(
+          res,
+          'A schedule applies to a person or a group, not both',
+        );
+      }
+
+      if (weekday === undefined || !startTime || !endTime) {
+        return invalidSchedule(
+          res,
+          'weekday, startTime and endTime are required',
+        );
+      }
+
+      const timingError = validateTiming({
+        weekday,
+        startTime,
+        endTime,
+        graceMinutes,
+      });
+      if (timingError) return invalidSchedule(res, timingError);
+
+      let normalizedPhone = null;
+      if (phoneNumber) {
+        const phoneValidation = PhoneNumberValidator.validate(phoneNumber);
+        if (!phoneValidation.valid) {
+          return res
+            .status(phoneValidation.error.statusCode)
+            .json(phoneValidation.error.toJSON());
+        }
+        normalizedPhone = phoneValidation.normalized;
+      }
+
+      const schedule = await scheduleRepository.createSchedule({
+        phoneNumber: normalizedPhone,
+        groupId: groupId || null,
+        weekday,
+        startTime,
+        endTime,
+        graceMinutes,
+      });
+
+      logger.info('Schedule created via admin API', { id: schedule.id });
+
+      res.status(201).json({
+        success: true,
+        data: { schedule: toScheduleResponse(schedule) },
+      });
+    }),
+  );
+
+  /**
+   * PATCH /api/admin/schedules/:id
+   * Changes the weekday, times or grace of an entry
+   */
+  app.patch(
+    '/api/admin/schedules/:id',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { scheduleRepository } = getServices();
+      const { weekday, startTime, endTime, graceMinutes } = req.body;
+
+      const timingError = validateTiming({
+        weekday,
+        startTime,
+        endTime,
+        graceMinutes,
+      });
+      if (timingError) return invalidSchedule(res, timingError);
+
+      const schedule = await scheduleRepository.updateSchedule(req.params.id, {
+        weekday,
+        startTime,
+        endTime,
+        graceMinutes,
+      });
+      if (!schedule) return scheduleNotFound(res, req.params.id);
+
+      res.json({
+        success: true,
+        data: { schedule: toScheduleResponse(schedule) },
+      });
+    }),
+  );
+
+  /**
+   * DELETE /api/admin/schedules/:id
+   * Removes an entry; past check-ins keep their derived status
+   */
+  app.delete(
+    '/api/admin/schedules/:id',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { scheduleRepository } = getServices();
+      const deleted = await scheduleRepository.deleteSchedule(req.params.id);
+      if (!deleted) return scheduleNotFound(res, req.params.id);
+
+      logger.info('Schedule deleted via admin API', { id: req.params.id });
+
+      res.json({ success: true, data: { id: req.params.id } });
+    }),
+  );
+
+  /**
+   * GET /api/admin/attendance-rules
+   * Returns the late, half-day and absent thresholds
+   */
+  app.get(
+    '/api/admin/attendance-rules',
+    authenticateToken,
+    requireServices,
+    (req, res) => {
+      const { scheduleService } = getServices();
+      res.json({ success: true, data: { rules: scheduleService.getRules() } });
+    },
+  );
+
+  /**
+   * PUT /api/admin/attendance-rules
+   * Changes some or all of the thresholds
+   */
+  app.put(
+    '/api/admin/attendance-rules',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { scheduleService } = getServices();
+      const { rules, error } = await scheduleService.updateRules(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: { code: ERROR_CODES.INVALID_ATTENDANCE_RULES, message: error },
+        });
+      }
+
+      res.json({ success: true, data: { rules } });
+    }),
+  );
+
+  /**
+   * GET /api/admin/attendance?date=YYYY-MM-DD
+   * Status of everyone with a personal, group or everyone schedule entry on
+   * that day (default today)
+   */
+  app.get(
+    '/api/admin/attendance',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { scheduleService } = getServices();
+      let date = DateTime.now().setZone(envConfig.TIME_ZONE).toISODate();
+
+      if (req.query.date) {
+        const dateValidation = DateValidator.validate(req.query.date);
+        if (!dateValidation.valid) {
+          return res
+            .status(dateValidation.error.statusCode)
+            .json(dateValidation.error.toJSON());
+        }
+        date = dateValidation.normalized.toISOString().split('T')[0];
+      }
+
+      const attendance = await scheduleService.getDailyAttendance(date);
+
+      res.json({
+        success: true,
+        data: { date, attendance, count: attendance.length },
+      });
+    }),
+  );
+}
@@ -0,0 +1,119 @@
+import errorHandler from '#src/qr-server/utils/errorHandler.js';
+import validation from '#src/qr-server/utils/validation.js';
+
+const { asyncHandler, createDegradedResponse, ERROR_CODES } = errorHandler;
+const { NumericValidator } = validation;
+
+const toRunResponse = (run) => ({
+  id: run.id,
+  job: run.job,
+  runKey: run.run_key,
+  scheduledFor: run.scheduled_for,
+  status: run.status,
+  result: run.result,
+  startedAt: run.started_at,
+  finishedAt: run.finished_at,
+});
+
+/**
+ * Admin routes for the absence reminder settings and the run history
+ * @param {import('express').Express} app
+ * @param {Object} options
+ * @param {Function} options.getServices - Returns the initialized services
+ * @param {Function} options.authenticateToken - Admin auth middleware
+ */
+export function registerSchedulerRoutes(
+  app,
+  { getServices, authenticateToken },
+) {
+  const requireServices = (req, res, next) => {
+    const { scheduledRunRepository, schedulerService } = getServices();
+    if (!scheduledRunRepository || !schedulerService) {
+      return res
+        .status(503)
+        .json(
+          createDegradedResponse(
+            'scheduler_service',
+            'Scheduler is not available',
+          ),
+        );
+    }
+    next();
+  };
+
+  /**
+   * GET /api/admin/absence-nudges
+   * Returns when absence reminders are sent, globally and per group
+   */
+  app.get(
+    '/api/admin/absence-nudges',
+    authenticateToken,
+    requireServices,
+    (req, res) => {
+      const { schedulerService } = getServices();
+      res.json({
+        success: true,
+        data: { settings: schedulerService.getSettings() },
+      });
+    },
+  );
+
+  /**
+   * PUT /api/admin/absence-nudges
+   * Changes some of the settings; `groups` is replaced as a whole
+   */
+  app.put(
+    '/api/admin/absence-nudges',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { schedulerService } = getServices();
+      const { settings, error } = await schedulerService.updateSettings(
+        req.body,
+      );
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: { code: ERROR_CODES.INVALID_NUDGE_SETTINGS, message: error },
+        });
+      }
+
+      res.json({ success: true, data: { settings } });
+    }),
+  );
+
+  /**
+   * GET /api/admin/scheduled-runs?job=&limit=
+   * Most recent scheduled runs and what they did
+   */
+  app.get(
+    '/api/admin/scheduled-runs',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { scheduledRunRepository } = getServices();
+      let limit = 50;
+
+      if (req.query.limit) {
+        const limitValidation = NumericValidator.validateLimit(req.query.limit);
+        if (!limitValidation.valid) {
+          return res
+            .status(limitValidation.error.statusCode)
+            .json(limitValidation.error.toJSON());
+        }
+        limit = limitValidation.normalized;
+      }
+
+      const runs = await scheduledRunRepository.getRuns({
+        job: req.query.job,
+        limit,
+      });
+
+      res.json({
+        success: true,
+        data: { runs: runs.map(toRunResponse), count: runs.length },
+      });
+    }),
+  );
+}
@@ -0,0 +1,188 @@
+import { toSession } from '#src/qr-server/services/sessionService.js';
+import errorHandler from '#src/qr-server/utils/errorHandler.js';
+
+const { asyncHandler, createDegradedResponse, ERROR_CODES } = errorHandler;
+
+const SESSION_FIELDS = [
+  'name',
+  'locationId',
+  'groupId',
+  'startsAt',
+  'endsAt',
+  'cron',
+  'durationMinutes',
+  'active',
+];
+
+const ERROR_STATUSES = {
+  [ERROR_CODES.INVALID_SESSION]: 400,
+  [ERROR_CODES.SESSION_NOT_FOUND]: 404,
+  [ERROR_CODES.LOCATION_NOT_FOUND]: 404,
+  [ERROR_CODES.GROUP_NOT_FOUND]: 404,
+};
+
+const pickSessionFields = (body = {}) =>
+  Object.fromEntries(
+    SESSION_FIELDS.filter((field) => body[field] !== undefined).map((field) => [
+      field,
+      body[field],
+    ]),
+  );
+
+const sendResult = (res, { session, error }, status = 200) => {
+  if (error) {
+    return res
+      .status(ERROR_STATUSES[error.code] ?? 400)
+      .json({ success: false, error });
+  }
+  res.status(status).json({ success: true, data: { session } });
+};
+
+/**
+ * Admin routes for attendance sessions, the windows in which a location's
+ * codes can be used
+ * @param {import('express').Express} app
+ * @param {Object} options
+ * @param {Function} options.getServices - Returns the initialized services
+ * @param {Function} options.authenticateToken - Admin auth middleware
+ */
+export function registerSessionRoutes(app, { getServices, authenticateToken }) {
+  const requireServices = (req, res, next) => {
+    const { sessionRepository, sessionService } = getServices();
+    if (!sessionRepository || !sessionService) {
+      return res
+        .status(503)
+        .json(
+          createDegradedResponse(
+            'session_service',
+            'Session service is not available',
+          ),
+        );
+    }
+    next();
+  };
+
+  /**
+   * GET /api/admin/sessions?location=&group=&active=
+   * Lists sessions, optionally of one location or group, or only the active
+   * or inactive ones
+   */
+  app.get(
+    '/api/admin/sessions',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { sessionRepository } = getServices();
+      const { location, group, active } = req.query;
+
+      if (active !== undefined && !['true', 'false'].includes(active)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.INVALID_SESSION,
+            message: "'active' must be true or false",
+          },
+        });
+      }
+
+      const sessions = await sessionRepository.getSessions({
+        locationId: location,
+        groupId: group,
+        active: active === undefined ? undefined : active === 'true',
+      });
+
+      res.json({
+        success: true,
+        data: { sessions: sessions.map(toSession), count: sessions.length },
+      });
+    }),
+  );
+
+  /**
+   * POST /api/admin/sessions
+   * Creates a session: { name, locationId, groupId?, active? } with either
+   * { startsAt, endsAt } for a one-off session or { cron, durationMinutes }
+   * for a recurring one
+   */
+  app.post(
+    '/api/admin/sessions',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { sessionService } = getServices();
+
+      sendResult(
+        res,
+        await sessionService.createSession(pickSessionFields(req.body)),
+        201,
+      );
+    }),
+  );
+
+  /**
+   * GET /api/admin/sessions/:id
+   * A session with its current and next opening
+   */
+  app.get(
+    '/api/admin/sessions/:id',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { sessionRepository, sessionService } = getServices();
+      const row = await sessionRepository.getSession(req.params.id);
+      if (!row) {
+        return sendResult(res, {
+          error: {
+            code: ERROR_CODES.SESSION_NOT_FOUND,
+            message: `Session '${req.params.id}' not found`,
+          },
+        });
+      }
+
+      const session = toSession(row);
+      const { open, next } = sessionService.getOpenings(session.id);
+
+      res.json({
+        success: true,
+        data: { session, open, next },
+      });
+    }),
+  );
+
+  /**
+   * PATCH /api/admin/sessions/:id
+   * Changes a session. To switch between one-off and recurring, set the
+   * fields of the other kind to null.
+   */
+  app.patch(
+    '/api/admin/sessions/:id',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { sessionService } = getServices();
+
+      sendResult(
+        res,
+        await sessionService.updateSession(
+          req.params.id,
+          pickSessionFields(req.body),
+        ),
+      );
+    }),
+  );
+
+  /**
+   * DELETE /api/admin/sessions/:id
+   * Deletes a session; its check-ins keep the session id
+   */
+  app.delete(
+    '/api/admin/sessions/:id',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { sessionService } = getServices();
+
+      sendResult(res, await sessionService.deleteSession(req.params.id));
+    }),
+  );
+}
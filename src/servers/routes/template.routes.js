@@ -0,0 +1,103 @@
+import errorHandler from '#src/qr-server/utils/errorHandler.js';
+import validation from '#src/qr-server/utils/validation.js';
+
+const { asyncHandler, createDegradedResponse, ERROR_CODES } = errorHandler;
+const { PhoneNumberValidator } = validation;
+
+/**
+ * Admin routes for the texts of the bot's messages and the language each
+ * person gets them in
+ * @param {import('express').Express} app
+ * @param {Object} options
+ * @param {Function} options.getServices - Returns the initialized services
+ * @param {Function} options.authenticateToken - Admin auth middleware
+ */
+export function registerTemplateRoutes(
+  app,
+  { getServices, authenticateToken },
+) {
+  const requireServices = (req, res, next) => {
+    const { templateService } = getServices();
+    if (!templateService) {
+      return res
+        .status(503)
+        .json(
+          createDegradedResponse(
+            'template_service',
+            'Template service is not available',
+          ),
+        );
+    }
+    next();
+  };
+
+  /**
+   * GET /api/admin/templates
+   * Returns every template in every language, the admin texts among them and
+   * the default language
+   */
+  app.get(
+    '/api/admin/templates',
+    authenticateToken,
+    requireServices,
+    (req, res) => {
+      const { templateService } = getServices();
+      res.json({ success: true, data: templateService.getCatalog() });
+    },
+  );
+
+  /**
+   * PUT /api/admin/templates
+   * Changes texts and/or the default language:
+   * { defaultLanguage?, templates?: { key: { language: text|null } } }
+   */
+  app.put(
+    '/api/admin/templates',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { templateService } = getServices();
+      const { catalog, error } = await templateService.updateTemplates(
+        req.body ?? {},
+      );
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: { code: ERROR_CODES.INVALID_TEMPLATES, message: error },
+        });
+      }
+
+      res.json({ success: true, data: catalog });
+    }),
+  );
+
+  /**
+   * GET /api/admin/templates/people/:phone
+   * Every text in the language of one person, after fallbacks. The bot reads
+   * its replies from here.
+   */
+  app.get(
+    '/api/admin/templates/people/:phone',
+    authenticateToken,
+    requireServices,
+    asyncHandler(async (req, res) => {
+      const { templateService } = getServices();
+      const phoneValidation = PhoneNumberValidator.validate(req.params.phone);
+      if (!phoneValidation.valid) {
+        return res
+          .status(phoneValidation.error.statusCode)
+          .json(phoneValidation.error.toJSON());
+      }
+
+      const { language, templates } = await templateService.getTemplatesFor(
+        phoneValidation.normalized,
+      );
+
+      res.json({
+        success: true,
+        data: { phoneNumber: phoneValidation.normalized, language, templates },
+      });
+    }),
+  );
+}
@@ -0,0 +1,170 @@
+import QRCode from 'qrcode';
+
+import errorHandler from '#src/qr-server/utils/errorHandler.js';
+
+const { asyncHandler, createDegradedResponse, ERROR_CODES } = errorHandler;
+
+/**
+ * Admin routes for the WhatsApp clients: their live state, a restart for
+ * when one is stuck in a way its supervisor does not notice, and linking the
+ * numbers from the admin page (/whatsapp.html). Routes act on the client
+ * named by ?client=, or on the default one.
+ * @param {import('express').Express} app
+ * @param {Object} options
+ * @param {import('#src/libs/whatsapp-clients.js').WhatsAppClients|null} options.clients
+ * @param {Function} options.authenticateToken - Admin auth middleware
+ */
+export function registerWhatsAppRoutes(app, { clients, authenticateToken }) {
+  // Finds the client's supervisor and keeps it as req.supervisor
+  const requireSupervisor = (req, res, next) => {
+    const { client: clientId } = req.query;
+    const entry = clients?.get(
+      typeof clientId === 'string' && clientId ? clientId : undefined,
+    );
+
+    if (clients && clientId && !entry) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: ERROR_CODES.WHATSAPP_CLIENT_NOT_FOUND,
+          message: `No WhatsApp client '${clientId}'`,
+        },
+      });
+    }
+    if (!entry?.supervisor) {
+      return res
+        .status(503)
+        .json(
+          createDegradedResponse(
+            'whatsapp_supervisor',
+            'The WhatsApp client is not supervised by this server',
+          ),
+        );
+    }
+    req.supervisor = entry.supervisor;
+    next();
+  };
+
+  /**
+   * GET /api/admin/whatsapp/clients
+   * The WhatsApp clients, one per number, with their state; the first is
+   * the default
+   */
+  app.get('/api/admin/whatsapp/clients', authenticateToken, (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        clients: (clients?.list() ?? []).map(
+          ({ id, phoneNumber, supervisor }) => ({
+            id,
+            phoneNumber,
+            default: id === clients.defaultId,
+            status: supervisor?.getStatus() ?? null,
+          }),
+        ),
+      },
+    });
+  });
+
+  /**
+   * GET /api/admin/whatsapp/status
+   * State of the client, its restarts and the last page check
+   */
+  app.get(
+    '/api/admin/whatsapp/status',
+    authenticateToken,
+    requireSupervisor,
+    (req, res) => {
+      res.json({ success: true, data: { status: req.supervisor.getStatus() } });
+    },
+  );
+
+  /**
+   * POST /api/admin/whatsapp/restart
+   * Closes Chromium and starts the client again
+   */
+  app.post(
+    '/api/admin/whatsapp/restart',
+    authenticateToken,
+    requireSupervisor,
+    (req, res) => {
+      req.supervisor
+        .restart('Requested through the admin API')
+        .catch((error) =>
+          console.error('Error restarting the WhatsApp client: ', error),
+        );
+
+      res
+        .status(202)
+        .json({ success: true, data: { status: req.supervisor.getStatus() } });
+    },
+  );
+
+  /**
+   * GET /api/admin/whatsapp/link
+   * Link state, with the QR code as an image and the pairing code while the
+   * number is not linked
+   */
+  app.get(
+    '/api/admin/whatsapp/link',
+    authenticateToken,
+    requireSupervisor,
+    asyncHandler(async (req, res) => {
+      const link = req.supervisor.getLinking();
+      const qrCodeDataURL = link.qr
+        ? await QRCode.toDataURL(link.qr.value, {
+            width: 264,
+            margin: 2,
+            errorCorrectionLevel: 'M',
+          })
+        : null;
+
+      res.set('Cache-Control', 'no-store');
+      res.json({ success: true, data: { link: { ...link, qrCodeDataURL } } });
+    }),
+  );
+
+  /**
+   * POST /api/admin/whatsapp/logout
+   * Unlinks the number and deletes the saved session; the client stays
+   * logged out until relinked
+   */
+  app.post(
+    '/api/admin/whatsapp/logout',
+    authenticateToken,
+    requireSupervisor,
+    (req, res) => {
+      req.supervisor
+        .logout()
+        .catch((error) =>
+          console.error('Error logging out the WhatsApp client: ', error),
+        );
+
+      res
+        .status(202)
+        .json({ success: true, data: { link: req.supervisor.getLinking() } });
+    },
+  );
+
+  /**
+   * POST /api/admin/whatsapp/relink
+   * Unlinks the number and starts the client again with a new QR code, to
+   * link the same or another number
+   */
+  app.post(
+    '/api/admin/whatsapp/relink',
+    authenticateToken,
+    requireSupervisor,
+    (req, res) => {
+      req.supervisor
+        .logout({ relink: true })
+        .catch((error) =>
+          console.error('Error relinking the WhatsApp client: ', error),
+        );
+
+      res
+        .status(202)
+        .json({ success: true, data: { link: req.supervisor.getLinking() } });
+    },
+  );
+}
@@ -1,6 +1,12 @@
+/**
+ * Turns a phone number into a WhatsApp user ID. IDs that already carry a
+ * suffix, including LIDs ("123456789012345@lid"), are returned as they are.
+ * @param {string} number - Phone number digits or a WhatsApp ID
+ * @returns {string} The WhatsApp user ID (e.g., "85291234567@c.us")
+ */
 export const formatUserIdWA = (number) => {
   const formattedNumber = number.trim();
-  return formattedNumber.endsWith('@c.us')
+  return /@(c\.us|g\.us|lid)$/.test(formattedNumber)
     ? formattedNumber
     : `${formattedNumber}@c.us`;
 };
@@ -2,12 +2,25 @@ import { MessageProcessingContext } from './message-processing-context.js';
 import { MessageRouter } from './message-router.js';
 
 import { TYPING_DURATION } from '#src/const.js';
+import { handleGroupMessage } from '#src/core/group-chat-handlers.js';
+import { resolveUserId } from '#src/core/identity.js';
 import { processMessage } from '#src/core/message-processor.js';
+import { sendReply } from '#src/core/replies.js';
+import { withMessageQueue } from '#src/libs/message-queue.js';
 
 /**
  * Main message handler function
+ * @param {import('whatsapp-web.js').Client} whatsappClient
+ * @param {Object} options
+ * @param {string} [options.clientId] - Names the number the client runs;
+ *   replies go out from it and check-ins are attributed to it
+ * @param {Object} [options.userTimeouts]
  */
-export function messageHandler(client, options) {
+export function messageHandler(whatsappClient, options) {
+  // Every message the handlers send is paced and retried by the queue
+  const client = withMessageQueue(whatsappClient, {
+    clientId: options.clientId,
+  });
   const context = new MessageProcessingContext(client, options);
   const router = new MessageRouter(context);
 
@@ -39,25 +52,36 @@ export function messageHandler(client, options) {
     }
   };
 
-  client.on('message', async (msg) => {
+  whatsappClient.on('message', async (msg) => {
     try {
       logMessage(msg);
 
-      const userId = msg.from;
+      // The cheap checks come first, so LIDs are resolved only for messages
+      // that are handled
+      if (await handleEarlyReturns(msg, msg.from)) return;
 
-      if (await handleEarlyReturns(msg, userId)) return;
+      // Group chats only carry check-ins, without typing or error messages
+      // that would go to the whole group
+      if (msg.from.endsWith('@g.us')) {
+        await handleGroupMessage({ msg, client });
+        return;
+      }
+
+      // People WhatsApp knows by LID are handled under their phone number
+      const userId = await resolveUserId(client, msg.from);
+      if (!userId) {
+        await sendReply(client, msg.from, 'identityUnresolved');
+        return;
+      }
 
       const chat = await msg.getChat();
       if (!chat) {
         console.error('Chat not found for message:', msg);
-        await client.sendMessage(
-          userId,
-          'Chat not found. Please try again later.',
-        );
+        await sendReply(client, userId, 'chatNotFound');
         return;
       }
 
-      const isPersonalChat = msg.from.includes('@c.us');
+      const isPersonalChat = userId.includes('@c.us');
 
       setupTypingAndTimeout(userId, chat, isPersonalChat);
 
@@ -70,7 +94,7 @@ export function messageHandler(client, options) {
         });
       } catch (error) {
         console.error('Error in message handler:', error);
-        await client.sendMessage(userId, 'Please wait a minute and try again.');
+        await sendReply(client, userId, 'error');
       } finally {
         context.handleProcessComplete(userId);
         if (chat?.clearState) {
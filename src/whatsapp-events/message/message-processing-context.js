@@ -1,6 +1,7 @@
 import { TypingManager } from './typing-manager.js';
 
 import { CHAT_TIME_WAITING } from '#src/const.js';
+import { sendReply } from '#src/core/replies.js';
 
 /**
  * Message Processing Context
@@ -32,7 +33,9 @@ export class MessageProcessingContext {
 
     const timeoutId = setTimeout(() => {
       if (!this.processingCompleted) {
-        this.client.sendMessage(userId, 'Please wait...');
+        sendReply(this.client, userId, 'wait').catch((error) =>
+          console.error('Error sending wait message:', error),
+        );
       }
       delete this.userTimeouts[userId];
     }, CHAT_TIME_WAITING);
@@ -6,10 +6,22 @@ export class MessageRouter {
     this.context = context;
   }
 
+  /**
+   * Whether a message is left alone. Only the message itself is looked at,
+   * so this runs before the sender's identity is resolved.
+   * @param {import('whatsapp-web.js').Message} msg
+   * @returns {boolean}
+   */
   shouldSkipMessage(msg) {
     const skipTypes = ['protocol', 'notification_template', 'e2e_notification'];
     const skipSubtypes = ['encrypt'];
 
-    return skipTypes.includes(msg.type) || skipSubtypes.includes(msg.subtype);
+    return (
+      msg.from === 'status@broadcast' ||
+      msg.fromMe ||
+      (!msg.body?.trim() && !msg.hasMedia) ||
+      skipTypes.includes(msg.type) ||
+      skipSubtypes.includes(msg.subtype)
+    );
   }
 }
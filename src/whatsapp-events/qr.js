@@ -1,35 +1,15 @@
 import qrCode from 'qrcode-terminal';
 
-import { envConfig } from '#src/configs/environment.js';
-
-const PHONE_NUMBER = envConfig.PHONE_NUMBER;
-
 /**
+ * Print the linking QR code to the terminal. The pairing code is requested
+ * by the WhatsApp supervisor, and both are on the admin linking page.
  * @param {import('whatsapp-web.js').Client} client
+ * @param {Object} [options]
+ * @param {string} [options.clientId] - Names the number to link
  */
-export function qrHandler(client) {
-  let pairingCodeRequested = false;
-
-  client.on('qr', async (qr) => {
-    console.info('QR RECEIVED');
+export function qrHandler(client, { clientId } = {}) {
+  client.on('qr', (qr) => {
+    console.info(`QR RECEIVED for ${clientId ?? 'default'}`);
     qrCode.generate(qr, { small: true });
-
-    const pairingCodeEnabled = true;
-    if (pairingCodeEnabled && !pairingCodeRequested) {
-      if (!PHONE_NUMBER) {
-        console.error('PHONE_NUMBER is not defined');
-        return;
-      }
-
-      try {
-        console.info('Requesting pairing code for:', PHONE_NUMBER);
-        const pairingCode = await client.requestPairingCode(PHONE_NUMBER);
-        console.info('Pairing code enabled, code: ' + pairingCode);
-        pairingCodeRequested = true;
-      } catch (error) {
-        console.error('Error requesting pairing code:', error);
-        console.info('Falling back to QR code method');
-      }
-    }
   });
 }
@@ -1,15 +1,16 @@
 /**
  * @param {import('whatsapp-web.js').Client} client
- * @param {Object} messageJson - The message JSON data.
+ * @param {Object} [options]
+ * @param {string} [options.clientId] - Names the number the client runs
  */
-export function readyHandler(client) {
+export function readyHandler(client, { clientId } = {}) {
   client.on('ready', async () => {
-    console.info('STARTING...');
+    console.info(`STARTING ${clientId ?? 'default'}...`);
 
     const debugWWebVersion = await client.getWWebVersion();
     console.info(`WWebVersion = ${debugWWebVersion}`);
 
-    console.info('READY TO USE!');
+    console.info(`${clientId ?? 'default'} READY TO USE!`);
 
     client.pupPage.on('pageerror', function (err) {
       console.info('Page error: ' + err.toString());
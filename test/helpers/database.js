@@ -0,0 +1,27 @@
+import DatabaseConnection from '#src/qr-server/database/connection.js';
+import { initializeSchema } from '#src/qr-server/database/schema.js';
+
+/**
+ * A connected in-memory database with the full schema
+ * @returns {Promise<DatabaseConnection>}
+ */
+export async function createTestDatabase() {
+  const dbConnection = new DatabaseConnection(':memory:');
+  await dbConnection.connect();
+  await initializeSchema(dbConnection);
+  return dbConnection;
+}
+
+/**
+ * Resolve once condition() is true, checking every few milliseconds
+ * @param {Function} condition
+ * @param {number} [timeoutMs=2000]
+ * @returns {Promise<void>}
+ */
+export async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
@@ -0,0 +1,41 @@
+import assert from 'assert/strict';
+import { EventEmitter } from 'events';
+import { describe, it } from 'node:test';
+
+import { WhatsAppSupervisor } from '#src/libs/whatsapp-supervisor.js';
+
+describe('WhatsAppSupervisor.isStuck', () => {
+  const createSupervisor = () =>
+    new WhatsAppSupervisor(new EventEmitter(), { clientId: 'test' });
+
+  it('is stuck once it has kept restarting past the grace period', () => {
+    const supervisor = createSupervisor();
+    supervisor.setState('starting');
+    supervisor.setState('disconnected');
+    supervisor.setState('restarting');
+    supervisor.recoveringSince = new Date(Date.now() - 60000);
+
+    assert.equal(supervisor.isStuck(30000), true);
+    assert.equal(supervisor.isStuck(120000), false);
+  });
+
+  it('starts the grace period over once ready', () => {
+    const supervisor = createSupervisor();
+    supervisor.setState('starting');
+    supervisor.recoveringSince = new Date(Date.now() - 60000);
+    supervisor.setState('ready');
+    supervisor.setState('disconnected');
+
+    assert.equal(supervisor.isStuck(30000), false);
+  });
+
+  it('is never stuck while waiting to be linked or logged out', () => {
+    const supervisor = createSupervisor();
+    supervisor.setState('starting');
+    supervisor.setState('qr');
+    assert.equal(supervisor.recoveringSince, null);
+
+    supervisor.setState('logged_out');
+    assert.equal(supervisor.isStuck(0), false);
+  });
+});
@@ -0,0 +1,86 @@
+import assert from 'assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import { createTestDatabase } from '../helpers/database.js';
+
+import CheckInRepository from '#src/qr-server/database/checkInRepository.js';
+import CheckInService from '#src/qr-server/services/checkInService.js';
+
+describe('CheckInService duplicate check', () => {
+  let dbConnection;
+  let checkInService;
+
+  const locationService = {
+    validateOTP: () => ({ valid: true, locationId: 'default', timeSlot: 1 }),
+    getLocation: (id) => ({ id }),
+  };
+  const shiftService = {
+    startShift: async () => ({}),
+    endShift: async () => ({}),
+  };
+
+  const checkIn = (phoneNumber, timestamp = new Date()) =>
+    checkInService.processCheckIn({ phoneNumber, otp: '123456', timestamp });
+
+  beforeEach(async () => {
+    dbConnection = await createTestDatabase();
+    checkInService = new CheckInService({
+      locationService,
+      checkInRepository: new CheckInRepository(dbConnection),
+      shiftService,
+      scheduleService: null,
+      cooldownMs: 5 * 60 * 1000,
+      unknownNumberPolicy: 'allow',
+    });
+  });
+
+  afterEach(async () => {
+    await dbConnection.close();
+  });
+
+  it('marks a replayed code as a duplicate', async () => {
+    const first = await checkIn('+85291234567');
+    const second = await checkIn('+85291234567');
+
+    assert.equal(first.status, 'valid');
+    assert.equal(second.status, 'duplicate');
+    assert.equal(second.duplicateOf.id, first.checkInId);
+  });
+
+  it('records only one of two check-ins sent at once as valid', async () => {
+    const results = await Promise.all([
+      checkIn('+85291234567'),
+      checkIn('+85291234567'),
+      checkIn('+85291234567'),
+    ]);
+
+    assert.deepEqual(
+      results.map(({ status }) => status),
+      ['valid', 'duplicate', 'duplicate'],
+    );
+  });
+
+  it('does not hold up check-ins from other numbers', async () => {
+    const results = await Promise.all([
+      checkIn('+85291234567'),
+      checkIn('+85298765432'),
+    ]);
+
+    assert.deepEqual(
+      results.map(({ status }) => status),
+      ['valid', 'valid'],
+    );
+  });
+
+  it('keeps processing a number after one of its check-ins fails', async () => {
+    const { validateOTP } = locationService;
+    locationService.validateOTP = () => {
+      throw new Error('boom');
+    };
+    await assert.rejects(checkIn('+85291234567'), /boom/);
+    locationService.validateOTP = validateOTP;
+
+    const result = await checkIn('+85291234567');
+    assert.equal(result.status, 'valid');
+  });
+});
@@ -0,0 +1,75 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  DEFAULT_EXPORT_COLUMNS,
+  toCell,
+  toCsvLine,
+  validateExportColumns,
+} from '#src/qr-server/services/exportService.js';
+
+describe('validateExportColumns', () => {
+  it('accepts the default columns of every report', () => {
+    for (const [report, columns] of Object.entries(DEFAULT_EXPORT_COLUMNS)) {
+      assert.equal(validateExportColumns(report, columns), null);
+    }
+  });
+
+  it('rejects an empty list', () => {
+    assert.match(validateExportColumns('daily', []), /list of 1 to 50/);
+  });
+
+  it('rejects unknown and repeated fields', () => {
+    assert.match(
+      validateExportColumns('daily', [{ field: 'salary', header: 'Pay' }]),
+      /Unknown daily field 'salary'/,
+    );
+    assert.match(
+      validateExportColumns('daily', [
+        { field: 'date', header: 'Date' },
+        { field: 'date', header: 'Day' },
+      ]),
+      /mapped twice/,
+    );
+  });
+
+  it('rejects blank headers', () => {
+    assert.match(
+      validateExportColumns('events', [{ field: 'id', header: '  ' }]),
+      /header of 'id'/,
+    );
+  });
+});
+
+describe('toCell', () => {
+  it('writes missing values as empty cells and joins lists', () => {
+    assert.equal(toCell(null), '');
+    assert.equal(toCell(undefined), '');
+    assert.equal(toCell(['a', 'b']), 'a, b');
+    assert.equal(toCell(7.5), 7.5);
+  });
+
+  it('quotes text a spreadsheet would run as a formula', () => {
+    assert.equal(toCell('=SUM(A1:A2)'), "'=SUM(A1:A2)");
+    assert.equal(toCell('@cmd'), "'@cmd");
+    assert.equal(toCell('-2+3'), '-2+3');
+    assert.equal(toCell('+cmd'), "'+cmd");
+  });
+
+  it('leaves phone numbers alone', () => {
+    assert.equal(toCell('+85291234567'), '+85291234567');
+  });
+});
+
+describe('toCsvLine', () => {
+  it('quotes cells with commas, quotes and line breaks', () => {
+    assert.equal(
+      toCsvLine(['Chan, Tai Man', 'say "hi"', 'two\nlines', 3]),
+      '"Chan, Tai Man","say ""hi""","two\nlines",3\r\n',
+    );
+  });
+
+  it('writes lists and formulas the way cells are written', () => {
+    assert.equal(toCsvLine([['g1', 'g2'], '=1+1']), '"g1, g2",\'=1+1\r\n');
+  });
+});
@@ -0,0 +1,121 @@
+import assert from 'assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import { createTestDatabase, waitFor } from '../helpers/database.js';
+
+import OutboundMessageRepository from '#src/qr-server/database/outboundMessageRepository.js';
+import MessageQueueService from '#src/qr-server/services/messageQueueService.js';
+
+describe('MessageQueueService.drain', () => {
+  let dbConnection;
+  let outboundMessageRepository;
+  let sent;
+
+  const createQueue = (options = {}) =>
+    new MessageQueueService({
+      outboundMessageRepository,
+      sendMessage: async (chatId, body, { whatsappClientId }) => {
+        sent.push({ chatId, body, whatsappClientId });
+      },
+      ratePerMinute: 600000,
+      chatIntervalMs: 60000,
+      jitterMs: 0,
+      pollIntervalMs: 60000,
+      ...options,
+    });
+
+  // One pass of the started queue, stopped before the next one
+  const drainOnce = async (queue) => {
+    queue.start();
+    await waitFor(() => !queue.draining);
+    queue.stop();
+  };
+
+  const enqueue = (chatId, body, whatsappClientId = null) =>
+    outboundMessageRepository.enqueue({ chatId, body, whatsappClientId });
+
+  beforeEach(async () => {
+    dbConnection = await createTestDatabase();
+    outboundMessageRepository = new OutboundMessageRepository(dbConnection);
+    sent = [];
+  });
+
+  afterEach(async () => {
+    await dbConnection.close();
+  });
+
+  it('sends due messages oldest first', async () => {
+    await enqueue('1@c.us', 'first');
+    await enqueue('2@c.us', 'second');
+    await enqueue('3@c.us', 'third');
+
+    await drainOnce(createQueue());
+
+    assert.deepEqual(
+      sent.map(({ body }) => body),
+      ['first', 'second', 'third'],
+    );
+  });
+
+  it('sends past a batch of messages from a client that is not ready', async () => {
+    for (let i = 0; i < 60; i++) {
+      await enqueue(`${i}@c.us`, `held ${i}`, 'offline');
+    }
+    await enqueue('1@c.us', 'from the default client');
+
+    await drainOnce(
+      createQueue({ isClientReady: (clientId) => clientId !== 'offline' }),
+    );
+
+    assert.deepEqual(
+      sent.map(({ body }) => body),
+      ['from the default client'],
+    );
+    const held = await outboundMessageRepository.getDueMessages(
+      new Date(),
+      100,
+    );
+    assert.equal(held.length, 60);
+  });
+
+  it('sends past a batch of messages to a chat that has to wait', async () => {
+    for (let i = 0; i < 60; i++) {
+      await enqueue('busy@c.us', `busy ${i}`);
+    }
+    await enqueue('quiet@c.us', 'quiet');
+
+    await drainOnce(createQueue());
+
+    assert.deepEqual(
+      sent.map(({ body }) => body),
+      ['busy 0', 'quiet'],
+    );
+  });
+
+  it('keeps the order of messages to one chat across passes', async () => {
+    await enqueue('1@c.us', 'first');
+    await enqueue('2@c.us', 'other');
+    await enqueue('1@c.us', 'second');
+
+    const queue = createQueue({ chatIntervalMs: 0 });
+    await drainOnce(queue);
+    await drainOnce(queue);
+
+    assert.deepEqual(
+      sent.map(({ body }) => body),
+      ['first', 'other', 'second'],
+    );
+  });
+
+  it('paces messages to the same chat on different clients separately', async () => {
+    await enqueue('1@c.us', 'from the default client');
+    await enqueue('1@c.us', 'from the second client', 'second');
+
+    await drainOnce(createQueue());
+
+    assert.deepEqual(
+      sent.map(({ whatsappClientId }) => whatsappClientId),
+      [null, 'second'],
+    );
+  });
+});
@@ -0,0 +1,45 @@
+import assert from 'assert/strict';
+import { createHmac } from 'crypto';
+import { describe, it } from 'node:test';
+
+import { createOTPFormat } from '#src/qr-server/utils/otpFormat.js';
+
+describe('createOTPFormat', () => {
+  const digest = createHmac('sha1', 'secret').update('slot').digest();
+
+  it('keeps typeable codes as the leading hex digits of the digest', () => {
+    const format = createOTPFormat('typeable');
+
+    assert.equal(format.length, 6);
+    assert.equal(
+      format.fromDigest(digest),
+      digest.toString('hex').slice(0, 6).toUpperCase(),
+    );
+  });
+
+  it('encodes base32 codes with the RFC 4648 alphabet', () => {
+    const format = createOTPFormat('base32', 8);
+
+    assert.equal(format.fromDigest(Buffer.from('foobar')), 'MZXW6YTB');
+  });
+
+  it('finds a code in a check-in message', () => {
+    const format = createOTPFormat('typeable');
+    const code = format.fromDigest(digest);
+
+    assert.equal(`Check-in code: ${code}`.match(format.searchRegex)?.[0], code);
+    assert.ok(format.regex.test(code));
+    assert.ok(format.regex.test(format.example));
+  });
+
+  it('rejects unknown formats and lengths out of range', () => {
+    assert.throws(() => createOTPFormat('emoji'), /Unknown OTP format/);
+    assert.throws(() => createOTPFormat('typeable', 5), /between 6 and 8/);
+  });
+
+  it('needs a digest long enough for the code', () => {
+    const format = createOTPFormat('base32', 32);
+
+    assert.throws(() => format.fromDigest(Buffer.alloc(10)), /too short/);
+  });
+});
@@ -0,0 +1,114 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+
+import ScheduleService from '#src/qr-server/services/scheduleService.js';
+
+// Tuesday 20 October 2026, in Hong Kong
+const DATE = '2026-10-20';
+const TUESDAY = 2;
+
+const schedule = (fields) => ({
+  weekday: TUESDAY,
+  phone_number: null,
+  group_id: null,
+  grace_minutes: null,
+  ...fields,
+});
+
+const SCHEDULES = [
+  schedule({ id: 1, start_time: '09:00', end_time: '17:00' }),
+  schedule({ id: 2, group_id: 'lab', start_time: '10:00', end_time: '18:00' }),
+  schedule({
+    id: 3,
+    phone_number: '+85290000003',
+    start_time: '08:00',
+    end_time: '12:00',
+  }),
+];
+
+const PEOPLE = [
+  { phoneNumber: '+85290000001', displayName: 'Alice', groupIds: [] },
+  { phoneNumber: '+85290000002', displayName: 'Bob', groupIds: ['lab'] },
+  { phoneNumber: '+85290000003', displayName: 'Carol', groupIds: ['lab'] },
+];
+
+const createScheduleService = ({ checkIns = [], onLeave = [] } = {}) =>
+  new ScheduleService({
+    scheduleRepository: { getSchedules: async () => SCHEDULES },
+    configRepository: null,
+    checkInRepository: { getValidEvents: async () => checkIns },
+    leaveService: { getPhonesOnLeave: async () => new Set(onLeave) },
+    listPeople: async () => PEOPLE,
+    timeZone: 'Asia/Hong_Kong',
+  });
+
+const byName = (rows) =>
+  Object.fromEntries(rows.map((row) => [row.displayName, row]));
+
+describe('ScheduleService.getDailyAttendance', () => {
+  it('expects each person under their most specific entry', async () => {
+    const rows = await createScheduleService().getDailyAttendance(
+      DATE,
+      new Date('2026-10-20T08:00:00+08:00'),
+    );
+
+    assert.deepEqual(
+      rows.map((row) => [row.displayName, row.scheduleId]),
+      [
+        ['Alice', 1],
+        ['Bob', 2],
+        ['Carol', 3],
+      ],
+    );
+    assert.equal(byName(rows).Bob.groupId, 'lab');
+    assert.equal(byName(rows).Bob.scheduledStart, '2026-10-20T02:00:00.000Z');
+  });
+
+  it('uses the recorded status of a check-in, or classifies it', async () => {
+    const rows = await createScheduleService({
+      checkIns: [
+        {
+          phone_number: '+85290000001',
+          timestamp: '2026-10-20T01:03:00.000Z',
+          schedule_id: 1,
+          attendance_status: null,
+        },
+        {
+          phone_number: '+85290000002',
+          timestamp: '2026-10-20T02:20:00.000Z',
+          schedule_id: 2,
+          attendance_status: 'late',
+        },
+      ],
+    }).getDailyAttendance(DATE, new Date('2026-10-20T11:00:00+08:00'));
+
+    const { Alice, Bob } = byName(rows);
+    assert.equal(Alice.status, 'on_time');
+    assert.equal(Alice.minutesLate, 3);
+    assert.equal(Bob.status, 'late');
+    assert.equal(Bob.checkInAt, '2026-10-20T02:20:00.000Z');
+  });
+
+  it('marks people without a check-in pending, absent or on leave', async () => {
+    const service = createScheduleService({ onLeave: ['+85290000003'] });
+
+    const before = byName(
+      await service.getDailyAttendance(
+        DATE,
+        new Date('2026-10-20T13:00:00+08:00'),
+      ),
+    );
+    const after = byName(
+      await service.getDailyAttendance(
+        DATE,
+        new Date('2026-10-20T14:00:00+08:00'),
+      ),
+    );
+
+    // Alice is absent from 13:00 and Bob from 14:00
+    assert.equal(before.Alice.status, 'absent');
+    assert.equal(before.Bob.status, 'pending');
+    assert.equal(after.Bob.status, 'absent');
+    assert.equal(after.Carol.status, 'leave');
+  });
+});
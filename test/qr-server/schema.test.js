@@ -0,0 +1,112 @@
+import assert from 'assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import DatabaseConnection from '#src/qr-server/database/connection.js';
+import { initializeSchema } from '#src/qr-server/database/schema.js';
+
+describe('initializeSchema migrations', () => {
+  let dbConnection;
+
+  const columnNames = async (table) =>
+    (await dbConnection.all(`PRAGMA table_info(${table})`)).map(
+      (column) => column.name,
+    );
+
+  beforeEach(async () => {
+    dbConnection = new DatabaseConnection(':memory:');
+    await dbConnection.connect();
+  });
+
+  afterEach(async () => {
+    await dbConnection.close();
+  });
+
+  it('can run again on a database it created', async () => {
+    await initializeSchema(dbConnection, 'secret');
+    await initializeSchema(dbConnection, 'secret');
+
+    const config = await dbConnection.all(
+      "SELECT value FROM system_config WHERE key = 'otp_secret'",
+    );
+    assert.deepEqual(config, [{ value: 'secret' }]);
+  });
+
+  it('brings a first-release check_ins table up to date', async () => {
+    await dbConnection.run(
+      `CREATE TABLE check_ins (
+         id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+         phone_number TEXT NOT NULL,
+         otp TEXT NOT NULL,
+         timestamp DATETIME NOT NULL,
+         validation_status TEXT NOT NULL
+           CHECK (validation_status IN ('valid', 'expired', 'invalid')),
+         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+       )`,
+    );
+    await dbConnection.run(
+      `INSERT INTO check_ins (id, phone_number, otp, timestamp, validation_status)
+       VALUES ('old', '+85291234567', 'ABC123', '2026-01-05T01:00:00Z', 'valid')`,
+    );
+
+    await initializeSchema(dbConnection);
+
+    const columns = await columnNames('check_ins');
+    for (const name of [
+      'location_id',
+      'otp_slot',
+      'event_type',
+      'session_id',
+      'whatsapp_client_id',
+    ]) {
+      assert.ok(columns.includes(name), `check_ins.${name} is missing`);
+    }
+
+    const old = await dbConnection.get(
+      "SELECT event_type, validation_status FROM check_ins WHERE id = 'old'",
+    );
+    assert.deepEqual(old, {
+      event_type: 'check_in',
+      validation_status: 'valid',
+    });
+
+    // Statuses added since the first release are allowed
+    await dbConnection.run(
+      `INSERT INTO check_ins (phone_number, otp, timestamp, validation_status)
+       VALUES ('+85291234567', 'ABC123', '2026-01-05T01:01:00Z', 'duplicate')`,
+    );
+  });
+
+  it('moves the groups of people into group_members', async () => {
+    await dbConnection.run(
+      `CREATE TABLE people (
+         phone_number TEXT PRIMARY KEY,
+         display_name TEXT NOT NULL,
+         employee_id TEXT,
+         group_id TEXT,
+         active INTEGER NOT NULL DEFAULT 1,
+         created_at DATETIME NOT NULL,
+         updated_at DATETIME NOT NULL
+       )`,
+    );
+    await dbConnection.run(
+      `INSERT INTO people VALUES
+         ('+85290000001', 'Alice', NULL, 'night', 1, 'x', 'x'),
+         ('+85290000002', 'Bob', NULL, NULL, 1, 'x', 'x')`,
+    );
+
+    await initializeSchema(dbConnection);
+
+    const columns = await columnNames('people');
+    assert.ok(!columns.includes('group_id'));
+    assert.ok(columns.includes('status'));
+    assert.deepEqual(
+      await dbConnection.all(
+        'SELECT group_id, phone_number FROM group_members',
+      ),
+      [{ group_id: 'night', phone_number: '+85290000001' }],
+    );
+    assert.deepEqual(await dbConnection.all('SELECT id FROM groups'), [
+      { id: 'night' },
+    ]);
+  });
+});
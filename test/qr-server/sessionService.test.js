@@ -0,0 +1,103 @@
+import assert from 'assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+
+import SessionService, {
+  parseRecurrence,
+} from '#src/qr-server/services/sessionService.js';
+
+const TIME_ZONE = 'Asia/Hong_Kong';
+
+describe('parseRecurrence', () => {
+  it('accepts five-field cron expressions', () => {
+    assert.ok(parseRecurrence('0 10 * * 2,4', TIME_ZONE));
+  });
+
+  it('rejects expressions with seconds or that do not parse', () => {
+    assert.equal(parseRecurrence('0 0 10 * * 2', TIME_ZONE), null);
+    assert.equal(parseRecurrence('not a cron', TIME_ZONE), null);
+    assert.equal(parseRecurrence(null, TIME_ZONE), null);
+  });
+});
+
+describe('SessionService open and close window', () => {
+  let sessionService;
+
+  const row = (fields) => ({
+    location_id: 'lab',
+    group_id: null,
+    starts_at: null,
+    ends_at: null,
+    cron: null,
+    duration_minutes: null,
+    active: 1,
+    ...fields,
+  });
+
+  beforeEach(async () => {
+    sessionService = new SessionService({
+      sessionRepository: {
+        getSessions: async () => [
+          // Tuesdays 10:00-11:30 in Hong Kong
+          row({ id: 'physics', cron: '0 10 * * 2', duration_minutes: 90 }),
+          row({
+            id: 'exam',
+            location_id: 'hall',
+            starts_at: '2026-10-21T09:00:00+08:00',
+            ends_at: '2026-10-21T12:00:00+08:00',
+          }),
+        ],
+      },
+      timeZone: TIME_ZONE,
+    });
+    await sessionService.load();
+  });
+
+  const openIds = (locationId, at) =>
+    sessionService
+      .getOpenSessions(locationId, new Date(at))
+      .map(({ id }) => id);
+
+  it('opens a recurring session at its start and closes it at its end', () => {
+    assert.deepEqual(openIds('lab', '2026-10-20T09:59:59+08:00'), []);
+    assert.deepEqual(openIds('lab', '2026-10-20T10:00:00+08:00'), ['physics']);
+    assert.deepEqual(openIds('lab', '2026-10-20T11:29:59+08:00'), ['physics']);
+    assert.deepEqual(openIds('lab', '2026-10-20T11:30:00+08:00'), []);
+  });
+
+  it('gives the times of the open occurrence', () => {
+    const [open] = sessionService.getOpenSessions(
+      'lab',
+      new Date('2026-10-20T10:45:00+08:00'),
+    );
+
+    assert.equal(open.startsAt, '2026-10-20T02:00:00.000Z');
+    assert.equal(open.endsAt, '2026-10-20T03:30:00.000Z');
+  });
+
+  it('opens a one-off session from its start until its end', () => {
+    assert.deepEqual(openIds('hall', '2026-10-21T08:59:59+08:00'), []);
+    assert.deepEqual(openIds('hall', '2026-10-21T09:00:00+08:00'), ['exam']);
+    assert.deepEqual(openIds('hall', '2026-10-21T12:00:00+08:00'), []);
+  });
+
+  it('points a closed location to its next session', async () => {
+    const result = await sessionService.checkSession({
+      locationId: 'lab',
+      phoneNumber: '+85291234567',
+      timestamp: new Date('2026-10-20T12:00:00+08:00'),
+    });
+
+    assert.equal(result.status, 'no_session');
+    assert.equal(result.nextSession.startsAt, '2026-10-27T02:00:00.000Z');
+  });
+
+  it('leaves locations without sessions open', async () => {
+    const result = await sessionService.checkSession({
+      locationId: 'library',
+      phoneNumber: '+85291234567',
+      timestamp: new Date('2026-10-20T12:00:00+08:00'),
+    });
+
+    assert.equal(result.status, null);
+  });
+});
@@ -0,0 +1,50 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+
+import { MessageRouter } from '#src/whatsapp-events/message/message-router.js';
+
+describe('MessageRouter.shouldSkipMessage', () => {
+  const router = new MessageRouter(null);
+  const message = (fields) => ({
+    from: '85291234567@c.us',
+    fromMe: false,
+    body: 'status',
+    hasMedia: false,
+    type: 'chat',
+    ...fields,
+  });
+
+  it('handles text and photos from people', () => {
+    assert.equal(router.shouldSkipMessage(message()), false);
+    assert.equal(
+      router.shouldSkipMessage(
+        message({ body: '', hasMedia: true, type: 'image' }),
+      ),
+      false,
+    );
+    assert.equal(
+      router.shouldSkipMessage(message({ from: '123456789@lid' })),
+      false,
+    );
+  });
+
+  it('skips status broadcasts, own messages and empty messages', () => {
+    assert.equal(
+      router.shouldSkipMessage(message({ from: 'status@broadcast' })),
+      true,
+    );
+    assert.equal(router.shouldSkipMessage(message({ fromMe: true })), true);
+    assert.equal(router.shouldSkipMessage(message({ body: '  ' })), true);
+  });
+
+  it('skips notifications', () => {
+    assert.equal(
+      router.shouldSkipMessage(message({ type: 'e2e_notification' })),
+      true,
+    );
+    assert.equal(
+      router.shouldSkipMessage(message({ subtype: 'encrypt' })),
+      true,
+    );
+  });
+});